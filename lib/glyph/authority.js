@@ -0,0 +1,196 @@
+'use strict'
+
+/**
+ * Glyph authority tokens (GLYPH_AUTHORITY)
+ *
+ * An authority is an NFT whose metadata's `authority.type` says what it may
+ * issue:
+ *
+ *   issuer    the root, e.g. a creator or a brand: tokens and any other type
+ *   manager   tokens, delegates and badges, for the issuer that issued it
+ *   delegate  tokens
+ *   badge     nothing; an attestation about whoever holds it
+ *
+ * A glyph names the authority that issued it in its metadata as
+ * `by: <ref hex>`, and every authority but an issuer must. The claim is
+ * signed by the authority's holder: its reveal spends the authority's
+ * singleton and recreates it (see authorize), and consensus lets a ref
+ * appear in an output only if an input carried it. Following the claims
+ * leads from a token back to its issuer.
+ *
+ * An authority withdraws refs beneath it, authorities or tokens, with a
+ * revocation envelope output (see revoke) in a transaction that likewise
+ * spends it. A revoked ref's claims stop counting, however long ago they
+ * were made.
+ */
+
+const Script = require('../script')
+const { AuthorityType } = require('./constants')
+const { encodeRevocationEnvelope, buildRevealScript } = require('./encoder')
+const { parseGlyphTransaction } = require('./decoder')
+const { isAuthority } = require('./validator')
+const { refHex, revealedMints, refClaim, spendsSingleton } = require('./refs')
+const nft = require('./nft')
+
+// The authority types each type may issue. All but a badge also issue tokens.
+const ISSUES = {
+  [AuthorityType.ISSUER]: [AuthorityType.MANAGER, AuthorityType.DELEGATE, AuthorityType.BADGE],
+  [AuthorityType.MANAGER]: [AuthorityType.DELEGATE, AuthorityType.BADGE],
+  [AuthorityType.DELEGATE]: [],
+  [AuthorityType.BADGE]: []
+}
+
+function authorityType (metadata) {
+  return metadata && isAuthority(metadata.p) && metadata.authority ? metadata.authority.type : null
+}
+
+/**
+ * Spend an authority and recreate it, so that the transaction carries its
+ * holder's signature: a reveal of a glyph whose `by` names the authority,
+ * or a revocation.
+ *
+ * @param {Transaction} transaction
+ * @param {Object} utxo - the authority's singleton UTXO, in any format
+ *   Transaction#from accepts
+ * @param {Address|string} [address] - owner of the recreated authority,
+ *   defaults to its current owner
+ * @returns {Transaction} `transaction`
+ */
+function authorize (transaction, utxo, address) {
+  const UnspentOutput = require('../transaction/unspentoutput')
+  if (address === undefined) {
+    const singleton = nft.parseSingletonScript(new UnspentOutput(utxo).script)
+    address = singleton && singleton.owner
+  }
+  nft.transfer(transaction, utxo, address)
+  return transaction
+}
+
+/**
+ * Build a revocation output script.
+ *
+ * @param {Buffer|string} authority - ref of the revoking authority
+ * @param {Array<Buffer|string>} revoked - refs it revokes
+ * @returns {Script} OP_FALSE OP_RETURN <revocation envelope>
+ */
+function buildRevocationScript (authority, revoked) {
+  return Script.fromBuffer(buildRevealScript([encodeRevocationEnvelope({ authority, revoked })]))
+}
+
+/**
+ * Revoke refs beneath an authority: spend and recreate it, and add a
+ * revocation output.
+ *
+ * @param {Transaction} transaction
+ * @param {Object} utxo - the revoking authority's singleton UTXO
+ * @param {Array<Buffer|string>} revoked - refs of the authorities or tokens
+ *   it revokes
+ * @param {Address|string} [address] - owner of the recreated authority
+ * @returns {Transaction} `transaction`
+ */
+function revoke (transaction, utxo, revoked, address) {
+  const Output = require('../transaction/output')
+  const UnspentOutput = require('../transaction/unspentoutput')
+  authorize(transaction, utxo, address)
+  const ref = new UnspentOutput(utxo).script.isGlyphNftOut().ref
+  transaction.addOutput(new Output({ script: buildRevocationScript(ref, revoked), satoshis: 0 }))
+  return transaction
+}
+
+/**
+ * Check that a glyph was issued by an authority: follow the `by` claims from
+ * the glyph's reveal to the authority, checking at each step that the
+ * reveal spends the authority it names and that the authority may issue
+ * what claims it, then that no ref on the way is revoked by one above it.
+ * The reveals themselves are not checked; see verifyReveal.
+ *
+ * @param {Transaction} revealTx - reveal of the glyph, whose first reveal
+ *   input is checked
+ * @param {Buffer|string} authorityRef - ref of the authority
+ * @param {Transaction[]} transactions - the reveals of the authorities
+ *   between them, and any revocations
+ * @returns {{valid: boolean, errors: string[], chain: string[]}} every
+ *   problem found, and the refs from the glyph up to where the claims led
+ */
+function verifyIssuer (revealTx, authorityRef, transactions) {
+  const target = refHex(authorityRef, 'Glyph authority: ref')
+  transactions = [revealTx].concat(transactions || [])
+  const mints = new Map()
+  revealedMints(transactions).forEach(function (mint) {
+    mints.set(mint.ref, mint)
+  })
+  const token = revealedMints([revealTx])[0]
+  const revocations = []
+  transactions.forEach(function (tx) {
+    const parsed = parseGlyphTransaction(tx)
+    if (!parsed) {
+      return
+    }
+    parsed.revocations.forEach(function (revocation) {
+      if (nft.countSingletonOutputs(tx, revocation.envelope.authority) !== 0) {
+        revocations.push({
+          authority: revocation.envelope.authority.toString('hex'),
+          revoked: revocation.envelope.revoked.map(function (ref) { return ref.toString('hex') })
+        })
+      }
+    })
+  })
+  if (!token) {
+    return { valid: false, errors: ['the transaction reveals no glyph'], chain: [] }
+  }
+
+  // An issuer only issues managers, and managers only delegates and badges,
+  // so the claims cannot go round in a circle
+  const errors = []
+  const chain = [token.ref]
+  let current = token
+  while (current.ref !== target) {
+    const claim = refClaim(current.metadata, 'by')
+    if (!claim) {
+      errors.push(current.ref + ' makes no issuer claim')
+      break
+    }
+    if (!spendsSingleton(current.tx, claim)) {
+      errors.push(current.ref + ' claims ' + claim + ' but its reveal does not spend it')
+      break
+    }
+    const issuer = mints.get(claim)
+    if (!issuer) {
+      errors.push('the reveal of ' + claim + ' is not among the transactions')
+      break
+    }
+    const type = authorityType(issuer.metadata)
+    if (!ISSUES[type]) {
+      errors.push(claim + ' is not an authority')
+      break
+    }
+    const issued = authorityType(current.metadata)
+    if (issued ? !ISSUES[type].includes(issued) : type === AuthorityType.BADGE) {
+      errors.push('a ' + type + ' cannot issue ' + (issued ? 'a ' + issued : 'tokens') + ', as ' + claim + ' did')
+      break
+    }
+    chain.push(claim)
+    if (claim !== target && type === AuthorityType.ISSUER) {
+      errors.push(current.ref + ' leads to the issuer ' + claim + ', not ' + target)
+      break
+    }
+    current = issuer
+  }
+
+  chain.forEach(function (ref, i) {
+    revocations.forEach(function (revocation) {
+      if (chain.indexOf(revocation.authority) > i && revocation.revoked.includes(ref)) {
+        errors.push(ref + ' is revoked by ' + revocation.authority)
+      }
+    })
+  })
+  return { valid: errors.length === 0, errors, chain }
+}
+
+module.exports = {
+  ISSUES,
+  authorize,
+  buildRevocationScript,
+  revoke,
+  verifyIssuer
+}
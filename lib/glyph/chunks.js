@@ -0,0 +1,204 @@
+'use strict'
+
+/**
+ * Glyph chunked reveals
+ *
+ * A reveal is a single script, so a file much larger than a transaction can
+ * hold is revealed as a chain of chunk transactions instead. Each one spends
+ * the previous one's link output and carries one piece of the file:
+ *
+ *   output 0: OP_FALSE OP_RETURN <magic ‖ 0x02 ‖ "chk" ‖ index ‖ count ‖ sha256(file)> <piece>
+ *   output 1: the link, paying the remaining funds on to the next transaction
+ *
+ * The glyph's metadata lists such a file as a content entry with
+ * `storage: 'ref'` and its `size` and sha256 `hash`, so a reader can check
+ * the reassembled file against the token as well as against the chunks.
+ */
+
+const Buffer = require('../util/bufferUtil')
+const Hash = require('../crypto/hash')
+const Varint = require('../encoding/varint')
+const Script = require('../script')
+const { GlyphLimits } = require('./constants')
+const { encodeChunkEnvelope, buildRevealScript } = require('./encoder')
+const { decodeEnvelope, checkContentEntry } = require('./decoder')
+
+// Transaction#verify rejects anything larger than a block
+const MAX_CHUNK_TX_SIZE = 1000000
+// Nodes relay transactions up to this size by default
+const DEFAULT_CHUNK_TX_SIZE = 100000
+const MIN_CHUNK_TX_SIZE = 1000
+
+const CHUNK_OUTPUT_INDEX = 0
+const LINK_OUTPUT_INDEX = 1
+
+// Version, lock time, the input and output counts, one P2PKH input and the
+// P2PKH link output
+const CHUNK_TX_BASE_SIZE = 4 + 4 + 1 + 1 + (32 + 4 + 4 + 108) + (8 + 1 + 25)
+// The chunk output around its piece, at its largest: value, script length,
+// OP_FALSE OP_RETURN, the header push and the piece's OP_PUSHDATA4 prefix
+const CHUNK_OUTPUT_OVERHEAD = 8 + 5 + 2 + 1 + 47 + 5
+
+function chunkScript (index, count, fileHash, data) {
+  return Script.fromBuffer(buildRevealScript(encodeChunkEnvelope({ index, count, fileHash, data })))
+}
+
+function chunkTxSize (script) {
+  const size = script.toBuffer().length
+  return CHUNK_TX_BASE_SIZE + 8 + Varint(size).toBuffer().length + size
+}
+
+/**
+ * Split a file into chunks that each fit in one transaction.
+ *
+ * @param {Buffer} file - the file to reveal
+ * @param {Object} [options]
+ * @param {number} [options.maxTxSize=100000] - the largest transaction to
+ *   build, between 1000 and 1000000 bytes
+ * @param {number} [options.feePerKb=Transaction.FEE_PER_KB] - fee rate of
+ *   the chain
+ * @returns {{fileHash: Buffer, chunkSize: number, count: number, chunks: Buffer[], txSizes: number[], fee: number}}
+ *   the file's sha256, the pieces and the estimated size of the transaction
+ *   carrying each one, spending a P2PKH output, and the fee of the chain
+ */
+function planChunks (file, options) {
+  const Transaction = require('../transaction/transaction')
+  options = options || {}
+  const maxTxSize = options.maxTxSize === undefined ? DEFAULT_CHUNK_TX_SIZE : options.maxTxSize
+  const feePerKb = options.feePerKb === undefined ? Transaction.FEE_PER_KB : options.feePerKb
+  if (!Buffer.isBuffer(file) || file.length === 0) {
+    throw new Error('Glyph chunks: the file must be a non-empty Buffer')
+  }
+  if (file.length > GlyphLimits.MAX_REVEAL_ENVELOPE_B_SIZE) {
+    throw new Error('Glyph chunks: the file exceeds ' + GlyphLimits.MAX_REVEAL_ENVELOPE_B_SIZE + ' bytes')
+  }
+  if (!Number.isInteger(maxTxSize) || maxTxSize < MIN_CHUNK_TX_SIZE || maxTxSize > MAX_CHUNK_TX_SIZE) {
+    throw new Error('Glyph chunks: maxTxSize must be between ' + MIN_CHUNK_TX_SIZE + ' and ' + MAX_CHUNK_TX_SIZE)
+  }
+  if (!Number.isInteger(feePerKb) || feePerKb < 0) {
+    throw new Error('Glyph chunks: feePerKb must be a non-negative integer')
+  }
+  const fileHash = Hash.sha256(file)
+  const chunkSize = maxTxSize - CHUNK_TX_BASE_SIZE - CHUNK_OUTPUT_OVERHEAD
+  const count = Math.ceil(file.length / chunkSize)
+  const chunks = []
+  for (let i = 0; i < count; i++) {
+    chunks.push(file.slice(i * chunkSize, (i + 1) * chunkSize))
+  }
+  const txSizes = chunks.map(function (data, index) {
+    return chunkTxSize(chunkScript(index, count, fileHash, data))
+  })
+  const fee = txSizes.reduce(function (total, size) {
+    return total + Math.ceil(size / 1000 * feePerKb)
+  }, 0)
+  return { fileHash, chunkSize, count, chunks, txSizes, fee }
+}
+
+/**
+ * Build and sign the chain of chunk transactions for a file.
+ *
+ * @param {Buffer} file - the file to reveal
+ * @param {Object} utxo - a P2PKH output of privateKey paying for the chain,
+ *   for instance the change of the glyph's reveal
+ * @param {PrivateKey} privateKey - signs every transaction
+ * @param {Object} [options] - as for planChunks, plus:
+ * @param {Address|string} [options.address] - receives the link outputs and
+ *   what is left at the end, defaults to privateKey's address
+ * @returns {Transaction[]} the chain, in order
+ */
+function buildChunkChain (file, utxo, privateKey, options) {
+  const Transaction = require('../transaction/transaction')
+  const UnspentOutput = require('../transaction/unspentoutput')
+  const Output = require('../transaction/output')
+  options = options || {}
+  const plan = planChunks(file, options)
+  const feePerKb = options.feePerKb === undefined ? Transaction.FEE_PER_KB : options.feePerKb
+  const address = options.address || privateKey.toAddress()
+
+  const funds = Number(new UnspentOutput(utxo).satoshis)
+  const needed = plan.fee + Transaction.DUST_AMOUNT
+  if (funds < needed) {
+    throw new Error('Glyph chunks: the chain needs ' + needed + ' photons, the UTXO has ' + funds)
+  }
+
+  let previous = utxo
+  return plan.chunks.map(function (data, index) {
+    const tx = new Transaction()
+      .from(previous)
+      .addOutput(new Output({ script: chunkScript(index, plan.count, plan.fileHash, data), satoshis: 0 }))
+      .change(address)
+      .feePerKb(feePerKb)
+      .sign(privateKey)
+    previous = {
+      txId: tx.id,
+      outputIndex: LINK_OUTPUT_INDEX,
+      script: tx.outputs[LINK_OUTPUT_INDEX].script,
+      satoshis: tx.outputs[LINK_OUTPUT_INDEX].satoshis
+    }
+    return tx
+  })
+}
+
+/**
+ * Rebuild a file from its chain of chunk transactions.
+ *
+ * @param {Array<Transaction|string|Buffer>} transactions - the whole chain,
+ *   in any order
+ * @param {Object} [entry] - the file's content entry from the glyph's
+ *   metadata; its `size` and sha256 `hash` are checked when present
+ * @returns {Buffer} the file
+ */
+function reassembleChunks (transactions, entry) {
+  const Transaction = require('../transaction/transaction')
+  if (!Array.isArray(transactions) || transactions.length === 0) {
+    throw new Error('Glyph chunks: transactions must be a non-empty array')
+  }
+  const links = transactions.map(function (tx) {
+    tx = tx instanceof Transaction ? tx : new Transaction(tx)
+    const found = tx.outputs
+      .map(function (output) { return decodeEnvelope(output.script.toBuffer()) })
+      .filter(function (envelope) { return envelope && envelope.type === 'chunk' })
+    if (found.length !== 1) {
+      throw new Error('Glyph chunks: ' + tx.id + ' carries ' + found.length + ' chunks, not 1')
+    }
+    return { tx, chunk: found[0] }
+  }).sort(function (a, b) { return a.chunk.index - b.chunk.index })
+
+  const { count, fileHash } = links[0].chunk
+  links.forEach(function (link, i) {
+    if (link.chunk.count !== count || !link.chunk.fileHash.equals(fileHash)) {
+      throw new Error('Glyph chunks: chunk ' + link.chunk.index + ' belongs to another file')
+    }
+    if (link.chunk.index !== i) {
+      throw new Error('Glyph chunks: chunk ' + (link.chunk.index < i ? link.chunk.index + ' appears twice' : i + ' is missing'))
+    }
+    const input = link.tx.inputs[0]
+    if (i > 0 && !(input && input.prevTxId.toString('hex') === links[i - 1].tx.id &&
+        input.outputIndex === LINK_OUTPUT_INDEX)) {
+      throw new Error('Glyph chunks: chunk ' + i + ' does not spend the link output of chunk ' + (i - 1))
+    }
+  })
+  if (links.length !== count) {
+    throw new Error('Glyph chunks: chunk ' + links.length + ' is missing')
+  }
+
+  const file = Buffer.concat(links.map(function (link) { return link.chunk.data }))
+  if (!Hash.sha256(file).equals(fileHash)) {
+    throw new Error('Glyph chunks: the file does not match its sha256 hash')
+  }
+  if (entry) {
+    const errors = checkContentEntry(entry, file, typeof entry.path === 'string' ? entry.path : 'the file')
+    if (errors.length) {
+      throw new Error('Glyph chunks: ' + errors[0])
+    }
+  }
+  return file
+}
+
+module.exports = {
+  CHUNK_OUTPUT_INDEX,
+  LINK_OUTPUT_INDEX,
+  planChunks,
+  buildChunkChain,
+  reassembleChunks
+}
@@ -14,6 +14,26 @@ const Buffer = require('../util/bufferUtil')
 const GLYPH_MAGIC = Buffer.from('gly', 'ascii')
 const GLYPH_MAGIC_HEX = '676c79'
 
+/**
+ * Marker after the magic bytes and version of an update envelope. Its bits
+ * fall in the reserved flag range, so it never reads as a commit or reveal.
+ */
+const GLYPH_UPDATE_MARKER = Buffer.from('mod', 'ascii')
+
+/**
+ * Marker after the magic bytes and version of a chunk envelope, which carries
+ * one piece of a file revealed across several transactions. Like the update
+ * marker, its bits fall in the reserved flag range.
+ */
+const GLYPH_CHUNK_MARKER = Buffer.from('chk', 'ascii')
+
+/**
+ * Marker after the magic bytes and version of a revocation envelope, by which
+ * an authority withdraws refs it vouched for. Like the update marker, its
+ * bits fall in the reserved flag range.
+ */
+const GLYPH_REVOCATION_MARKER = Buffer.from('rev', 'ascii')
+
 /**
  * Glyph protocol versions
  */
@@ -168,6 +188,9 @@ const GlyphDefaults = {
 module.exports = {
   GLYPH_MAGIC,
   GLYPH_MAGIC_HEX,
+  GLYPH_UPDATE_MARKER,
+  GLYPH_CHUNK_MARKER,
+  GLYPH_REVOCATION_MARKER,
   GlyphVersion,
   GlyphProtocol,
   ProtocolNames,
@@ -0,0 +1,191 @@
+'use strict'
+
+/**
+ * Glyph containers (GLYPH_CONTAINER)
+ *
+ * A container is an NFT that groups others: a collection, an album, a
+ * bundle or a series. Its metadata gives the kind and may cap the number of
+ * members:
+ *
+ *   container: { type: 'series', max: 100 }
+ *
+ * A member points at its container with `in: <ref hex>`, and a member of a
+ * series gives its place as `n`, from 1 to `max`. Only the container's
+ * holder adds members, by moving the container on in the member's reveal
+ * (see authorize); an `in` claim from any other reveal is ignored.
+ *
+ * Members are counted in chain order. Once `max` are in, later ones are
+ * turned away, as is a member of a series whose number is already taken.
+ */
+
+const { ContainerType } = require('./constants')
+const { isContainer } = require('./validator')
+const { refHex, revealedMints, refClaim, spendsSingleton } = require('./refs')
+const authority = require('./authority')
+
+// The container object of well-formed container metadata, or null
+function containerOf (metadata) {
+  const container = metadata && isContainer(metadata.p) ? metadata.container : null
+  if (!container || !Object.values(ContainerType).includes(container.type)) {
+    return null
+  }
+  if (container.max === undefined) {
+    return container.type === ContainerType.SERIES ? null : container
+  }
+  return Number.isInteger(container.max) && container.max > 0 ? container : null
+}
+
+/**
+ * Build the glyph for a member of a container. Its reveal must also spend
+ * the container; see authorize.
+ *
+ * @param {Buffer|string} containerRef - ref of the container
+ * @param {Object} metadata - the member's metadata
+ * @param {number} [n] - its number, for a member of a series
+ * @param {Object} [content] - passed on to the Glyph constructor
+ * @returns {Glyph}
+ */
+function child (containerRef, metadata, n, content) {
+  const Glyph = require('./glyph')
+  const claim = { in: refHex(containerRef, 'Glyph container: ref') }
+  if (n !== undefined) {
+    if (!Number.isInteger(n) || n < 1) {
+      throw new Error('Glyph container: n must be a positive integer')
+    }
+    claim.n = n
+  }
+  return new Glyph(Object.assign({}, metadata, claim), content)
+}
+
+/**
+ * Spend a container and recreate it, so that the reveal of a member carries
+ * its holder's signature. See Glyph.authority.authorize.
+ *
+ * @param {Transaction} transaction - the member's reveal
+ * @param {Object} utxo - the container's singleton UTXO, in any format
+ *   Transaction#from accepts
+ * @param {Address|string} [address] - owner of the recreated container,
+ *   defaults to its current owner
+ * @returns {Transaction} `transaction`
+ */
+function authorize (transaction, utxo, address) {
+  return authority.authorize(transaction, utxo, address)
+}
+
+// The container's metadata and every reveal that claims the container and
+// spends it, in chain order
+function collect (target, transactions) {
+  const claims = []
+  let metadata = null
+  revealedMints(transactions).forEach(function (mint) {
+    if (mint.ref === target) {
+      metadata = metadata || mint.metadata
+    } else if (refClaim(mint.metadata, 'in') === target && spendsSingleton(mint.tx, target)) {
+      claims.push(mint)
+    }
+  })
+  return { metadata, claims }
+}
+
+// Why each claim, in chain order, is not a member, or null if it is
+function admit (container, claims) {
+  const numbers = new Map()
+  let count = 0
+  return claims.map(function (claim) {
+    const n = claim.metadata.n
+    if (container.type === ContainerType.SERIES) {
+      if (n === undefined) {
+        return claim.ref + ' has no series number'
+      }
+      if (!Number.isInteger(n) || n < 1 || n > container.max) {
+        return claim.ref + ' is numbered ' + n + ', not 1 to ' + container.max
+      }
+      if (numbers.has(n)) {
+        return claim.ref + ' is numbered ' + n + ', as ' + numbers.get(n) + ' was first'
+      }
+      numbers.set(n, claim.ref)
+    } else if (container.max !== undefined && count === container.max) {
+      return claim.ref + ' comes after the ' + container.max + ' members the container holds'
+    }
+    count++
+    return null
+  })
+}
+
+/**
+ * List the members of a container.
+ *
+ * @param {Buffer|string} containerRef - ref of the container
+ * @param {Transaction[]} transactions - the container's reveal and the
+ *   reveals of its members, in chain order
+ * @returns {Array<{ref: string, n: number|undefined}>} the members, in
+ *   chain order
+ */
+function members (containerRef, transactions) {
+  const target = refHex(containerRef, 'Glyph container: ref')
+  const collected = collect(target, transactions || [])
+  const container = containerOf(collected.metadata)
+  if (!container) {
+    return []
+  }
+  const reasons = admit(container, collected.claims)
+  return collected.claims
+    .filter(function (claim, i) { return reasons[i] === null })
+    .map(function (claim) { return { ref: claim.ref, n: claim.metadata.n } })
+}
+
+/**
+ * Check that a glyph is a member of a container: its `in` claim names the
+ * container, its reveal spends the container, and it is within the
+ * container's `max` or, in a series, numbered from 1 to `max` by no
+ * earlier member. The reveals themselves are not checked; see verifyReveal.
+ *
+ * @param {Transaction} revealTx - reveal of the glyph, whose first reveal
+ *   input is checked
+ * @param {Buffer|string} containerRef - ref of the container
+ * @param {Transaction[]} transactions - the container's reveal and the
+ *   reveals of its other members, in chain order; `revealTx` counts as the
+ *   last unless it is among them
+ * @returns {{valid: boolean, errors: string[]}} every problem found
+ */
+function verifyMembership (revealTx, containerRef, transactions) {
+  const target = refHex(containerRef, 'Glyph container: ref')
+  transactions = transactions || []
+  if (!transactions.includes(revealTx)) {
+    transactions = transactions.concat([revealTx])
+  }
+  const mint = revealedMints([revealTx])[0]
+  if (!mint) {
+    return { valid: false, errors: ['the transaction reveals no glyph'] }
+  }
+  const ref = mint.ref
+  const claim = refClaim(mint.metadata, 'in')
+
+  const errors = []
+  const collected = collect(target, transactions)
+  const index = collected.claims.findIndex(function (claimed) { return claimed.ref === ref })
+  if (!claim) {
+    errors.push(ref + ' makes no container claim')
+  } else if (claim !== target) {
+    errors.push(ref + ' claims the container ' + claim + ', not ' + target)
+  } else if (index === -1) {
+    errors.push(ref + ' claims ' + target + ' but its reveal does not spend it')
+  } else if (!collected.metadata) {
+    errors.push('the reveal of ' + target + ' is not among the transactions')
+  } else if (!containerOf(collected.metadata)) {
+    errors.push(target + ' is not a container')
+  } else {
+    const reason = admit(containerOf(collected.metadata), collected.claims)[index]
+    if (reason) {
+      errors.push(reason)
+    }
+  }
+  return { valid: errors.length === 0, errors }
+}
+
+module.exports = {
+  child,
+  authorize,
+  members,
+  verifyMembership
+}
@@ -0,0 +1,184 @@
+'use strict'
+
+/**
+ * Glyph content roots
+ *
+ * A multi-file glyph can commit to its files with a single 32-byte content
+ * root, carried by the commit envelope (EnvelopeFlags.HAS_CONTENT_ROOT). It
+ * is the root of a Merkle tree over the files in content order, so a light
+ * client can check one file against it with a short proof instead of
+ * downloading the rest.
+ *
+ *   leaf = hash256(0x00 ‖ varint(|path|) ‖ path ‖ varint(|mime|) ‖ mime ‖ sha256(file))
+ *   node = hash256(0x01 ‖ left ‖ right)
+ *
+ * The prefixes keep a leaf from passing for a node. A level with an odd
+ * number of nodes promotes its last one unchanged, rather than pairing it
+ * with itself, so no two file lists share a root.
+ */
+
+const Buffer = require('../util/bufferUtil')
+const Hash = require('../crypto/hash')
+const BufferWriter = require('../encoding/bufferwriter')
+const { GlyphLimits } = require('./constants')
+
+const LEAF_PREFIX = Buffer.from([0x00])
+const NODE_PREFIX = Buffer.from([0x01])
+
+// The file's sha256, from its bytes or a declared `hash`
+function fileHash (file) {
+  if (Buffer.isBuffer(file.data)) {
+    return Hash.sha256(file.data)
+  }
+  let hash = file.hash
+  if (hash && !Buffer.isBuffer(hash) && typeof hash === 'object') {
+    if (String(hash.algo).toLowerCase() !== 'sha256') {
+      throw new Error('Glyph content: ' + file.path + ' needs a sha256 hash, not ' + hash.algo)
+    }
+    hash = hash.hex
+  }
+  hash = typeof hash === 'string' ? Buffer.from(hash, 'hex') : hash
+  if (!Buffer.isBuffer(hash) || hash.length !== 32) {
+    throw new Error('Glyph content: ' + file.path + ' needs its data or a 32-byte sha256 hash')
+  }
+  return hash
+}
+
+/**
+ * The leaf hash of one file.
+ *
+ * @param {{path: string, mime: string, data?: Buffer, hash?: Buffer|string|{algo: string, hex: string}}} file -
+ *   a content entry; `hash` is the sha256 of the file, used when `data` is absent
+ * @returns {Buffer} 32 bytes
+ */
+function contentLeaf (file) {
+  if (!file || typeof file.path !== 'string' || file.path === '' ||
+      Buffer.byteLength(file.path, 'utf8') > GlyphLimits.MAX_PATH_SIZE) {
+    throw new Error('Glyph content: a file needs a path of 1 to ' + GlyphLimits.MAX_PATH_SIZE + ' bytes')
+  }
+  if (typeof file.mime !== 'string' || Buffer.byteLength(file.mime, 'utf8') > GlyphLimits.MAX_MIME_SIZE) {
+    throw new Error('Glyph content: ' + file.path + ' needs a mime type of at most ' + GlyphLimits.MAX_MIME_SIZE + ' bytes')
+  }
+  const path = Buffer.from(file.path, 'utf8')
+  const mime = Buffer.from(file.mime, 'utf8')
+  const writer = new BufferWriter()
+    .write(LEAF_PREFIX)
+    .writeVarintNum(path.length).write(path)
+    .writeVarintNum(mime.length).write(mime)
+    .write(fileHash(file))
+  return Hash.sha256sha256(writer.toBuffer())
+}
+
+function contentNode (left, right) {
+  return Hash.sha256sha256(Buffer.concat([NODE_PREFIX, left, right]))
+}
+
+// Every level of the tree, leaves first
+function buildLevels (files) {
+  if (!Array.isArray(files) || files.length === 0) {
+    throw new Error('Glyph content: files must be a non-empty array')
+  }
+  const paths = new Set()
+  files.forEach(function (file) {
+    if (file && paths.has(file.path)) {
+      throw new Error('Glyph content: duplicate path ' + file.path)
+    }
+    paths.add(file && file.path)
+  })
+  const levels = [files.map(contentLeaf)]
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1]
+    const next = []
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? contentNode(level[i], level[i + 1]) : level[i])
+    }
+    levels.push(next)
+  }
+  return levels
+}
+
+/**
+ * The content root of a glyph's files, in content order.
+ *
+ * @param {Object[]} files - content entries, see contentLeaf; paths must be unique
+ * @returns {Buffer} 32 bytes, for encodeCommitEnvelope's `contentRoot`
+ */
+function contentRoot (files) {
+  const levels = buildLevels(files)
+  return levels[levels.length - 1][0]
+}
+
+/**
+ * The inclusion proof of one file.
+ *
+ * @param {Object[]} files - all the glyph's content entries, as for contentRoot
+ * @param {string|number} file - the path or index of the file to prove
+ * @returns {{index: number, count: number, siblings: Buffer[]}} the file's
+ *   index, the number of files and the sibling hashes from the leaf up
+ */
+function proveFile (files, file) {
+  const levels = buildLevels(files)
+  let index = typeof file === 'number'
+    ? file
+    : files.findIndex(function (entry) { return entry.path === file })
+  if (!Number.isInteger(index) || index < 0 || index >= files.length) {
+    throw new Error('Glyph content: no file ' + file)
+  }
+  const proof = { index, count: files.length, siblings: [] }
+  levels.slice(0, -1).forEach(function (level) {
+    const sibling = index % 2 === 1 ? index - 1 : index + 1
+    if (sibling < level.length) {
+      proof.siblings.push(level[sibling])
+    }
+    index = Math.floor(index / 2)
+  })
+  return proof
+}
+
+/**
+ * Check that a file belongs to the glyph with the given content root.
+ *
+ * @param {Buffer|string} root - the content root
+ * @param {Object} file - the file's content entry, see contentLeaf
+ * @param {{index: number, count: number, siblings: Array<Buffer|string>}} proof -
+ *   as from proveFile
+ * @returns {boolean}
+ */
+function verifyFileProof (root, file, proof) {
+  root = Buffer.isBuffer(root) ? root : Buffer.from(root, 'hex')
+  if (!proof || !Number.isInteger(proof.index) || !Number.isInteger(proof.count) ||
+      proof.index < 0 || proof.index >= proof.count || !Array.isArray(proof.siblings)) {
+    return false
+  }
+  let hash
+  try {
+    hash = contentLeaf(file)
+  } catch (e) {
+    return false
+  }
+  const siblings = proof.siblings.map(function (sibling) {
+    return Buffer.isBuffer(sibling) ? sibling : Buffer.from(sibling, 'hex')
+  })
+  let index = proof.index
+  let count = proof.count
+  let used = 0
+  while (count > 1) {
+    if (index % 2 === 1 || index + 1 < count) {
+      const sibling = siblings[used++]
+      if (!sibling || sibling.length !== 32) {
+        return false
+      }
+      hash = index % 2 === 1 ? contentNode(sibling, hash) : contentNode(hash, sibling)
+    }
+    index = Math.floor(index / 2)
+    count = Math.ceil(count / 2)
+  }
+  return used === siblings.length && hash.equals(root)
+}
+
+module.exports = {
+  contentLeaf,
+  contentRoot,
+  proveFile,
+  verifyFileProof
+}
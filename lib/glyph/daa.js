@@ -0,0 +1,318 @@
+'use strict'
+
+/**
+ * Glyph dMint difficulty adjustment
+ *
+ * Each DAA mode gives the target a dMint contract requires after a mint,
+ * from the contract state before the mint and the mint's lock time. The math
+ * is bigint integer math with truncating division, the arithmetic a contract
+ * script has, and every intermediate value fits a script number, so indexers
+ * and miners agree on the next target without running a contract.
+ *
+ *   FIXED     the target never changes
+ *   EPOCH     every `epochLength` mints the target is scaled by the time the
+ *             epoch took over `epochLength × targetTime`, by at most 4× either way
+ *   ASERT     every mint the target is scaled by
+ *             2^((solve time − targetTime) / halfLife), by at most 2× either way
+ *   LWMA      every mint the target is scaled by the linearly weighted mean of
+ *             the last `window` solve times over `targetTime`; solve times are
+ *             clamped to [1, 6 × targetTime]
+ *   SCHEDULE  the target is that of the last `schedule` entry whose height the
+ *             contract has reached
+ *
+ * A solve time is the mint's lock time minus the previous mint's. The deploy
+ * has no real time, so the first mint only starts the clock: every mode keeps
+ * the target for it. Targets are clamped to [1, MAX_TARGET].
+ */
+
+const { DaaMode, GlyphDefaults } = require('./constants')
+
+// The proof-of-work value is 7 bytes, so it stays a positive script number
+const MAX_TARGET = (1n << 56n) - 1n
+// ASERT exponents and factors are 16.16 fixed point
+const RADIX = 65536n
+const EPOCH_MAX_ADJUST = 4
+// LWMA solve times are stored in 2 bytes that must read back as positive
+// script numbers, so LWMA_MAX_SOLVE × targetTime stays below 2^15
+const LWMA_MAX_SOLVE = 6
+const MAX_WINDOW = 32
+const MAX_SCHEDULE = 32
+const DEFAULT_EPOCH_LENGTH = 60
+const DEFAULT_WINDOW = 24
+
+function checkInteger (value, min, max, name) {
+  if (!Number.isSafeInteger(value) || value < min || value > max) {
+    throw new Error('Glyph DAA: ' + name + ' must be an integer from ' + min + ' to ' + max)
+  }
+}
+
+function checkTarget (target, name) {
+  if (typeof target !== 'bigint' || target < 1n || target > MAX_TARGET) {
+    throw new Error('Glyph DAA: ' + name + ' must be a bigint from 1 to ' + MAX_TARGET)
+  }
+}
+
+function numberOr (value, fallback) {
+  return value === undefined ? fallback : Number(value)
+}
+
+/**
+ * The parameters of a DAA mode, with defaults for those not given: a
+ * `targetTime` of GlyphDefaults.TARGET_MINT_TIME for EPOCH, ASERT and LWMA,
+ * an `epochLength` of 60 mints, a `halfLife` of GlyphDefaults.ASERT_HALFLIFE
+ * and a `window` of 24 mints. SCHEDULE needs `schedule`, a list of
+ * `{height, target}`. Numbers may be given as strings, targets as anything
+ * BigInt accepts.
+ *
+ * @param {number} daaMode - DaaMode
+ * @param {Object} [config] - e.g. the `dmint` metadata object
+ * @returns {Object} only the parameters of `daaMode`
+ */
+function readParams (daaMode, config) {
+  config = config || {}
+  const targetTime = numberOr(config.targetTime, GlyphDefaults.TARGET_MINT_TIME)
+  if (daaMode === DaaMode.FIXED) {
+    return {}
+  } else if (daaMode === DaaMode.EPOCH) {
+    return { targetTime, epochLength: numberOr(config.epochLength, DEFAULT_EPOCH_LENGTH) }
+  } else if (daaMode === DaaMode.ASERT) {
+    return { targetTime, halfLife: numberOr(config.halfLife, GlyphDefaults.ASERT_HALFLIFE) }
+  } else if (daaMode === DaaMode.LWMA) {
+    return { targetTime, window: numberOr(config.window, DEFAULT_WINDOW) }
+  } else if (daaMode === DaaMode.SCHEDULE) {
+    if (!Array.isArray(config.schedule)) {
+      throw new Error('Glyph DAA: SCHEDULE needs a schedule of {height, target} entries')
+    }
+    return {
+      schedule: config.schedule.map(function (entry) {
+        return { height: Number(entry.height), target: BigInt(entry.target) }
+      })
+    }
+  }
+  throw new Error('Glyph DAA: DAA mode ' + daaMode + ' is not supported')
+}
+
+/**
+ * Throw unless `params` are parameters of `daaMode` a contract can check.
+ *
+ * @param {number} daaMode - DaaMode
+ * @param {Object} params - as from readParams
+ * @param {number} maxHeight - the contract's number of mints
+ */
+function checkParams (daaMode, params, maxHeight) {
+  if (daaMode === DaaMode.EPOCH) {
+    checkInteger(params.targetTime, 1, 0x7fffffff, 'targetTime')
+    checkInteger(params.epochLength, 1, 0x7fffffff, 'epochLength')
+    // the clamped epoch time is at most 4 × epochLength × targetTime
+    checkInteger(params.targetTime * params.epochLength, 1, 0x1fffffff, 'epochLength × targetTime')
+  } else if (daaMode === DaaMode.ASERT) {
+    checkInteger(params.targetTime, 1, 0x7fffffff, 'targetTime')
+    checkInteger(params.halfLife, 1, 0x7fffffff, 'halfLife')
+  } else if (daaMode === DaaMode.LWMA) {
+    checkInteger(params.targetTime, 1, Math.floor(0x7fff / LWMA_MAX_SOLVE), 'targetTime')
+    checkInteger(params.window, 2, MAX_WINDOW, 'window')
+  } else if (daaMode === DaaMode.SCHEDULE) {
+    if (!Array.isArray(params.schedule) || params.schedule.length < 1 ||
+        params.schedule.length > MAX_SCHEDULE) {
+      throw new Error('Glyph DAA: schedule must have 1 to ' + MAX_SCHEDULE + ' entries')
+    }
+    params.schedule.forEach(function (entry, i) {
+      const previous = i === 0 ? 0 : params.schedule[i - 1].height
+      checkInteger(entry.height, previous + 1, maxHeight, 'schedule height ' + i)
+      checkTarget(entry.target, 'schedule target ' + i)
+    })
+  } else if (daaMode !== DaaMode.FIXED) {
+    throw new Error('Glyph DAA: DAA mode ' + daaMode + ' is not supported')
+  }
+}
+
+/**
+ * The state a mode keeps besides height, target and last time, as deployed:
+ * the epoch start for EPOCH (the deploy time until the first mint), and the
+ * last `window` solve times for LWMA (all `targetTime`).
+ *
+ * @param {number} daaMode - DaaMode
+ * @param {Object} params - as from readParams
+ * @param {number} time - the deploy's last time
+ * @returns {{epochStart: number}|{solveTimes: number[]}|{}}
+ */
+function initialState (daaMode, params, time) {
+  if (daaMode === DaaMode.EPOCH) {
+    return { epochStart: time }
+  } else if (daaMode === DaaMode.LWMA) {
+    return { solveTimes: new Array(params.window).fill(params.targetTime) }
+  }
+  return {}
+}
+
+/**
+ * Throw unless the extra state of initialState is valid for `daaMode`.
+ *
+ * @param {number} daaMode - DaaMode
+ * @param {Object} params - as from readParams
+ * @param {Object} state - epochStart or solveTimes
+ */
+function checkState (daaMode, params, state) {
+  if (daaMode === DaaMode.EPOCH) {
+    checkInteger(state.epochStart, 0, 0x7fffffff, 'epochStart')
+  } else if (daaMode === DaaMode.LWMA) {
+    if (!Array.isArray(state.solveTimes) || state.solveTimes.length !== params.window) {
+      throw new Error('Glyph DAA: solveTimes must hold ' + params.window + ' solve times')
+    }
+    state.solveTimes.forEach(function (solveTime) {
+      checkInteger(solveTime, 1, LWMA_MAX_SOLVE * params.targetTime, 'solve time')
+    })
+  }
+}
+
+function clampTarget (target) {
+  return target < 1n ? 1n : target > MAX_TARGET ? MAX_TARGET : target
+}
+
+function clamp (value, min, max) {
+  return value < min ? min : value > max ? max : value
+}
+
+// floor(a × m / k) for a, m >= 0 without the 64-bit overflow of a × m
+function mulDiv (a, m, k) {
+  return (a / k) * m + (a % k) * m / k
+}
+
+/**
+ * 2^(exponent / 65536) × 65536, for an exponent from -65536 to 65536, by a
+ * cubic approximation exact at -1, 0 and 1.
+ *
+ * @param {bigint} exponent - 16.16 fixed point
+ * @returns {bigint} 16.16 fixed point, from 32768 to 131072
+ */
+function asertFactor (exponent) {
+  const negative = exponent < 0n
+  const x = negative ? exponent + RADIX : exponent
+  const x2 = x * x / RADIX
+  const x3 = x2 * x / RADIX
+  const factor = RADIX + (45580n * x + 14829n * x2 + 5127n * x3) / RADIX
+  return negative ? factor / 2n : factor
+}
+
+/**
+ * The FIXED target: unchanged.
+ *
+ * @param {{target: bigint}} state
+ * @returns {{target: bigint}}
+ */
+function fixed (state) {
+  return { target: state.target }
+}
+
+/**
+ * @param {{height: number, target: bigint, epochStart: number}} state - before the mint
+ * @param {{targetTime: number, epochLength: number}} params
+ * @param {number} time - lock time of the mint
+ * @returns {{target: bigint, epochStart: number}}
+ */
+function epoch (state, params, time) {
+  if (state.height === 0) {
+    return { target: state.target, epochStart: time }
+  }
+  if ((state.height + 1) % params.epochLength !== 0) {
+    return { target: state.target, epochStart: state.epochStart }
+  }
+  const expected = params.epochLength * params.targetTime
+  const actual = clamp(time - state.epochStart,
+    Math.floor(expected / EPOCH_MAX_ADJUST), expected * EPOCH_MAX_ADJUST)
+  return {
+    target: clampTarget(mulDiv(state.target, BigInt(actual), BigInt(expected))),
+    epochStart: time
+  }
+}
+
+/**
+ * @param {{height: number, target: bigint, lastTime: number}} state - before the mint
+ * @param {{targetTime: number, halfLife: number}} params
+ * @param {number} time - lock time of the mint
+ * @returns {{target: bigint}}
+ */
+function asert (state, params, time) {
+  if (state.height === 0) {
+    return { target: state.target }
+  }
+  const exponent = BigInt(time - state.lastTime - params.targetTime) * RADIX / BigInt(params.halfLife)
+  const factor = asertFactor(clamp(exponent, -RADIX, RADIX))
+  return { target: clampTarget(mulDiv(state.target, factor, RADIX)) }
+}
+
+/**
+ * @param {{height: number, target: bigint, lastTime: number, solveTimes: number[]}} state - before the mint
+ * @param {{targetTime: number, window: number}} params
+ * @param {number} time - lock time of the mint
+ * @returns {{target: bigint, solveTimes: number[]}} solve times oldest first
+ */
+function lwma (state, params, time) {
+  if (state.height === 0) {
+    return { target: state.target, solveTimes: state.solveTimes.slice() }
+  }
+  const solveTime = clamp(time - state.lastTime, 1, LWMA_MAX_SOLVE * params.targetTime)
+  const solveTimes = state.solveTimes.slice(1).concat(solveTime)
+  const weighted = solveTimes.reduce(function (sum, solveTime, i) {
+    return sum + BigInt(solveTime * (i + 1))
+  }, 0n)
+  const expected = BigInt(params.targetTime * params.window * (params.window + 1) / 2)
+  return { target: clampTarget(mulDiv(state.target, weighted, expected)), solveTimes }
+}
+
+/**
+ * @param {{height: number, target: bigint}} state - before the mint
+ * @param {{schedule: Array<{height: number, target: bigint}>}} params
+ * @returns {{target: bigint}}
+ */
+function schedule (state, params) {
+  let target = state.target
+  params.schedule.forEach(function (entry) {
+    if (state.height + 1 >= entry.height) {
+      target = entry.target
+    }
+  })
+  return { target }
+}
+
+/**
+ * The target, and the mode's extra state, a contract requires after a mint.
+ *
+ * @param {Object} contract - daaMode, daaParams and the state before the
+ *   mint
+ * @param {number} time - lock time of the mint
+ * @returns {{target: bigint, epochStart?: number, solveTimes?: number[]}}
+ */
+function nextTarget (contract, time) {
+  const params = contract.daaParams
+  switch (contract.daaMode) {
+    case DaaMode.FIXED:
+      return fixed(contract)
+    case DaaMode.EPOCH:
+      return epoch(contract, params, time)
+    case DaaMode.ASERT:
+      return asert(contract, params, time)
+    case DaaMode.LWMA:
+      return lwma(contract, params, time)
+    case DaaMode.SCHEDULE:
+      return schedule(contract, params)
+  }
+  throw new Error('Glyph DAA: DAA mode ' + contract.daaMode + ' is not supported')
+}
+
+module.exports = {
+  MAX_TARGET,
+  EPOCH_MAX_ADJUST,
+  LWMA_MAX_SOLVE,
+  readParams,
+  checkParams,
+  initialState,
+  checkState,
+  asertFactor,
+  fixed,
+  epoch,
+  asert,
+  lwma,
+  schedule,
+  nextTarget
+}
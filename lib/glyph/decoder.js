@@ -7,8 +7,13 @@
  */
 
 const Buffer = require('../util/bufferUtil')
+const Hash = require('../crypto/hash')
+const Opcode = require('../opcode')
+const Script = require('../script')
 const BufferReader = require('../encoding/bufferreader')
-const { GLYPH_MAGIC, GLYPH_MAGIC_HEX, GlyphVersion, EnvelopeFlags, ENVELOPE_FLAGS_MASK } = require('./constants')
+const { GLYPH_MAGIC, GLYPH_MAGIC_HEX, GLYPH_UPDATE_MARKER, GLYPH_CHUNK_MARKER, GLYPH_REVOCATION_MARKER, GlyphVersion, EnvelopeFlags, ENVELOPE_FLAGS_MASK, GlyphLimits, StorageType } = require('./constants')
+const { computeCommitHash } = require('./encoder')
+const { normalizeUpdate } = require('./update')
 
 /**
  * Check if a transaction contains Glyph data
@@ -49,27 +54,39 @@ function containsGlyphMagic(buf) {
 /**
  * Parse a Glyph transaction.
  *
- * Returns every envelope found across outputs (commit/reveal) and inputs
- * (reveal in scriptSig). A transaction can legitimately carry both a commit
- * AND a reveal in the same tx, so a single envelope is not enough.
+ * Returns every envelope found across outputs (commit, reveal, or mutable
+ * token update) and inputs (reveal in scriptSig). A transaction can
+ * legitimately carry both a commit AND a reveal in the same tx, so a single
+ * envelope is not enough.
  *
  * @param {Transaction} tx - Transaction to parse
- * @returns {{commits: Array, reveals: Array, type: string|null, envelope: Object|null, outputIndex: number, inputIndex: number}|null}
- *   `commits` and `reveals` are always arrays (possibly empty). The legacy
+ * @returns {{commits: Array, reveals: Array, updates: Array, chunks: Array, revocations: Array, type: string|null, envelope: Object|null, outputIndex: number, inputIndex: number}|null}
+ *   `commits`, `reveals`, `updates`, `chunks` and `revocations` are always arrays (possibly empty). The legacy
  *   single-envelope fields (`type`, `envelope`, `outputIndex`, `inputIndex`)
- *   mirror the first envelope found, for back-compat. Returns null if no
- *   envelope is present at all.
+ *   mirror the first envelope found, for back-compat. A reveal in an input
+ *   whose spent output is known and is a commit output also gets
+ *   `verification`, as verifyReveal reports it for that input. Returns null
+ *   if no envelope is present at all.
  */
 function parseGlyphTransaction(tx) {
   const commits = []
   const reveals = []
+  const updates = []
+  const chunks = []
+  const revocations = []
 
   for (let i = 0; i < tx.outputs.length; i++) {
     const output = tx.outputs[i]
     const scriptBuf = output.script.toBuffer()
     const envelope = decodeEnvelope(scriptBuf)
     if (envelope) {
-      if (envelope.isReveal) {
+      if (envelope.type === 'update') {
+        updates.push({ outputIndex: i, envelope })
+      } else if (envelope.type === 'chunk') {
+        chunks.push({ outputIndex: i, envelope })
+      } else if (envelope.type === 'revocation') {
+        revocations.push({ outputIndex: i, envelope })
+      } else if (envelope.isReveal) {
         reveals.push({ outputIndex: i, envelope })
       } else {
         commits.push({ outputIndex: i, envelope })
@@ -83,18 +100,28 @@ function parseGlyphTransaction(tx) {
     const scriptBuf = input.script.toBuffer()
     const envelope = decodeEnvelope(scriptBuf)
     if (envelope && envelope.isReveal) {
-      reveals.push({ inputIndex: i, envelope })
+      const reveal = { inputIndex: i, envelope }
+      const commit = input.output && parseCommitScript(input.output.script)
+      if (commit) {
+        const errors = checkReveal(envelope, commit)
+        reveal.verification = { valid: errors.length === 0, errors }
+      }
+      reveals.push(reveal)
     }
   }
 
-  if (commits.length === 0 && reveals.length === 0) return null
+  if (commits.length === 0 && reveals.length === 0 && updates.length === 0 && chunks.length === 0 &&
+      revocations.length === 0) return null
 
   // Back-compat single-envelope mirror.
-  const first = commits[0] || reveals[0]
+  const first = commits[0] || reveals[0] || updates[0] || chunks[0] || revocations[0]
   return Object.assign({}, first, {
-    type: first.envelope.isReveal ? 'reveal' : 'commit',
+    type: first.envelope.type,
     commits,
     reveals,
+    updates,
+    chunks,
+    revocations,
   })
 }
 
@@ -110,6 +137,11 @@ function decodeEnvelope(scriptBuf) {
   if (magicIndex === -1) {
     return null
   }
+
+  const reveal = decodeRevealPushes(scriptBuf)
+  if (reveal !== undefined) {
+    return reveal
+  }
   
   try {
     const reader = new BufferReader(scriptBuf.slice(magicIndex))
@@ -122,6 +154,18 @@ function decodeEnvelope(scriptBuf) {
     if (version !== GlyphVersion.V1 && version !== GlyphVersion.V2) {
       return null
     }
+
+    // The update marker takes the place of the flags; its bits are reserved
+    // ones, so it is never mistaken for a commit or reveal below.
+    if (scriptBuf.slice(magicIndex + 4, magicIndex + 4 + GLYPH_UPDATE_MARKER.length).equals(GLYPH_UPDATE_MARKER)) {
+      return decodeUpdateEnvelope(scriptBuf.slice(magicIndex))
+    }
+    if (scriptBuf.slice(magicIndex + 4, magicIndex + 4 + GLYPH_CHUNK_MARKER.length).equals(GLYPH_CHUNK_MARKER)) {
+      return decodeChunkEnvelope(scriptBuf)
+    }
+    if (scriptBuf.slice(magicIndex + 4, magicIndex + 4 + GLYPH_REVOCATION_MARKER.length).equals(GLYPH_REVOCATION_MARKER)) {
+      return decodeRevocationEnvelope(scriptBuf.slice(magicIndex))
+    }
     
     // Flags. Reject envelopes that set any reserved bit (bits 3-6) per
     // Whitepaper §7.3 "MUST be zero".
@@ -171,6 +215,10 @@ function decodeCommitEnvelope(reader, version, flags) {
 
 /**
  * Decode reveal envelope
+ *
+ * For an envelope held in one buffer, everything after the flags is the
+ * metadata. Scripts that push the envelope in parts are read by
+ * decodeEnvelope instead, see decodeRevealPushes.
  * 
  * @param {BufferReader} reader - Buffer reader positioned after flags
  * @param {number} version - Protocol version
@@ -178,25 +226,339 @@ function decodeCommitEnvelope(reader, version, flags) {
  * @returns {Object} Decoded reveal envelope
  */
 function decodeRevealEnvelope(reader, version, flags) {
+  return buildReveal(version, flags, 'A', [reader.readAll()])
+}
+
+/**
+ * Find a reveal envelope pushed part by part, as reveal inputs and reveal
+ * OP_RETURN outputs carry it:
+ *
+ *   style A: <magic version flags> <metadata> <file0> ... <fileN>
+ *   style B: <magic> <metadata> <file0> ... <fileN>
+ *
+ * Every chunk after the header must be a push, which keeps the magic bytes
+ * in commit and contract scripts from being read as a reveal.
+ *
+ * @param {Buffer} scriptBuf - Script buffer
+ * @returns {Object|null|undefined} the reveal envelope; null if the header is
+ *   there but its version or flags are not valid; undefined if the script
+ *   holds no such envelope
+ */
+function decodeRevealPushes(scriptBuf) {
+  let chunks
+  try {
+    chunks = Script.fromBuffer(scriptBuf).chunks
+  } catch (e) {
+    return undefined
+  }
+  const start = chunks.findIndex(function (chunk) {
+    return chunk.buf && chunk.buf.length >= GLYPH_MAGIC.length &&
+      chunk.buf.slice(0, GLYPH_MAGIC.length).equals(GLYPH_MAGIC)
+  })
+  if (start === -1 || start === chunks.length - 1) {
+    return undefined
+  }
+  const pushes = chunks.slice(start + 1)
+  if (!pushes.every(function (chunk) { return chunk.opcodenum <= Opcode.OP_PUSHDATA4 })) {
+    return undefined
+  }
+  const data = pushes.map(function (chunk) { return chunk.buf || Buffer.alloc(0) })
+  const header = chunks[start].buf
+  if (header.length === GLYPH_MAGIC.length) {
+    const metadataVersion = decodeRevealMetadata(data[0]).v
+    const version = metadataVersion === GlyphVersion.V1 ? GlyphVersion.V1 : GlyphVersion.V2
+    return buildReveal(version, EnvelopeFlags.IS_REVEAL, 'B', data)
+  }
+  if (header.length !== GLYPH_MAGIC.length + 2 || !(header[GLYPH_MAGIC.length + 1] & EnvelopeFlags.IS_REVEAL)) {
+    return undefined
+  }
+  const version = header[GLYPH_MAGIC.length]
+  const flags = header[GLYPH_MAGIC.length + 1]
+  if ((version !== GlyphVersion.V1 && version !== GlyphVersion.V2) || (flags & ~ENVELOPE_FLAGS_MASK)) {
+    return null
+  }
+  return buildReveal(version, flags, 'A', data)
+}
+
+function decodeRevealMetadata(bytes) {
+  try {
+    const metadata = decodeMetadata(bytes)
+    return metadata && typeof metadata === 'object' ? metadata : {}
+  } catch (e) {
+    return {}
+  }
+}
+
+/**
+ * The reveal envelope for the given metadata and file pushes. `rawMetadata`
+ * always keeps the metadata bytes, which the commit hash covers; `metadata`
+ * is null when they do not decode. Files are mapped to the paths of the
+ * metadata's inline content entries, see inlineContent.
+ *
+ * @param {number} version
+ * @param {number} flags
+ * @param {string} style - 'A' or 'B'
+ * @param {Buffer[]} data - the metadata bytes, then the files
+ * @returns {Object}
+ */
+function buildReveal(version, flags, style, data) {
   const result = {
     type: 'reveal',
     isReveal: true,
     version,
     flags,
+    style,
     metadata: null,
-    files: []
+    rawMetadata: data[0],
+    files: data.slice(1),
+    filesByPath: new Map()
   }
+  if (result.rawMetadata.length === 0) {
+    return result
+  }
+  try {
+    result.metadata = decodeMetadata(result.rawMetadata)
+  } catch (e) {
+    return result
+  }
+  inlineContent(result.metadata).forEach(function (entry, i) {
+    if (i < result.files.length && typeof entry.path === 'string' && !result.filesByPath.has(entry.path)) {
+      result.filesByPath.set(entry.path, result.files[i])
+    }
+  })
+  return result
+}
 
-  const remaining = reader.readAll()
-  if (remaining.length > 0) {
-    try {
-      result.metadata = decodeMetadata(remaining)
-    } catch (e) {
-      result.rawMetadata = remaining
+/**
+ * The metadata's content entries whose files the reveal carries, in push
+ * order: `content.primary`, then `content.files`, skipping entries stored
+ * elsewhere (a `storage` other than 'inline').
+ *
+ * @param {Object} metadata - Decoded metadata
+ * @returns {Object[]} content entries
+ */
+function inlineContent(metadata) {
+  const content = metadata && metadata.content
+  if (!content || typeof content !== 'object') {
+    return []
+  }
+  const entries = [content.primary].concat(Array.isArray(content.files) ? content.files : [])
+  return entries.filter(function (entry) {
+    return entry && typeof entry === 'object' &&
+      (entry.storage === undefined || entry.storage === StorageType.INLINE)
+  })
+}
+
+/**
+ * Check a file against the `size` and sha256 `hash` its content entry
+ * declares, where it declares them.
+ *
+ * @param {Object} entry - Content entry
+ * @param {Buffer} file - The file's bytes
+ * @param {string} name - How the messages refer to the file
+ * @returns {string[]} the mismatches, empty if none
+ */
+function checkContentEntry(entry, file, name) {
+  const errors = []
+  if (typeof entry.size === 'number' && entry.size !== file.length) {
+    errors.push(name + ' is ' + file.length + ' bytes, metadata says ' + entry.size)
+  }
+  const hash = entry.hash
+  if (hash && String(hash.algo).toLowerCase() === 'sha256' && typeof hash.hex === 'string' &&
+      Hash.sha256(file).toString('hex') !== hash.hex.toLowerCase()) {
+    errors.push(name + ' does not match the sha256 hash in its metadata')
+  }
+  return errors
+}
+
+/**
+ * Check a reveal transaction against the commit transaction it spends. Each
+ * input spending a commit output of `commitTx` must reveal metadata whose
+ * commit hash (see computeCommitHash) and files whose hashes that output
+ * locks. Inline files must also match the `size` and sha256 `hash` their
+ * content entries declare, and the commit hash must be the one the commit
+ * envelope announces, if `commitTx` has one.
+ *
+ * @param {Transaction} commitTx - Commit transaction
+ * @param {Transaction} revealTx - Reveal transaction
+ * @returns {{valid: boolean, errors: string[]}} every mismatch found
+ */
+function verifyReveal(commitTx, revealTx) {
+  const errors = []
+  const announced = commitTx.outputs.map(function (output) {
+    return decodeEnvelope(output.script.toBuffer())
+  }).filter(function (envelope) {
+    return envelope && envelope.type === 'commit'
+  }).map(function (envelope) {
+    return envelope.commitHash
+  })
+  let spent = 0
+  revealTx.inputs.forEach(function (input, i) {
+    const output = input.prevTxId.toString('hex') === commitTx.id && commitTx.outputs[input.outputIndex]
+    const commit = output && parseCommitScript(output.script)
+    if (!commit) {
+      return
+    }
+    spent++
+    const envelope = input.script && decodeEnvelope(input.script.toBuffer())
+    if (!envelope || !envelope.isReveal) {
+      errors.push('input ' + i + ': no reveal envelope')
+      return
     }
+    checkReveal(envelope, commit).forEach(function (error) {
+      errors.push('input ' + i + ': ' + error)
+    })
+    if (announced.length > 0 && !announced.some(function (hash) { return hash.equals(commit.commitHash) })) {
+      errors.push('input ' + i + ': commit hash ' + commit.commitHash.toString('hex') +
+        ' is not the one the commit envelope announces')
+    }
+  })
+  if (spent === 0) {
+    errors.push('the reveal spends no commit output of ' + commitTx.id)
   }
+  return { valid: errors.length === 0, errors }
+}
 
-  return result
+function parseCommitScript(script) {
+  // Lazy: the token builder pulls in every contract module
+  return require('./glyph').parseCommitScript(script)
+}
+
+// Mismatches between a reveal envelope and the commit output it spends
+function checkReveal(envelope, commit) {
+  const errors = []
+  const commitHash = computeCommitHash(envelope.rawMetadata || Buffer.alloc(0))
+  if (!commitHash.equals(commit.commitHash)) {
+    errors.push('metadata hash ' + commitHash.toString('hex') +
+      ' does not match commit hash ' + commit.commitHash.toString('hex'))
+  }
+  if (envelope.files.length !== commit.fileHashes.length) {
+    errors.push(envelope.files.length + ' files revealed, ' + commit.fileHashes.length + ' committed')
+  }
+  envelope.files.forEach(function (file, i) {
+    if (i < commit.fileHashes.length && !Hash.sha256sha256(file).equals(commit.fileHashes[i])) {
+      errors.push('file ' + i + ' does not match its commit hash')
+    }
+  })
+  inlineContent(envelope.metadata).forEach(function (entry, i) {
+    const file = envelope.files[i]
+    const name = typeof entry.path === 'string' ? entry.path : 'file ' + i
+    if (!file) {
+      errors.push(name + ' is missing')
+      return
+    }
+    checkContentEntry(entry, file, name).forEach(function (error) {
+      errors.push(error)
+    })
+  })
+  return errors
+}
+
+/**
+ * Decode a mutable token update envelope, see encoder.encodeUpdateEnvelope.
+ *
+ * @param {Buffer} buf - Envelope bytes, starting with the magic bytes
+ * @returns {{type: string, isReveal: boolean, version: number, updates: Object[]}|null}
+ *   `updates` in canonical form; null if `buf` is not a well-formed V2 update
+ *   envelope or any of its updates is invalid
+ */
+function decodeUpdateEnvelope(buf) {
+  const bodyStart = GLYPH_MAGIC.length + 1 + GLYPH_UPDATE_MARKER.length
+  if (buf.length <= bodyStart || buf.length > GlyphLimits.MAX_UPDATE_ENVELOPE_SIZE ||
+      !buf.slice(0, GLYPH_MAGIC.length).equals(GLYPH_MAGIC) ||
+      buf[GLYPH_MAGIC.length] !== GlyphVersion.V2 ||
+      !buf.slice(GLYPH_MAGIC.length + 1, bodyStart).equals(GLYPH_UPDATE_MARKER)) {
+    return null
+  }
+  try {
+    const updates = decodeMetadata(buf.slice(bodyStart))
+    if (!Array.isArray(updates) || updates.length === 0) {
+      return null
+    }
+    return {
+      type: 'update',
+      isReveal: false,
+      version: GlyphVersion.V2,
+      updates: updates.map(normalizeUpdate),
+    }
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Decode a chunk envelope, see encoder.encodeChunkEnvelope.
+ *
+ * @param {Buffer} scriptBuf - Script buffer holding the header push followed
+ *   by exactly one data push
+ * @returns {{type: string, isReveal: boolean, version: number, index: number, count: number, fileHash: Buffer, data: Buffer}|null}
+ *   null if the script holds no well-formed chunk envelope
+ */
+function decodeChunkEnvelope(scriptBuf) {
+  const headerSize = GLYPH_MAGIC.length + 1 + GLYPH_CHUNK_MARKER.length + 8 + 32
+  let chunks
+  try {
+    chunks = Script.fromBuffer(scriptBuf).chunks
+  } catch (e) {
+    return null
+  }
+  const start = chunks.findIndex(function (chunk) {
+    return chunk.buf && chunk.buf.length === headerSize &&
+      chunk.buf.slice(0, GLYPH_MAGIC.length).equals(GLYPH_MAGIC) &&
+      chunk.buf[GLYPH_MAGIC.length] === GlyphVersion.V2 &&
+      chunk.buf.slice(GLYPH_MAGIC.length + 1, GLYPH_MAGIC.length + 1 + GLYPH_CHUNK_MARKER.length).equals(GLYPH_CHUNK_MARKER)
+  })
+  if (start === -1 || start !== chunks.length - 2) {
+    return null
+  }
+  const data = chunks[start + 1]
+  if (data.opcodenum > Opcode.OP_PUSHDATA4 || !data.buf || data.buf.length === 0) {
+    return null
+  }
+  const header = chunks[start].buf
+  const positionStart = GLYPH_MAGIC.length + 1 + GLYPH_CHUNK_MARKER.length
+  const index = header.readUInt32LE(positionStart)
+  const count = header.readUInt32LE(positionStart + 4)
+  if (count === 0 || index >= count) {
+    return null
+  }
+  return {
+    type: 'chunk',
+    isReveal: false,
+    version: GlyphVersion.V2,
+    index,
+    count,
+    fileHash: header.slice(positionStart + 8),
+    data: data.buf,
+  }
+}
+
+/**
+ * Decode a revocation envelope, see encoder.encodeRevocationEnvelope.
+ *
+ * @param {Buffer} buf - Envelope bytes, starting with the magic bytes
+ * @returns {{type: string, isReveal: boolean, version: number, authority: Buffer, revoked: Buffer[]}|null}
+ *   null if `buf` is not a well-formed revocation envelope
+ */
+function decodeRevocationEnvelope(buf) {
+  const bodyStart = GLYPH_MAGIC.length + 1 + GLYPH_REVOCATION_MARKER.length
+  if (buf.length < bodyStart + 72 || (buf.length - bodyStart) % 36 !== 0 ||
+      !buf.slice(0, GLYPH_MAGIC.length).equals(GLYPH_MAGIC) ||
+      buf[GLYPH_MAGIC.length] !== GlyphVersion.V2 ||
+      !buf.slice(GLYPH_MAGIC.length + 1, bodyStart).equals(GLYPH_REVOCATION_MARKER)) {
+    return null
+  }
+  const revoked = []
+  for (let i = bodyStart + 36; i < buf.length; i += 36) {
+    revoked.push(buf.slice(i, i + 36))
+  }
+  return {
+    type: 'revocation',
+    isReveal: false,
+    version: GlyphVersion.V2,
+    authority: buf.slice(bodyStart, bodyStart + 36),
+    revoked,
+  }
 }
 
 /**
@@ -269,6 +631,13 @@ module.exports = {
   decodeEnvelope,
   decodeCommitEnvelope,
   decodeRevealEnvelope,
+  decodeRevealPushes,
+  decodeUpdateEnvelope,
+  decodeChunkEnvelope,
+  decodeRevocationEnvelope,
+  inlineContent,
+  checkContentEntry,
+  verifyReveal,
   decodeMetadata,
   getGlyphId,
   parseGlyphId,
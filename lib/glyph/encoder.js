@@ -20,7 +20,8 @@
 const Buffer = require('../util/bufferUtil')
 const Hash = require('../crypto/hash')
 const BufferWriter = require('../encoding/bufferwriter')
-const { GLYPH_MAGIC, GlyphVersion, EnvelopeFlags, ENVELOPE_FLAGS_MASK, GlyphLimits } = require('./constants')
+const { GLYPH_MAGIC, GLYPH_UPDATE_MARKER, GLYPH_CHUNK_MARKER, GLYPH_REVOCATION_MARKER, GlyphVersion, EnvelopeFlags, ENVELOPE_FLAGS_MASK, GlyphLimits } = require('./constants')
+const { normalizeUpdate } = require('./update')
 
 // Flip to `true` to fall back to JSON encoding (legacy / non-interop).
 let useJson = false
@@ -240,6 +241,107 @@ function encodeRevealEnvelopeB(options) {
   return chunks
 }
 
+/**
+ * Encode an update envelope for a mutable token: magic, version, the update
+ * marker, then the list of update operations in the metadata encoding.
+ * Pushed by the spend of the token's mutable contract (see Glyph.mutable).
+ *
+ * @param {Object[]} updates - update operations, see Glyph.update
+ * @returns {Buffer} Update envelope bytes
+ */
+function encodeUpdateEnvelope(updates) {
+  if (!Array.isArray(updates) || updates.length === 0) {
+    throw new Error('Update envelope needs at least one update')
+  }
+  const operations = updates.map(normalizeUpdate)
+  const body = useJson
+    ? Buffer.from(JSON.stringify(canonicalizeObject(operations)), 'utf8')
+    : Buffer.from(getCbor().encode(operations))
+  const envelope = Buffer.concat([
+    GLYPH_MAGIC,
+    Buffer.from([GlyphVersion.V2]),
+    GLYPH_UPDATE_MARKER,
+    body
+  ])
+  if (envelope.length > GlyphLimits.MAX_UPDATE_ENVELOPE_SIZE) {
+    throw new Error(`Update envelope exceeds maximum size of ${GlyphLimits.MAX_UPDATE_ENVELOPE_SIZE} bytes`)
+  }
+  return envelope
+}
+
+/**
+ * Encode a chunk envelope: one piece of a file revealed across a chain of
+ * transactions (see Glyph.chunks). The header push holds magic, version, the
+ * chunk marker, the chunk's index and the chunk count (uint32 LE each) and
+ * the sha256 of the whole file; the piece itself follows as a second push.
+ *
+ * @param {Object} options - Chunk options
+ * @param {number} options.index - Position of the chunk, from 0
+ * @param {number} options.count - Number of chunks in the file
+ * @param {Buffer} options.fileHash - sha256 of the whole file
+ * @param {Buffer} options.data - The chunk's bytes
+ * @returns {Buffer[]} Pushes for buildRevealScript
+ */
+function encodeChunkEnvelope(options) {
+  const { index, count, fileHash, data } = options
+  if (!Number.isInteger(count) || count < 1 || count > 0xffffffff) {
+    throw new Error('Chunk envelope needs a count of at least 1')
+  }
+  if (!Number.isInteger(index) || index < 0 || index >= count) {
+    throw new Error(`Chunk envelope index must be between 0 and ${count - 1}`)
+  }
+  if (!Buffer.isBuffer(fileHash) || fileHash.length !== 32) {
+    throw new Error('Chunk envelope fileHash must be 32 bytes')
+  }
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    throw new Error('Chunk envelope data must be a non-empty Buffer')
+  }
+  const position = Buffer.alloc(8)
+  position.writeUInt32LE(index, 0)
+  position.writeUInt32LE(count, 4)
+  const header = Buffer.concat([
+    GLYPH_MAGIC,
+    Buffer.from([GlyphVersion.V2]),
+    GLYPH_CHUNK_MARKER,
+    position,
+    fileHash
+  ])
+  return [header, data]
+}
+
+/**
+ * Encode a revocation envelope: magic, version, the revocation marker, the
+ * 36-byte ref of the revoking authority, then the 36-byte refs it revokes
+ * (see Glyph.authority). Only counts in a transaction that also spends the
+ * authority.
+ *
+ * @param {Object} options - Revocation options
+ * @param {Buffer|string} options.authority - Ref of the revoking authority
+ * @param {Array<Buffer|string>} options.revoked - Refs of the authorities or
+ *   tokens it revokes
+ * @returns {Buffer} Revocation envelope bytes
+ */
+function encodeRevocationEnvelope(options) {
+  const toRef = function (ref) {
+    const buf = Buffer.isBuffer(ref) ? ref : Buffer.from(String(ref), 'hex')
+    if (buf.length !== 36) {
+      throw new Error('Revocation envelope refs must be 36 bytes')
+    }
+    return buf
+  }
+  const { authority, revoked } = options
+  if (!Array.isArray(revoked) || revoked.length === 0) {
+    throw new Error('Revocation envelope needs at least one revoked ref')
+  }
+  return Buffer.concat([
+    GLYPH_MAGIC,
+    Buffer.from([GlyphVersion.V2]),
+    GLYPH_REVOCATION_MARKER,
+    toRef(authority),
+    ...revoked.map(toRef)
+  ])
+}
+
 module.exports = {
   encodeMetadata,
   canonicalizeObject,
@@ -248,6 +350,9 @@ module.exports = {
   encodeRevealEnvelope,
   encodeRevealEnvelopeB,
   buildRevealScript,
+  encodeUpdateEnvelope,
+  encodeChunkEnvelope,
+  encodeRevocationEnvelope,
   createRevealEnvelope: function (metadata) {
     return encodeRevealEnvelope({ metadata })
   },
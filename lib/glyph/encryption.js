@@ -0,0 +1,233 @@
+'use strict'
+
+/**
+ * Glyph encrypted content (GLYPH_ENCRYPTED)
+ *
+ * The inline files of an encrypted glyph are revealed as ciphertext under a
+ * random 32-byte content key, and the metadata's `crypto` object wraps that
+ * key for each recipient with ECIES (see lib/ecies):
+ *
+ *   crypto: {
+ *     cipher: 'aes-256-cbc-hmac-sha256',
+ *     wrap: 'ecies-bie1',
+ *     recipients: [{ pubkey: <compressed public key hex>, key: <wrapped content key hex> }]
+ *   }
+ *
+ * As in ECIES, sha512(content key) gives the AES-256-CBC key (its first 32
+ * bytes) and the HMAC-SHA256 key (its last 32). Each file is stored as
+ *
+ *   iv ‖ ciphertext ‖ hmac(varint(|path|) ‖ path ‖ iv ‖ ciphertext)
+ *
+ * so a file cannot be moved to another path unnoticed. Its content entry is
+ * marked `encrypted: true`; `size` and `hash` describe the stored bytes, so
+ * that reveals of encrypted files verify like any other.
+ */
+
+const Buffer = require('../util/bufferUtil')
+const Hash = require('../crypto/hash')
+const Random = require('../crypto/random')
+const PublicKey = require('../publickey')
+const BufferWriter = require('../encoding/bufferwriter')
+const FixedTime = require('../util/fixed_time')
+const aesjs = require('aes-js')
+const CBC = aesjs.ModeOfOperation.cbc
+const { inlineContent } = require('./decoder')
+
+const CIPHER = 'aes-256-cbc-hmac-sha256'
+const KEY_WRAP = 'ecies-bie1'
+const CONTENT_KEY_SIZE = 32
+const IV_SIZE = 16
+const TAG_SIZE = 32
+
+function cipherKeys (contentKey) {
+  if (!Buffer.isBuffer(contentKey) || contentKey.length !== CONTENT_KEY_SIZE) {
+    throw new Error('Glyph encryption: the content key must be ' + CONTENT_KEY_SIZE + ' bytes')
+  }
+  const keys = Hash.sha512(contentKey)
+  return { kE: keys.slice(0, 32), kM: keys.slice(32, 64) }
+}
+
+function fileTag (kM, path, iv, ciphertext) {
+  const writer = new BufferWriter()
+  const pathBuf = Buffer.from(path, 'utf8')
+  writer.writeVarintNum(pathBuf.length).write(pathBuf).write(iv).write(ciphertext)
+  return Hash.sha256hmac(writer.toBuffer(), kM)
+}
+
+// Recipients are recorded by their compressed key, whatever form they came in
+function recipientKey (publicKey) {
+  publicKey = new PublicKey(publicKey)
+  return new PublicKey(publicKey.point, { compressed: true })
+}
+
+/**
+ * Encrypt one file.
+ *
+ * @param {Buffer} data - the file
+ * @param {Buffer} contentKey - 32-byte content key
+ * @param {string} path - the file's content path, bound to the ciphertext
+ * @returns {Buffer} iv ‖ ciphertext ‖ tag
+ */
+function encryptFile (data, contentKey, path) {
+  if (!Buffer.isBuffer(data)) {
+    throw new Error('Glyph encryption: ' + path + ' must be a Buffer')
+  }
+  const { kE, kM } = cipherKeys(contentKey)
+  const iv = Random.getRandomBuffer(IV_SIZE)
+  const cbc = new CBC(kE, iv)
+  const ciphertext = Buffer.from(cbc.encrypt(aesjs.padding.pkcs7.pad(data)))
+  return Buffer.concat([iv, ciphertext, fileTag(kM, path, iv, ciphertext)])
+}
+
+/**
+ * Decrypt one file.
+ *
+ * @param {Buffer} encrypted - iv ‖ ciphertext ‖ tag, as from encryptFile
+ * @param {Buffer} contentKey - 32-byte content key
+ * @param {string} path - the file's content path
+ * @returns {Buffer} the file
+ */
+function decryptFile (encrypted, contentKey, path) {
+  const { kE, kM } = cipherKeys(contentKey)
+  if (!Buffer.isBuffer(encrypted) || encrypted.length < IV_SIZE + 16 + TAG_SIZE ||
+      (encrypted.length - IV_SIZE - TAG_SIZE) % 16 !== 0) {
+    throw new Error('Glyph encryption: ' + path + ' is not an encrypted file')
+  }
+  const iv = encrypted.slice(0, IV_SIZE)
+  const ciphertext = encrypted.slice(IV_SIZE, encrypted.length - TAG_SIZE)
+  const tag = encrypted.slice(encrypted.length - TAG_SIZE)
+  if (!FixedTime.areEqual(tag, fileTag(kM, path, iv, ciphertext))) {
+    throw new Error('Glyph encryption: ' + path + ' fails its authentication tag')
+  }
+  const cbc = new CBC(kE, iv)
+  return Buffer.from(aesjs.padding.pkcs7.strip(cbc.decrypt(ciphertext)))
+}
+
+/**
+ * Wrap a content key for one recipient.
+ *
+ * @param {Buffer} contentKey - 32-byte content key
+ * @param {PublicKey|string} publicKey - the recipient
+ * @returns {{pubkey: string, key: string}} an entry of `crypto.recipients`
+ */
+function wrapKey (contentKey, publicKey) {
+  const ECIES = require('../ecies')
+  cipherKeys(contentKey)
+  const pubkey = recipientKey(publicKey)
+  return {
+    pubkey: pubkey.toString(),
+    key: new ECIES().publicKey(pubkey).encrypt(contentKey).toString('hex')
+  }
+}
+
+/**
+ * Recover the content key with a recipient's private key.
+ *
+ * @param {Object} crypto - the metadata's `crypto` object
+ * @param {PrivateKey} privateKey - the key of one of its recipients
+ * @returns {Buffer} the content key
+ */
+function unwrapKey (crypto, privateKey) {
+  const ECIES = require('../ecies')
+  if (!crypto || crypto.cipher !== CIPHER || crypto.wrap !== KEY_WRAP || !Array.isArray(crypto.recipients)) {
+    throw new Error('Glyph encryption: unsupported crypto object, expected ' + CIPHER + ' wrapped with ' + KEY_WRAP)
+  }
+  const pubkey = recipientKey(privateKey.publicKey).toString()
+  const recipient = crypto.recipients.find(function (entry) {
+    return entry && typeof entry.pubkey === 'string' && entry.pubkey.toLowerCase() === pubkey
+  })
+  if (!recipient || typeof recipient.key !== 'string') {
+    throw new Error('Glyph encryption: ' + pubkey + ' is not a recipient')
+  }
+  let contentKey
+  try {
+    contentKey = new ECIES().privateKey(privateKey).decrypt(Buffer.from(recipient.key, 'hex'))
+  } catch (e) {
+    throw new Error('Glyph encryption: the key wrapped for ' + pubkey + ' does not decrypt: ' + e.message)
+  }
+  cipherKeys(contentKey)
+  return contentKey
+}
+
+/**
+ * Encrypt a glyph's inline files for a set of recipients.
+ *
+ * @param {Array<{path: string, mime: string, data: Buffer}>} files - the
+ *   files, in content order
+ * @param {Array<PublicKey|string>} recipients - who can decrypt them
+ * @param {Object} [options]
+ * @param {Buffer} [options.contentKey] - the 32-byte content key, random by default
+ * @returns {{contentKey: Buffer, crypto: Object, content: Object[], files: Buffer[]}}
+ *   the content key; the metadata's `crypto` object; the content entries,
+ *   for `content.primary` and `content.files`; and the encrypted files to
+ *   pass to `new Glyph(metadata, files)`
+ */
+function encryptContent (files, recipients, options) {
+  options = options || {}
+  if (!Array.isArray(files) || files.length === 0) {
+    throw new Error('Glyph encryption: files must be a non-empty array')
+  }
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    throw new Error('Glyph encryption: recipients must be a non-empty array')
+  }
+  const contentKey = options.contentKey || Random.getRandomBuffer(CONTENT_KEY_SIZE)
+  const encrypted = files.map(function (file) {
+    if (!file || typeof file.path !== 'string' || file.path === '') {
+      throw new Error('Glyph encryption: a file needs a path')
+    }
+    return encryptFile(file.data, contentKey, file.path)
+  })
+  return {
+    contentKey,
+    crypto: {
+      cipher: CIPHER,
+      wrap: KEY_WRAP,
+      recipients: recipients.map(function (recipient) { return wrapKey(contentKey, recipient) })
+    },
+    content: files.map(function (file, i) {
+      return {
+        path: file.path,
+        mime: file.mime,
+        size: encrypted[i].length,
+        hash: { algo: 'sha256', hex: Hash.sha256(encrypted[i]).toString('hex') },
+        encrypted: true
+      }
+    }),
+    files: encrypted
+  }
+}
+
+/**
+ * Decrypt a revealed glyph's inline files.
+ *
+ * @param {Object} metadata - the glyph's metadata, with its `crypto` object
+ * @param {Buffer[]} files - the revealed files, as in a reveal envelope's `files`
+ * @param {PrivateKey|Buffer} key - a recipient's private key, or the content key
+ * @returns {Array<{path: string, mime: string, data: Buffer}>} every inline
+ *   file in content order, decrypted where its entry is marked encrypted
+ */
+function decryptContent (metadata, files, key) {
+  const contentKey = Buffer.isBuffer(key) ? key : unwrapKey(metadata && metadata.crypto, key)
+  return inlineContent(metadata).map(function (entry, i) {
+    const path = typeof entry.path === 'string' ? entry.path : 'file ' + i
+    if (!Buffer.isBuffer(files[i])) {
+      throw new Error('Glyph encryption: ' + path + ' is missing')
+    }
+    return {
+      path,
+      mime: entry.mime,
+      data: entry.encrypted === true ? decryptFile(files[i], contentKey, path) : files[i]
+    }
+  })
+}
+
+module.exports = {
+  CIPHER,
+  KEY_WRAP,
+  encryptFile,
+  decryptFile,
+  wrapKey,
+  unwrapKey,
+  encryptContent,
+  decryptContent
+}
@@ -0,0 +1,206 @@
+'use strict'
+
+/**
+ * Glyph fungible tokens
+ *
+ * A fungible token output is P2PKH followed by a code script that carries the
+ * token ref and requires every spend to keep the token value (in photons)
+ * across outputs with the same code script:
+ *
+ *   OP_DUP OP_HASH160 <pubKeyHash> OP_EQUALVERIFY OP_CHECKSIG
+ *   OP_STATESEPARATOR OP_PUSHINPUTREF <ref>
+ *   OP_REFOUTPUTCOUNT_OUTPUTS OP_INPUTINDEX OP_CODESCRIPTBYTECODE_UTXO OP_HASH256
+ *   OP_DUP OP_CODESCRIPTHASHVALUESUM_UTXOS OP_OVER OP_CODESCRIPTHASHVALUESUM_OUTPUTS
+ *   OP_GREATERTHANOREQUAL OP_VERIFY OP_CODESCRIPTHASHOUTPUTCOUNT_OUTPUTS OP_NUMEQUALVERIFY
+ *
+ * The token amount of an output is its photon value.
+ */
+
+const Buffer = require('../util/bufferUtil')
+const Address = require('../address')
+const Opcode = require('../opcode')
+const Script = require('../script')
+const { toRef } = require('./refs')
+
+const CONSERVATION_SCRIPT = Script.fromHex('dec0e9aa76e378e4a269e69d')
+// P2PKH (25) + OP_STATESEPARATOR + OP_PUSHINPUTREF <ref> (37) + conservation (12)
+const HOLDER_SCRIPT_SIZE = 75
+
+function holderScript (publicKeyHash, ref) {
+  return new Script()
+    .add('OP_DUP').add('OP_HASH160').add(publicKeyHash).add('OP_EQUALVERIFY').add('OP_CHECKSIG')
+    .add('OP_STATESEPARATOR')
+    .add({ opcodenum: Opcode.OP_PUSHINPUTREF, buf: ref, len: ref.length })
+    .add(CONSERVATION_SCRIPT)
+}
+
+/**
+ * Build the locking script holding fungible tokens `ref` for `address`.
+ *
+ * @param {Address|string} address - token holder
+ * @param {Buffer|string} ref - 36-byte token ref, see Glyph.outpointRef
+ * @returns {Script}
+ */
+function buildHolderScript (address, ref) {
+  return holderScript(new Address(address).hashBuffer, toRef(ref, 'Glyph FT: ref'))
+}
+
+/**
+ * Recognize a fungible token holder script.
+ *
+ * @param {Script|Buffer} script
+ * @returns {{ref: Buffer, publicKeyHash: Buffer}|null} null for any other script
+ */
+function parseHolderScript (script) {
+  const buf = Buffer.isBuffer(script) ? script : script.toBuffer()
+  if (buf.length !== HOLDER_SCRIPT_SIZE || buf[0] !== Opcode.OP_DUP) {
+    return null
+  }
+  const pushRefs = new Map()
+  const parsed = Script.getPushRefsFromScriptBuffer(buf, pushRefs, new Map())
+  if (pushRefs.size !== 1 || !parsed.chunks[2].buf || parsed.chunks[2].buf.length !== 20) {
+    return null
+  }
+  const ref = pushRefs.values().next().value
+  const publicKeyHash = parsed.chunks[2].buf
+  if (!buf.equals(holderScript(publicKeyHash, ref).toBuffer())) {
+    return null
+  }
+  return { ref, publicKeyHash }
+}
+
+/**
+ * @param {Script|Buffer} script
+ * @returns {boolean}
+ */
+function isHolderScript (script) {
+  return parseHolderScript(script) !== null
+}
+
+/**
+ * Sum the fungible token amounts a transaction spends and creates, by ref.
+ * Inputs without a known previous output are skipped.
+ *
+ * @param {Transaction} transaction
+ * @returns {Map<string, {inputs: number, outputs: number}>} keyed by ref hex
+ */
+function getBalances (transaction) {
+  const balances = new Map()
+  const add = function (script, satoshis, side) {
+    const holder = parseHolderScript(script)
+    if (!holder) {
+      return
+    }
+    const key = holder.ref.toString('hex')
+    if (!balances.has(key)) {
+      balances.set(key, { inputs: 0, outputs: 0 })
+    }
+    balances.get(key)[side] += satoshis
+  }
+  transaction.inputs.forEach(function (input) {
+    if (input.output) {
+      add(input.output.script, input.output.satoshis, 'inputs')
+    }
+  })
+  transaction.outputs.forEach(function (output) {
+    add(output.script, output.satoshis, 'outputs')
+  })
+  return balances
+}
+
+/**
+ * Throw unless, for every fungible token ref, the transaction creates exactly
+ * the amount it spends.
+ *
+ * @param {Transaction} transaction
+ */
+function checkConservation (transaction) {
+  getBalances(transaction).forEach(function (balance, ref) {
+    if (balance.inputs !== balance.outputs) {
+      throw new Error('Glyph FT: token ' + ref + ' inputs total ' + balance.inputs +
+        ' but outputs total ' + balance.outputs)
+    }
+  })
+}
+
+/**
+ * Spend fungible token UTXOs of one token to `recipients`, returning the rest
+ * to `changeAddress`. Used by Transaction#transferFt.
+ *
+ * @param {Transaction} transaction
+ * @param {Array<Object>} utxos - token UTXOs, in any format Transaction#from accepts
+ * @param {Array<{address: Address|string, amount: number}>} recipients
+ * @param {Address|string} [changeAddress] - receives the token change, if any
+ */
+function transfer (transaction, utxos, recipients, changeAddress) {
+  const UnspentOutput = require('../transaction/unspentoutput')
+  const Output = require('../transaction/output')
+  const GlyphTokenInput = require('../transaction/input/glyphtoken')
+
+  utxos = (Array.isArray(utxos) ? utxos : [utxos]).map(function (utxo) {
+    return new UnspentOutput(utxo)
+  })
+  if (utxos.length === 0) {
+    throw new Error('Glyph FT: no token UTXOs to spend')
+  }
+  const token = parseHolderScript(utxos[0].script)
+  let total = 0
+  utxos.forEach(function (utxo) {
+    const holder = parseHolderScript(utxo.script)
+    if (!holder) {
+      throw new Error('Glyph FT: ' + utxo.txId + ':' + utxo.outputIndex + ' is not a fungible token output')
+    }
+    if (!holder.ref.equals(token.ref)) {
+      throw new Error('Glyph FT: token UTXOs carry different refs')
+    }
+    total += Number(utxo.satoshis)
+  })
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    throw new Error('Glyph FT: recipients must be a non-empty array')
+  }
+  const sent = recipients.reduce(function (sum, recipient) {
+    if (!Number.isInteger(recipient.amount) || recipient.amount <= 0) {
+      throw new Error('Glyph FT: recipient amounts must be positive integers')
+    }
+    return sum + recipient.amount
+  }, 0)
+  if (sent > total) {
+    throw new Error('Glyph FT: sending ' + sent + ' but the token UTXOs hold ' + total)
+  }
+  if (sent < total && !changeAddress) {
+    throw new Error('Glyph FT: a change address is needed for ' + (total - sent) + ' tokens')
+  }
+  // what is added below balances by construction, so only the outputs and
+  // inputs already in the transaction can break conservation
+  checkConservation(transaction)
+
+  utxos.forEach(function (utxo) {
+    transaction.addInput(new GlyphTokenInput({
+      output: new Output({ script: utxo.script, satoshis: Number(utxo.satoshis) }),
+      prevTxId: utxo.txId,
+      outputIndex: utxo.outputIndex,
+      script: Script.empty()
+    }))
+  })
+  recipients.forEach(function (recipient) {
+    transaction.addOutput(new Output({
+      script: buildHolderScript(recipient.address, token.ref),
+      satoshis: recipient.amount
+    }))
+  })
+  if (sent < total) {
+    transaction.addOutput(new Output({
+      script: buildHolderScript(changeAddress, token.ref),
+      satoshis: total - sent
+    }))
+  }
+}
+
+module.exports = {
+  buildHolderScript,
+  parseHolderScript,
+  isHolderScript,
+  getBalances,
+  checkConservation,
+  transfer
+}
@@ -0,0 +1,272 @@
+'use strict'
+
+/**
+ * Glyph v2 token builder
+ *
+ * Minting is a two-transaction dance. The commit transaction locks photons
+ * in an output that can only be spent by revealing the exact metadata and
+ * files it hashes, and that forces the spending transaction to create the
+ * token ref from that output's outpoint. The reveal transaction spends it,
+ * carrying the envelope in the scriptSig, and creates the token output.
+ *
+ * Commit output, for files f0..fn:
+ *
+ *   OP_HASH256 <hash256(fn)> OP_EQUALVERIFY ... OP_HASH256 <hash256(f0)> OP_EQUALVERIFY
+ *   OP_HASH256 <commitHash> OP_EQUALVERIFY
+ *   OP_3 OP_SPLIT <version flags> OP_EQUALVERIFY <"gly"> OP_EQUALVERIFY
+ *   OP_INPUTINDEX OP_OUTPOINTTXHASH OP_INPUTINDEX OP_OUTPOINTINDEX OP_4 OP_NUM2BIN OP_CAT
+ *   OP_REFTYPE_OUTPUT <1 (FT) | 2 (NFT)> OP_NUMEQUALVERIFY
+ *   OP_DUP OP_HASH160 <pubKeyHash> OP_EQUALVERIFY OP_CHECKSIG
+ *
+ * The reveal header is checked in two halves so that the commit output does
+ * not itself contain a decodable envelope. A timelocked glyph's commit output
+ * starts with a CLTV or CSV check (see Glyph.timelock).
+ */
+
+const Buffer = require('../util/bufferUtil')
+const Hash = require('../crypto/hash')
+const Address = require('../address')
+const Opcode = require('../opcode')
+const Script = require('../script')
+const Output = require('../transaction/output')
+const GlyphRevealInput = require('../transaction/input/glyphreveal')
+const { GLYPH_MAGIC, GlyphVersion, EnvelopeFlags } = require('./constants')
+const { encodeMetadata, computeCommitHash, encodeCommitEnvelope, encodeRevealEnvelope } = require('./encoder')
+const { validateProtocols, isFungible, isDmint, isMutable, isTimelocked } = require('./validator')
+const ft = require('./ft')
+const nft = require('./nft')
+const mutable = require('./mutable')
+const timelock = require('./timelock')
+
+// Number of chunks after the file hashlocks: commit hash lock (3), header
+// check (6), ref check (10) and P2PKH (5).
+const COMMIT_TAIL_CHUNKS = 24
+
+/**
+ * A Glyph token ready to be minted.
+ *
+ * @param {Object} metadata - Glyph metadata; `p` must be a valid protocol list
+ * @param {Buffer|Buffer[]} [content] - inline file(s) revealed after the metadata
+ * @constructor
+ */
+function Glyph (metadata, content) {
+  if (!(this instanceof Glyph)) {
+    return new Glyph(metadata, content)
+  }
+  if (!metadata || typeof metadata !== 'object') {
+    throw new TypeError('Glyph: metadata must be an object')
+  }
+  const protocols = validateProtocols(metadata.p)
+  if (!protocols.valid) {
+    throw new Error('Glyph: ' + protocols.error)
+  }
+  if (content === undefined || content === null) {
+    content = []
+  }
+  if (isTimelocked(metadata.p)) {
+    timelock.normalizeTimelock(metadata.timelock)
+  }
+  this.metadata = metadata
+  this.timelock = isTimelocked(metadata.p) ? metadata.timelock : null
+  this.files = Array.isArray(content) ? content : [content]
+  this.metadataBytes = encodeMetadata(metadata)
+  this.commitHash = computeCommitHash(this.metadataBytes)
+  this.revealChunks = encodeRevealEnvelope({ metadata: this.metadataBytes, files: this.files })
+}
+
+/**
+ * The 36-byte ref for an outpoint: txid in internal byte order followed by
+ * the output index as uint32 LE. This is what OP_PUSHINPUTREF carries.
+ *
+ * @param {string|Buffer} txid - transaction id as displayed (big-endian hex)
+ * @param {number} outputIndex
+ * @returns {Buffer}
+ */
+Glyph.outpointRef = function (txid, outputIndex) {
+  const index = Buffer.alloc(4)
+  index.writeUInt32LE(outputIndex)
+  return Buffer.concat([Buffer.from(txid, 'hex').reverse(), index])
+}
+
+/**
+ * Parse a Glyph commit output script.
+ *
+ * @param {Script|Buffer} script
+ * @returns {{fileHashes: Buffer[], commitHash: Buffer, refType: number, publicKeyHash: Buffer, timelock: Object|null}|null}
+ *   `fileHashes` in file order; `timelock` as timelock.normalizeTimelock
+ *   returns it, or null; null if the script is not a commit output
+ */
+Glyph.parseCommitScript = function (script) {
+  let chunks = (Buffer.isBuffer(script) ? Script.fromBuffer(script) : script).chunks
+  const lock = timelock.parseTimelockChunks(chunks)
+  if (lock === null) {
+    return null
+  }
+  if (lock) {
+    chunks = chunks.slice(3)
+  }
+  const fileLocks = chunks.length - COMMIT_TAIL_CHUNKS
+  if (fileLocks < 0 || fileLocks % 3 !== 0) {
+    return null
+  }
+  const fileHashes = []
+  for (let i = 0; i < fileLocks; i += 3) {
+    if (!isHashLock(chunks, i)) {
+      return null
+    }
+    fileHashes.unshift(chunks[i + 1].buf)
+  }
+  const tail = new Script()
+  tail.chunks = chunks.slice(fileLocks)
+  const commitHash = tail.chunks[1].buf
+  const refType = tail.chunks[17].opcodenum - Opcode.OP_1 + 1
+  const publicKeyHash = tail.chunks[21].buf
+  if (!isHashLock(tail.chunks, 0) || refType < 1 || refType > 2 ||
+      !publicKeyHash || publicKeyHash.length !== 20 ||
+      !tail.equals(buildCommitTail(commitHash, refType, publicKeyHash))) {
+    return null
+  }
+  return { fileHashes, commitHash, refType, publicKeyHash, timelock: lock || null }
+}
+
+function isHashLock (chunks, i) {
+  return chunks[i].opcodenum === Opcode.OP_HASH256 &&
+    Buffer.isBuffer(chunks[i + 1].buf) && chunks[i + 1].buf.length === 32 &&
+    chunks[i + 2].opcodenum === Opcode.OP_EQUALVERIFY
+}
+
+function buildCommitTail (commitHash, refType, publicKeyHash) {
+  return new Script()
+    .add('OP_HASH256').add(commitHash).add('OP_EQUALVERIFY')
+    .add('OP_3').add('OP_SPLIT')
+    .add(Buffer.from([GlyphVersion.V2, EnvelopeFlags.IS_REVEAL])).add('OP_EQUALVERIFY')
+    .add(GLYPH_MAGIC).add('OP_EQUALVERIFY')
+    .add('OP_INPUTINDEX').add('OP_OUTPOINTTXHASH')
+    .add('OP_INPUTINDEX').add('OP_OUTPOINTINDEX')
+    .add('OP_4').add('OP_NUM2BIN').add('OP_CAT')
+    .add('OP_REFTYPE_OUTPUT').add(Opcode.OP_1 + refType - 1).add('OP_NUMEQUALVERIFY')
+    .add('OP_DUP').add('OP_HASH160').add(publicKeyHash).add('OP_EQUALVERIFY').add('OP_CHECKSIG')
+}
+
+/**
+ * The ref type the reveal must give the token: 1 (normal ref) for fungible
+ * tokens, 2 (singleton) for everything else.
+ *
+ * @returns {number}
+ */
+Glyph.prototype.refType = function () {
+  return isFungible(this.metadata.p) ? 1 : 2
+}
+
+/**
+ * Build the commit output script, spendable by `address` once the reveal
+ * matches this glyph's metadata and files, and for a timelocked glyph once
+ * its timelock has passed.
+ *
+ * @param {Address|string} address - owner of the commit output
+ * @returns {Script}
+ */
+Glyph.prototype.commitScript = function (address) {
+  const script = this.timelock ? timelock.buildTimelockScript(this.timelock) : new Script()
+  for (let i = this.files.length - 1; i >= 0; i--) {
+    script.add('OP_HASH256').add(Hash.sha256sha256(this.files[i])).add('OP_EQUALVERIFY')
+  }
+  return script.add(buildCommitTail(this.commitHash, this.refType(), new Address(address).hashBuffer))
+}
+
+/**
+ * Commit operation for Transaction#addGlyph: adds the commit output and an
+ * OP_RETURN commit envelope announcing the commit hash.
+ *
+ * @param {Address|string} address - owner of the commit output
+ * @param {number} photons - value of the commit output
+ * @returns {Object} operation to pass to Transaction#addGlyph
+ */
+Glyph.prototype.commit = function (address, photons) {
+  const glyph = this
+  return {
+    type: 'commit',
+    glyph,
+    applyTo: function (transaction) {
+      transaction.addOutput(new Output({
+        script: glyph.commitScript(address),
+        satoshis: photons
+      }))
+      transaction.addOutput(new Output({
+        script: Script.buildSafeDataOut(encodeCommitEnvelope({ commitHash: glyph.commitHash })),
+        satoshis: 0
+      }))
+    }
+  }
+}
+
+/**
+ * Reveal operation for Transaction#addGlyph. The transaction must already
+ * spend this glyph's commit output; that input is turned into a reveal input
+ * and the token output is added, carrying the commit outpoint as its ref:
+ * a singleton output (see Glyph.nft.buildSingletonScript), or for fungible tokens a holder output (see
+ * Glyph.ft.buildHolderScript) whose photons are the minted supply. A mutable
+ * token gets its mutable contract output (see Glyph.mutable) after the
+ * singleton, its ref from the first other input. A dMint token needs the
+ * Glyph dMint contract output, which radiantjs does not build, so its reveal
+ * throws. A timelocked token's reveal gets
+ * the lock time, or the input sequence and transaction version, its commit
+ * output needs.
+ *
+ * @param {Address|string} address - owner of the minted token
+ * @param {number} photons - value of the token output, and of the mutable
+ *   contract output
+ * @returns {Object} operation to pass to Transaction#addGlyph
+ */
+Glyph.prototype.reveal = function (address, photons) {
+  const glyph = this
+  return {
+    type: 'reveal',
+    glyph,
+    applyTo: function (transaction) {
+      if (isDmint(glyph.metadata.p)) {
+        throw new Error('Glyph: radiantjs cannot build the dMint contract a GLYPH_DMINT reveal deploys')
+      }
+      const index = transaction.inputs.findIndex(function (input) {
+        const commit = input.output && Glyph.parseCommitScript(input.output.script)
+        return commit && commit.commitHash.equals(glyph.commitHash)
+      })
+      if (index === -1) {
+        throw new Error('Glyph: the transaction does not spend this glyph\'s commit output')
+      }
+      const input = transaction.inputs[index]
+      transaction.inputs[index] = new GlyphRevealInput({
+        output: input.output,
+        prevTxId: input.prevTxId,
+        outputIndex: input.outputIndex,
+        sequenceNumber: input.sequenceNumber,
+        script: Script.empty()
+      }, glyph.revealChunks)
+      if (glyph.timelock) {
+        timelock.applyTimelock(transaction, index, glyph.timelock)
+      }
+      const ref = Glyph.outpointRef(input.prevTxId, input.outputIndex)
+      transaction.addOutput(new Output({
+        script: glyph.refType() === 1
+          ? ft.buildHolderScript(address, ref)
+          : nft.buildSingletonScript(address, ref),
+        satoshis: photons
+      }))
+      if (isMutable(glyph.metadata.p)) {
+        const other = transaction.inputs.find(function (other, i) {
+          return i !== index
+        })
+        if (!other) {
+          throw new Error('Glyph: a mutable reveal needs a second input to create the contract ref')
+        }
+        const contractRef = Glyph.outpointRef(other.prevTxId, other.outputIndex)
+        transaction.addOutput(new Output({
+          script: mutable.buildMutableScript(contractRef, ref, glyph.commitHash),
+          satoshis: photons
+        }))
+      }
+    }
+  }
+}
+
+module.exports = Glyph
@@ -13,10 +13,26 @@ const constants = require('./constants')
 const encoder = require('./encoder')
 const decoder = require('./decoder')
 const validator = require('./validator')
+const Glyph = require('./glyph')
+const ft = require('./ft')
+const nft = require('./nft')
+const daa = require('./daa')
+const mutable = require('./mutable')
+const update = require('./update')
+const content = require('./content')
+const chunks = require('./chunks')
+const encryption = require('./encryption')
+const timelock = require('./timelock')
+const authority = require('./authority')
+const wave = require('./wave')
+const container = require('./container')
 
-module.exports = {
+// `new Glyph(metadata, content)` builds tokens; everything below hangs off
+// the constructor so existing `Glyph.encodeMetadata(...)` callers keep working.
+module.exports = Object.assign(Glyph, {
   // Constants (flat)
   ...constants,
+  Protocol: constants.GlyphProtocol,
   
   // Encoding (flat)
   encodeMetadata: encoder.encodeMetadata,
@@ -24,6 +40,9 @@ module.exports = {
   encodeRevealEnvelope: encoder.encodeRevealEnvelope,
   encodeRevealEnvelopeB: encoder.encodeRevealEnvelopeB,
   buildRevealScript: encoder.buildRevealScript,
+  encodeUpdateEnvelope: encoder.encodeUpdateEnvelope,
+  encodeChunkEnvelope: encoder.encodeChunkEnvelope,
+  encodeRevocationEnvelope: encoder.encodeRevocationEnvelope,
   // Convenience wrapper: pass a bare metadata object instead of an options
   // bag. Same signature as encoder.createRevealEnvelope.
   createRevealEnvelope: encoder.createRevealEnvelope,
@@ -32,7 +51,11 @@ module.exports = {
   decodeMetadata: decoder.decodeMetadata,
   decodeEnvelope: decoder.decodeEnvelope,
   parseEnvelope: decoder.decodeEnvelope,
+  decodeUpdateEnvelope: decoder.decodeUpdateEnvelope,
+  decodeChunkEnvelope: decoder.decodeChunkEnvelope,
+  decodeRevocationEnvelope: decoder.decodeRevocationEnvelope,
   parseGlyphTransaction: decoder.parseGlyphTransaction,
+  verifyReveal: decoder.verifyReveal,
   
   // Validation (flat)
   validateMetadata: validator.validateMetadata,
@@ -44,14 +67,42 @@ module.exports = {
   isMutable: validator.isMutable,
   isContainer: validator.isContainer,
   isEncrypted: validator.isEncrypted,
+  isTimelocked: validator.isTimelocked,
+  isAuthority: validator.isAuthority,
+  isWave: validator.isWave,
   
   // Utilities (flat)
   computeCommitHash: encoder.computeCommitHash,
   isGlyphTransaction: decoder.isGlyphTransaction,
+  applyUpdates: update.applyUpdates,
+  contentRoot: content.contentRoot,
+  proveFile: content.proveFile,
+  verifyFileProof: content.verifyFileProof,
+  planChunks: chunks.planChunks,
+  buildChunkChain: chunks.buildChunkChain,
+  reassembleChunks: chunks.reassembleChunks,
+  encryptContent: encryption.encryptContent,
+  decryptContent: encryption.decryptContent,
+  verifyTimelock: timelock.verifyTimelock,
+  verifyIssuer: authority.verifyIssuer,
+  verifyMembership: container.verifyMembership,
+  normalizeWaveName: wave.normalizeName,
 
   // Sub-modules (nested access)
   constants,
   encoder,
   decoder,
   validator,
-}
+  ft,
+  nft,
+  daa,
+  mutable,
+  update,
+  content,
+  chunks,
+  encryption,
+  timelock,
+  authority,
+  wave,
+  container,
+})
@@ -0,0 +1,222 @@
+'use strict'
+
+/**
+ * Glyph mutable token contracts
+ *
+ * A mutable NFT is revealed with a second output next to its singleton: the
+ * mutable contract, which holds its own singleton ref and records the hash
+ * of the token's latest document, the revealed metadata at first and then
+ * each update envelope in turn. Spending it publishes an update:
+ *
+ *   <hash256(latest document)>
+ *   OP_STATESEPARATOR
+ *   OP_PUSHINPUTREFSINGLETON <mutableRef> OP_REQUIREINPUTREF <tokenRef>
+ *   OP_2DROP OP_DROP <checks>
+ *
+ * The update envelope travels in an output of its own, as the one push of
+ * OP_RETURN OP_PUSHDATA4 <envelope>, so it is not bound by the 520-byte
+ * push limit of a scriptSig. The spend pushes `<envelopeIndex>
+ * <continuationIndex>`, the outputs holding the envelope and the recreated
+ * contract, and the contract checks that:
+ *
+ *   - the envelope output holds the envelope and nothing else, at most
+ *     GlyphLimits.MAX_UPDATE_ENVELOPE_SIZE bytes, starting with the update
+ *     envelope header
+ *   - the continuation has the same code, the same photons and the
+ *     envelope's hash as its state
+ *   - the transaction spends the token itself (OP_REQUIREINPUTREF), so only
+ *     its owner can update it
+ *
+ * As in the commit script, the header is checked in two halves so that the
+ * contract does not itself contain a decodable envelope. Indexers read the
+ * updates back with Glyph.decodeEnvelope and fold them with
+ * Glyph.applyUpdates.
+ */
+
+const Buffer = require('../util/bufferUtil')
+const BN = require('../crypto/bn')
+const Hash = require('../crypto/hash')
+const Opcode = require('../opcode')
+const Script = require('../script')
+const { GLYPH_MAGIC, GLYPH_UPDATE_MARKER, GlyphVersion, GlyphLimits } = require('./constants')
+const { encodeUpdateEnvelope } = require('./encoder')
+const nft = require('./nft')
+const { toRef, parseUtxo } = require('./refs')
+
+// OP_RETURN OP_PUSHDATA4 <length u32> before the envelope of an update output
+const UPDATE_PREFIX = Buffer.from([Opcode.OP_RETURN, Opcode.OP_PUSHDATA4])
+const UPDATE_PREFIX_SIZE = UPDATE_PREFIX.length + 4
+
+/**
+ * Build the mutable contract output script.
+ *
+ * @param {Buffer|string} mutableRef - 36-byte singleton ref of the contract
+ * @param {Buffer|string} tokenRef - 36-byte ref of the NFT it belongs to
+ * @param {Buffer|string} stateHash - hash256 of the token's latest document
+ * @returns {Script}
+ */
+function buildMutableScript (mutableRef, tokenRef, stateHash) {
+  mutableRef = toRef(mutableRef, 'Glyph mutable: mutableRef')
+  tokenRef = toRef(tokenRef, 'Glyph mutable: tokenRef')
+  stateHash = Buffer.isBuffer(stateHash) ? stateHash : Buffer.from(stateHash, 'hex')
+  if (stateHash.length !== 32) {
+    throw new Error('Glyph mutable: stateHash must be 32 bytes')
+  }
+  return new Script()
+    .add(stateHash)
+    .add('OP_STATESEPARATOR')
+    .add({ opcodenum: Opcode.OP_PUSHINPUTREFSINGLETON, buf: mutableRef, len: mutableRef.length })
+    .add({ opcodenum: Opcode.OP_REQUIREINPUTREF, buf: tokenRef, len: tokenRef.length })
+    .add('OP_2DROP').add('OP_DROP')
+    // [envelopeIndex continuationIndex]
+    .add('OP_DUP').add('OP_CODESCRIPTBYTECODE_OUTPUT')
+    .add('OP_INPUTINDEX').add('OP_CODESCRIPTBYTECODE_UTXO').add('OP_EQUALVERIFY')
+    .add('OP_DUP').add('OP_OUTPUTVALUE')
+    .add('OP_INPUTINDEX').add('OP_UTXOVALUE').add('OP_NUMEQUALVERIFY')
+    .add('OP_STATESCRIPTBYTECODE_OUTPUT').add('OP_SWAP')
+    // [state envelopeIndex]: the envelope is the output's one push
+    .add('OP_OUTPUTBYTECODE').add('OP_6').add('OP_SPLIT').add('OP_SWAP').add('OP_2').add('OP_SPLIT')
+    .add('OP_2').add('OP_PICK').add('OP_SIZE').add('OP_NIP').add('OP_DUP')
+    .add(BN.fromNumber(GlyphLimits.MAX_UPDATE_ENVELOPE_SIZE).toScriptNumBuffer()).add('OP_LESSTHANOREQUAL').add('OP_VERIFY')
+    .add('OP_4').add('OP_NUM2BIN').add('OP_EQUALVERIFY')
+    .add(UPDATE_PREFIX).add('OP_EQUALVERIFY')
+    .add('OP_DUP').add('OP_7').add('OP_SPLIT').add('OP_DROP')
+    .add('OP_3').add('OP_SPLIT')
+    .add(Buffer.concat([Buffer.from([GlyphVersion.V2]), GLYPH_UPDATE_MARKER])).add('OP_EQUALVERIFY')
+    .add(GLYPH_MAGIC).add('OP_EQUALVERIFY')
+    .add('OP_HASH256').add(Buffer.from([stateHash.length])).add('OP_SWAP').add('OP_CAT')
+    .add('OP_EQUAL')
+}
+
+/**
+ * Parse a mutable contract output script.
+ *
+ * @param {Script|Buffer} script
+ * @returns {{mutableRef: Buffer, tokenRef: Buffer, stateHash: Buffer}|null}
+ *   null if the script is not a mutable contract
+ */
+function parseMutableScript (script) {
+  const buf = Buffer.isBuffer(script) ? script : script.toBuffer()
+  let chunks
+  try {
+    chunks = Script.fromBuffer(buf).chunks
+  } catch (e) {
+    return null
+  }
+  if (chunks.length < 4 || !chunks[0].buf || chunks[0].buf.length !== 32 ||
+      chunks[1].opcodenum !== Opcode.OP_STATESEPARATOR ||
+      chunks[2].opcodenum !== Opcode.OP_PUSHINPUTREFSINGLETON ||
+      chunks[3].opcodenum !== Opcode.OP_REQUIREINPUTREF) {
+    return null
+  }
+  const contract = {
+    mutableRef: chunks[2].buf,
+    tokenRef: chunks[3].buf,
+    stateHash: chunks[0].buf
+  }
+  try {
+    if (!buildMutableScript(contract.mutableRef, contract.tokenRef, contract.stateHash).toBuffer().equals(buf)) {
+      return null
+    }
+  } catch (e) {
+    return null
+  }
+  return contract
+}
+
+/**
+ * Build the output that carries an update envelope.
+ *
+ * @param {Buffer} envelope - see Glyph.encodeUpdateEnvelope
+ * @returns {Script} OP_RETURN OP_PUSHDATA4 <envelope>
+ */
+function buildUpdateScript (envelope) {
+  return new Script()
+    .add('OP_RETURN')
+    .add({ opcodenum: Opcode.OP_PUSHDATA4, buf: envelope, len: envelope.length })
+}
+
+/**
+ * Read the envelope an update output carries.
+ *
+ * @param {Script|Buffer} script
+ * @returns {Buffer|null} the envelope bytes, null if the script is not an
+ *   update output
+ */
+function parseUpdateScript (script) {
+  const buf = Buffer.isBuffer(script) ? script : script.toBuffer()
+  if (buf.length <= UPDATE_PREFIX_SIZE || !buf.slice(0, UPDATE_PREFIX.length).equals(UPDATE_PREFIX) ||
+      buf.readUInt32LE(UPDATE_PREFIX.length) !== buf.length - UPDATE_PREFIX_SIZE) {
+    return null
+  }
+  return buf.slice(UPDATE_PREFIX_SIZE)
+}
+
+/**
+ * Parse a live mutable contract UTXO.
+ *
+ * @param {Object} utxo - in any format Transaction#from accepts
+ * @returns {Object} what parseMutableScript returns, plus the UTXO's txId,
+ *   outputIndex, satoshis (a number) and script
+ */
+function parseMutableUtxo (utxo) {
+  return parseUtxo(utxo, parseMutableScript, 'Glyph mutable', 'a mutable contract output')
+}
+
+/**
+ * Update operation for Transaction#addGlyph: spends the mutable contract,
+ * recreates it with the envelope's hash as its state, adds the envelope's
+ * output and transfers the NFT to authorize the update. The contract spend
+ * names its outputs by index, so do not remove or reorder outputs afterwards;
+ * adding more, and the change output, is fine.
+ *
+ * @param {Object} mutableUtxo - the mutable contract UTXO
+ * @param {Object} nftUtxo - the token's NFT UTXO; its key signs the transaction
+ * @param {Object[]} updates - update operations, see Glyph.update
+ * @param {Address|string} [address] - new owner of the NFT, defaults to the
+ *   current one
+ * @returns {Object} operation to pass to Transaction#addGlyph
+ */
+function update (mutableUtxo, nftUtxo, updates, address) {
+  const contract = parseMutableUtxo(mutableUtxo)
+  const envelope = encodeUpdateEnvelope(updates)
+  return {
+    type: 'update',
+    contract,
+    envelope,
+    applyTo: function (transaction) {
+      const UnspentOutput = require('../transaction/unspentoutput')
+      const Output = require('../transaction/output')
+      const GlyphMutableInput = require('../transaction/input/glyphmutable')
+
+      const token = new UnspentOutput(nftUtxo).script.isGlyphNftOut()
+      if (!token || !token.ref.equals(contract.tokenRef)) {
+        throw new Error('Glyph mutable: the NFT UTXO does not hold ' + contract.tokenRef.toString('hex'))
+      }
+      // the change output always moves back to the end, so these keep their
+      // indices as outputs are added
+      const continuation = new Output({
+        script: buildMutableScript(contract.mutableRef, contract.tokenRef, Hash.sha256sha256(envelope)),
+        satoshis: contract.satoshis
+      })
+      const envelopeOutput = new Output({ script: buildUpdateScript(envelope), satoshis: 0 })
+      transaction.addOutput(continuation).addOutput(envelopeOutput)
+      transaction.addInput(new GlyphMutableInput({
+        output: new Output({ script: contract.script, satoshis: contract.satoshis }),
+        prevTxId: contract.txId,
+        outputIndex: contract.outputIndex,
+        script: Script.empty()
+      }, transaction.outputs.indexOf(continuation), transaction.outputs.indexOf(envelopeOutput)))
+      nft.transfer(transaction, nftUtxo, address || token.owner)
+    }
+  }
+}
+
+module.exports = {
+  buildMutableScript,
+  parseMutableScript,
+  parseMutableUtxo,
+  buildUpdateScript,
+  parseUpdateScript,
+  update
+}
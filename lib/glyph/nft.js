@@ -0,0 +1,102 @@
+'use strict'
+
+/**
+ * Glyph non-fungible tokens
+ *
+ * An NFT lives in a singleton output, P2PKH prefixed by the token ref:
+ *
+ *   OP_PUSHINPUTREFSINGLETON <ref> OP_DROP
+ *   OP_DUP OP_HASH160 <pubKeyHash> OP_EQUALVERIFY OP_CHECKSIG
+ *
+ * Consensus lets a singleton ref appear in at most one output of a
+ * transaction, and only if a spent output carried it (or it is the outpoint
+ * of an input, when minting).
+ */
+
+const Buffer = require('../util/bufferUtil')
+const Opcode = require('../opcode')
+const Script = require('../script')
+const { toRef } = require('./refs')
+
+/**
+ * Build the singleton output script holding NFT `ref` for `address`.
+ *
+ * @param {Address|string} address - owner
+ * @param {Buffer|string} ref - 36-byte token ref, see Glyph.outpointRef
+ * @returns {Script}
+ */
+function buildSingletonScript (address, ref) {
+  ref = toRef(ref, 'Glyph NFT: ref')
+  return new Script()
+    .add({ opcodenum: Opcode.OP_PUSHINPUTREFSINGLETON, buf: ref, len: ref.length })
+    .add('OP_DROP')
+    .add(Script.buildPublicKeyHashOut(address))
+}
+
+/**
+ * Recognize an NFT singleton output. See Script#isGlyphNftOut.
+ *
+ * @param {Script|Buffer} script
+ * @param {Network|string=} network - network of the returned owner address
+ * @returns {{ref: Buffer, owner: Address}|null}
+ */
+function parseSingletonScript (script, network) {
+  const parsed = Buffer.isBuffer(script) ? Script.fromBuffer(script) : script
+  return parsed.isGlyphNftOut(network) || null
+}
+
+/**
+ * Count the outputs of a transaction carrying `ref` as a singleton.
+ *
+ * @param {Transaction} transaction
+ * @param {Buffer} ref
+ * @returns {number}
+ */
+function countSingletonOutputs (transaction, ref) {
+  const key = ref.toString('hex')
+  return transaction.outputs.filter(function (output) {
+    return Script.getRefsFromScriptBuffer(output.script.toBuffer()).singleton.has(key)
+  }).length
+}
+
+/**
+ * Spend an NFT UTXO and recreate its singleton output for `address`. Used by
+ * Transaction#transferNft.
+ *
+ * @param {Transaction} transaction
+ * @param {Object} utxo - the NFT UTXO, in any format Transaction#from accepts
+ * @param {Address|string} address - new owner
+ * @param {number} [photons] - value of the new output, defaults to the UTXO's
+ */
+function transfer (transaction, utxo, address, photons) {
+  const UnspentOutput = require('../transaction/unspentoutput')
+  const Output = require('../transaction/output')
+  const GlyphTokenInput = require('../transaction/input/glyphtoken')
+
+  utxo = new UnspentOutput(utxo)
+  const nft = utxo.script.isGlyphNftOut()
+  if (!nft) {
+    throw new Error('Glyph NFT: ' + utxo.txId + ':' + utxo.outputIndex + ' is not an NFT singleton output')
+  }
+  if (countSingletonOutputs(transaction, nft.ref) !== 0) {
+    throw new Error('Glyph NFT: the transaction already has an output carrying ' + nft.ref.toString('hex'))
+  }
+
+  transaction.addInput(new GlyphTokenInput({
+    output: new Output({ script: utxo.script, satoshis: Number(utxo.satoshis) }),
+    prevTxId: utxo.txId,
+    outputIndex: utxo.outputIndex,
+    script: Script.empty()
+  }))
+  transaction.addOutput(new Output({
+    script: buildSingletonScript(address, nft.ref),
+    satoshis: photons === undefined ? Number(utxo.satoshis) : photons
+  }))
+}
+
+module.exports = {
+  buildSingletonScript,
+  parseSingletonScript,
+  countSingletonOutputs,
+  transfer
+}
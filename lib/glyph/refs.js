@@ -0,0 +1,132 @@
+'use strict'
+
+/**
+ * Refs and contract UTXOs, as the Glyph token modules take them
+ *
+ * A ref is the 36-byte outpoint a token was minted from (see
+ * Glyph.outpointRef). The builders accept one as a Buffer or as hex, and
+ * read contract outputs from UTXOs in any format Transaction#from accepts.
+ *
+ * Metadata claims a ref as hex, such as an authority's `by` or a
+ * container's `in`. A claim made in a reveal counts only if the reveal also
+ * spends the claimed singleton and recreates it.
+ */
+
+const Buffer = require('../util/bufferUtil')
+
+/**
+ * Read a ref.
+ *
+ * @param {Buffer|string} ref - 36 bytes, or their hex
+ * @param {string} name - the argument as errors name it, e.g. 'Glyph FT: ref'
+ * @returns {Buffer}
+ */
+function toRef (ref, name) {
+  if (Buffer.isBuffer(ref) ? ref.length !== 36 : !/^[0-9a-fA-F]{72}$/.test(ref)) {
+    throw new Error(name + ' must be 36 bytes')
+  }
+  return Buffer.isBuffer(ref) ? ref : Buffer.from(ref, 'hex')
+}
+
+/**
+ * Read a ref as lowercase hex, the form metadata claims use.
+ *
+ * @param {Buffer|string} ref - 36 bytes, or their hex
+ * @param {string} name - the argument as errors name it
+ * @returns {string}
+ */
+function refHex (ref, name) {
+  return toRef(ref, name).toString('hex')
+}
+
+/**
+ * Parse a live contract UTXO.
+ *
+ * @param {Object} utxo - in any format Transaction#from accepts
+ * @param {function(Script): ?Object} parseScript - reads the contract's
+ *   locking script, null if it is not one
+ * @param {string} area - the module, as errors name it, e.g. 'Glyph NFT'
+ * @param {string} kind - what the output must be, e.g. 'an NFT'
+ * @returns {Object} what `parseScript` returns, plus the UTXO's txId,
+ *   outputIndex, satoshis (a number) and script
+ */
+function parseUtxo (utxo, parseScript, area, kind) {
+  const UnspentOutput = require('../transaction/unspentoutput')
+  utxo = new UnspentOutput(utxo)
+  const contract = parseScript(utxo.script)
+  if (!contract) {
+    throw new Error(area + ': ' + utxo.txId + ':' + utxo.outputIndex + ' is not ' + kind)
+  }
+  return Object.assign(contract, {
+    txId: utxo.txId,
+    outputIndex: utxo.outputIndex,
+    satoshis: Number(utxo.satoshis),
+    script: utxo.script
+  })
+}
+
+/**
+ * Every glyph the transactions reveal, in order.
+ *
+ * @param {Transaction[]} transactions
+ * @returns {Array<{ref: string, metadata: Object, tx: Transaction}>} the
+ *   ref of each as hex, its revealed metadata and the reveal
+ */
+function revealedMints (transactions) {
+  const { parseGlyphTransaction } = require('./decoder')
+  const { outpointRef } = require('./glyph')
+  const mints = []
+  transactions.forEach(function (tx) {
+    const parsed = parseGlyphTransaction(tx)
+    if (!parsed) {
+      return
+    }
+    parsed.reveals.forEach(function (reveal) {
+      if (reveal.inputIndex === undefined) {
+        return
+      }
+      const input = tx.inputs[reveal.inputIndex]
+      mints.push({
+        ref: outpointRef(input.prevTxId, input.outputIndex).toString('hex'),
+        metadata: reveal.envelope.metadata,
+        tx
+      })
+    })
+  })
+  return mints
+}
+
+/**
+ * Read the ref a metadata field claims.
+ *
+ * @param {Object} metadata
+ * @param {string} field - e.g. 'by' or 'in'
+ * @returns {string|null} the ref as lowercase hex, or null if the field
+ *   does not hold one
+ */
+function refClaim (metadata, field) {
+  const claim = metadata && metadata[field]
+  return typeof claim === 'string' && /^[0-9a-fA-F]{72}$/.test(claim) ? claim.toLowerCase() : null
+}
+
+/**
+ * Check that a transaction spends singleton `ref`: consensus lets it
+ * recreate the singleton only then.
+ *
+ * @param {Transaction} tx
+ * @param {string} ref - as hex
+ * @returns {boolean}
+ */
+function spendsSingleton (tx, ref) {
+  const nft = require('./nft')
+  return nft.countSingletonOutputs(tx, Buffer.from(ref, 'hex')) !== 0
+}
+
+module.exports = {
+  toRef,
+  refHex,
+  parseUtxo,
+  revealedMints,
+  refClaim,
+  spendsSingleton
+}
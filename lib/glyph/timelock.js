@@ -0,0 +1,291 @@
+'use strict'
+
+/**
+ * Glyph timelocked reveals (GLYPH_TIMELOCK)
+ *
+ * A timelocked glyph's commit output cannot be spent, and so the token not
+ * revealed, before the time its metadata names:
+ *
+ *   timelock: { revealHeight: 900000 }      absolute block height  (CLTV)
+ *   timelock: { revealTime: 1767225600 }    absolute median time   (CLTV)
+ *   timelock: { revealDelayBlocks: 144 }    blocks after the commit confirms   (CSV)
+ *   timelock: { revealDelaySeconds: 86400 } seconds after the commit confirms  (CSV)
+ *
+ * The commit output starts with the matching check:
+ *
+ *   <lock time> OP_CHECKLOCKTIMEVERIFY OP_DROP <commit script>
+ *   <sequence> OP_CHECKSEQUENCEVERIFY OP_DROP <commit script>
+ *
+ * Relative time locks count in units of 512 seconds, so `revealDelaySeconds`
+ * is rounded up to the next unit.
+ */
+
+const BN = require('../crypto/bn')
+const Opcode = require('../opcode')
+const Script = require('../script')
+const { decodeEnvelope } = require('./decoder')
+
+const LOCKTIME_THRESHOLD = 500000000
+const MAX_LOCKTIME = 0xffffffff
+const SEQUENCE_FINAL = 0xffffffff
+const SEQUENCE_LOCKTIME_DISABLE_FLAG = 1 << 31
+const SEQUENCE_LOCKTIME_TYPE_FLAG = 1 << 22
+const SEQUENCE_LOCKTIME_MASK = 0x0000ffff
+const SEQUENCE_LOCKTIME_GRANULARITY = 512
+
+const TimelockMode = {
+  CLTV: 'cltv',
+  CSV: 'csv'
+}
+
+const KINDS = ['revealHeight', 'revealTime', 'revealDelayBlocks', 'revealDelaySeconds']
+
+function checkInteger (value, min, max, name) {
+  if (!Number.isSafeInteger(value) || value < min || value > max) {
+    throw new Error('Glyph timelock: ' + name + ' must be an integer from ' + min + ' to ' + max)
+  }
+}
+
+/**
+ * Read a metadata `timelock` object.
+ *
+ * @param {Object} timelock - with exactly one of revealHeight, revealTime,
+ *   revealDelayBlocks or revealDelaySeconds
+ * @returns {{kind: string, value: number, mode: string, operand: number}}
+ *   the condition, and the operand of the CLTV or CSV check enforcing it
+ */
+function normalizeTimelock (timelock) {
+  const kinds = timelock && typeof timelock === 'object'
+    ? KINDS.filter(function (kind) { return timelock[kind] !== undefined })
+    : []
+  if (kinds.length !== 1) {
+    throw new Error('Glyph timelock: timelock needs exactly one of ' + KINDS.join(', '))
+  }
+  const kind = kinds[0]
+  const value = timelock[kind]
+  switch (kind) {
+    case 'revealHeight':
+      checkInteger(value, 1, LOCKTIME_THRESHOLD - 1, kind)
+      return { kind, value, mode: TimelockMode.CLTV, operand: value }
+    case 'revealTime':
+      checkInteger(value, LOCKTIME_THRESHOLD, MAX_LOCKTIME, kind)
+      return { kind, value, mode: TimelockMode.CLTV, operand: value }
+    case 'revealDelayBlocks':
+      checkInteger(value, 1, SEQUENCE_LOCKTIME_MASK, kind)
+      return { kind, value, mode: TimelockMode.CSV, operand: value }
+    default:
+      checkInteger(value, 1, SEQUENCE_LOCKTIME_MASK * SEQUENCE_LOCKTIME_GRANULARITY, kind)
+      return {
+        kind,
+        value,
+        mode: TimelockMode.CSV,
+        operand: SEQUENCE_LOCKTIME_TYPE_FLAG | Math.ceil(value / SEQUENCE_LOCKTIME_GRANULARITY)
+      }
+  }
+}
+
+// The metadata form of a CLTV or CSV operand
+function fromOperand (mode, operand) {
+  if (mode === TimelockMode.CLTV) {
+    return operand < LOCKTIME_THRESHOLD ? { revealHeight: operand } : { revealTime: operand }
+  }
+  const units = operand & SEQUENCE_LOCKTIME_MASK
+  return operand & SEQUENCE_LOCKTIME_TYPE_FLAG
+    ? { revealDelaySeconds: units * SEQUENCE_LOCKTIME_GRANULARITY }
+    : { revealDelayBlocks: units }
+}
+
+/**
+ * Build the check a timelocked commit output starts with.
+ *
+ * @param {Object} timelock - a metadata `timelock` object
+ * @returns {Script} `<operand> OP_CHECKLOCKTIMEVERIFY|OP_CHECKSEQUENCEVERIFY OP_DROP`
+ */
+function buildTimelockScript (timelock) {
+  const { mode, operand } = normalizeTimelock(timelock)
+  const script = new Script()
+  if (operand <= 16) {
+    script.add(Opcode.smallInt(operand))
+  } else {
+    script.add(BN.fromNumber(operand).toScriptNumBuffer())
+  }
+  return script
+    .add(mode === TimelockMode.CLTV ? 'OP_CHECKLOCKTIMEVERIFY' : 'OP_CHECKSEQUENCEVERIFY')
+    .add('OP_DROP')
+}
+
+/**
+ * Parse the timelock check at the start of a script.
+ *
+ * @param {Object[]} chunks - script chunks
+ * @returns {Object|null|undefined} what normalizeTimelock returns; undefined
+ *   if the script does not start with a CLTV or CSV check, null if it does
+ *   but the check is not one buildTimelockScript builds
+ */
+function parseTimelockChunks (chunks) {
+  if (chunks.length < 3 || chunks[2].opcodenum !== Opcode.OP_DROP ||
+      (chunks[1].opcodenum !== Opcode.OP_CHECKLOCKTIMEVERIFY && chunks[1].opcodenum !== Opcode.OP_CHECKSEQUENCEVERIFY)) {
+    return undefined
+  }
+  const mode = chunks[1].opcodenum === Opcode.OP_CHECKLOCKTIMEVERIFY ? TimelockMode.CLTV : TimelockMode.CSV
+  try {
+    const push = chunks[0]
+    const operand = push.opcodenum >= Opcode.OP_1 && push.opcodenum <= Opcode.OP_16
+      ? push.opcodenum - Opcode.OP_1 + 1
+      : BN.fromScriptNumBuffer(push.buf, true, 5).toNumber()
+    const timelock = fromOperand(mode, operand)
+    const script = new Script()
+    script.chunks = chunks.slice(0, 3)
+    return script.equals(buildTimelockScript(timelock)) ? normalizeTimelock(timelock) : null
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Set a transaction's lock time, or an input's sequence and the transaction
+ * version, so that the input can spend an output with the given timelock.
+ * Done by Glyph#reveal for timelocked glyphs.
+ *
+ * @param {Transaction} transaction
+ * @param {number} inputIndex - the input spending the timelocked output
+ * @param {Object} timelock - a metadata `timelock` object
+ */
+function applyTimelock (transaction, inputIndex, timelock) {
+  const { mode, operand } = normalizeTimelock(timelock)
+  const input = transaction.inputs[inputIndex]
+  if (mode === TimelockMode.CLTV) {
+    const current = transaction.nLockTime
+    if (current && (current < LOCKTIME_THRESHOLD) !== (operand < LOCKTIME_THRESHOLD)) {
+      throw new Error('Glyph timelock: the transaction is already locked by ' +
+        (current < LOCKTIME_THRESHOLD ? 'height' : 'time'))
+    }
+    transaction.nLockTime = Math.max(current, operand)
+    if (input.sequenceNumber === SEQUENCE_FINAL) {
+      input.sequenceNumber = SEQUENCE_FINAL - 1
+    }
+  } else {
+    transaction.version = Math.max(transaction.version, 2)
+    input.sequenceNumber = operand
+  }
+}
+
+/**
+ * Check that an input honours a timelock: that the transaction's lock time
+ * (see Transaction#getLockTime) or the input's sequence satisfies the CLTV
+ * or CSV check, and, given the state of the chain, that the lock has passed.
+ *
+ * @param {Transaction} transaction
+ * @param {number} inputIndex
+ * @param {Object} timelock - a metadata `timelock` object
+ * @param {Object} [chain] - the chain the transaction would be mined on
+ * @param {number} [chain.height] - height of its tip
+ * @param {number} [chain.medianTime] - median time past of its tip
+ * @param {number} [chain.commitHeight] - height of the block holding the
+ *   spent output, for relative locks
+ * @param {number} [chain.commitMedianTime] - median time past of the block
+ *   before it, for relative locks
+ * @returns {string[]} every way the input falls short
+ */
+function checkTimelock (transaction, inputIndex, timelock, chain) {
+  const { kind, value, mode, operand } = normalizeTimelock(timelock)
+  const input = transaction.inputs[inputIndex]
+  chain = chain || {}
+  const errors = []
+  if (mode === TimelockMode.CLTV) {
+    const lockTime = transaction.getLockTime()
+    const byHeight = kind === 'revealHeight'
+    if (lockTime === null || (typeof lockTime === 'number') !== byHeight ||
+        transaction.nLockTime < operand) {
+      errors.push('the lock time ' + (lockTime === null ? 'is not set' : 'is ' + transaction.nLockTime) +
+        ', the timelock needs ' + (byHeight ? 'a height' : 'a time') + ' of at least ' + operand)
+    }
+    if (input.sequenceNumber === SEQUENCE_FINAL) {
+      errors.push('the input is final, which disables its lock time')
+    }
+    if (byHeight && chain.height !== undefined && transaction.nLockTime > chain.height) {
+      errors.push('height ' + value + ' is not reached at ' + chain.height)
+    }
+    if (!byHeight && chain.medianTime !== undefined && transaction.nLockTime >= chain.medianTime) {
+      errors.push('time ' + value + ' is not reached at median time ' + chain.medianTime)
+    }
+    return errors
+  }
+  const sequence = input.sequenceNumber
+  const byTime = (operand & SEQUENCE_LOCKTIME_TYPE_FLAG) !== 0
+  if (transaction.version < 2) {
+    errors.push('relative timelocks need transaction version 2, not ' + transaction.version)
+  }
+  if (sequence & SEQUENCE_LOCKTIME_DISABLE_FLAG) {
+    errors.push('the input sequence ' + sequence + ' disables relative lock times')
+  } else if (((sequence & SEQUENCE_LOCKTIME_TYPE_FLAG) !== 0) !== byTime ||
+      (sequence & SEQUENCE_LOCKTIME_MASK) < (operand & SEQUENCE_LOCKTIME_MASK)) {
+    errors.push('the input sequence ' + sequence + ' does not satisfy ' + kind + ' ' + value)
+  }
+  const units = operand & SEQUENCE_LOCKTIME_MASK
+  if (!byTime && chain.height !== undefined && chain.commitHeight !== undefined &&
+      chain.height + 1 - chain.commitHeight < units) {
+    errors.push(units + ' blocks have not passed since height ' + chain.commitHeight)
+  }
+  if (byTime && chain.medianTime !== undefined && chain.commitMedianTime !== undefined &&
+      chain.medianTime - chain.commitMedianTime < units * SEQUENCE_LOCKTIME_GRANULARITY) {
+    errors.push(units * SEQUENCE_LOCKTIME_GRANULARITY + ' seconds have not passed since ' + chain.commitMedianTime)
+  }
+  return errors
+}
+
+/**
+ * Check that a reveal transaction honours the timelocks of the commit
+ * outputs it spends, and that each revealed glyph declares the timelock its
+ * commit output enforces.
+ *
+ * @param {Transaction} commitTx - Commit transaction
+ * @param {Transaction} revealTx - Reveal transaction
+ * @param {Object} [chain] - see checkTimelock
+ * @returns {{valid: boolean, errors: string[]}} every problem found
+ */
+function verifyTimelock (commitTx, revealTx, chain) {
+  const { parseCommitScript } = require('./glyph')
+  const errors = []
+  revealTx.inputs.forEach(function (input, i) {
+    const output = input.prevTxId.toString('hex') === commitTx.id && commitTx.outputs[input.outputIndex]
+    const commit = output && parseCommitScript(output.script)
+    if (!commit) {
+      return
+    }
+    const envelope = input.script && decodeEnvelope(input.script.toBuffer())
+    const declared = envelope && envelope.isReveal && envelope.metadata && envelope.metadata.timelock
+    if (!commit.timelock) {
+      if (declared) {
+        errors.push('input ' + i + ': the metadata declares a timelock the commit output does not enforce')
+      }
+      return
+    }
+    if (!declared) {
+      errors.push('input ' + i + ': the metadata does not declare the commit output\'s timelock')
+    } else {
+      try {
+        if (normalizeTimelock(declared).operand !== commit.timelock.operand) {
+          errors.push('input ' + i + ': the metadata timelock does not match the commit output\'s')
+        }
+      } catch (e) {
+        errors.push('input ' + i + ': ' + e.message)
+      }
+    }
+    const timelock = { [commit.timelock.kind]: commit.timelock.value }
+    checkTimelock(revealTx, i, timelock, chain).forEach(function (error) {
+      errors.push('input ' + i + ': ' + error)
+    })
+  })
+  return { valid: errors.length === 0, errors }
+}
+
+module.exports = {
+  TimelockMode,
+  normalizeTimelock,
+  buildTimelockScript,
+  parseTimelockChunks,
+  applyTimelock,
+  checkTimelock,
+  verifyTimelock
+}
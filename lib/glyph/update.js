@@ -0,0 +1,257 @@
+'use strict'
+
+/**
+ * Glyph mutable token updates
+ *
+ * An update is a list of operations on a mutable token's metadata, each
+ * `{ op, path, value }` where `path` is a list of keys (array indexes for
+ * arrays) from the top of the metadata:
+ *
+ *   replace  set the value at `path`
+ *   merge    JSON merge patch (RFC 7396) the object at `path` with `value`:
+ *            null members delete, object members merge, others replace.
+ *            The only operation that may target the root (an empty path)
+ *   append   push `value` onto the array at `path`, creating it if missing
+ *   remove   delete the member or array element at `path`, if present
+ *
+ * `v`, `p` and `mutable` never change, and when the metadata lists
+ * `mutable.fields` only those top-level fields may. applyUpdates folds a
+ * token's update history in order, skipping any operation that breaks
+ * these rules or does not fit the metadata, so every indexer reaches the
+ * same metadata from the same history.
+ */
+
+const Buffer = require('../util/bufferUtil')
+const { UpdateOperation } = require('./constants')
+
+const OPERATIONS = Object.keys(UpdateOperation).map(function (name) {
+  return UpdateOperation[name]
+})
+const PROTECTED_FIELDS = ['v', 'p', 'mutable']
+// assigning this key would replace an object's prototype
+const UNSAFE_KEY = '__proto__'
+
+function isPlainObject (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Uint8Array)
+}
+
+function isContainer (value) {
+  return Array.isArray(value) || isPlainObject(value)
+}
+
+function hasUnsafeKey (value) {
+  if (Array.isArray(value)) {
+    return value.some(hasUnsafeKey)
+  }
+  if (!isPlainObject(value)) {
+    return false
+  }
+  return Object.keys(value).some(function (key) {
+    return key === UNSAFE_KEY || hasUnsafeKey(value[key])
+  })
+}
+
+function clone (value) {
+  if (value instanceof Uint8Array) {
+    return Buffer.from(value)
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone)
+  }
+  if (!isPlainObject(value)) {
+    return value
+  }
+  const result = {}
+  Object.keys(value).forEach(function (key) {
+    if (key !== UNSAFE_KEY) {
+      result[key] = clone(value[key])
+    }
+  })
+  return result
+}
+
+function arrayIndex (array, key) {
+  const index = typeof key === 'number' ? key : /^[0-9]+$/.test(key) ? Number(key) : -1
+  return Number.isSafeInteger(index) && index < array.length ? index : -1
+}
+
+function child (container, key) {
+  if (Array.isArray(container)) {
+    const index = arrayIndex(container, key)
+    return index === -1 ? undefined : container[index]
+  }
+  return Object.prototype.hasOwnProperty.call(container, key) ? container[key] : undefined
+}
+
+function getAt (root, path) {
+  let value = root
+  for (let i = 0; i < path.length; i++) {
+    if (!isContainer(value)) {
+      return undefined
+    }
+    value = child(value, path[i])
+  }
+  return value
+}
+
+// Missing objects on the way are created; false when the path runs through
+// something else or past the end of an array
+function setAt (root, path, value) {
+  let container = root
+  for (let i = 0; i < path.length - 1; i++) {
+    let next = child(container, path[i])
+    if (next === undefined && !Array.isArray(container)) {
+      next = container[path[i]] = {}
+    }
+    if (!isContainer(next)) {
+      return false
+    }
+    container = next
+  }
+  const key = path[path.length - 1]
+  if (Array.isArray(container)) {
+    const index = arrayIndex(container, key)
+    if (index === -1) {
+      return false
+    }
+    container[index] = value
+  } else {
+    container[key] = value
+  }
+  return true
+}
+
+function removeAt (root, path) {
+  const container = getAt(root, path.slice(0, -1))
+  const key = path[path.length - 1]
+  if (Array.isArray(container)) {
+    const index = arrayIndex(container, key)
+    if (index !== -1) {
+      container.splice(index, 1)
+    }
+  } else if (isPlainObject(container)) {
+    delete container[key]
+  }
+}
+
+function mergePatch (target, patch) {
+  const result = clone(target)
+  Object.keys(patch).forEach(function (key) {
+    if (patch[key] === null) {
+      delete result[key]
+    } else if (isPlainObject(patch[key])) {
+      result[key] = mergePatch(isPlainObject(result[key]) ? result[key] : {}, patch[key])
+    } else {
+      result[key] = clone(patch[key])
+    }
+  })
+  return result
+}
+
+/**
+ * Check one update operation and bring it to its canonical form, with
+ * `path` as an array.
+ *
+ * @param {{op: string, path?: Array<string|number>|string, value?: *}} update -
+ *   `op` is an UpdateOperation; `path` may also be a dot-separated string
+ * @returns {{op: string, path: Array<string|number>, value?: *}}
+ */
+function normalizeUpdate (update) {
+  if (!isPlainObject(update)) {
+    throw new Error('Glyph update: an update must be an object')
+  }
+  const op = update.op
+  if (OPERATIONS.indexOf(op) === -1) {
+    throw new Error('Glyph update: unknown operation ' + op)
+  }
+  let path = update.path === undefined || update.path === null ? [] : update.path
+  if (typeof path === 'string') {
+    path = path === '' ? [] : path.split('.')
+  }
+  if (!Array.isArray(path) || !path.every(function (key) {
+    return (typeof key === 'string' && key !== '' && key !== UNSAFE_KEY) ||
+      (Number.isSafeInteger(key) && key >= 0)
+  })) {
+    throw new Error('Glyph update: path keys must be non-empty strings or array indexes')
+  }
+  if (path.length === 0 && op !== UpdateOperation.MERGE) {
+    throw new Error('Glyph update: only merge may target the whole metadata')
+  }
+  if (op === UpdateOperation.REMOVE) {
+    return { op, path }
+  }
+  if (update.value === undefined) {
+    throw new Error('Glyph update: ' + op + ' needs a value')
+  }
+  if (op === UpdateOperation.MERGE && !isPlainObject(update.value)) {
+    throw new Error('Glyph update: a merge value must be an object')
+  }
+  if (hasUnsafeKey(update.value)) {
+    throw new Error('Glyph update: values may not have ' + UNSAFE_KEY + ' keys')
+  }
+  return { op, path: path.slice(), value: update.value }
+}
+
+function isChangeable (metadata, key) {
+  const fields = isPlainObject(metadata.mutable) && Array.isArray(metadata.mutable.fields)
+    ? metadata.mutable.fields
+    : null
+  return PROTECTED_FIELDS.indexOf(String(key)) === -1 && (!fields || fields.indexOf(String(key)) !== -1)
+}
+
+// The metadata after `update`, or null when the update does not apply
+function applyUpdate (metadata, update) {
+  const fields = update.path.length > 0 ? [update.path[0]] : Object.keys(update.value)
+  if (!fields.every(function (key) { return isChangeable(metadata, key) })) {
+    return null
+  }
+  const result = clone(metadata)
+  if (update.op === UpdateOperation.REPLACE) {
+    return setAt(result, update.path, clone(update.value)) ? result : null
+  } else if (update.op === UpdateOperation.MERGE) {
+    if (update.path.length === 0) {
+      return mergePatch(result, update.value)
+    }
+    const current = getAt(result, update.path)
+    return setAt(result, update.path, mergePatch(isPlainObject(current) ? current : {}, update.value)) ? result : null
+  } else if (update.op === UpdateOperation.APPEND) {
+    const current = getAt(result, update.path)
+    if (current !== undefined && !Array.isArray(current)) {
+      return null
+    }
+    return setAt(result, update.path, (current || []).concat([clone(update.value)])) ? result : null
+  }
+  removeAt(result, update.path)
+  return result
+}
+
+/**
+ * Fold a token's update history into its current metadata. The base is not
+ * modified. Operations that cannot apply are skipped, see above.
+ *
+ * @param {Object} baseMetadata - the revealed metadata
+ * @param {Array<Object>} updates - update operations in chain order, e.g. the
+ *   `updates` of each decoded update envelope, concatenated
+ * @returns {Object} the current metadata
+ */
+function applyUpdates (baseMetadata, updates) {
+  if (!isPlainObject(baseMetadata)) {
+    throw new TypeError('Glyph update: base metadata must be an object')
+  }
+  let metadata = clone(baseMetadata)
+  ;(updates || []).forEach(function (update) {
+    let normalized
+    try {
+      normalized = normalizeUpdate(update)
+    } catch (e) {
+      return
+    }
+    metadata = applyUpdate(metadata, normalized) || metadata
+  })
+  return metadata
+}
+
+module.exports = {
+  normalizeUpdate,
+  applyUpdates
+}
@@ -11,7 +11,10 @@ const {
   GlyphProtocol, 
   GlyphLimits,
   ProtocolNames,
+  AuthorityType,
+  ContainerType,
 } = require('./constants')
+const wave = require('./wave')
 
 /**
  * Protocol requirements - which protocols require others
@@ -169,6 +172,17 @@ function validateMetadata(metadata) {
     if (protocols.includes(GlyphProtocol.GLYPH_CONTAINER)) {
       if (!metadata.container) {
         errors.push('Container protocol requires container object')
+      } else {
+        const types = Object.values(ContainerType)
+        const max = metadata.container.max
+        if (!types.includes(metadata.container.type)) {
+          errors.push(`Container type must be one of ${types.join(', ')}`)
+        }
+        if (max !== undefined && !(Number.isInteger(max) && max > 0)) {
+          errors.push('Container max must be a positive integer')
+        } else if (metadata.container.type === ContainerType.SERIES && max === undefined) {
+          errors.push('A series container requires max')
+        }
       }
     }
     
@@ -183,6 +197,13 @@ function validateMetadata(metadata) {
     if (protocols.includes(GlyphProtocol.GLYPH_AUTHORITY)) {
       if (!metadata.authority) {
         errors.push('Authority protocol requires authority object')
+      } else {
+        const types = Object.values(AuthorityType)
+        if (!types.includes(metadata.authority.type)) {
+          errors.push(`Authority type must be one of ${types.join(', ')}`)
+        } else if (metadata.authority.type !== AuthorityType.ISSUER && metadata.by === undefined) {
+          errors.push(`A ${metadata.authority.type} authority requires a by claim`)
+        }
       }
     }
     
@@ -192,6 +213,57 @@ function validateMetadata(metadata) {
         errors.push('Encrypted protocol requires crypto object')
       }
     }
+    
+    // WAVE requires a normalized name and well-formed records
+    if (protocols.includes(GlyphProtocol.GLYPH_WAVE)) {
+      if (!metadata.wave || typeof metadata.wave.name !== 'string' || typeof metadata.wave.tld !== 'string') {
+        errors.push('WAVE protocol requires wave object with name and tld')
+      } else {
+        const name = `${metadata.wave.name}.${metadata.wave.tld}`
+        try {
+          const normalized = wave.normalizeName(name)
+          if (normalized !== name) {
+            errors.push(`WAVE name must be normalized, as ${normalized}`)
+          }
+        } catch (e) {
+          errors.push(e.message)
+        }
+      }
+      if (metadata.records !== undefined) {
+        try {
+          wave.encodeRecords(metadata.records)
+        } catch (e) {
+          errors.push(e.message)
+        }
+      }
+    }
+    
+    // Timelock requires timelock object
+    if (protocols.includes(GlyphProtocol.GLYPH_TIMELOCK)) {
+      if (!metadata.timelock) {
+        errors.push('Timelock protocol requires timelock object')
+      }
+    }
+  }
+  
+  // Issuer claim: the ref of the authority that issued the token
+  if (metadata.by !== undefined &&
+      (typeof metadata.by !== 'string' || !/^[0-9a-fA-F]{72}$/.test(metadata.by))) {
+    errors.push('by must be a 72-character hex ref')
+  }
+  
+  // Container claim: the ref of the container the token belongs to, and its
+  // number in a series
+  if (metadata.in !== undefined &&
+      (typeof metadata.in !== 'string' || !/^[0-9a-fA-F]{72}$/.test(metadata.in))) {
+    errors.push('in must be a 72-character hex ref')
+  }
+  if (metadata.n !== undefined) {
+    if (metadata.in === undefined) {
+      errors.push('A series number requires an in claim')
+    } else if (!(Number.isInteger(metadata.n) && metadata.n > 0)) {
+      errors.push('n must be a positive integer')
+    }
   }
   
   // Content validation
@@ -412,6 +484,33 @@ function isEncrypted(protocols) {
   return Array.isArray(protocols) && protocols.includes(GlyphProtocol.GLYPH_ENCRYPTED)
 }
 
+/**
+ * Check if protocols include Timelock
+ * @param {number[]} protocols
+ * @returns {boolean}
+ */
+function isTimelocked(protocols) {
+  return Array.isArray(protocols) && protocols.includes(GlyphProtocol.GLYPH_TIMELOCK)
+}
+
+/**
+ * Check if protocols include Authority
+ * @param {number[]} protocols
+ * @returns {boolean}
+ */
+function isAuthority(protocols) {
+  return Array.isArray(protocols) && protocols.includes(GlyphProtocol.GLYPH_AUTHORITY)
+}
+
+/**
+ * Check if protocols include WAVE
+ * @param {number[]} protocols
+ * @returns {boolean}
+ */
+function isWave(protocols) {
+  return Array.isArray(protocols) && protocols.includes(GlyphProtocol.GLYPH_WAVE)
+}
+
 module.exports = {
   validateProtocols,
   validateMetadata,
@@ -425,6 +524,9 @@ module.exports = {
   isMutable,
   isContainer,
   isEncrypted,
+  isTimelocked,
+  isAuthority,
+  isWave,
   PROTOCOL_REQUIREMENTS,
   PROTOCOL_EXCLUSIONS,
   PROTOCOLS_REQUIRE_BASE,
@@ -0,0 +1,386 @@
+'use strict'
+
+/**
+ * Glyph WAVE names (GLYPH_WAVE)
+ *
+ * A WAVE name is a mutable NFT for a name such as `alice.rxd`:
+ *
+ *   name: 'alice.rxd',
+ *   wave: { name: 'alice', tld: 'rxd' },
+ *   records: { address, contentHash, text: { <key>: <value> } },
+ *   mutable: { fields: ['records'] }
+ *
+ * so its holder can change the resolution records (with mutable update
+ * envelopes, see updateRecords) but never the name. A subdomain, e.g.
+ * `blog.alice.rxd`, also names its parent's ref as `wave.parent`, and its
+ * reveal must spend the parent, so that only the parent's holder creates
+ * subdomains under it.
+ *
+ * Names are compared in normalized form: NFKC, lower case, ideographic full
+ * stops read as dots. Each label is 1 to 63 bytes of letters, marks, digits
+ * and inner hyphens, and may not mix Latin, Greek and Cyrillic letters.
+ * The first registration of a name wins.
+ */
+
+const Buffer = require('../util/bufferUtil')
+const { GlyphProtocol, GlyphDefaults, GlyphLimits } = require('./constants')
+const { refHex } = require('./refs')
+
+const MAX_LABEL_SIZE = 63
+const MAX_NAME_SIZE = 253
+const MAX_TEXT_KEY_SIZE = 64
+const MAX_TEXT_VALUE_SIZE = 1024
+
+const LABEL = /^[\p{L}\p{N}](?:[\p{L}\p{M}\p{N}-]*[\p{L}\p{M}\p{N}])?$/u
+// Letters that look alike across these scripts make homographs
+const CONFUSABLE_SCRIPTS = [/\p{Script=Latin}/u, /\p{Script=Greek}/u, /\p{Script=Cyrillic}/u]
+const CONTENT_URI = /^[a-z][a-z0-9+.-]*:\/\/\S+$/
+
+/**
+ * Normalize and check a WAVE name.
+ *
+ * @param {string} name - e.g. 'Alice.RXD' or 'blog.alice.rxd'
+ * @returns {string} the normalized name
+ */
+function normalizeName (name) {
+  if (typeof name !== 'string') {
+    throw new Error('Glyph WAVE: a name must be a string')
+  }
+  const normalized = name.normalize('NFKC').toLowerCase().normalize('NFKC').replace(/\u3002/g, '.')
+  const labels = normalized.split('.')
+  if (labels.length < 2) {
+    throw new Error('Glyph WAVE: ' + name + ' needs a name and a top-level domain')
+  }
+  if (labels.length - 2 > GlyphDefaults.MAX_SUBDOMAIN_DEPTH) {
+    throw new Error('Glyph WAVE: ' + name + ' is nested more than ' + GlyphDefaults.MAX_SUBDOMAIN_DEPTH + ' subdomains deep')
+  }
+  labels.forEach(function (label) {
+    if (label === '') {
+      throw new Error('Glyph WAVE: ' + name + ' has an empty label')
+    }
+    if (Buffer.byteLength(label, 'utf8') > MAX_LABEL_SIZE) {
+      throw new Error('Glyph WAVE: label ' + label + ' exceeds ' + MAX_LABEL_SIZE + ' bytes')
+    }
+    if (!LABEL.test(label)) {
+      throw new Error('Glyph WAVE: label ' + label + ' may only hold letters, digits and inner hyphens')
+    }
+    if (CONFUSABLE_SCRIPTS.filter(function (script) { return script.test(label) }).length > 1) {
+      throw new Error('Glyph WAVE: label ' + label + ' mixes Latin, Greek and Cyrillic letters')
+    }
+  })
+  if (Buffer.byteLength(normalized, 'utf8') > MAX_NAME_SIZE) {
+    throw new Error('Glyph WAVE: ' + name + ' exceeds ' + MAX_NAME_SIZE + ' bytes')
+  }
+  return normalized
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} whether normalizeName accepts `name`
+ */
+function isValidName (name) {
+  try {
+    normalizeName(name)
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * Split a WAVE name into its parts.
+ *
+ * @param {string} name
+ * @returns {{name: string, label: string, parent: string|null, tld: string, depth: number}}
+ *   the normalized name; its first label; the name it is a subdomain of,
+ *   null for a top-level name; its top-level domain; and how many
+ *   subdomains deep it is, 0 for a top-level name
+ */
+function parseName (name) {
+  name = normalizeName(name)
+  const labels = name.split('.')
+  return {
+    name,
+    label: labels[0],
+    parent: labels.length > 2 ? labels.slice(1).join('.') : null,
+    tld: labels[labels.length - 1],
+    depth: labels.length - 2
+  }
+}
+
+/**
+ * Check resolution records and put them in canonical form: empty records
+ * are dropped and the address is written out in full.
+ *
+ * @param {Object} records
+ * @param {Address|string} [records.address] - where payments to the name go
+ * @param {string} [records.contentHash] - URI of the name's content, e.g.
+ *   'ipfs://<cid>'
+ * @param {Object<string, string>} [records.text] - text records, e.g.
+ *   `{ url: 'https://…', avatar: 'ipfs://…' }`
+ * @returns {Object} records for a name's metadata
+ */
+function encodeRecords (records) {
+  const Address = require('../address')
+  if (records === null || typeof records !== 'object' || Array.isArray(records)) {
+    throw new Error('Glyph WAVE: records must be an object')
+  }
+  const result = {}
+  Object.keys(records).forEach(function (key) {
+    if (['address', 'contentHash', 'text'].indexOf(key) === -1) {
+      throw new Error('Glyph WAVE: unknown record ' + key)
+    }
+  })
+  if (records.address !== undefined && records.address !== null) {
+    const error = Address.getValidationError(records.address)
+    if (error) {
+      throw new Error('Glyph WAVE: the address record is not an address: ' + error.message)
+    }
+    result.address = new Address(records.address).toString()
+  }
+  if (records.contentHash !== undefined && records.contentHash !== null) {
+    if (typeof records.contentHash !== 'string' || !CONTENT_URI.test(records.contentHash) ||
+        Buffer.byteLength(records.contentHash, 'utf8') > GlyphLimits.MAX_PATH_SIZE) {
+      throw new Error('Glyph WAVE: the contentHash record must be a URI such as ipfs://<cid>')
+    }
+    result.contentHash = records.contentHash
+  }
+  if (records.text !== undefined && records.text !== null) {
+    if (typeof records.text !== 'object' || Array.isArray(records.text)) {
+      throw new Error('Glyph WAVE: text records must be an object')
+    }
+    const text = {}
+    Object.keys(records.text).sort().forEach(function (key) {
+      const value = records.text[key]
+      if (key === '' || key === '__proto__' || Buffer.byteLength(key, 'utf8') > MAX_TEXT_KEY_SIZE) {
+        throw new Error('Glyph WAVE: text record keys must be 1 to ' + MAX_TEXT_KEY_SIZE + ' bytes')
+      }
+      if (typeof value !== 'string' || Buffer.byteLength(value, 'utf8') > MAX_TEXT_VALUE_SIZE) {
+        throw new Error('Glyph WAVE: text record ' + key + ' must be a string of at most ' + MAX_TEXT_VALUE_SIZE + ' bytes')
+      }
+      text[key] = value
+    })
+    if (Object.keys(text).length > 0) {
+      result.text = text
+    }
+  }
+  return result
+}
+
+function nameMetadata (parsed, records, parentRef, extra) {
+  const labels = parsed.name.split('.')
+  const wave = { name: labels.slice(0, -1).join('.'), tld: parsed.tld }
+  if (parentRef) {
+    wave.parent = parentRef
+  }
+  return Object.assign({}, extra, {
+    v: 2,
+    type: 'nft',
+    p: [GlyphProtocol.GLYPH_NFT, GlyphProtocol.GLYPH_MUT, GlyphProtocol.GLYPH_WAVE],
+    name: parsed.name,
+    wave,
+    records: encodeRecords(records || {}),
+    mutable: { fields: ['records'] }
+  })
+}
+
+/**
+ * Build the glyph that registers a top-level name. Commit and reveal it as
+ * any other mutable NFT.
+ *
+ * @param {string} name - e.g. 'alice.rxd'
+ * @param {Object} [records] - see encodeRecords
+ * @param {Object} [extra] - more metadata fields, e.g. `desc` or `content`
+ * @returns {Glyph}
+ */
+function register (name, records, extra) {
+  const Glyph = require('./glyph')
+  const parsed = parseName(name)
+  if (parsed.parent) {
+    throw new Error('Glyph WAVE: ' + parsed.name + ' is a subdomain of ' + parsed.parent)
+  }
+  return new Glyph(nameMetadata(parsed, records, null, extra))
+}
+
+/**
+ * Build the glyph that creates a subdomain. Its reveal must also spend the
+ * parent name, e.g. with Transaction#transferNft back to its owner.
+ *
+ * @param {string} name - e.g. 'blog.alice.rxd'
+ * @param {Buffer|string} parentRef - ref of the parent name, e.g. alice.rxd
+ * @param {Object} [records] - see encodeRecords
+ * @param {Object} [extra] - more metadata fields
+ * @returns {Glyph}
+ */
+function subdomain (name, parentRef, records, extra) {
+  const Glyph = require('./glyph')
+  const parsed = parseName(name)
+  if (!parsed.parent) {
+    throw new Error('Glyph WAVE: ' + parsed.name + ' is not a subdomain')
+  }
+  return new Glyph(nameMetadata(parsed, records, refHex(parentRef, 'Glyph WAVE: parentRef'), extra))
+}
+
+/**
+ * Update operation for Transaction#addGlyph that replaces a name's records.
+ * See Glyph.mutable.update.
+ *
+ * @param {Object} mutableUtxo - the name's mutable contract UTXO
+ * @param {Object} nftUtxo - the name's NFT UTXO
+ * @param {Object} records - the new records, see encodeRecords
+ * @param {Address|string} [address] - new owner of the name
+ * @returns {Object} operation to pass to Transaction#addGlyph
+ */
+function updateRecords (mutableUtxo, nftUtxo, records, address) {
+  const mutable = require('./mutable')
+  return mutable.update(mutableUtxo, nftUtxo, [
+    { op: 'replace', path: ['records'], value: encodeRecords(records) }
+  ], address)
+}
+
+/**
+ * A resolver over the transactions it is given: name registrations,
+ * transfers and record updates, added in chain order.
+ *
+ * @constructor
+ * @param {Transaction[]} [transactions]
+ * @param {Network|string} [network] - network of the owner addresses
+ */
+function Resolver (transactions, network) {
+  if (!(this instanceof Resolver)) {
+    return new Resolver(transactions, network)
+  }
+  this.network = network
+  this.names = new Map()
+  this.refs = new Map()
+  if (transactions) {
+    this.add(transactions)
+  }
+}
+
+/**
+ * Add transactions, in chain order. A registration counts if its reveal
+ * creates the name's singleton and mutable contract, its name is normalized
+ * and not yet taken and, for a subdomain, its parent is known and spent by
+ * the reveal. Any transaction carrying a name's singleton
+ * moves it to that output's owner, and update envelopes change its records.
+ *
+ * @param {Transaction|Transaction[]} transactions
+ * @returns {Resolver} this
+ */
+Resolver.prototype.add = function (transactions) {
+  const { parseGlyphTransaction } = require('./decoder')
+  const { outpointRef } = require('./glyph')
+  const Hash = require('../crypto/hash')
+  const { parseMutableScript, parseUpdateScript } = require('./mutable')
+  const { applyUpdates } = require('./update')
+  const nft = require('./nft')
+  const self = this
+
+  ;[].concat(transactions).forEach(function (tx) {
+    const parsed = parseGlyphTransaction(tx)
+    if (parsed) {
+      parsed.reveals.forEach(function (reveal) {
+        const metadata = reveal.envelope.metadata
+        if (reveal.inputIndex === undefined || !metadata || !Array.isArray(metadata.p) ||
+            !metadata.p.includes(GlyphProtocol.GLYPH_WAVE) || !metadata.wave) {
+          return
+        }
+        const input = tx.inputs[reveal.inputIndex]
+        self._register(tx, outpointRef(input.prevTxId, input.outputIndex).toString('hex'), metadata)
+      })
+      parsed.updates.forEach(function (update) {
+        // the update belongs to the contract output recreated with its hash
+        const envelope = parseUpdateScript(tx.outputs[update.outputIndex].script)
+        const stateHash = envelope && Hash.sha256sha256(envelope)
+        const contract = stateHash && tx.outputs.map(function (output) {
+          return parseMutableScript(output.script)
+        }).find(function (contract) {
+          return contract && contract.stateHash.equals(stateHash)
+        })
+        const entry = contract && self.refs.get(contract.tokenRef.toString('hex'))
+        if (entry) {
+          entry.metadata = applyUpdates(entry.metadata, update.envelope.updates)
+        }
+      })
+    }
+    tx.outputs.forEach(function (output) {
+      const singleton = nft.parseSingletonScript(output.script, self.network)
+      const entry = singleton && self.refs.get(singleton.ref.toString('hex'))
+      if (entry) {
+        entry.owner = singleton.owner
+      }
+    })
+  })
+  return this
+}
+
+Resolver.prototype._register = function (tx, ref, metadata) {
+  const { parseMutableScript } = require('./mutable')
+  const nft = require('./nft')
+  // the reveal must create the name's singleton and its records contract
+  if (nft.countSingletonOutputs(tx, Buffer.from(ref, 'hex')) === 0 || !tx.outputs.some(function (output) {
+    const contract = parseMutableScript(output.script)
+    return contract && contract.tokenRef.toString('hex') === ref
+  })) {
+    return
+  }
+  let parsed
+  try {
+    parsed = parseName(metadata.wave.name + '.' + metadata.wave.tld)
+  } catch (e) {
+    return
+  }
+  if (parsed.name !== metadata.wave.name + '.' + metadata.wave.tld || this.names.has(parsed.name)) {
+    return
+  }
+  let parentRef = null
+  if (parsed.parent) {
+    const parent = this.names.get(parsed.parent)
+    if (!parent || metadata.wave.parent !== parent.ref ||
+        nft.countSingletonOutputs(tx, Buffer.from(parent.ref, 'hex')) === 0) {
+      return
+    }
+    parentRef = parent.ref
+  } else if (metadata.wave.parent !== undefined) {
+    return
+  }
+  const entry = { name: parsed.name, ref, parent: parentRef, owner: null, metadata }
+  this.names.set(parsed.name, entry)
+  this.refs.set(ref, entry)
+}
+
+/**
+ * Look a name up.
+ *
+ * @param {string} name - in any form normalizeName accepts
+ * @returns {{name: string, ref: string, parent: string|null, owner: Address|null, records: Object}|null}
+ *   the name's ref, its parent's ref, its current owner and records (empty
+ *   if they are malformed); null if the name is not registered
+ */
+Resolver.prototype.resolve = function (name) {
+  const entry = this.names.get(normalizeName(name))
+  if (!entry) {
+    return null
+  }
+  let records
+  try {
+    records = encodeRecords(entry.metadata.records || {})
+  } catch (e) {
+    records = {}
+  }
+  return { name: entry.name, ref: entry.ref, parent: entry.parent, owner: entry.owner, records }
+}
+
+module.exports = {
+  MAX_LABEL_SIZE,
+  MAX_NAME_SIZE,
+  normalizeName,
+  isValidName,
+  parseName,
+  encodeRecords,
+  register,
+  subdomain,
+  updateRecords,
+  Resolver
+}
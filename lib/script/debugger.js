@@ -0,0 +1,282 @@
+'use strict'
+
+var Buffer = require('../util/bufferUtil')
+var _ = require('../util/_')
+var $ = require('../util/preconditions')
+var Opcode = require('../opcode')
+var Interpreter = require('./interpreter')
+
+/**
+ * A paused execution of Interpreter#verify. The session starts before the
+ * first opcode of the scriptSig and moves through the scriptSig, the
+ * scriptPubkey and, for P2SH outputs, the redeem script, running the checks
+ * of verify itself (see Interpreter#_nextVerifyScript) between them.
+ *
+ * Use Interpreter.debug(...) to create one:
+ *
+ *   var session = Interpreter.debug(scriptSig, scriptPubkey, tx, 0, flags)
+ *   session.addBreakpoint('OP_CHECKSIG')
+ *   session.continue()
+ *   console.log(session.stack)
+ *
+ * @constructor
+ * @param {Script} scriptSig
+ * @param {Script} scriptPubkey
+ * @param {Transaction=} tx
+ * @param {number=} nin
+ * @param {number=} flags
+ * @param {BN=} satoshisBN
+ * @param {Script=} sighashScript
+ * @param {Array=} prevouts
+ */
+var Debugger = function Debugger (scriptSig, scriptPubkey, tx, nin, flags, satoshisBN, sighashScript, prevouts) {
+  if (!(this instanceof Debugger)) {
+    return new Debugger(scriptSig, scriptPubkey, tx, nin, flags, satoshisBN, sighashScript, prevouts)
+  }
+  this.interpreter = new Interpreter()
+  this.breakpoints = []
+  this.phase = 'scriptSig'
+  this.done = false
+  this.valid = undefined
+
+  this._advance(this.interpreter._startVerify(scriptSig, scriptPubkey, tx, nin, flags, satoshisBN, sighashScript, prevouts))
+}
+
+module.exports = Debugger
+
+Object.defineProperties(Debugger.prototype, {
+  /** the Script being executed; `phase` names it */
+  script: {
+    get: function () { return this.interpreter.script }
+  },
+  /** index of the next chunk to execute in the current script */
+  pc: {
+    get: function () { return this.interpreter.pc }
+  },
+  /** the next opcode to execute, or null once finished */
+  opcode: {
+    get: function () {
+      if (this.done) {
+        return null
+      }
+      return new Opcode(this.interpreter.script.chunks[this.interpreter.pc].opcodenum)
+    }
+  },
+  stack: {
+    get: function () { return this.interpreter.stack.stack }
+  },
+  altstack: {
+    get: function () { return this.interpreter.altstack.stack }
+  },
+  vfExec: {
+    get: function () { return this.interpreter.vfExec }
+  },
+  errstr: {
+    get: function () { return this.interpreter.errstr }
+  }
+})
+
+/**
+ * Pauses before an opcode. A breakpoint is a chunk index, an opcode name or
+ * Opcode, or an object `{ pc, opcode, phase }` whose given fields must all
+ * match; there `opcode` may also be a number, and `phase` restricts the
+ * breakpoint to one of the scripts.
+ *
+ * @param {number|string|Opcode|Object} breakpoint
+ * @return {Debugger} this
+ */
+Debugger.prototype.addBreakpoint = function (breakpoint) {
+  this.breakpoints.push(Debugger._normalizeBreakpoint(breakpoint))
+  return this
+}
+
+/**
+ * Removes every breakpoint equal to `breakpoint`.
+ *
+ * @param {number|string|Opcode|Object} breakpoint
+ * @return {Debugger} this
+ */
+Debugger.prototype.removeBreakpoint = function (breakpoint) {
+  var target = Debugger._normalizeBreakpoint(breakpoint)
+  this.breakpoints = this.breakpoints.filter(function (bp) {
+    return bp.pc !== target.pc || bp.opcode !== target.opcode || bp.phase !== target.phase
+  })
+  return this
+}
+
+Debugger.prototype.clearBreakpoints = function () {
+  this.breakpoints = []
+  return this
+}
+
+Debugger._normalizeBreakpoint = function (breakpoint) {
+  if (_.isNumber(breakpoint)) {
+    breakpoint = { pc: breakpoint }
+  } else if (_.isString(breakpoint) || breakpoint instanceof Opcode) {
+    breakpoint = { opcode: breakpoint }
+  }
+  $.checkArgument(_.isObject(breakpoint), 'Invalid breakpoint')
+  var opcode = breakpoint.opcode
+  if (opcode instanceof Opcode) {
+    opcode = opcode.toNumber()
+  } else if (_.isString(opcode)) {
+    opcode = new Opcode(opcode).toNumber()
+  }
+  $.checkArgument(!_.isUndefined(breakpoint.pc) || !_.isUndefined(opcode),
+    'A breakpoint needs a pc or an opcode')
+  return { pc: breakpoint.pc, opcode: opcode, phase: breakpoint.phase }
+}
+
+/**
+ * @return {boolean} whether a breakpoint matches the next opcode
+ */
+Debugger.prototype.atBreakpoint = function () {
+  if (this.done) {
+    return false
+  }
+  var self = this
+  var opcodenum = this.interpreter.script.chunks[this.interpreter.pc].opcodenum
+  return this.breakpoints.some(function (bp) {
+    return (_.isUndefined(bp.pc) || bp.pc === self.pc) &&
+      (_.isUndefined(bp.opcode) || bp.opcode === opcodenum) &&
+      (_.isUndefined(bp.phase) || bp.phase === self.phase)
+  })
+}
+
+/**
+ * Executes one opcode, including opcodes in unexecuted branches.
+ *
+ * @return {Object} the state after it, see Debugger#snapshot
+ */
+Debugger.prototype.step = function () {
+  if (!this.done) {
+    var interpreter = this.interpreter
+    var thisStep = {
+      pc: interpreter.pc,
+      fExec: (interpreter.vfExec.indexOf(false) === -1),
+      opcode: Opcode.fromNumber(interpreter.script.chunks[interpreter.pc].opcodenum)
+    }
+    var traceEntry = interpreter.trace ? interpreter._traceBefore(thisStep, this.phase) : undefined
+    interpreter.errpc = thisStep.pc
+    var fSuccess
+    try {
+      fSuccess = interpreter.step(this.phase)
+    } catch (e) {
+      if (e instanceof TypeError || e instanceof RangeError) {
+        throw e
+      }
+      interpreter.errstr = 'SCRIPT_ERR_UNKNOWN_ERROR: ' + e
+      fSuccess = false
+    }
+    if (traceEntry) {
+      interpreter._traceAfter(traceEntry)
+    }
+    interpreter._callbackStep(thisStep)
+    if (!fSuccess) {
+      this._finish(false)
+    } else {
+      interpreter.errpc = -1
+      if (interpreter.pc >= interpreter.script.chunks.length) {
+        this._advance(this._endScript())
+      }
+    }
+  }
+  return this.snapshot()
+}
+
+/**
+ * Executes opcodes until the next one that will actually run, skipping
+ * over branches that are not taken.
+ *
+ * @return {Object} the state after it, see Debugger#snapshot
+ */
+Debugger.prototype.next = function () {
+  this.step()
+  while (!this.done && !this._willExecute()) {
+    this.step()
+  }
+  return this.snapshot()
+}
+
+// Mirrors the fExec test in Interpreter#step: conditionals always run.
+Debugger.prototype._willExecute = function () {
+  var opcodenum = this.interpreter.script.chunks[this.interpreter.pc].opcodenum
+  return this.interpreter.vfExec.indexOf(false) === -1 ||
+    (Opcode.OP_IF <= opcodenum && opcodenum <= Opcode.OP_ENDIF)
+}
+
+/**
+ * Executes opcodes until a breakpoint is reached or verification ends.
+ * The opcode the session is paused on always runs, so calling continue
+ * at a breakpoint moves past it.
+ *
+ * @return {Object} the state after it, see Debugger#snapshot
+ */
+Debugger.prototype.continue = function () {
+  this.step()
+  while (!this.done && !this.atBreakpoint()) {
+    this.step()
+  }
+  return this.snapshot()
+}
+
+/**
+ * Copies the execution state; later steps do not change it. `pc` and
+ * `opcode` are those of the next opcode, or once the session is done those
+ * of the opcode that failed (-1 and null if none did).
+ *
+ * @return {{phase: string, pc: number, opcode: string, stack: Buffer[],
+ *   altstack: Buffer[], vfExec: boolean[], nOpCount: number, done: boolean,
+ *   valid: boolean, errstr: string}}
+ */
+Debugger.prototype.snapshot = function () {
+  var copy = function (buf) {
+    return Buffer.from(buf)
+  }
+  var pc = this.done ? this.interpreter.errpc : this.pc
+  var chunk = pc >= 0 ? this.script.chunks[pc] : undefined
+  return {
+    phase: this.phase,
+    pc: pc,
+    opcode: chunk ? Interpreter.opcodeName(chunk.opcodenum) : null,
+    stack: this.stack.map(copy),
+    altstack: this.altstack.map(copy),
+    vfExec: this.vfExec.slice(),
+    nOpCount: this.interpreter.nOpCount,
+    done: this.done,
+    valid: this.valid,
+    errstr: this.errstr
+  }
+}
+
+Debugger.prototype._finish = function (valid) {
+  this.done = true
+  this.valid = valid
+}
+
+/**
+ * Moves on to the first opcode of the script Interpreter#_startVerify or
+ * Interpreter#_nextVerifyScript loaded, passing over empty scripts, or
+ * finishes the session with their result.
+ *
+ * @param {string|boolean} next
+ * @private
+ */
+Debugger.prototype._advance = function (next) {
+  while (_.isString(next)) {
+    this.phase = next
+    if (!this.interpreter._checkScriptSize()) {
+      return this._finish(false)
+    }
+    if (this.interpreter.script.chunks.length > 0) {
+      return
+    }
+    next = this._endScript()
+  }
+  this._finish(next)
+}
+
+// Runs the checks of Interpreter#verify after the current script
+Debugger.prototype._endScript = function () {
+  return this.interpreter._checkScriptEnd() && this.interpreter._nextVerifyScript(this.phase)
+}
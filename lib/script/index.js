@@ -49,3 +49,7 @@ module.exports = Script
 module.exports.Interpreter = require('./interpreter')
 
 module.exports.Stack = require('./stack')
+
+module.exports.Debugger = require('./debugger')
+
+module.exports.Vectors = require('./vectors')
@@ -47,16 +47,19 @@ THE SOFTWARE.
 'use strict'
 const Buffer = require('../util/bufferUtil');
 var _ = require('../util/_')
+var $ = require('../util/preconditions')
 
 var Script = require('./script')
 var Opcode = require('../opcode')
 var BN = require('../crypto/bn')
 var Hash = require('../crypto/hash')
 var Signature = require('../crypto/signature')
+var ECDSA = require('../crypto/ecdsa')
 var PublicKey = require('../publickey')
 var cloneDeep = require('clone-deep')
 var Stack = require('./stack')
 var jsShaLib = require('js-sha512')
+var errors = require('../errors')
 /**
  * Bitcoin transactions contain scripts. Each input has a script called the
  * scriptSig, and each output has a script called the scriptPubkey. To validate
@@ -90,10 +93,36 @@ var Interpreter = function Interpreter (obj) {
  * @param {number} nin - index of the transaction input containing the scriptSig verified.
  * @param {number} flags - evaluation flags. See Interpreter.SCRIPT_* constants
  * @param {number} satoshisBN - amount in satoshis of the input to be verified (when FORKID signhash is used)
+ * @param {Script=} sighashScript - script to use as the signature scriptCode instead of the executing script
+ * @param {Array=} prevouts - outputs spent by every input of `tx`, in input order. Each entry
+ *    is an Output or an `{ satoshis, script }` object. Entries left undefined fall back to
+ *    `tx.inputs[i].output`. Required by the introspection opcodes that read other inputs.
  *
  * Translated from bitcoind's VerifyScript
  */
-Interpreter.prototype.verify = function (scriptSig, scriptPubkey, tx, nin, flags, satoshisBN, sighashScript) {
+Interpreter.prototype.verify = function (scriptSig, scriptPubkey, tx, nin, flags, satoshisBN, sighashScript, prevouts) {
+  var next = this._startVerify(scriptSig, scriptPubkey, tx, nin, flags, satoshisBN, sighashScript, prevouts)
+  while (_.isString(next)) {
+    if (!this.evaluate(next)) {
+      return false
+    }
+    next = this._nextVerifyScript(next)
+  }
+  return next
+}
+
+/**
+ * The steps of Interpreter#verify, shared with the Debugger. _startVerify
+ * runs the checks before any script and loads the scriptSig;
+ * _nextVerifyScript runs the checks after a script has been evaluated and
+ * loads the next one. Both return the type of the script they loaded, or
+ * the result of verify once there is none left.
+ *
+ * @return {string|boolean} 'scriptSig', 'scriptPubkey' or 'redeemScript',
+ *   or true/false
+ * @private
+ */
+Interpreter.prototype._startVerify = function (scriptSig, scriptPubkey, tx, nin, flags, satoshisBN, sighashScript, prevouts) {
   var Transaction = require('../transaction')
 
   if (_.isUndefined(tx)) {
@@ -106,6 +135,11 @@ Interpreter.prototype.verify = function (scriptSig, scriptPubkey, tx, nin, flags
     flags = 0
   }
 
+  prevouts = Interpreter._resolvePrevouts(tx, nin, scriptPubkey, satoshisBN, prevouts)
+  if (!satoshisBN && prevouts[nin]) {
+    satoshisBN = prevouts[nin].satoshisBN
+  }
+
   // If FORKID is enabled, we also ensure strict encoding.
   if (flags & Interpreter.SCRIPT_ENABLE_SIGHASH_FORKID) {
     flags |= Interpreter.SCRIPT_VERIFY_STRICTENC
@@ -116,98 +150,106 @@ Interpreter.prototype.verify = function (scriptSig, scriptPubkey, tx, nin, flags
     }
   }
 
-  this.set({
-    script: scriptSig,
+  this._verifying = {
+    scriptSig: scriptSig,
+    scriptPubkey: scriptPubkey,
     tx: tx,
     nin: nin,
     flags: flags,
     satoshisBN: satoshisBN,
-    sighashScript: sighashScript
-  })
-  var stackCopy
+    sighashScript: sighashScript,
+    prevouts: prevouts,
+    stackCopy: undefined
+  }
+  this.initialize()
+  this._loadVerifyScript(scriptSig, this.stack)
 
-  if ((flags & Interpreter.SCRIPT_VERIFY_SIGPUSHONLY) !== 0 && !scriptSig.isPushOnly()) {
-    this.errstr = 'SCRIPT_ERR_SIG_PUSHONLY'
+  if (!this.checkTransactionRefs()) {
     return false
   }
 
-  // evaluate scriptSig
-  if (!this.evaluate('scriptSig')) {
+  if ((flags & Interpreter.SCRIPT_VERIFY_SIGPUSHONLY) !== 0 && !scriptSig.isPushOnly()) {
+    this.errstr = 'SCRIPT_ERR_SIG_PUSHONLY'
     return false
   }
 
-  if (flags & Interpreter.SCRIPT_VERIFY_P2SH) {
-    stackCopy = this.stack.copy()
-  }
+  return 'scriptSig'
+}
 
-  var stack = this.stack
-  this.initialize()
+Interpreter.prototype._loadVerifyScript = function (script, stack) {
+  var verifying = this._verifying
   this.set({
-    script: scriptPubkey,
+    script: script,
     stack: stack,
-    tx: tx,
-    nin: nin,
-    flags: flags,
-    satoshisBN: satoshisBN,
-    sighashScript: sighashScript
+    tx: verifying.tx,
+    nin: verifying.nin,
+    flags: verifying.flags,
+    satoshisBN: verifying.satoshisBN,
+    sighashScript: verifying.sighashScript,
+    prevouts: verifying.prevouts
   })
+}
 
-  // evaluate scriptPubkey
-  if (!this.evaluate('scriptPubkey')) {
-    return false
-  }
-
-  if (this.stack.length === 0) {
-    this.errstr = 'SCRIPT_ERR_EVAL_FALSE_NO_RESULT'
-    return false
-  }
+/**
+ * @param {string} scriptType - the script that has just been evaluated
+ * @return {string|boolean} see _startVerify
+ * @private
+ */
+Interpreter.prototype._nextVerifyScript = function (scriptType) {
+  var verifying = this._verifying
+  var stack = this.stack
 
-  var buf = this.stack.stacktop(-1)
-  if (!Interpreter.castToBool(buf)) {
-    this.errstr = 'SCRIPT_ERR_EVAL_FALSE_IN_STACK'
-    return false
+  if (scriptType === 'scriptSig') {
+    if (verifying.flags & Interpreter.SCRIPT_VERIFY_P2SH) {
+      verifying.stackCopy = stack.copy()
+    }
+    this.initialize()
+    this._loadVerifyScript(verifying.scriptPubkey, stack)
+    return 'scriptPubkey'
   }
 
-  // Additional validation for spend-to-script-hash transactions:
-  if ((flags & Interpreter.SCRIPT_VERIFY_P2SH) && scriptPubkey.isScriptHashOut()) {
-    // scriptSig must be literals-only or validation fails
-    if (!scriptSig.isPushOnly()) {
-      this.errstr = 'SCRIPT_ERR_SIG_PUSHONLY'
+  if (scriptType === 'scriptPubkey') {
+    if (stack.length === 0) {
+      this.errstr = 'SCRIPT_ERR_EVAL_FALSE_NO_RESULT'
       return false
     }
 
-    // stackCopy cannot be empty here, because if it was the
-    // P2SH  HASH <> EQUAL  scriptPubKey would be evaluated with
-    // an empty stack and the EvalScript above would return false.
-    if (stackCopy.length === 0) {
-      throw new Error('internal error - stack copy empty')
+    if (!Interpreter.castToBool(stack.stacktop(-1))) {
+      this.errstr = 'SCRIPT_ERR_EVAL_FALSE_IN_STACK'
+      return false
     }
 
-    var redeemScriptSerialized = stackCopy.stacktop(-1)
-    var redeemScript = Script.fromBuffer(redeemScriptSerialized)
-    stackCopy.pop()
+    // Additional validation for spend-to-script-hash transactions:
+    if ((verifying.flags & Interpreter.SCRIPT_VERIFY_P2SH) && verifying.scriptPubkey.isScriptHashOut()) {
+      // scriptSig must be literals-only or validation fails
+      if (!verifying.scriptSig.isPushOnly()) {
+        this.errstr = 'SCRIPT_ERR_SIG_PUSHONLY'
+        return false
+      }
 
-    this.initialize()
-    this.set({
-      script: redeemScript,
-      stack: stackCopy,
-      tx: tx,
-      nin: nin,
-      flags: flags,
-      satoshisBN: satoshisBN
-    })
+      // stackCopy cannot be empty here, because if it was the
+      // P2SH  HASH <> EQUAL  scriptPubKey would be evaluated with
+      // an empty stack and the EvalScript above would return false.
+      var stackCopy = verifying.stackCopy
+      if (stackCopy.length === 0) {
+        throw new Error('internal error - stack copy empty')
+      }
 
-    // evaluate redeemScript
-    if (!this.evaluate()) {
-      return false
-    }
+      var redeemScriptSerialized = stackCopy.stacktop(-1)
+      var redeemScript = Script.fromBuffer(redeemScriptSerialized)
+      stackCopy.pop()
 
-    if (stackCopy.length === 0) {
+      this.initialize()
+      this._loadVerifyScript(redeemScript, stackCopy)
+      return 'redeemScript'
+    }
+  } else {
+    if (stack.length === 0) {
       this.errstr = 'SCRIPT_ERR_EVAL_FALSE_NO_P2SH_STACK'
       return false
     }
 
-    if (!Interpreter.castToBool(stackCopy.stacktop(-1))) {
+    if (!Interpreter.castToBool(stack.stacktop(-1))) {
       this.errstr = 'SCRIPT_ERR_EVAL_FALSE_IN_P2SH_STACK'
       return false
     }
@@ -217,7 +259,7 @@ Interpreter.prototype.verify = function (scriptSig, scriptPubkey, tx, nin, flags
   // as the non-P2SH evaluation of a P2SH script will obviously not result in
   // a clean stack (the P2SH inputs remain). The same holds for witness
   // evaluation.
-  if ((flags & Interpreter.SCRIPT_VERIFY_CLEANSTACK) !== 0) {
+  if ((verifying.flags & Interpreter.SCRIPT_VERIFY_CLEANSTACK) !== 0) {
     // Disallow CLEANSTACK without P2SH, as otherwise a switch
     // CLEANSTACK->P2SH+CLEANSTACK would be possible, which is not a
     // softfork (and P2SH should be one).
@@ -236,10 +278,22 @@ Interpreter.prototype.verify = function (scriptSig, scriptPubkey, tx, nin, flags
 
 module.exports = Interpreter
 
+/**
+ * Starts a paused Interpreter#verify that can be stepped through opcode by
+ * opcode. Takes the same arguments as verify; see Debugger.
+ *
+ * @return {Debugger}
+ */
+Interpreter.debug = function (scriptSig, scriptPubkey, tx, nin, flags, satoshisBN, sighashScript, prevouts) {
+  var Debugger = require('./debugger')
+  return new Debugger(scriptSig, scriptPubkey, tx, nin, flags, satoshisBN, sighashScript, prevouts)
+}
+
 Interpreter.prototype.initialize = function (obj) {
   this.stack = new Stack([])
   this.altstack = new Stack([])
   this.pc = 0
+  this.errpc = -1
   this.pbegincodehash = 0
   this.nOpCount = 0
   this.vfExec = []
@@ -264,6 +318,211 @@ Interpreter.prototype.set = function (obj) {
   this.errstr = obj.errstr || this.errstr
   this.flags = typeof obj.flags !== 'undefined' ? obj.flags : this.flags
   this.sighashScript = obj.sighashScript || this.sighashScript
+  this.prevouts = obj.prevouts || this.prevouts
+}
+
+/**
+ * Builds the list of outputs spent by each input of `tx`, as used by the
+ * introspection opcodes. Explicit `prevouts` win over `tx.inputs[i].output`;
+ * the input being verified falls back to (scriptPubkey, satoshisBN) so that
+ * single-input callers keep working without passing anything new.
+ *
+ * @param {Transaction} tx
+ * @param {number} nin
+ * @param {Script=} scriptPubkey
+ * @param {BN=} satoshisBN
+ * @param {Array=} prevouts
+ * @return {Array} one Output (or undefined when unknown) per input
+ * @private
+ */
+Interpreter._resolvePrevouts = function (tx, nin, scriptPubkey, satoshisBN, prevouts) {
+  var Output = require('../transaction/output')
+  var resolved = []
+  for (var i = 0; i < tx.inputs.length; i++) {
+    var prevout = prevouts ? prevouts[i] : undefined
+    if (!prevout) {
+      prevout = tx.inputs[i].output
+    }
+    if (prevout && !(prevout instanceof Output)) {
+      prevout = new Output(prevout)
+    }
+    resolved.push(prevout)
+  }
+  if (nin < tx.inputs.length && !resolved[nin] && scriptPubkey && satoshisBN) {
+    resolved[nin] = new Output({ script: scriptPubkey, satoshis: satoshisBN })
+  }
+  return resolved
+}
+
+/**
+ * @param {number} index - input index
+ * @return {Output|undefined} the output spent by that input, if known
+ */
+Interpreter.prototype.getPrevout = function (index) {
+  return this.prevouts ? this.prevouts[index] : undefined
+}
+
+/**
+ * Splits an output's locking script at its OP_STATESEPARATOR. Scripts that
+ * do not parse are treated as having no separator.
+ *
+ * @param {Output} output
+ * @return {{index: number, state: Buffer, code: Buffer}} the separator's byte
+ *   offset (0 when absent) and the bytes before and after it
+ * @private
+ */
+Interpreter._splitStateScript = function (output) {
+  var raw = output._scriptBuffer
+  var index = output.script ? output.script.getStateSeparatorIndex() : -1
+  if (index < 0) {
+    return { index: 0, state: Buffer.alloc(0), code: raw }
+  }
+  return { index: index, state: raw.slice(0, index), code: raw.slice(index + 1) }
+}
+
+/**
+ * Refs carried by an output's locking script, grouped as in
+ * Script.getRefsFromScriptBuffer. Scripts that do not parse carry no refs.
+ *
+ * @param {Output} output
+ * @return {Object}
+ * @private
+ */
+Interpreter._scriptRefs = function (output) {
+  try {
+    return Script.getRefsFromScriptBuffer(output._scriptBuffer)
+  } catch (e) {
+    if (!(e instanceof errors.Script.InvalidBuffer)) {
+      throw e
+    }
+    return Script.getRefsFromScriptBuffer(Buffer.alloc(0))
+  }
+}
+
+/**
+ * The refs hash of an output, as in its sighash output summary: hash256 of
+ * its pushed refs (normal and singleton), sorted and concatenated, or 32
+ * zero bytes when it pushes none.
+ *
+ * @param {Output} output
+ * @return {Buffer}
+ * @private
+ */
+Interpreter._refsHash = function (output) {
+  var refs = Interpreter._scriptRefs(output)
+  var pushed = Array.from(new Set(Array.from(refs.push.keys()).concat(Array.from(refs.singleton.keys())))).sort()
+  return pushed.length ? Hash.sha256sha256(Buffer.from(pushed.join(''), 'hex')) : Buffer.alloc(32)
+}
+
+/**
+ * @param {Input} input
+ * @return {Buffer} the 36-byte ref naming the outpoint spent by `input`
+ */
+Interpreter.outpointRef = function (input) {
+  var ref = Buffer.alloc(36)
+  Buffer.from(input.prevTxId).reverse().copy(ref, 0)
+  ref.writeUInt32LE(input.outputIndex, 32)
+  return ref
+}
+
+/**
+ * Checks the transaction-level ref rules for every output of `this.tx`
+ * against the outputs it spends:
+ *
+ * - OP_PUSHINPUTREF refs must be an input outpoint or be pushed by a spent output
+ * - OP_PUSHINPUTREFSINGLETON refs must be an input outpoint or a spent singleton,
+ *   may appear in one output only and never as a normal ref
+ * - OP_REQUIREINPUTREF refs must be an input outpoint or carried by a spent output
+ * - OP_DISALLOWPUSHINPUTREF refs may not be pushed by the same output
+ * - OP_DISALLOWPUSHINPUTREFSIBLING refs may not be pushed by any other output
+ *
+ * The rules hold trivially when no output carries a ref. Otherwise every
+ * prevout must be known, or the check fails with
+ * SCRIPT_ERR_CONTEXT_NOT_PRESENT.
+ *
+ * @return {boolean} true if the rules hold, otherwise false with errstr set
+ */
+Interpreter.prototype.checkTransactionRefs = function () {
+  var self = this
+  var outpoints = new Set()
+  var inputPush = new Set()
+  var inputSingleton = new Set()
+  var i, refs
+
+  var fail = function (errstr) {
+    self.errstr = errstr
+    return false
+  }
+  var outputRefs = this.tx.outputs.map(function (output) {
+    return Interpreter._scriptRefs(output)
+  })
+  var carriesRefs = outputRefs.some(function (refs) {
+    return refs.push.size + refs.singleton.size + refs.require.size +
+      refs.disallow.size + refs.disallowSibling.size > 0
+  })
+  if (!carriesRefs) {
+    return true
+  }
+
+  for (i = 0; i < this.tx.inputs.length; i++) {
+    if (!this.getPrevout(i)) {
+      return fail('SCRIPT_ERR_CONTEXT_NOT_PRESENT')
+    }
+    outpoints.add(Interpreter.outpointRef(this.tx.inputs[i]).toString('hex'))
+    refs = Interpreter._scriptRefs(this.getPrevout(i))
+    refs.push.forEach(function (buf, ref) { inputPush.add(ref) })
+    refs.singleton.forEach(function (buf, ref) { inputSingleton.add(ref) })
+  }
+
+  var pushedAsNormal = new Set()
+  var singletonOwner = new Map()
+
+  for (i = 0; i < outputRefs.length; i++) {
+    refs = outputRefs[i]
+    for (var push of refs.push.keys()) {
+      if (!outpoints.has(push) && !inputPush.has(push)) {
+        return fail('SCRIPT_ERR_INVALID_PUSHINPUTREF')
+      }
+      pushedAsNormal.add(push)
+    }
+    for (var singleton of refs.singleton.keys()) {
+      if (!outpoints.has(singleton) && !inputSingleton.has(singleton)) {
+        return fail('SCRIPT_ERR_INVALID_PUSHINPUTREFSINGLETON')
+      }
+      if (singletonOwner.has(singleton)) {
+        return fail('SCRIPT_ERR_INVALID_PUSHINPUTREFSINGLETON')
+      }
+      singletonOwner.set(singleton, i)
+    }
+    for (var required of refs.require.keys()) {
+      if (!outpoints.has(required) && !inputPush.has(required) && !inputSingleton.has(required)) {
+        return fail('SCRIPT_ERR_INVALID_REQUIREINPUTREF')
+      }
+    }
+    for (var disallowed of refs.disallow.keys()) {
+      if (refs.push.has(disallowed) || refs.singleton.has(disallowed)) {
+        return fail('SCRIPT_ERR_INVALID_DISALLOWPUSHINPUTREF')
+      }
+    }
+  }
+
+  for (var owned of singletonOwner.keys()) {
+    if (pushedAsNormal.has(owned)) {
+      return fail('SCRIPT_ERR_INVALID_PUSHINPUTREFSINGLETON')
+    }
+  }
+
+  for (i = 0; i < outputRefs.length; i++) {
+    for (var sibling of outputRefs[i].disallowSibling.keys()) {
+      for (var j = 0; j < outputRefs.length; j++) {
+        if (j !== i && (outputRefs[j].push.has(sibling) || outputRefs[j].singleton.has(sibling))) {
+          return fail('SCRIPT_ERR_INVALID_DISALLOWPUSHINPUTREFSIBLING')
+        }
+      }
+    }
+  }
+
+  return true
 }
 
 Interpreter.prototype.subscript = function () {
@@ -376,34 +635,91 @@ Interpreter.SCRIPT_ENABLE_MONOLITH_OPCODES = (1 << 18)
 //
 Interpreter.SCRIPT_ENABLE_MAGNETIC_OPCODES = (1 << 19)
 
+// Are the native introspection opcodes (OP_INPUTINDEX .. OP_OUTPUTBYTECODE)
+// enabled? Without it they are BAD_OPCODE. Mirrors
+// Radiant-Core/src/script/script_flags.h SCRIPT_NATIVE_INTROSPECTION.
+Interpreter.SCRIPT_NATIVE_INTROSPECTION = (1 << 25)
+
 // Are the Enhanced References (V2 fork, mainnet block 415,000+) opcodes
 // enabled? Gates OP_BLAKE3 (0xee), OP_K12 (0xef) and the dMint introspection
 // opcodes. Mirrors Radiant-Core/src/script/script_flags.h SCRIPT_ENHANCED_REFERENCES.
 Interpreter.SCRIPT_ENHANCED_REFERENCES = (1 << 26)
 
+// Flags a Radiant mainnet node enforces on every input after the V2 fork.
+// Radiant inherits the BCH rules active at its genesis (SIGPUSHONLY,
+// CLEANSTACK, MINIMALDATA and NULLFAIL are consensus there) and adds
+// Enhanced References on top.
+Interpreter.RADIANT_MAINNET_FLAGS =
+  Interpreter.SCRIPT_VERIFY_P2SH |
+  Interpreter.SCRIPT_VERIFY_STRICTENC |
+  Interpreter.SCRIPT_VERIFY_DERSIG |
+  Interpreter.SCRIPT_VERIFY_LOW_S |
+  Interpreter.SCRIPT_VERIFY_NULLDUMMY |
+  Interpreter.SCRIPT_VERIFY_SIGPUSHONLY |
+  Interpreter.SCRIPT_VERIFY_MINIMALDATA |
+  Interpreter.SCRIPT_VERIFY_CLEANSTACK |
+  Interpreter.SCRIPT_VERIFY_CHECKLOCKTIMEVERIFY |
+  Interpreter.SCRIPT_VERIFY_CHECKSEQUENCEVERIFY |
+  Interpreter.SCRIPT_VERIFY_NULLFAIL |
+  Interpreter.SCRIPT_ENABLE_SIGHASH_FORKID |
+  Interpreter.SCRIPT_ENABLE_MONOLITH_OPCODES |
+  Interpreter.SCRIPT_ENABLE_MAGNETIC_OPCODES |
+  Interpreter.SCRIPT_NATIVE_INTROSPECTION |
+  Interpreter.SCRIPT_ENHANCED_REFERENCES
+
+// Flag names as spelled in the node's script_tests.json / tx_valid.json
+// vectors, without the SCRIPT_VERIFY_ / SCRIPT_ENABLE_ prefix.
+Interpreter.FLAG_NAMES = {
+  NONE: Interpreter.SCRIPT_VERIFY_NONE,
+  P2SH: Interpreter.SCRIPT_VERIFY_P2SH,
+  STRICTENC: Interpreter.SCRIPT_VERIFY_STRICTENC,
+  DERSIG: Interpreter.SCRIPT_VERIFY_DERSIG,
+  LOW_S: Interpreter.SCRIPT_VERIFY_LOW_S,
+  NULLDUMMY: Interpreter.SCRIPT_VERIFY_NULLDUMMY,
+  SIGPUSHONLY: Interpreter.SCRIPT_VERIFY_SIGPUSHONLY,
+  MINIMALDATA: Interpreter.SCRIPT_VERIFY_MINIMALDATA,
+  DISCOURAGE_UPGRADABLE_NOPS: Interpreter.SCRIPT_VERIFY_DISCOURAGE_UPGRADABLE_NOPS,
+  CLEANSTACK: Interpreter.SCRIPT_VERIFY_CLEANSTACK,
+  CHECKLOCKTIMEVERIFY: Interpreter.SCRIPT_VERIFY_CHECKLOCKTIMEVERIFY,
+  CHECKSEQUENCEVERIFY: Interpreter.SCRIPT_VERIFY_CHECKSEQUENCEVERIFY,
+  MINIMALIF: Interpreter.SCRIPT_VERIFY_MINIMALIF,
+  NULLFAIL: Interpreter.SCRIPT_VERIFY_NULLFAIL,
+  COMPRESSED_PUBKEYTYPE: Interpreter.SCRIPT_VERIFY_COMPRESSED_PUBKEYTYPE,
+  SIGHASH_FORKID: Interpreter.SCRIPT_ENABLE_SIGHASH_FORKID,
+  REPLAY_PROTECTION: Interpreter.SCRIPT_ENABLE_REPLAY_PROTECTION,
+  MONOLITH_OPCODES: Interpreter.SCRIPT_ENABLE_MONOLITH_OPCODES,
+  MAGNETIC_OPCODES: Interpreter.SCRIPT_ENABLE_MAGNETIC_OPCODES,
+  NATIVE_INTROSPECTION: Interpreter.SCRIPT_NATIVE_INTROSPECTION,
+  ENHANCED_REFERENCES: Interpreter.SCRIPT_ENHANCED_REFERENCES
+}
+
+/**
+ * Parses a comma separated list of flag names, e.g. 'P2SH,STRICTENC', as
+ * used by the node's test vectors. See Interpreter.FLAG_NAMES.
+ *
+ * @param {string} str
+ * @return {number} the combined flags
+ */
+Interpreter.flagsFromString = function (str) {
+  $.checkArgument(_.isString(str), 'flags must be a string')
+  var flags = 0
+  str.split(',').forEach(function (name) {
+    name = name.trim()
+    if (name === '') {
+      return
+    }
+    $.checkArgument(Object.prototype.hasOwnProperty.call(Interpreter.FLAG_NAMES, name), 'Unknown script flag: ' + name)
+    flags |= Interpreter.FLAG_NAMES[name]
+  })
+  return flags
+}
+
 // Consensus input-size caps for the V2 hash opcodes. Radiant-Core ships
 // single-chunk/single-block hashers (CBlake3, CK12) and rejects larger
 // inputs at the interpreter level with ScriptError::INVALID_OPERAND_SIZE.
 Interpreter.MAX_BLAKE3_INPUT_SIZE = 1024
 Interpreter.MAX_K12_INPUT_SIZE = 8192
 
-// Opcodes the JS interpreter still treats as silent no-ops while Radiant-Core
-// implements them (CHECKDATASIG/VERIFY, dMint introspection family, etc.).
-// Emit one warning per opcode per process so the divergence is visible
-// without spamming logs in tight script-evaluation loops. Set
-// `Interpreter.suppressUnimplementedWarnings = true` to mute entirely.
-Interpreter._warnedOpcodes = new Set()
-Interpreter.suppressUnimplementedWarnings = false
-Interpreter._warnUnimplemented = function (opcodenum) {
-  if (Interpreter.suppressUnimplementedWarnings) return
-  if (Interpreter._warnedOpcodes.has(opcodenum)) return
-  Interpreter._warnedOpcodes.add(opcodenum)
-  var name
-  try { name = Opcode.fromNumber(opcodenum).toSafeString() } catch (e) { name = '0x' + opcodenum.toString(16) }
-  console.warn('radiantjs: encountered ' + name + ' (0x' + opcodenum.toString(16) +
-    ') - not yet implemented in JS interpreter; behaviour will diverge from Radiant-Core consensus.')
-}
-
 /* Below flags apply in the context of BIP 68 */
 /**
  * If this flag set, CTxIn::nSequence is NOT interpreted as a relative
@@ -491,6 +807,30 @@ Interpreter.prototype.checkSignatureEncoding = function (buf) {
   return true
 }
 
+/**
+ * Translated from Bitcoin ABC's CheckDataSignatureEncoding. Same rules as
+ * checkSignatureEncoding for a DER signature that carries no hashtype byte.
+ */
+Interpreter.prototype.checkDataSignatureEncoding = function (buf) {
+  // Empty signature. Allowed as a compact invalid signature, as for CHECKSIG
+  if (buf.length === 0) {
+    return true
+  }
+
+  // Signature.isTxDER expects a trailing hashtype byte
+  if ((this.flags & (Interpreter.SCRIPT_VERIFY_DERSIG | Interpreter.SCRIPT_VERIFY_LOW_S | Interpreter.SCRIPT_VERIFY_STRICTENC)) !== 0 &&
+    !Signature.isTxDER(Buffer.concat([buf, Buffer.from([0])]))) {
+    this.errstr = 'SCRIPT_ERR_SIG_DER_INVALID_FORMAT'
+    return false
+  }
+  if ((this.flags & Interpreter.SCRIPT_VERIFY_LOW_S) !== 0 && !Signature.fromDER(buf, false).hasLowS()) {
+    this.errstr = 'SCRIPT_ERR_SIG_DER_HIGH_S'
+    return false
+  }
+
+  return true
+}
+
 /**
  * Translated from bitcoind's CheckPubKeyEncoding
  */
@@ -591,9 +931,7 @@ Interpreter._minimallyEncode = function (buf) {
  * bitcoind commit: b5d1b1092998bc95313856d535c632ea5a8f9104
  */
 Interpreter.prototype.evaluate = function (scriptType) {
-  // TODO: script size should be configurable. no magic numbers
-  if (this.script.toBuffer().length > Interpreter.MAX_SCRIPT_SIZE) {
-    this.errstr = 'SCRIPT_ERR_SCRIPT_SIZE'
+  if (!this._checkScriptSize()) {
     return false
   }
 
@@ -602,19 +940,21 @@ Interpreter.prototype.evaluate = function (scriptType) {
       // fExec: if the opcode will be executed, i.e., not in a false branch
       let thisStep = { pc: this.pc, fExec: (this.vfExec.indexOf(false) === -1), opcode: Opcode.fromNumber(this.script.chunks[this.pc].opcodenum) }
 
+      var traceEntry = this.trace ? this._traceBefore(thisStep, scriptType) : undefined
+
+      // remembered so a failure can be reported against the opcode that caused it
+      this.errpc = thisStep.pc
       var fSuccess = this.step(scriptType)
 
+      if (traceEntry) {
+        this._traceAfter(traceEntry)
+      }
       this._callbackStep(thisStep)
 
       if (!fSuccess) {
         return false
       }
-    }
-
-    // Size limits
-    if (this.stack.length + this.altstack.length > 1000) {
-      this.errstr = 'SCRIPT_ERR_STACK_SIZE'
-      return false
+      this.errpc = -1
     }
   } catch (e) {
     // TypeError / RangeError almost always indicate a programmer bug rather
@@ -628,6 +968,27 @@ Interpreter.prototype.evaluate = function (scriptType) {
     return false
   }
 
+  return this._checkScriptEnd()
+}
+
+// The checks evaluate runs before the first opcode of a script...
+Interpreter.prototype._checkScriptSize = function () {
+  // TODO: script size should be configurable. no magic numbers
+  if (this.script.toBuffer().length > Interpreter.MAX_SCRIPT_SIZE) {
+    this.errstr = 'SCRIPT_ERR_SCRIPT_SIZE'
+    return false
+  }
+  return true
+}
+
+// ...and after its last one
+Interpreter.prototype._checkScriptEnd = function () {
+  // Size limits
+  if (this.stack.length + this.altstack.length > 1000) {
+    this.errstr = 'SCRIPT_ERR_STACK_SIZE'
+    return false
+  }
+
   if (this.vfExec.length > 0) {
     this.errstr = 'SCRIPT_ERR_UNBALANCED_CONDITIONAL'
     return false
@@ -636,6 +997,112 @@ Interpreter.prototype.evaluate = function (scriptType) {
   return true
 }
 
+/**
+ * Starts recording every executed opcode in `this.trace`. The trace spans
+ * all scripts run afterwards, including every script of a verify call,
+ * until enableTrace is called again.
+ *
+ * @return {Interpreter} this
+ */
+Interpreter.prototype.enableTrace = function () {
+  this.trace = []
+  return this
+}
+
+Interpreter.prototype.disableTrace = function () {
+  this.trace = undefined
+  return this
+}
+
+Interpreter._TRACE_HASH_OPCODES = [
+  Opcode.OP_RIPEMD160, Opcode.OP_SHA1, Opcode.OP_SHA256, Opcode.OP_HASH160,
+  Opcode.OP_HASH256, Opcode.OP_SHA512_256, Opcode.OP_HASH512_256,
+  Opcode.OP_BLAKE3, Opcode.OP_K12
+]
+
+/**
+ * @param {number} opcodenum
+ * @return {string} the opcode's name; data pushes of 1-75 bytes, which have
+ *   none in Opcode.map, are named OP_PUSHBYTES_<n>
+ */
+Interpreter.opcodeName = function (opcodenum) {
+  if (opcodenum > 0 && opcodenum < Opcode.OP_PUSHDATA1) {
+    return 'OP_PUSHBYTES_' + opcodenum
+  }
+  return Opcode.reverseMap[opcodenum] || ('0x' + opcodenum.toString(16))
+}
+
+// Starts a trace entry for the opcode about to run, or returns undefined when
+// it sits in an unexecuted branch.
+Interpreter.prototype._traceBefore = function (thisStep, scriptType) {
+  var opcodenum = thisStep.opcode.toNumber()
+  var isConditional = Opcode.OP_IF <= opcodenum && opcodenum <= Opcode.OP_ENDIF
+  if (!thisStep.fExec && !isConditional) {
+    return undefined
+  }
+  var entry = {
+    script: scriptType,
+    pc: thisStep.pc,
+    opcode: Interpreter.opcodeName(opcodenum),
+    stackBefore: this.stack.length,
+    stackAfter: 0,
+    altstackBefore: this.altstack.length,
+    altstackAfter: 0,
+    hashed: 0,
+    sigops: 0
+  }
+  var top = this.stack.length > 0 ? this.stack.stacktop(-1) : undefined
+  if (top && Interpreter._TRACE_HASH_OPCODES.indexOf(opcodenum) !== -1) {
+    entry.hashed = top.length
+  } else if (opcodenum === Opcode.OP_CHECKSIG || opcodenum === Opcode.OP_CHECKSIGVERIFY ||
+    opcodenum === Opcode.OP_CHECKDATASIG || opcodenum === Opcode.OP_CHECKDATASIGVERIFY) {
+    entry.sigops = 1
+  } else if ((opcodenum === Opcode.OP_CHECKMULTISIG || opcodenum === Opcode.OP_CHECKMULTISIGVERIFY) &&
+    top && top.length <= 4) {
+    // one sigop per public key, as counted by the node once the script runs
+    entry.sigops = Math.max(0, BN.fromScriptNumBuffer(top, false).toNumber())
+  }
+  return entry
+}
+
+Interpreter.prototype._traceAfter = function (entry) {
+  entry.stackAfter = this.stack.length
+  entry.altstackAfter = this.altstack.length
+  this.trace.push(entry)
+}
+
+/**
+ * Aggregates a trace recorded with Interpreter#enableTrace.
+ *
+ * @param {Array=} trace - defaults to `this.trace`
+ * @return {{executed: number, opcodes: Object.<string, number>,
+ *   peakStack: number, peakAltstack: number, sigops: number,
+ *   bytesHashed: number, hashedBy: Object.<string, number>}}
+ */
+Interpreter.prototype.getTraceReport = function (trace) {
+  trace = trace || this.trace || []
+  var report = {
+    executed: trace.length,
+    opcodes: {},
+    peakStack: 0,
+    peakAltstack: 0,
+    sigops: 0,
+    bytesHashed: 0,
+    hashedBy: {}
+  }
+  trace.forEach(function (entry) {
+    report.opcodes[entry.opcode] = (report.opcodes[entry.opcode] || 0) + 1
+    report.peakStack = Math.max(report.peakStack, entry.stackBefore, entry.stackAfter)
+    report.peakAltstack = Math.max(report.peakAltstack, entry.altstackBefore, entry.altstackAfter)
+    report.sigops += entry.sigops
+    if (entry.hashed > 0) {
+      report.bytesHashed += entry.hashed
+      report.hashedBy[entry.opcode] = (report.hashedBy[entry.opcode] || 0) + entry.hashed
+    }
+  })
+  return report
+}
+
 Interpreter.prototype._callbackStep = function (thisStep) {
   if (typeof this.stepListener === 'function') {
     try {
@@ -751,7 +1218,7 @@ Interpreter.prototype.checkSequence = function (nSequence) {
   var nLockTimeMask =
     Interpreter.SEQUENCE_LOCKTIME_TYPE_FLAG | Interpreter.SEQUENCE_LOCKTIME_MASK
   var txToSequenceMasked = new BN(txToSequence & nLockTimeMask)
-  var nSequenceMasked = nSequence.and(nLockTimeMask)
+  var nSequenceMasked = nSequence.and(new BN(nLockTimeMask))
 
   // There are two kinds of nSequence: lock-by-blockheight and
   // lock-by-blocktime, distinguished by whether nSequenceMasked <
@@ -834,6 +1301,52 @@ Interpreter.prototype.step = function (scriptType) {
     return false
   }
 
+  // Reads the index operand of an input/output introspection opcode. Returns
+  // -1 (with errstr set) when the operand is missing or out of range.
+  function introspectionIndex (count, errstr) {
+    if (self.stack.length < 1) {
+      self.errstr = 'SCRIPT_ERR_INVALID_STACK_OPERATION'
+      return -1
+    }
+    var index = BN.fromScriptNumBuffer(stacktop(-1), fRequireMinimal)
+    if (index.ltn(0) || index.gten(count)) {
+      self.errstr = errstr
+      return -1
+    }
+    return index.toNumber()
+  }
+
+  // Reads the index operand of a *_UTXO / *_OUTPUT opcode and returns the
+  // spent output or transaction output it names, or null with errstr set.
+  function indexedOutput (utxo) {
+    var index
+    if (utxo) {
+      index = introspectionIndex(self.tx.inputs.length, 'SCRIPT_ERR_INVALID_TX_INPUT_INDEX')
+      if (index < 0) {
+        return null
+      }
+      if (!self.getPrevout(index)) {
+        self.errstr = 'SCRIPT_ERR_CONTEXT_NOT_PRESENT'
+        return null
+      }
+      return self.getPrevout(index)
+    }
+    index = introspectionIndex(self.tx.outputs.length, 'SCRIPT_ERR_INVALID_TX_OUTPUT_INDEX')
+    return index < 0 ? null : self.tx.outputs[index]
+  }
+
+  // Every output spent by the transaction, or null with errstr set if one is unknown.
+  function spentOutputs () {
+    var outputs = self.tx.inputs.map(function (input, i) {
+      return self.getPrevout(i)
+    })
+    if (!_.every(outputs)) {
+      self.errstr = 'SCRIPT_ERR_CONTEXT_NOT_PRESENT'
+      return null
+    }
+    return outputs
+  }
+
   var fRequireMinimal = (this.flags & Interpreter.SCRIPT_VERIFY_MINIMALDATA) !== 0
 
   // bool fExec = !count(vfExec.begin(), vfExec.end(), false);
@@ -1772,6 +2285,54 @@ Interpreter.prototype.step = function (scriptType) {
         }
         break
 
+      case Opcode.OP_CHECKDATASIG:
+      case Opcode.OP_CHECKDATASIGVERIFY:
+        // (sig message pubkey -- bool)
+        if (this.stack.length < 3) {
+          this.errstr = 'SCRIPT_ERR_INVALID_STACK_OPERATION'
+          return false
+        }
+
+        bufSig = stacktop(-3)
+        var bufMessage = stacktop(-2)
+        bufPubkey = stacktop(-1)
+
+        if (!this.checkDataSignatureEncoding(bufSig) || !this.checkPubkeyEncoding(bufPubkey)) {
+          return false
+        }
+
+        fSuccess = false
+        if (bufSig.length) {
+          try {
+            sig = Signature.fromDER(bufSig, false)
+            pubkey = PublicKey.fromBuffer(bufPubkey, false)
+            fSuccess = ECDSA.verify(Hash.sha256(bufMessage), sig, pubkey)
+          } catch (e) {
+            // invalid sig or pubkey
+            fSuccess = false
+          }
+        }
+
+        if (!fSuccess && (this.flags & Interpreter.SCRIPT_VERIFY_NULLFAIL) &&
+          bufSig.length) {
+          this.errstr = 'SCRIPT_ERR_NULLFAIL'
+          return false
+        }
+
+        this.stack.pop()
+        this.stack.pop()
+        this.stack.pop()
+        this.stack.push(fSuccess ? Interpreter.getTrue() : Interpreter.getFalse())
+        if (opcodenum === Opcode.OP_CHECKDATASIGVERIFY) {
+          if (fSuccess) {
+            this.stack.pop()
+          } else {
+            this.errstr = 'SCRIPT_ERR_CHECKDATASIGVERIFY'
+            return false
+          }
+        }
+        break
+
       case Opcode.OP_CHECKMULTISIG:
       case Opcode.OP_CHECKMULTISIGVERIFY:
         // ([sig ...] num_of_signatures [pubkey ...] num_of_pubkeys -- bool)
@@ -2040,66 +2601,352 @@ Interpreter.prototype.step = function (scriptType) {
         this.stack.write(-1, reversed)
         break
 
-      // NOTE: the opcodes below are NO-OPS in the JS interpreter today but are
-      // fully implemented in Radiant-Core. Wallets pre-validating a script
-      // that uses any of these will get a wrong answer relative to mainnet
-      // consensus. Tracked as audit finding H-1; a one-shot warn is emitted
-      // per opcode so this divergence does not stay invisible at runtime.
-      case Opcode.OP_CHECKDATASIG:
-      case Opcode.OP_CHECKDATASIGVERIFY:
+      //
+      // Native introspection
+      //
+      case Opcode.OP_INPUTINDEX:
+      case Opcode.OP_ACTIVEBYTECODE:
+      case Opcode.OP_TXVERSION:
+      case Opcode.OP_TXINPUTCOUNT:
+      case Opcode.OP_TXOUTPUTCOUNT:
+      case Opcode.OP_TXLOCKTIME:
+        // ( -- value)
+        if (!(this.flags & Interpreter.SCRIPT_NATIVE_INTROSPECTION)) {
+          this.errstr = 'SCRIPT_ERR_BAD_OPCODE'
+          return false
+        }
+        if (!this.tx) {
+          this.errstr = 'SCRIPT_ERR_CONTEXT_NOT_PRESENT'
+          return false
+        }
+        if (opcodenum === Opcode.OP_INPUTINDEX) {
+          buf = new BN(this.nin).toScriptNumBuffer()
+        } else if (opcodenum === Opcode.OP_ACTIVEBYTECODE) {
+          // Everything after the most recently executed OP_CODESEPARATOR.
+          buf = new Script().set({
+            chunks: this.script.chunks.slice(this.pbegincodehash)
+          }).toBuffer()
+        } else if (opcodenum === Opcode.OP_TXVERSION) {
+          buf = new BN(this.tx.version).toScriptNumBuffer()
+        } else if (opcodenum === Opcode.OP_TXINPUTCOUNT) {
+          buf = new BN(this.tx.inputs.length).toScriptNumBuffer()
+        } else if (opcodenum === Opcode.OP_TXOUTPUTCOUNT) {
+          buf = new BN(this.tx.outputs.length).toScriptNumBuffer()
+        } else {
+          buf = new BN(this.tx.nLockTime).toScriptNumBuffer()
+        }
+        this.stack.push(buf)
+        break
 
-      case Opcode.OP_STATESEPARATOR:
-      case Opcode.OP_STATESEPARATORINDEX_UTXO:
-      case Opcode.OP_STATESEPARATORINDEX_OUTPUT:
+      case Opcode.OP_UTXOVALUE:
+      case Opcode.OP_UTXOBYTECODE:
+      case Opcode.OP_OUTPOINTTXHASH:
+      case Opcode.OP_OUTPOINTINDEX:
+      case Opcode.OP_INPUTBYTECODE:
+      case Opcode.OP_INPUTSEQUENCENUMBER:
+        // (index -- value)
+        if (!(this.flags & Interpreter.SCRIPT_NATIVE_INTROSPECTION)) {
+          this.errstr = 'SCRIPT_ERR_BAD_OPCODE'
+          return false
+        }
+        if (!this.tx) {
+          this.errstr = 'SCRIPT_ERR_CONTEXT_NOT_PRESENT'
+          return false
+        }
+        n = introspectionIndex(this.tx.inputs.length, 'SCRIPT_ERR_INVALID_TX_INPUT_INDEX')
+        if (n < 0) {
+          return false
+        }
+        var txin = this.tx.inputs[n]
+        if (opcodenum === Opcode.OP_UTXOVALUE || opcodenum === Opcode.OP_UTXOBYTECODE) {
+          var prevout = this.getPrevout(n)
+          if (!prevout) {
+            this.errstr = 'SCRIPT_ERR_CONTEXT_NOT_PRESENT'
+            return false
+          }
+          buf = opcodenum === Opcode.OP_UTXOVALUE
+            ? prevout.satoshisBN.toScriptNumBuffer()
+            : prevout._scriptBuffer
+        } else if (opcodenum === Opcode.OP_OUTPOINTTXHASH) {
+          // Internal (little-endian) byte order, as serialized in the outpoint.
+          buf = Buffer.from(txin.prevTxId).reverse()
+        } else if (opcodenum === Opcode.OP_OUTPOINTINDEX) {
+          buf = new BN(txin.outputIndex).toScriptNumBuffer()
+        } else if (opcodenum === Opcode.OP_INPUTBYTECODE) {
+          buf = txin._scriptBuffer
+        } else {
+          buf = new BN(txin.sequenceNumber).toScriptNumBuffer()
+        }
+        this.stack.pop()
+        this.stack.push(Buffer.from(buf))
+        break
+
+      case Opcode.OP_OUTPUTVALUE:
+      case Opcode.OP_OUTPUTBYTECODE:
+        // (index -- value)
+        if (!(this.flags & Interpreter.SCRIPT_NATIVE_INTROSPECTION)) {
+          this.errstr = 'SCRIPT_ERR_BAD_OPCODE'
+          return false
+        }
+        if (!this.tx) {
+          this.errstr = 'SCRIPT_ERR_CONTEXT_NOT_PRESENT'
+          return false
+        }
+        n = introspectionIndex(this.tx.outputs.length, 'SCRIPT_ERR_INVALID_TX_OUTPUT_INDEX')
+        if (n < 0) {
+          return false
+        }
+        var txout = this.tx.outputs[n]
+        buf = opcodenum === Opcode.OP_OUTPUTVALUE
+          ? txout.satoshisBN.toScriptNumBuffer()
+          : Buffer.from(txout._scriptBuffer)
+        this.stack.pop()
+        this.stack.push(buf)
+        break
+
+      //
+      // References
+      //
       case Opcode.OP_PUSHINPUTREF:
       case Opcode.OP_REQUIREINPUTREF:
       case Opcode.OP_DISALLOWPUSHINPUTREF:
       case Opcode.OP_DISALLOWPUSHINPUTREFSIBLING:
+      case Opcode.OP_PUSHINPUTREFSINGLETON:
+        // The 36-byte ref is carried inline. Whether an output may carry it
+        // is a transaction-level rule, see checkTransactionRefs().
+        if (!chunk.buf || chunk.buf.length !== 36) {
+          this.errstr = 'SCRIPT_ERR_INVALID_' + Opcode.fromNumber(opcodenum).toString().slice(3)
+          return false
+        }
+        if (opcodenum !== Opcode.OP_DISALLOWPUSHINPUTREF && opcodenum !== Opcode.OP_DISALLOWPUSHINPUTREFSIBLING) {
+          this.stack.push(Buffer.from(chunk.buf))
+        }
+        break
 
-      case Opcode.OP_REFHASHDATASUMMARY_UTXO:
-      case Opcode.OP_REFHASHDATASUMMARY_OUTPUT:
-      case Opcode.OP_REFHASHVALUESUM_UTXOS:
-      case Opcode.OP_REFHASHVALUESUM_OUTPUTS:
+      //
+      // State separation
+      //
+      case Opcode.OP_STATESEPARATOR:
+        // Marks the end of the state section; only one is allowed, at the top
+        // level of a locking script.
+        if (scriptType === 'scriptSig' || this.vfExec.length > 0 ||
+          this.script.chunks.filter(function (c) { return c.opcodenum === Opcode.OP_STATESEPARATOR }).length > 1) {
+          this.errstr = 'SCRIPT_ERR_INVALID_STATE_SEPARATOR_LOCATION'
+          return false
+        }
+        break
 
-      case Opcode.OP_PUSHINPUTREFSINGLETON:
-      case Opcode.OP_REFTYPE_UTXO:
-      case Opcode.OP_REFTYPE_OUTPUT:
+      case Opcode.OP_STATESEPARATORINDEX_UTXO:
+      case Opcode.OP_CODESCRIPTBYTECODE_UTXO:
+      case Opcode.OP_STATESCRIPTBYTECODE_UTXO:
+      case Opcode.OP_STATESEPARATORINDEX_OUTPUT:
+      case Opcode.OP_CODESCRIPTBYTECODE_OUTPUT:
+      case Opcode.OP_STATESCRIPTBYTECODE_OUTPUT:
+        // (index -- value)
+        if (!this.tx) {
+          this.errstr = 'SCRIPT_ERR_CONTEXT_NOT_PRESENT'
+          return false
+        }
+        var output = indexedOutput(opcodenum === Opcode.OP_STATESEPARATORINDEX_UTXO ||
+          opcodenum === Opcode.OP_CODESCRIPTBYTECODE_UTXO ||
+          opcodenum === Opcode.OP_STATESCRIPTBYTECODE_UTXO)
+        if (!output) {
+          return false
+        }
+        var parts = Interpreter._splitStateScript(output)
+        if (opcodenum === Opcode.OP_STATESEPARATORINDEX_UTXO || opcodenum === Opcode.OP_STATESEPARATORINDEX_OUTPUT) {
+          buf = new BN(parts.index).toScriptNumBuffer()
+        } else if (opcodenum === Opcode.OP_CODESCRIPTBYTECODE_UTXO || opcodenum === Opcode.OP_CODESCRIPTBYTECODE_OUTPUT) {
+          buf = Buffer.from(parts.code)
+        } else {
+          buf = Buffer.from(parts.state)
+        }
+        this.stack.pop()
+        this.stack.push(buf)
+        break
 
+      //
+      // Ref aggregates
+      //
       case Opcode.OP_REFVALUESUM_UTXOS:
       case Opcode.OP_REFVALUESUM_OUTPUTS:
       case Opcode.OP_REFOUTPUTCOUNT_UTXOS:
       case Opcode.OP_REFOUTPUTCOUNT_OUTPUTS:
       case Opcode.OP_REFOUTPUTCOUNTZEROVALUED_UTXOS:
       case Opcode.OP_REFOUTPUTCOUNTZEROVALUED_OUTPUTS:
+      case Opcode.OP_REFTYPE_UTXO:
+      case Opcode.OP_REFTYPE_OUTPUT:
+        // (ref -- value)
+        if (!this.tx) {
+          this.errstr = 'SCRIPT_ERR_CONTEXT_NOT_PRESENT'
+          return false
+        }
+        if (this.stack.length < 1) {
+          this.errstr = 'SCRIPT_ERR_INVALID_STACK_OPERATION'
+          return false
+        }
+        buf1 = stacktop(-1)
+        if (buf1.length !== 36) {
+          this.errstr = 'SCRIPT_ERR_INVALID_OPERAND_SIZE'
+          return false
+        }
+        var refOutputs = this.tx.outputs
+        if (opcodenum === Opcode.OP_REFVALUESUM_UTXOS ||
+          opcodenum === Opcode.OP_REFOUTPUTCOUNT_UTXOS ||
+          opcodenum === Opcode.OP_REFOUTPUTCOUNTZEROVALUED_UTXOS ||
+          opcodenum === Opcode.OP_REFTYPE_UTXO) {
+          refOutputs = spentOutputs()
+        }
+        if (!refOutputs) {
+          return false
+        }
+        var refKey = buf1.toString('hex')
+        var refSum = new BN(0)
+        var refCount = 0
+        var refZeroCount = 0
+        var refType = 0
+        refOutputs.forEach(function (refOutput) {
+          var refs = Interpreter._scriptRefs(refOutput)
+          if (!refs.push.has(refKey) && !refs.singleton.has(refKey)) {
+            return
+          }
+          refSum = refSum.add(refOutput.satoshisBN)
+          refCount++
+          if (refOutput.satoshisBN.isZero()) {
+            refZeroCount++
+          }
+          refType = refs.singleton.has(refKey) ? 2 : Math.max(refType, 1)
+        })
+        if (opcodenum === Opcode.OP_REFVALUESUM_UTXOS || opcodenum === Opcode.OP_REFVALUESUM_OUTPUTS) {
+          buf = refSum.toScriptNumBuffer()
+        } else if (opcodenum === Opcode.OP_REFOUTPUTCOUNT_UTXOS || opcodenum === Opcode.OP_REFOUTPUTCOUNT_OUTPUTS) {
+          buf = new BN(refCount).toScriptNumBuffer()
+        } else if (opcodenum === Opcode.OP_REFTYPE_UTXO || opcodenum === Opcode.OP_REFTYPE_OUTPUT) {
+          // 0: not carried, 1: normal ref, 2: singleton
+          buf = new BN(refType).toScriptNumBuffer()
+        } else {
+          buf = new BN(refZeroCount).toScriptNumBuffer()
+        }
+        this.stack.pop()
+        this.stack.push(buf)
+        break
+
       case Opcode.OP_REFDATASUMMARY_UTXO:
       case Opcode.OP_REFDATASUMMARY_OUTPUT:
-        
+      case Opcode.OP_REFHASHDATASUMMARY_UTXO:
+      case Opcode.OP_REFHASHDATASUMMARY_OUTPUT:
+        // (index -- summary)
+        if (!this.tx) {
+          this.errstr = 'SCRIPT_ERR_CONTEXT_NOT_PRESENT'
+          return false
+        }
+        var summaryOutput = indexedOutput(opcodenum === Opcode.OP_REFDATASUMMARY_UTXO ||
+          opcodenum === Opcode.OP_REFHASHDATASUMMARY_UTXO)
+        if (!summaryOutput) {
+          return false
+        }
+        if (opcodenum === Opcode.OP_REFHASHDATASUMMARY_UTXO || opcodenum === Opcode.OP_REFHASHDATASUMMARY_OUTPUT) {
+          // Same per-output summary as committed to by the sighash preimage.
+          // Required lazily: sighash depends on this module.
+          var Sighash = require('../transaction/sighash')
+          buf = Hash.sha256sha256(Sighash.GetOutputSummary(summaryOutput))
+        } else {
+          // Sorted concatenation of the pushed refs, or one zero ref if there are none
+          var summaryRefs = Interpreter._scriptRefs(summaryOutput)
+          var pushed = Array.from(summaryRefs.push.keys()).concat(Array.from(summaryRefs.singleton.keys())).sort()
+          buf = pushed.length ? Buffer.from(pushed.join(''), 'hex') : Buffer.alloc(36)
+        }
+        this.stack.pop()
+        this.stack.push(buf)
+        break
+
+      case Opcode.OP_REFHASHVALUESUM_UTXOS:
+      case Opcode.OP_REFHASHVALUESUM_OUTPUTS:
+        // (refsHash -- value): total value of the outputs whose refs hash
+        // (see Interpreter._refsHash) equals the operand
+        if (!this.tx) {
+          this.errstr = 'SCRIPT_ERR_CONTEXT_NOT_PRESENT'
+          return false
+        }
+        if (this.stack.length < 1) {
+          this.errstr = 'SCRIPT_ERR_INVALID_STACK_OPERATION'
+          return false
+        }
+        buf1 = stacktop(-1)
+        if (buf1.length !== 32) {
+          this.errstr = 'SCRIPT_ERR_INVALID_OPERAND_SIZE'
+          return false
+        }
+        var valueOutputs = opcodenum === Opcode.OP_REFHASHVALUESUM_UTXOS ? spentOutputs() : this.tx.outputs
+        if (!valueOutputs) {
+          return false
+        }
+        var refsHashSum = new BN(0)
+        valueOutputs.forEach(function (valueOutput) {
+          if (Interpreter._refsHash(valueOutput).equals(buf1)) {
+            refsHashSum = refsHashSum.add(valueOutput.satoshisBN)
+          }
+        })
+        this.stack.pop()
+        this.stack.push(refsHashSum.toScriptNumBuffer())
+        break
+
+      //
+      // Code script aggregates
+      //
       case Opcode.OP_CODESCRIPTHASHVALUESUM_UTXOS:
       case Opcode.OP_CODESCRIPTHASHVALUESUM_OUTPUTS:
       case Opcode.OP_CODESCRIPTHASHOUTPUTCOUNT_UTXOS:
       case Opcode.OP_CODESCRIPTHASHOUTPUTCOUNT_OUTPUTS:
       case Opcode.OP_CODESCRIPTHASHZEROVALUEDOUTPUTCOUNT_UTXOS:
       case Opcode.OP_CODESCRIPTHASHZEROVALUEDOUTPUTCOUNT_OUTPUTS:
-      case Opcode.OP_CODESCRIPTBYTECODE_UTXO:
-      case Opcode.OP_CODESCRIPTBYTECODE_OUTPUT:
-      case Opcode.OP_STATESCRIPTBYTECODE_UTXO:
-      case Opcode.OP_STATESCRIPTBYTECODE_OUTPUT:
-
-      case Opcode.OP_INPUTINDEX:
-      case Opcode.OP_ACTIVEBYTECODE:
-      case Opcode.OP_TXVERSION:
-      case Opcode.OP_TXINPUTCOUNT:
-      case Opcode.OP_TXOUTPUTCOUNT:
-      case Opcode.OP_TXLOCKTIME:
-      case Opcode.OP_UTXOVALUE:
-      case Opcode.OP_UTXOBYTECODE:
-      case Opcode.OP_OUTPOINTTXHASH:
-      case Opcode.OP_OUTPOINTINDEX:
-      case Opcode.OP_INPUTBYTECODE:
-      case Opcode.OP_INPUTSEQUENCENUMBER:
-      case Opcode.OP_OUTPUTVALUE:
-      case Opcode.OP_OUTPUTBYTECODE:
-        Interpreter._warnUnimplemented(opcodenum)
+        // (codeScriptHash -- value): aggregates the outputs whose code script
+        // (see Script#getCodeScriptHash) hashes to the operand
+        if (!this.tx) {
+          this.errstr = 'SCRIPT_ERR_CONTEXT_NOT_PRESENT'
+          return false
+        }
+        if (this.stack.length < 1) {
+          this.errstr = 'SCRIPT_ERR_INVALID_STACK_OPERATION'
+          return false
+        }
+        buf1 = stacktop(-1)
+        if (buf1.length !== 32) {
+          this.errstr = 'SCRIPT_ERR_INVALID_OPERAND_SIZE'
+          return false
+        }
+        var codeOutputs = this.tx.outputs
+        if (opcodenum === Opcode.OP_CODESCRIPTHASHVALUESUM_UTXOS ||
+          opcodenum === Opcode.OP_CODESCRIPTHASHOUTPUTCOUNT_UTXOS ||
+          opcodenum === Opcode.OP_CODESCRIPTHASHZEROVALUEDOUTPUTCOUNT_UTXOS) {
+          codeOutputs = spentOutputs()
+        }
+        if (!codeOutputs) {
+          return false
+        }
+        var codeSum = new BN(0)
+        var codeCount = 0
+        var codeZeroCount = 0
+        codeOutputs.forEach(function (codeOutput) {
+          var codeHash = Hash.sha256sha256(Interpreter._splitStateScript(codeOutput).code)
+          if (!codeHash.equals(buf1)) {
+            return
+          }
+          codeSum = codeSum.add(codeOutput.satoshisBN)
+          codeCount++
+          if (codeOutput.satoshisBN.isZero()) {
+            codeZeroCount++
+          }
+        })
+        if (opcodenum === Opcode.OP_CODESCRIPTHASHVALUESUM_UTXOS || opcodenum === Opcode.OP_CODESCRIPTHASHVALUESUM_OUTPUTS) {
+          buf = codeSum.toScriptNumBuffer()
+        } else if (opcodenum === Opcode.OP_CODESCRIPTHASHOUTPUTCOUNT_UTXOS || opcodenum === Opcode.OP_CODESCRIPTHASHOUTPUTCOUNT_OUTPUTS) {
+          buf = new BN(codeCount).toScriptNumBuffer()
+        } else {
+          buf = new BN(codeZeroCount).toScriptNumBuffer()
+        }
+        this.stack.pop()
+        this.stack.push(buf)
         break
 
       default:
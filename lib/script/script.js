@@ -51,6 +51,7 @@ var Address = require('../address')
 var BufferReader = require('../encoding/bufferreader')
 var BufferWriter = require('../encoding/bufferwriter')
 var Hash = require('../crypto/hash')
+var BN = require('../crypto/bn')
 var Opcode = require('../opcode')
 var PublicKey = require('../publickey')
 var Signature = require('../crypto/signature')
@@ -178,6 +179,37 @@ Script.getPushRefsFromScriptBuffer = function (buffer, pushRefMap, requireRefMap
   return script
 }
 
+/**
+ * Collect every ref carried by a script, grouped by the opcode that carries it.
+ * Each group maps the hex-encoded 36-byte ref to its buffer.
+ *
+ * @param {Buffer} buffer - serialized script
+ * @returns {{push: Map, singleton: Map, require: Map, disallow: Map, disallowSibling: Map}}
+ */
+Script.getRefsFromScriptBuffer = function (buffer) {
+  var refs = {
+    push: new Map(),
+    singleton: new Map(),
+    require: new Map(),
+    disallow: new Map(),
+    disallowSibling: new Map()
+  }
+  var groups = {}
+  groups[Opcode.OP_PUSHINPUTREF] = refs.push
+  groups[Opcode.OP_PUSHINPUTREFSINGLETON] = refs.singleton
+  groups[Opcode.OP_REQUIREINPUTREF] = refs.require
+  groups[Opcode.OP_DISALLOWPUSHINPUTREF] = refs.disallow
+  groups[Opcode.OP_DISALLOWPUSHINPUTREFSIBLING] = refs.disallowSibling
+
+  Script.fromBuffer(buffer).chunks.forEach(function (chunk) {
+    var group = groups[chunk.opcodenum]
+    if (group) {
+      group.set(chunk.buf.toString('hex'), chunk.buf)
+    }
+  })
+  return refs
+}
+
 Script.fromBuffer = function (buffer) {
   var script = new Script()
   script.chunks = []
@@ -426,6 +458,55 @@ Script.fromString = function (str) {
   return script
 }
 
+/**
+ * Parses the script notation of the node's JSON test vectors
+ * (script_tests.json, tx_valid.json, tx_invalid.json): opcode names with or
+ * without the OP_ prefix, decimal numbers pushed as script numbers,
+ * 'quoted' strings pushed as data, and 0x... hex copied verbatim.
+ *
+ * @param {string} str
+ * @return {Script}
+ */
+Script.fromBitcoindString = function (str) {
+  var bw = new BufferWriter()
+  var tokens = str.split(' ')
+  for (var i = 0; i < tokens.length; i++) {
+    var token = tokens[i]
+    if (token === '') {
+      continue
+    }
+
+    var opstr
+    var opcodenum
+    var tbuf
+    if (token[0] === '0' && token[1] === 'x') {
+      var hex = token.slice(2)
+      bw.write(Buffer.from(hex, 'hex'))
+    } else if (token[0] === '\'') {
+      var tstr = token.slice(1, token.length - 1)
+      var cbuf = Buffer.from(tstr)
+      tbuf = Script().add(cbuf).toBuffer()
+      bw.write(tbuf)
+    } else if (typeof Opcode['OP_' + token] !== 'undefined') {
+      opstr = 'OP_' + token
+      opcodenum = Opcode[opstr]
+      bw.writeUInt8(opcodenum)
+    } else if (typeof Opcode[token] === 'number') {
+      opstr = token
+      opcodenum = Opcode[opstr]
+      bw.writeUInt8(opcodenum)
+    } else if (!isNaN(parseInt(token))) {
+      var script = Script().add(new BN(token).toScriptNumBuffer())
+      tbuf = script.toBuffer()
+      bw.write(tbuf)
+    } else {
+      throw new Error('Could not determine type of script value')
+    }
+  }
+  var buf = bw.concat()
+  return this.fromBuffer(buf)
+}
+
 Script.prototype._chunkToString = function (chunk, type) {
   var opcodenum = chunk.opcodenum
   var asm = (type === 'asm')
@@ -713,6 +794,32 @@ Script.prototype.isSafeDataOut = function () {
   return script2.isDataOut()
 }
 
+/**
+ * Recognize a Glyph NFT singleton output:
+ * OP_PUSHINPUTREFSINGLETON <ref> OP_DROP OP_DUP OP_HASH160 <pubKeyHash> OP_EQUALVERIFY OP_CHECKSIG
+ *
+ * @param {Network|string=} network - network of the returned owner address
+ * @returns {{ref: Buffer, owner: Address}|boolean} the singleton ref and the
+ *   owner's address, or false if this is not an NFT singleton output
+ */
+Script.prototype.isGlyphNftOut = function (network) {
+  if (!(this.chunks.length === 7 &&
+    this.chunks[0].opcodenum === Opcode.OP_PUSHINPUTREFSINGLETON &&
+    this.chunks[0].buf &&
+    this.chunks[0].buf.length === 36 &&
+    this.chunks[1].opcodenum === Opcode.OP_DROP)) {
+    return false
+  }
+  var p2pkh = new Script({ chunks: this.chunks.slice(2) })
+  if (!p2pkh.isPublicKeyHashOut()) {
+    return false
+  }
+  return {
+    ref: this.chunks[0].buf,
+    owner: Address.fromPublicKeyHash(p2pkh.getPublicKeyHash(), network)
+  }
+}
+
 /**
  * Retrieve the associated data for this script.
  * In the case of a pay to public key hash or P2SH, return the hash.
@@ -977,6 +1084,65 @@ Script.prototype.subScript = function (n) {
   })
 }
 
+/**
+ * Radiant contracts keep mutable state in front of an OP_STATESEPARATOR and
+ * the contract code after it. A script may contain at most one separator.
+ *
+ * @returns {number} byte offset of the OP_STATESEPARATOR, or -1 if there is none
+ */
+Script.prototype.getStateSeparatorIndex = function () {
+  for (var i = 0; i < this.chunks.length; i++) {
+    if (this.chunks[i].opcodenum === Opcode.OP_STATESEPARATOR) {
+      return new Script().set({
+        chunks: this.chunks.slice(0, i)
+      }).toBuffer().length
+    }
+  }
+  return -1
+}
+
+/**
+ * @returns {Script} the state part of the script, everything before the
+ * OP_STATESEPARATOR. Empty if the script has no separator.
+ */
+Script.prototype.getStateScript = function () {
+  for (var i = 0; i < this.chunks.length; i++) {
+    if (this.chunks[i].opcodenum === Opcode.OP_STATESEPARATOR) {
+      return new Script().set({
+        chunks: this.chunks.slice(0, i)
+      })
+    }
+  }
+  return new Script()
+}
+
+/**
+ * @returns {Script} the code part of the script, everything after the
+ * OP_STATESEPARATOR. The whole script if it has no separator.
+ */
+Script.prototype.getCodeScript = function () {
+  for (var i = 0; i < this.chunks.length; i++) {
+    if (this.chunks[i].opcodenum === Opcode.OP_STATESEPARATOR) {
+      return new Script().set({
+        chunks: this.chunks.slice(i + 1)
+      })
+    }
+  }
+  return new Script().set({
+    chunks: this.chunks.slice(0)
+  })
+}
+
+/**
+ * Outputs sharing a code script hash run the same contract, whatever their
+ * state. Same double SHA-256 as OP_HASH256.
+ *
+ * @returns {Buffer} sha256sha256 of the code script
+ */
+Script.prototype.getCodeScriptHash = function () {
+  return Hash.sha256sha256(this.getCodeScript().toBuffer())
+}
+
 // high level script builder methods
 
 /**
@@ -1378,7 +1544,8 @@ Script.prototype.getSignatureOperationsCount = function (accurate) {
   var lastOpcode = Opcode.OP_INVALIDOPCODE
   _.each(self.chunks, function getChunk (chunk) {
     var opcode = chunk.opcodenum
-    if (opcode === Opcode.OP_CHECKSIG || opcode === Opcode.OP_CHECKSIGVERIFY) {
+    if (opcode === Opcode.OP_CHECKSIG || opcode === Opcode.OP_CHECKSIGVERIFY ||
+      opcode === Opcode.OP_CHECKDATASIG || opcode === Opcode.OP_CHECKDATASIGVERIFY) {
       n++
     } else if (opcode === Opcode.OP_CHECKMULTISIG || opcode === Opcode.OP_CHECKMULTISIGVERIFY) {
       if (accurate && lastOpcode >= Opcode.OP_1 && lastOpcode <= Opcode.OP_16) {
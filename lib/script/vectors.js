@@ -0,0 +1,185 @@
+'use strict'
+
+var _ = require('../util/_')
+var $ = require('../util/preconditions')
+var BN = require('../crypto/bn')
+var Script = require('./script')
+var Interpreter = require('./interpreter')
+
+/**
+ * Runs the node's JSON script test vectors through the interpreter so that
+ * any consensus drift between radiantjs and the node shows up as a failing
+ * vector.
+ *
+ * script_tests.json entries are
+ *   [[amount]?, scriptSig, scriptPubKey, flags, expected, comment?]
+ * and tx_valid.json / tx_invalid.json entries are
+ *   [[[prevTxId, vout, scriptPubKey, amount?], ...], txHex, flags]
+ * Single-element entries are comments and are ignored. Vectors are numbered
+ * from 1, counting non-comment entries only.
+ */
+var Vectors = {}
+
+module.exports = Vectors
+
+var parse = function (vectors) {
+  if (_.isString(vectors)) {
+    vectors = JSON.parse(vectors)
+  }
+  $.checkArgument(_.isArray(vectors), 'vectors must be an array or a JSON string')
+  return vectors
+}
+
+var summarize = function (vectors, runVector, opts) {
+  opts = opts || {}
+  var skip = opts.skip || new Set()
+  var summary = { passed: 0, failed: 0, skipped: 0, results: [] }
+  var index = 0
+  parse(vectors).forEach(function (vector) {
+    if (vector.length === 1) {
+      return
+    }
+    index++
+    var result
+    if (skip.has(index)) {
+      result = { skipped: true }
+      summary.skipped++
+    } else {
+      result = runVector(vector)
+      summary[result.passed ? 'passed' : 'failed']++
+    }
+    result.index = index
+    summary.results.push(result)
+  })
+  return summary
+}
+
+/**
+ * Runs one script_tests.json entry. The scriptSig is spent from a crediting
+ * transaction whose single output holds the scriptPubKey, as the node does.
+ *
+ * @param {Array} vector
+ * @return {{passed: boolean, expected: string, verified: boolean,
+ *   errstr: string, comment: string}} `passed` compares only validity;
+ *   `expected` is the node's error name for drift reports
+ */
+Vectors.runScriptVector = function (vector) {
+  var Transaction = require('../transaction')
+  var amount = 0
+  if (_.isArray(vector[0])) {
+    amount = Math.round(vector[0][0] * 1e8)
+    vector = vector.slice(1)
+  }
+  var scriptSig = Script.fromBitcoindString(vector[0])
+  var scriptPubkey = Script.fromBitcoindString(vector[1])
+  var flags = Interpreter.flagsFromString(vector[2])
+
+  var credtx = new Transaction()
+  credtx.uncheckedAddInput(new Transaction.Input({
+    prevTxId: '0000000000000000000000000000000000000000000000000000000000000000',
+    outputIndex: 0xffffffff,
+    sequenceNumber: 0xffffffff,
+    script: Script('OP_0 OP_0')
+  }))
+  credtx.addOutput(new Transaction.Output({
+    script: scriptPubkey,
+    satoshis: amount
+  }))
+
+  var spendtx = new Transaction()
+  spendtx.uncheckedAddInput(new Transaction.Input({
+    prevTxId: credtx.id,
+    outputIndex: 0,
+    sequenceNumber: 0xffffffff,
+    script: scriptSig
+  }))
+  spendtx.addOutput(new Transaction.Output({
+    script: new Script(),
+    satoshis: amount
+  }))
+
+  var interp = new Interpreter()
+  var verified = interp.verify(scriptSig, scriptPubkey, spendtx, 0, flags, new BN(amount))
+  return {
+    passed: verified === (vector[3] === 'OK'),
+    expected: vector[3],
+    verified: verified,
+    errstr: interp.errstr,
+    comment: vector[4] || ''
+  }
+}
+
+/**
+ * Runs one tx_valid.json or tx_invalid.json entry: every non-coinbase input
+ * must verify against its listed scriptPubKey and the transaction must pass
+ * Transaction#verify for it to count as valid.
+ *
+ * @param {Array} vector
+ * @param {boolean} expectValid - true for tx_valid.json entries
+ * @return {{passed: boolean, valid: boolean, inputIndex: number,
+ *   errstr: string}} `inputIndex` is the first failing input, or -1
+ */
+Vectors.runTxVector = function (vector, expectValid) {
+  var Transaction = require('../transaction')
+  var prevouts = {}
+  vector[0].forEach(function (input) {
+    var outputIndex = input[1] === -1 ? 0xffffffff : input[1]
+    prevouts[input[0] + ':' + outputIndex] = {
+      script: Script.fromBitcoindString(input[2]),
+      satoshis: input[3] || 0
+    }
+  })
+  var flags = Interpreter.flagsFromString(vector[2])
+  var tx = new Transaction(vector[1])
+
+  var result = { passed: false, valid: true, inputIndex: -1, errstr: '' }
+  for (var i = 0; i < tx.inputs.length && result.valid; i++) {
+    var input = tx.inputs[i]
+    if (input.isNull()) {
+      continue
+    }
+    var prevout = prevouts[input.prevTxId.toString('hex') + ':' + input.outputIndex]
+    var interp = new Interpreter()
+    if (!prevout) {
+      result.errstr = 'missing prevout'
+    } else if (!interp.verify(input.script, prevout.script, tx, i, flags, new BN(prevout.satoshis))) {
+      result.errstr = interp.errstr
+    } else {
+      continue
+    }
+    result.valid = false
+    result.inputIndex = i
+  }
+  if (result.valid) {
+    var txVerified = tx.verify()
+    if (txVerified !== true) {
+      result.valid = false
+      result.errstr = txVerified
+    }
+  }
+  result.passed = result.valid === expectValid
+  return result
+}
+
+/**
+ * @param {Array|string} vectors - parsed script_tests.json or its JSON text
+ * @param {Object=} opts
+ * @param {Set=} opts.skip - vector numbers to report as skipped
+ * @return {{passed: number, failed: number, skipped: number, results: Array}}
+ *   per-vector results as returned by runScriptVector, plus their `index`
+ */
+Vectors.runScriptTests = function (vectors, opts) {
+  return summarize(vectors, Vectors.runScriptVector, opts)
+}
+
+/**
+ * @param {Array|string} vectors - parsed tx_valid.json / tx_invalid.json or its JSON text
+ * @param {boolean} expectValid - true for tx_valid.json
+ * @param {Object=} opts - see runScriptTests
+ * @return {{passed: number, failed: number, skipped: number, results: Array}}
+ */
+Vectors.runTxTests = function (vectors, expectValid, opts) {
+  return summarize(vectors, function (vector) {
+    return Vectors.runTxVector(vector, expectValid)
+  }, opts)
+}
@@ -0,0 +1,58 @@
+'use strict'
+
+var inherits = require('inherits')
+
+var $ = require('../../util/preconditions')
+
+var Input = require('./input')
+var BN = require('../../crypto/bn')
+var Opcode = require('../../opcode')
+var Script = require('../../script')
+
+/**
+ * Spends a Glyph mutable contract output. Nothing is signed: the unlocking
+ * script names the outputs holding the recreated contract and the update
+ * envelope, and the contract checks that the transaction also spends the
+ * token, whose input carries the owner's signature.
+ *
+ * @param {Object} params - as for Input
+ * @param {number} continuationIndex - index of the recreated contract output
+ * @param {number} envelopeIndex - index of the update envelope output
+ * @constructor
+ */
+function GlyphMutableInput (params, continuationIndex, envelopeIndex) {
+  Input.apply(this, arguments)
+  $.checkArgument(Number.isInteger(continuationIndex) && continuationIndex >= 0, 'continuationIndex must be an output index')
+  $.checkArgument(Number.isInteger(envelopeIndex) && envelopeIndex >= 0, 'envelopeIndex must be an output index')
+  this.continuationIndex = continuationIndex
+  this.envelopeIndex = envelopeIndex
+  this.setScript(new Script().add(pushIndex(envelopeIndex)).add(pushIndex(continuationIndex)))
+}
+inherits(GlyphMutableInput, Input)
+
+function pushIndex (index) {
+  return index <= 16 ? Opcode.smallInt(index) : BN.fromNumber(index).toScriptNumBuffer()
+}
+
+/**
+ * @return {Array} no signatures, the input needs none
+ */
+GlyphMutableInput.prototype.getSignatures = function () {
+  return []
+}
+
+/**
+ * @return {GlyphMutableInput} this, for chaining; the output indices are kept
+ */
+GlyphMutableInput.prototype.clearSignatures = function () {
+  return this
+}
+
+/**
+ * @return {boolean} always true, the output indices are all the input needs
+ */
+GlyphMutableInput.prototype.isFullySigned = function () {
+  return true
+}
+
+module.exports = GlyphMutableInput
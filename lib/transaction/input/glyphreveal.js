@@ -0,0 +1,109 @@
+'use strict'
+
+var inherits = require('inherits')
+
+var $ = require('../../util/preconditions')
+
+var Hash = require('../../crypto/hash')
+var Input = require('./input')
+var PublicKeyHashInput = require('./publickeyhash')
+var Output = require('../output')
+var Sighash = require('../sighash')
+var Script = require('../../script')
+var Signature = require('../../crypto/signature')
+var TransactionSignature = require('../signature')
+
+/**
+ * Spends a Glyph commit output. The unlocking script is the P2PKH signature
+ * and public key followed by the reveal envelope pushes, which the commit
+ * output checks against its hashlocks.
+ *
+ * @param {Object} params - as for Input
+ * @param {Buffer[]} revealChunks - reveal envelope pushes (header, metadata, files)
+ * @constructor
+ */
+function GlyphRevealInput (params, revealChunks) {
+  Input.apply(this, arguments)
+  $.checkArgument(Array.isArray(revealChunks), 'revealChunks must be an array of buffers')
+  this.revealChunks = revealChunks
+  this.publicKeyHash = this.output.script.chunks[this.output.script.chunks.length - 3].buf
+}
+inherits(GlyphRevealInput, Input)
+
+/**
+ * @param {Transaction} transaction - the transaction to be signed
+ * @param {PrivateKey} privateKey - the private key with which to sign the transaction
+ * @param {number} index - the index of the input in the transaction input vector
+ * @param {number=} sigtype - the type of signature, defaults to Signature.SIGHASH_ALL
+ * @param {Buffer=} hashData - the precalculated hash of the public key associated with the privateKey provided
+ * @return {Array} of objects that can be
+ */
+GlyphRevealInput.prototype.getSignatures = function (transaction, privateKey, index, sigtype, hashData) {
+  $.checkState(this.output instanceof Output)
+  hashData = hashData || Hash.sha256ripemd160(privateKey.publicKey.toBuffer())
+  sigtype = sigtype || (Signature.SIGHASH_ALL | Signature.SIGHASH_FORKID)
+
+  if (hashData.equals(this.publicKeyHash)) {
+    return [new TransactionSignature({
+      publicKey: privateKey.publicKey,
+      prevTxId: this.prevTxId,
+      outputIndex: this.outputIndex,
+      inputIndex: index,
+      signature: Sighash.sign(transaction, privateKey, sigtype, index, this.output.script, this.output.satoshisBN),
+      sigtype: sigtype
+    })]
+  }
+  return []
+}
+
+/**
+ * Add the provided signature, followed by the reveal envelope
+ *
+ * @param {Object} signature
+ * @param {PublicKey} signature.publicKey
+ * @param {Signature} signature.signature
+ * @param {number=} signature.sigtype
+ * @return {GlyphRevealInput} this, for chaining
+ */
+GlyphRevealInput.prototype.addSignature = function (transaction, signature) {
+  $.checkState(this.isValidSignature(transaction, signature), 'Signature is invalid')
+
+  var script = Script.buildPublicKeyHashIn(
+    signature.publicKey,
+    signature.signature.toDER(),
+    signature.sigtype
+  )
+  this.revealChunks.forEach(function (chunk) {
+    script.add(chunk)
+  })
+  this.setScript(script)
+  return this
+}
+
+/**
+ * Clear the input's signature
+ * @return {GlyphRevealInput} this, for chaining
+ */
+GlyphRevealInput.prototype.clearSignatures = function () {
+  this.setScript(Script.empty())
+  return this
+}
+
+/**
+ * Query whether the input is signed
+ * @return {boolean}
+ */
+GlyphRevealInput.prototype.isFullySigned = function () {
+  return this.script.chunks.length === 2 + this.revealChunks.length
+}
+
+GlyphRevealInput.prototype._estimateSize = function () {
+  var reveal = new Script()
+  this.revealChunks.forEach(function (chunk) {
+    reveal.add(chunk)
+  })
+  // the reveal pushes can take the script size varint up to 5 bytes
+  return Input.BASE_SIZE + PublicKeyHashInput.SCRIPT_MAX_SIZE + reveal.toBuffer().length + 4
+}
+
+module.exports = GlyphRevealInput
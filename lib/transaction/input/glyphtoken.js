@@ -0,0 +1,71 @@
+'use strict'
+
+var inherits = require('inherits')
+
+var $ = require('../../util/preconditions')
+
+var Hash = require('../../crypto/hash')
+var Opcode = require('../../opcode')
+var PublicKeyHashInput = require('./publickeyhash')
+var Output = require('../output')
+var Sighash = require('../sighash')
+var Signature = require('../../crypto/signature')
+var TransactionSignature = require('../signature')
+
+/**
+ * Spends a Glyph token output whose locking script embeds a P2PKH check
+ * among ref opcodes, such as a fungible token holder script or an NFT
+ * singleton output. It is unlocked
+ * like P2PKH, with the whole locking script as the signed subscript.
+ * @constructor
+ */
+function GlyphTokenInput () {
+  PublicKeyHashInput.apply(this, arguments)
+}
+inherits(GlyphTokenInput, PublicKeyHashInput)
+
+/**
+ * @return {Buffer} the hash from the first `OP_DUP OP_HASH160 <hash>
+ *   OP_EQUALVERIFY OP_CHECKSIG` sequence of the locking script
+ */
+GlyphTokenInput.prototype.getPublicKeyHash = function () {
+  var chunks = this.output.script.chunks
+  for (var i = 0; i + 4 < chunks.length; i++) {
+    if (chunks[i].opcodenum === Opcode.OP_DUP &&
+        chunks[i + 1].opcodenum === Opcode.OP_HASH160 &&
+        chunks[i + 2].buf && chunks[i + 2].buf.length === 20 &&
+        chunks[i + 3].opcodenum === Opcode.OP_EQUALVERIFY &&
+        chunks[i + 4].opcodenum === Opcode.OP_CHECKSIG) {
+      return chunks[i + 2].buf
+    }
+  }
+  throw new Error('Glyph token output has no P2PKH check')
+}
+
+/**
+ * @param {Transaction} transaction - the transaction to be signed
+ * @param {PrivateKey} privateKey - the private key with which to sign the transaction
+ * @param {number} index - the index of the input in the transaction input vector
+ * @param {number=} sigtype - the type of signature, defaults to Signature.SIGHASH_ALL
+ * @param {Buffer=} hashData - the precalculated hash of the public key associated with the privateKey provided
+ * @return {Array} of objects that can be
+ */
+GlyphTokenInput.prototype.getSignatures = function (transaction, privateKey, index, sigtype, hashData) {
+  $.checkState(this.output instanceof Output)
+  hashData = hashData || Hash.sha256ripemd160(privateKey.publicKey.toBuffer())
+  sigtype = sigtype || (Signature.SIGHASH_ALL | Signature.SIGHASH_FORKID)
+
+  if (hashData.equals(this.getPublicKeyHash())) {
+    return [new TransactionSignature({
+      publicKey: privateKey.publicKey,
+      prevTxId: this.prevTxId,
+      outputIndex: this.outputIndex,
+      inputIndex: index,
+      signature: Sighash.sign(transaction, privateKey, sigtype, index, this.output.script, this.output.satoshisBN),
+      sigtype: sigtype
+    })]
+  }
+  return []
+}
+
+module.exports = GlyphTokenInput
@@ -4,3 +4,6 @@ module.exports.PublicKey = require('./publickey')
 module.exports.PublicKeyHash = require('./publickeyhash')
 module.exports.MultiSig = require('./multisig.js')
 module.exports.MultiSigScriptHash = require('./multisigscripthash.js')
+module.exports.GlyphReveal = require('./glyphreveal.js')
+module.exports.GlyphToken = require('./glyphtoken.js')
+module.exports.GlyphMutable = require('./glyphmutable.js')
@@ -96,43 +96,54 @@ var GetHashPrevoutInputs = function (tx) {
   return ret
 }
 
+/**
+ * GetOutputSummary serializes the per-output summary committed to by
+ * hashOutputHashes: nValue, hash of the locking script, count of pushed refs
+ * and hash of the sorted refs (or 32 zero bytes when there are none)
+ * @returns {Buffer} 76-byte output summary
+ */
+var GetOutputSummary = function (output) {
+  const zeroRef = Buffer.from('0000000000000000000000000000000000000000000000000000000000000000', 'hex')
+  const writer = new BufferWriter()
+  writer.writeUInt64LEBN(output._satoshisBN)
+  // Hash of the locking script
+  var scriptHash = Hash.sha256sha256(Buffer.from(output._scriptBuffer))
+  writer.write(scriptHash)
+
+  let pushRefs = new Map()
+  let requireRefs = new Map()
+  Script.getPushRefsFromScriptBuffer(Buffer.from(output._scriptBuffer), pushRefs, requireRefs)
+
+  writer.writeUInt32LE(pushRefs.size)
+  if (pushRefs.size) {
+    const sorted_map_by_keys = new Map([...pushRefs.entries()].sort((a, b) => String(a[0]).localeCompare(b[0])))
+    let combinedBuf
+    sorted_map_by_keys.forEach((value, key) => {
+      if (!combinedBuf) {
+        combinedBuf = value
+      } else {
+        combinedBuf = Buffer.concat([combinedBuf, value])
+      }
+    })
+    const colorHash = Hash.sha256sha256(Buffer.from(combinedBuf))
+    writer.write(colorHash)
+  } else {
+    writer.write(zeroRef)
+  }
+  return writer.toBuffer()
+}
+
 /**
  * GetHashOutputHashes allows reconstructing the outputs of a transaction in part or whole
  * @returns sha256 of the output hashes
  */
 var GetHashOutputHashes = function (tx, index = undefined) {
-  const zeroRef = Buffer.from('0000000000000000000000000000000000000000000000000000000000000000', 'hex')
   const writer = new BufferWriter()
   const startIndex = index === undefined ? 0 : index // Start at 0 if specific index not set
   const endIndex = index === undefined ? tx.outputs.length - 1 : index // Continue until the final output if specific index not set
   // Otherwise if a specific index is set, then we process only that one index.
   for (let i = startIndex; i <= endIndex; i++) {
-    const output = tx.outputs[i]
-    writer.writeUInt64LEBN(output._satoshisBN)
-    // Hash of the locking script
-    var scriptHash = Hash.sha256sha256(Buffer.from(output._scriptBuffer))
-    writer.write(scriptHash)
-
-    let pushRefs = new Map()
-    let requireRefs = new Map()
-    Script.getPushRefsFromScriptBuffer(Buffer.from(output._scriptBuffer), pushRefs, requireRefs)
-
-    writer.writeUInt32LE(pushRefs.size)
-    if (pushRefs.size) {
-      const sorted_map_by_keys = new Map([...pushRefs.entries()].sort((a, b) => String(a[0]).localeCompare(b[0])))
-      let combinedBuf
-      sorted_map_by_keys.forEach((value, key) => {
-        if (!combinedBuf) {
-          combinedBuf = value
-        } else {
-          combinedBuf = Buffer.concat([combinedBuf, value])
-        }
-      })
-      const colorHash = Hash.sha256sha256(Buffer.from(combinedBuf))
-      writer.write(colorHash)
-    } else {
-      writer.write(zeroRef)
-    }
+    writer.write(GetOutputSummary(tx.outputs[i]))
   }
   const buf = writer.toBuffer()
   var ret = Hash.sha256sha256(buf)
@@ -440,6 +451,7 @@ var Sighash = {
   GetPrevoutHash: GetPrevoutHash,
   GetHashPrevoutInputs: GetHashPrevoutInputs,
   GetHashOutputHashes: GetHashOutputHashes,
+  GetOutputSummary: GetOutputSummary,
   sign: sign,
   verify: verify,
   // When true, computing a non-ForkId sighash throws instead of warning.
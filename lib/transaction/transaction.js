@@ -22,6 +22,7 @@ var MultiSigScriptHashInput = Input.MultiSigScriptHash
 var MultiSigInput = Input.MultiSig
 var Output = require('./output')
 var Script = require('../script')
+var Interpreter = require('../script/interpreter')
 var PrivateKey = require('../privatekey')
 var BN = require('../crypto/bn')
 
@@ -823,6 +824,53 @@ Transaction.prototype.addSafeData = function (value) {
   return this
 }
 
+/**
+ * Apply a Glyph operation, such as `glyph.commit(address, photons)` or
+ * `glyph.reveal(address, photons)`, to the transaction.
+ *
+ * Beware that this resets all the signatures for inputs.
+ *
+ * @param {Object} operation - as returned by a Glyph operation method
+ * @return {Transaction} this, for chaining
+ */
+Transaction.prototype.addGlyph = function (operation) {
+  $.checkArgument(operation && _.isFunction(operation.applyTo), 'Invalid Glyph operation')
+  operation.applyTo(this)
+  return this
+}
+
+/**
+ * Send Glyph fungible tokens. Spends `utxos`, which must all hold the same
+ * token, pays each recipient its amount in token outputs and returns the
+ * remainder to `changeAddress`. Throws if the token amounts the transaction
+ * spends and creates would differ. Fees are paid by the other inputs, as
+ * usual.
+ *
+ * @param {Array<Object>} utxos - fungible token UTXOs
+ * @param {Array<{address: Address|string, amount: number}>} recipients
+ * @param {Address|string=} changeAddress - receives any token change
+ * @return {Transaction} this, for chaining
+ */
+Transaction.prototype.transferFt = function (utxos, recipients, changeAddress) {
+  require('../glyph/ft').transfer(this, utxos, recipients, changeAddress)
+  return this
+}
+
+/**
+ * Move a Glyph NFT to a new owner: spends the NFT singleton output `utxo` and
+ * adds the one output that carries its ref on. Throws if the transaction
+ * already has an output carrying that ref.
+ *
+ * @param {Object} utxo - the NFT UTXO
+ * @param {Address|string} address - new owner
+ * @param {number=} photons - value of the new output, defaults to the UTXO's
+ * @return {Transaction} this, for chaining
+ */
+Transaction.prototype.transferNft = function (utxo, address, photons) {
+  require('../glyph/nft').transfer(this, utxo, address, photons)
+  return this
+}
+
 /**
  * Add an output to the transaction.
  *
@@ -1260,6 +1308,63 @@ Transaction.prototype.verify = function () {
   return true
 }
 
+/**
+ * Runs every input's unlocking script against the output it spends, the way a
+ * node would before accepting the transaction.
+ *
+ * Spent outputs come from `prevouts` (indexed like `this.inputs`) or, when not
+ * given, from the `output` attached to each input by `from()`. A failed result
+ * names the script that was executing and the index of the offending chunk
+ * in it; `script` is null and `pc` is -1 when the failure is not tied to one
+ * opcode (a false result, CLEANSTACK, the transaction-wide ref rules...).
+ *
+ * @param {Array=} prevouts - Output instances or objects for each input
+ * @param {number=} flags - interpreter flags, Interpreter.RADIANT_MAINNET_FLAGS by default
+ * @return {Array.<{inputIndex: number, valid: boolean, errstr: string, script: string, pc: number, opcode: number}>}
+ */
+Transaction.prototype.verifyScripts = function (prevouts, flags) {
+  $.checkArgument(_.isUndefined(prevouts) || _.isArray(prevouts), 'prevouts must be an array')
+  if (_.isUndefined(flags)) {
+    flags = Interpreter.RADIANT_MAINNET_FLAGS
+  }
+  prevouts = _.map(this.inputs, function (input, i) {
+    var prevout = (prevouts && prevouts[i]) || input.output
+    if (!prevout) {
+      throw new errors.Transaction.Input.MissingPreviousOutput()
+    }
+    return prevout instanceof Output ? prevout : new Output(prevout)
+  })
+
+  var self = this
+  return _.map(this.inputs, function (input, i) {
+    var scriptSig = input.script
+    var scriptPubkey = prevouts[i].script
+    var interpreter = new Interpreter()
+    var valid = interpreter.verify(scriptSig, scriptPubkey, self, i, flags,
+      prevouts[i].satoshisBN, undefined, prevouts)
+    var result = {
+      inputIndex: i,
+      valid: valid,
+      errstr: interpreter.errstr,
+      script: null,
+      pc: -1,
+      opcode: null
+    }
+    if (!valid && interpreter.errpc >= 0) {
+      if (interpreter.script === scriptSig) {
+        result.script = 'scriptSig'
+      } else if (interpreter.script === scriptPubkey) {
+        result.script = 'scriptPubkey'
+      } else {
+        result.script = 'redeemScript'
+      }
+      result.pc = interpreter.errpc
+      result.opcode = interpreter.script.chunks[interpreter.errpc].opcodenum
+    }
+    return result
+  })
+}
+
 /**
  * Analogous to bitcoind's IsCoinBase function in transaction.h
  */
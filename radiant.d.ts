@@ -151,6 +151,22 @@ declare module '@radiant-core/radiantjs' {
             isValidSignature(tx: Transaction, sig: any): boolean;
         }
 
+        namespace Input {
+            class GlyphReveal extends Input {
+                constructor(params: any, revealChunks: Buffer[]);
+                revealChunks: Buffer[];
+                publicKeyHash: Buffer;
+            }
+            class GlyphToken extends Input {
+                getPublicKeyHash(): Buffer;
+            }
+            class GlyphMutable extends Input {
+                constructor(params: any, continuationIndex: number, envelopeIndex: number);
+                continuationIndex: number;
+                envelopeIndex: number;
+            }
+        }
+
         class Sighash {
             static sign(...args: any[]): crypto.Signature;
         }
@@ -178,6 +194,13 @@ declare module '@radiant-core/radiantjs' {
         addInput(input: Transaction.Input): this;
         addOutput(output: Transaction.Output): this;
         addData(value: Buffer | string): this;
+        addGlyph(operation: Glyph.Operation): this;
+        transferFt(
+            utxos: Transaction.UnspentOutput | Transaction.UnspentOutput[] | object | object[],
+            recipients: Array<{ address: Address | string, amount: number }>,
+            changeAddress?: Address | string
+        ): this;
+        transferNft(utxo: Transaction.UnspentOutput | object, address: Address | string, photons?: number): this;
         lockUntilDate(time: Date | number): this;
         lockUntilBlockHeight(height: number): this;
 
@@ -187,6 +210,17 @@ declare module '@radiant-core/radiantjs' {
         getLockTime(): Date | number;
 
         verify(): string | boolean;
+        verifyScripts(
+            prevouts?: Array<Transaction.Output | { satoshis: number, script: Script | string | Buffer }>,
+            flags?: number
+        ): Array<{
+            inputIndex: number,
+            valid: boolean,
+            errstr: string,
+            script: 'scriptSig' | 'scriptPubkey' | 'redeemScript' | null,
+            pc: number,
+            opcode: number | null
+        }>;
         isCoinbase(): boolean;
 
         enableRBF(): this;
@@ -412,8 +446,122 @@ declare module '@radiant-core/radiantjs' {
         function fromAddress(address: string | Address): Script;
 
         function empty(): Script;
+        function getRefsFromScriptBuffer(buffer: Buffer): {
+            push: Map<string, Buffer>,
+            singleton: Map<string, Buffer>,
+            require: Map<string, Buffer>,
+            disallow: Map<string, Buffer>,
+            disallowSibling: Map<string, Buffer>
+        };
         namespace Interpreter {
             const SCRIPT_ENABLE_SIGHASH_FORKID: any;
+            const RADIANT_MAINNET_FLAGS: number;
+            const SCRIPT_NATIVE_INTROSPECTION: number;
+            function outpointRef(input: Transaction.Input): Buffer;
+            function opcodeName(opcodenum: number): string;
+            const FLAG_NAMES: { [name: string]: number };
+            function flagsFromString(str: string): number;
+            interface TraceEntry {
+                script: 'scriptSig' | 'scriptPubkey' | 'redeemScript' | undefined;
+                pc: number;
+                opcode: string;
+                stackBefore: number;
+                stackAfter: number;
+                altstackBefore: number;
+                altstackAfter: number;
+                hashed: number;
+                sigops: number;
+            }
+            interface TraceReport {
+                executed: number;
+                opcodes: { [opcode: string]: number };
+                peakStack: number;
+                peakAltstack: number;
+                sigops: number;
+                bytesHashed: number;
+                hashedBy: { [opcode: string]: number };
+            }
+            function debug(
+                inputScript: Script,
+                outputScript: Script,
+                txn?: Transaction,
+                nin?: number,
+                flags?: number,
+                satoshisBN?: crypto.BN,
+                sighashScript?: Script,
+                prevouts?: Array<Transaction.Output | { satoshis: number, script: Script | string | Buffer } | undefined>
+            ): Debugger;
+        }
+
+        function fromBitcoindString(str: string): Script;
+
+        interface VectorSummary<T> {
+            passed: number;
+            failed: number;
+            skipped: number;
+            results: Array<(T & { index: number }) | { skipped: true, index: number }>;
+        }
+        interface ScriptVectorResult {
+            passed: boolean;
+            expected: string;
+            verified: boolean;
+            errstr: string;
+            comment: string;
+        }
+        interface TxVectorResult {
+            passed: boolean;
+            valid: boolean;
+            inputIndex: number;
+            errstr: string;
+        }
+        namespace Vectors {
+            function runScriptVector(vector: any[]): ScriptVectorResult;
+            function runTxVector(vector: any[], expectValid: boolean): TxVectorResult;
+            function runScriptTests(vectors: any[] | string, opts?: { skip?: Set<number> }): VectorSummary<ScriptVectorResult>;
+            function runTxTests(vectors: any[] | string, expectValid: boolean, opts?: { skip?: Set<number> }): VectorSummary<TxVectorResult>;
+        }
+
+        type DebuggerPhase = 'scriptSig' | 'scriptPubkey' | 'redeemScript';
+        // an Opcode instance, as returned by Opcode(name)
+        interface DebuggerOpcode {
+            toNumber(): number;
+            toString(): string;
+        }
+        type DebuggerBreakpoint = number | string | DebuggerOpcode | { pc?: number, opcode?: number | string | DebuggerOpcode, phase?: DebuggerPhase };
+        interface DebuggerSnapshot {
+            phase: DebuggerPhase;
+            pc: number;
+            opcode: string | null;
+            stack: Buffer[];
+            altstack: Buffer[];
+            vfExec: boolean[];
+            nOpCount: number;
+            done: boolean;
+            valid: boolean | undefined;
+            errstr: string;
+        }
+
+        class Debugger {
+            readonly phase: DebuggerPhase;
+            readonly script: Script;
+            readonly pc: number;
+            readonly opcode: DebuggerOpcode | null;
+            readonly stack: Buffer[];
+            readonly altstack: Buffer[];
+            readonly vfExec: boolean[];
+            readonly errstr: string;
+            readonly done: boolean;
+            readonly valid: boolean | undefined;
+            breakpoints: Array<{ pc?: number, opcode?: number, phase?: DebuggerPhase }>;
+
+            addBreakpoint(breakpoint: DebuggerBreakpoint): this;
+            removeBreakpoint(breakpoint: DebuggerBreakpoint): this;
+            clearBreakpoints(): this;
+            atBreakpoint(): boolean;
+            step(): DebuggerSnapshot;
+            next(): DebuggerSnapshot;
+            continue(): DebuggerSnapshot;
+            snapshot(): DebuggerSnapshot;
         }
 
         function Interpreter(): {
@@ -423,8 +571,17 @@ declare module '@radiant-core/radiantjs' {
                 txn: Transaction,
                 nin: Number,
                 flags: any,
-                satoshisBN: crypto.BN
-            ) => boolean
+                satoshisBN?: crypto.BN,
+                sighashScript?: Script,
+                prevouts?: Array<Transaction.Output | { satoshis: number, script: Script | string | Buffer } | undefined>
+            ) => boolean,
+            checkTransactionRefs: () => boolean,
+            errstr: string,
+            errpc: number,
+            trace: Interpreter.TraceEntry[] | undefined,
+            enableTrace: () => any,
+            disableTrace: () => any,
+            getTraceReport: (trace?: Interpreter.TraceEntry[]) => Interpreter.TraceReport
         }
     }
 
@@ -440,6 +597,7 @@ declare module '@radiant-core/radiantjs' {
         toHex(): string;
 
         isPublicKeyHashOut(): boolean;
+        isGlyphNftOut(network?: Networks.Network | string): { ref: Buffer; owner: Address } | false;
         isPublicKeyHashIn(): boolean;
 
         getPublicKey(): Buffer;
@@ -461,6 +619,11 @@ declare module '@radiant-core/radiantjs' {
         getData(): Buffer;
         isPushOnly(): boolean;
 
+        getStateSeparatorIndex(): number;
+        getStateScript(): Script;
+        getCodeScript(): Script;
+        getCodeScriptHash(): Buffer;
+
         classify(): string;
         classifyInput(): string;
         classifyOutput(): string;
@@ -710,10 +873,351 @@ declare module '@radiant-core/radiantjs' {
     };
 
     // Glyph v2 Token Standard Module
+    export class Glyph {
+        constructor(metadata: object, content?: Buffer | Buffer[]);
+        readonly metadata: object;
+        readonly files: Buffer[];
+        readonly metadataBytes: Buffer;
+        readonly commitHash: Buffer;
+        readonly revealChunks: Buffer[];
+        readonly timelock: Glyph.timelock.Timelock | null;
+
+        static outpointRef(txid: string | Buffer, outputIndex: number): Buffer;
+        static parseCommitScript(script: Script | Buffer): {
+            fileHashes: Buffer[];
+            commitHash: Buffer;
+            refType: number;
+            publicKeyHash: Buffer;
+            timelock: Glyph.timelock.NormalizedTimelock | null;
+        } | null;
+
+        refType(): number;
+        commitScript(address: Address | string): Script;
+        commit(address: Address | string, photons: number): Glyph.Operation;
+        reveal(address: Address | string, photons: number): Glyph.Operation;
+    }
+
     export namespace Glyph {
+        // Operation consumed by Transaction#addGlyph
+        interface Operation {
+            type: string;
+            glyph?: Glyph;
+            applyTo(transaction: Transaction): void;
+        }
+
+        // Fungible tokens
+        namespace ft {
+            function buildHolderScript(address: Address | string, ref: Buffer | string): Script;
+            function parseHolderScript(script: Script | Buffer): { ref: Buffer; publicKeyHash: Buffer } | null;
+            function isHolderScript(script: Script | Buffer): boolean;
+            function getBalances(transaction: Transaction): Map<string, { inputs: number; outputs: number }>;
+            function checkConservation(transaction: Transaction): void;
+            function transfer(
+                transaction: Transaction,
+                utxos: object | object[],
+                recipients: Array<{ address: Address | string, amount: number }>,
+                changeAddress?: Address | string
+            ): void;
+        }
+
+        // Non-fungible tokens
+        namespace nft {
+            function buildSingletonScript(address: Address | string, ref: Buffer | string): Script;
+            function parseSingletonScript(script: Script | Buffer, network?: Networks.Network | string): { ref: Buffer; owner: Address } | null;
+            function countSingletonOutputs(transaction: Transaction, ref: Buffer): number;
+            function transfer(transaction: Transaction, utxo: object, address: Address | string, photons?: number): void;
+        }
+
+        // dMint difficulty adjustment
+        namespace daa {
+            interface Params {
+                targetTime?: number;
+                epochLength?: number;
+                halfLife?: number;
+                window?: number;
+                schedule?: Array<{ height: number; target: bigint }>;
+            }
+            interface State {
+                height: number;
+                target: bigint;
+                lastTime: number;
+                epochStart?: number;
+                solveTimes?: number[];
+            }
+            interface Next {
+                target: bigint;
+                epochStart?: number;
+                solveTimes?: number[];
+            }
+            const MAX_TARGET: bigint;
+            const EPOCH_MAX_ADJUST: number;
+            const LWMA_MAX_SOLVE: number;
+            function readParams(daaMode: number, config?: object): Params;
+            function checkParams(daaMode: number, params: Params, maxHeight: number): void;
+            function initialState(daaMode: number, params: Params, time: number): { epochStart?: number; solveTimes?: number[] };
+            function checkState(daaMode: number, params: Params, state: { epochStart?: number; solveTimes?: number[] }): void;
+            function asertFactor(exponent: bigint): bigint;
+            function fixed(state: { target: bigint }): { target: bigint };
+            function epoch(state: State, params: Params, time: number): Next;
+            function asert(state: State, params: Params, time: number): Next;
+            function lwma(state: State, params: Params, time: number): Next;
+            function schedule(state: { height: number; target: bigint }, params: Params): Next;
+            function nextTarget(contract: State & { daaMode: number; daaParams: Params }, time: number): Next;
+        }
+
+        // Mutable token updates
+        namespace update {
+            interface Update {
+                op: string;
+                path: Array<string | number>;
+                value?: any;
+            }
+            function normalizeUpdate(update: { op: string; path?: Array<string | number> | string; value?: any }): Update;
+            function applyUpdates(baseMetadata: object, updates: object[]): object;
+        }
+
+        // Mutable token contracts
+        namespace mutable {
+            interface Contract {
+                mutableRef: Buffer;
+                tokenRef: Buffer;
+                stateHash: Buffer;
+            }
+            interface ContractUtxo extends Contract {
+                txId: string;
+                outputIndex: number;
+                satoshis: number;
+                script: Script;
+            }
+            function buildMutableScript(mutableRef: Buffer | string, tokenRef: Buffer | string, stateHash: Buffer | string): Script;
+            function parseMutableScript(script: Script | Buffer): Contract | null;
+            function parseMutableUtxo(utxo: Transaction.UnspentOutput | object): ContractUtxo;
+            function buildUpdateScript(envelope: Buffer): Script;
+            function parseUpdateScript(script: Script | Buffer): Buffer | null;
+            function update(
+                mutableUtxo: Transaction.UnspentOutput | object,
+                nftUtxo: Transaction.UnspentOutput | object,
+                updates: object[],
+                address?: Address | string
+            ): Operation & { contract: ContractUtxo; envelope: Buffer };
+        }
+
+        // Content roots
+        namespace content {
+            interface File {
+                path: string;
+                mime: string;
+                data?: Buffer;
+                hash?: Buffer | string | { algo: string; hex: string };
+            }
+            interface Proof {
+                index: number;
+                count: number;
+                siblings: Buffer[];
+            }
+            function contentLeaf(file: File): Buffer;
+            function contentRoot(files: File[]): Buffer;
+            function proveFile(files: File[], file: string | number): Proof;
+            function verifyFileProof(root: Buffer | string, file: File, proof: {
+                index: number;
+                count: number;
+                siblings: Array<Buffer | string>;
+            }): boolean;
+        }
+        function contentRoot(files: content.File[]): Buffer;
+        function proveFile(files: content.File[], file: string | number): content.Proof;
+        function verifyFileProof(root: Buffer | string, file: content.File, proof: {
+            index: number;
+            count: number;
+            siblings: Array<Buffer | string>;
+        }): boolean;
+
+        // Encrypted content
+        namespace encryption {
+            interface Crypto {
+                cipher: string;
+                wrap: string;
+                recipients: Array<{ pubkey: string; key: string }>;
+            }
+            interface File {
+                path: string;
+                mime: string;
+                data: Buffer;
+            }
+            interface Encrypted {
+                contentKey: Buffer;
+                crypto: Crypto;
+                content: Array<{
+                    path: string;
+                    mime: string;
+                    size: number;
+                    hash: { algo: string; hex: string };
+                    encrypted: true;
+                }>;
+                files: Buffer[];
+            }
+            const CIPHER: string;
+            const KEY_WRAP: string;
+            function encryptFile(data: Buffer, contentKey: Buffer, path: string): Buffer;
+            function decryptFile(encrypted: Buffer, contentKey: Buffer, path: string): Buffer;
+            function wrapKey(contentKey: Buffer, publicKey: PublicKey | string): { pubkey: string; key: string };
+            function unwrapKey(crypto: Crypto, privateKey: PrivateKey): Buffer;
+            function encryptContent(files: File[], recipients: Array<PublicKey | string>,
+                options?: { contentKey?: Buffer }): Encrypted;
+            function decryptContent(metadata: object, files: Buffer[], key: PrivateKey | Buffer): File[];
+        }
+        function encryptContent(files: encryption.File[], recipients: Array<PublicKey | string>,
+            options?: { contentKey?: Buffer }): encryption.Encrypted;
+        function decryptContent(metadata: object, files: Buffer[], key: PrivateKey | Buffer): encryption.File[];
+
+        // Timelocked reveals
+        namespace timelock {
+            interface Timelock {
+                revealHeight?: number;
+                revealTime?: number;
+                revealDelayBlocks?: number;
+                revealDelaySeconds?: number;
+            }
+            interface NormalizedTimelock {
+                kind: 'revealHeight' | 'revealTime' | 'revealDelayBlocks' | 'revealDelaySeconds';
+                value: number;
+                mode: 'cltv' | 'csv';
+                operand: number;
+            }
+            interface Chain {
+                height?: number;
+                medianTime?: number;
+                commitHeight?: number;
+                commitMedianTime?: number;
+            }
+            const TimelockMode: { CLTV: 'cltv'; CSV: 'csv' };
+            function normalizeTimelock(timelock: Timelock): NormalizedTimelock;
+            function buildTimelockScript(timelock: Timelock): Script;
+            function parseTimelockChunks(chunks: object[]): NormalizedTimelock | null | undefined;
+            function applyTimelock(transaction: Transaction, inputIndex: number, timelock: Timelock): void;
+            function checkTimelock(transaction: Transaction, inputIndex: number, timelock: Timelock,
+                chain?: Chain): string[];
+            function verifyTimelock(commitTx: Transaction, revealTx: Transaction,
+                chain?: Chain): { valid: boolean; errors: string[] };
+        }
+        function verifyTimelock(commitTx: Transaction, revealTx: Transaction,
+            chain?: timelock.Chain): { valid: boolean; errors: string[] };
+
+        // Chunked reveals
+        interface ChunkEnvelope {
+            type: 'chunk';
+            isReveal: false;
+            version: number;
+            index: number;
+            count: number;
+            fileHash: Buffer;
+            data: Buffer;
+        }
+        namespace chunks {
+            interface Options {
+                maxTxSize?: number;
+                feePerKb?: number;
+            }
+            interface Plan {
+                fileHash: Buffer;
+                chunkSize: number;
+                count: number;
+                chunks: Buffer[];
+                txSizes: number[];
+                fee: number;
+            }
+            const CHUNK_OUTPUT_INDEX: number;
+            const LINK_OUTPUT_INDEX: number;
+            function planChunks(file: Buffer, options?: Options): Plan;
+            function buildChunkChain(file: Buffer, utxo: object, privateKey: PrivateKey,
+                options?: Options & { address?: Address | string }): Transaction[];
+            function reassembleChunks(transactions: Array<Transaction | string | Buffer>, entry?: object): Buffer;
+        }
+        function planChunks(file: Buffer, options?: chunks.Options): chunks.Plan;
+        function buildChunkChain(file: Buffer, utxo: object, privateKey: PrivateKey,
+            options?: chunks.Options & { address?: Address | string }): Transaction[];
+        function reassembleChunks(transactions: Array<Transaction | string | Buffer>, entry?: object): Buffer;
+        function encodeChunkEnvelope(options: { index: number; count: number; fileHash: Buffer; data: Buffer }): Buffer[];
+        function decodeChunkEnvelope(scriptBuf: Buffer): ChunkEnvelope | null;
+
+        // Authority tokens
+        interface RevocationEnvelope {
+            type: 'revocation';
+            isReveal: false;
+            version: number;
+            authority: Buffer;
+            revoked: Buffer[];
+        }
+        namespace authority {
+            const ISSUES: { [type: string]: string[] };
+            function authorize(transaction: Transaction, utxo: object, address?: Address | string): Transaction;
+            function buildRevocationScript(authority: Buffer | string, revoked: Array<Buffer | string>): Script;
+            function revoke(transaction: Transaction, utxo: object, revoked: Array<Buffer | string>,
+                address?: Address | string): Transaction;
+            function verifyIssuer(revealTx: Transaction, authorityRef: Buffer | string,
+                transactions: Transaction[]): { valid: boolean; errors: string[]; chain: string[] };
+        }
+        function verifyIssuer(revealTx: Transaction, authorityRef: Buffer | string,
+            transactions: Transaction[]): { valid: boolean; errors: string[]; chain: string[] };
+        function encodeRevocationEnvelope(options: { authority: Buffer | string; revoked: Array<Buffer | string> }): Buffer;
+        function decodeRevocationEnvelope(buf: Buffer): RevocationEnvelope | null;
+
+        // WAVE names
+        namespace wave {
+            interface Records {
+                address?: Address | string;
+                contentHash?: string;
+                text?: { [key: string]: string };
+            }
+            interface Resolution {
+                name: string;
+                ref: string;
+                parent: string | null;
+                owner: Address | null;
+                records: { address?: string; contentHash?: string; text?: { [key: string]: string } };
+            }
+            const MAX_LABEL_SIZE: number;
+            const MAX_NAME_SIZE: number;
+            function normalizeName(name: string): string;
+            function isValidName(name: string): boolean;
+            function parseName(name: string): {
+                name: string;
+                label: string;
+                parent: string | null;
+                tld: string;
+                depth: number;
+            };
+            function encodeRecords(records: Records): Resolution['records'];
+            function register(name: string, records?: Records, extra?: object): Glyph;
+            function subdomain(name: string, parentRef: Buffer | string, records?: Records, extra?: object): Glyph;
+            function updateRecords(mutableUtxo: object, nftUtxo: object, records: Records,
+                address?: Address | string): Glyph.Operation;
+            class Resolver {
+                constructor(transactions?: Transaction | Transaction[], network?: Networks.Network | string);
+                add(transactions: Transaction | Transaction[]): this;
+                resolve(name: string): Resolution | null;
+            }
+        }
+        function normalizeWaveName(name: string): string;
+
+        // Containers
+        namespace container {
+            function child(containerRef: Buffer | string, metadata: object, n?: number, content?: object): Glyph;
+            function authorize(transaction: Transaction, utxo: object, address?: Address | string): Transaction;
+            function members(containerRef: Buffer | string,
+                transactions: Transaction[]): Array<{ ref: string; n: number | undefined }>;
+            function verifyMembership(revealTx: Transaction, containerRef: Buffer | string,
+                transactions: Transaction[]): { valid: boolean; errors: string[] };
+        }
+        function verifyMembership(revealTx: Transaction, containerRef: Buffer | string,
+            transactions: Transaction[]): { valid: boolean; errors: string[] };
+
         // Magic bytes
         const GLYPH_MAGIC: Buffer;
         const GLYPH_MAGIC_HEX: string;
+        const GLYPH_UPDATE_MARKER: Buffer;
+        const GLYPH_CHUNK_MARKER: Buffer;
+        const GLYPH_REVOCATION_MARKER: Buffer;
 
         // Versions
         const GlyphVersion: {
@@ -735,6 +1239,7 @@ declare module '@radiant-core/radiantjs' {
             GLYPH_AUTHORITY: 10;
             GLYPH_WAVE: 11;
         };
+        const Protocol: typeof GlyphProtocol;
 
         // Algorithm IDs
         const DmintAlgorithm: {
@@ -798,6 +1303,14 @@ declare module '@radiant-core/radiantjs' {
         function encodeRevealEnvelopeB(options: { metadata: object | Buffer; files?: Buffer[]; }): Buffer[];
         function buildRevealScript(chunks: Buffer[]): any;
         function createRevealEnvelope(metadata: object): Buffer[];
+        function encodeUpdateEnvelope(updates: object[]): Buffer;
+        function decodeUpdateEnvelope(buf: Buffer): {
+            type: 'update';
+            isReveal: false;
+            version: number;
+            updates: update.Update[];
+        } | null;
+        function applyUpdates(baseMetadata: object, updates: object[]): object;
         function decodeEnvelope(scriptBuf: Buffer): object | null;
         function parseEnvelope(scriptBuf: Buffer): object | null;
         function decodeMetadata(buf: Buffer): object | null;
@@ -807,26 +1320,49 @@ declare module '@radiant-core/radiantjs' {
         function isMutable(metadata: object): boolean;
         function isContainer(metadata: object): boolean;
         function isEncrypted(metadata: object): boolean;
+        function isTimelocked(protocols: number[]): boolean;
+        function isAuthority(protocols: number[]): boolean;
+        function isWave(protocols: number[]): boolean;
 
         // Decoding functions
         function isGlyphTransaction(tx: Transaction): boolean;
         function parseGlyphTransaction(tx: Transaction): {
-            type: 'commit' | 'reveal';
+            type: 'commit' | 'reveal' | 'update' | 'chunk' | 'revocation';
             outputIndex?: number;
             inputIndex?: number;
             envelope: {
                 type: string;
                 isReveal: boolean;
                 version: number;
-                flags: number;
+                flags?: number;
                 commitHash?: Buffer;
                 contentRoot?: Buffer;
                 controller?: Buffer;
-                metadata?: object;
+                metadata?: object | null;
                 rawMetadata?: Buffer;
                 files?: Buffer[];
+                filesByPath?: Map<string, Buffer>;
+                style?: 'A' | 'B';
+                updates?: update.Update[];
+                index?: number;
+                count?: number;
+                fileHash?: Buffer;
+                data?: Buffer;
+                authority?: Buffer;
+                revoked?: Buffer[];
             };
+            commits: Array<{ outputIndex: number; envelope: object }>;
+            reveals: Array<{
+                outputIndex?: number;
+                inputIndex?: number;
+                envelope: object;
+                verification?: { valid: boolean; errors: string[] };
+            }>;
+            updates: Array<{ outputIndex?: number; inputIndex?: number; envelope: object }>;
+            chunks: Array<{ outputIndex: number; envelope: ChunkEnvelope }>;
+            revocations: Array<{ outputIndex: number; envelope: RevocationEnvelope }>;
         } | null;
+        function verifyReveal(commitTx: Transaction, revealTx: Transaction): { valid: boolean; errors: string[] };
         function decodeEnvelope(scriptBuf: Buffer): object | null;
         function decodeMetadata(buf: Buffer): object;
         function getGlyphId(txid: string, vout: number): string;
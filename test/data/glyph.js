@@ -0,0 +1,87 @@
+'use strict'
+
+// The minter, funds and commit-then-reveal helper the Glyph specs share
+
+const bsv = require('../..')
+const Glyph = require('../../lib/glyph')
+const Transaction = bsv.Transaction
+const PrivateKey = bsv.PrivateKey
+const Script = bsv.Script
+
+const privateKey = new PrivateKey('cSBnVM4xvxarwGQuAfQFwqDg9k5tErHUHzgWsEfD4zdwUasvqRVY')
+const address = privateKey.toAddress()
+const fundingUtxo = {
+  txId: 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458',
+  outputIndex: 0,
+  script: Script.buildPublicKeyHashOut(address),
+  satoshis: 100000000
+}
+
+// Output `outputIndex` of `tx`, as a UTXO
+const utxo = function (tx, outputIndex) {
+  return {
+    txId: tx.id,
+    outputIndex,
+    script: tx.outputs[outputIndex].script,
+    satoshis: tx.outputs[outputIndex].satoshis
+  }
+}
+
+// The output of `tx` holding the NFT `ref` (hex), as a UTXO
+const singletonUtxo = function (tx, ref) {
+  return utxo(tx, tx.outputs.findIndex(function (output) {
+    const nft = output.script.isGlyphNftOut()
+    return nft && nft.ref.toString('hex') === ref
+  }))
+}
+
+// Commit `glyph` from the funding UTXO and reveal it to `address`.
+//   options.photons - value of the token output, 1 by default
+//   options.change - also spend the commit's change and return what is left
+//   options.prepare - called with the reveal before it is signed
+const mint = function (glyph, options) {
+  options = options || {}
+  const commitTx = new Transaction()
+    .from(fundingUtxo)
+    .addGlyph(glyph.commit(address, 1000))
+    .change(address)
+    .sign(privateKey)
+  const revealTx = new Transaction()
+    .from(options.change ? [utxo(commitTx, 0), utxo(commitTx, commitTx.outputs.length - 1)] : [utxo(commitTx, 0)])
+    .addGlyph(glyph.reveal(address, options.photons || 1))
+  if (options.prepare) {
+    options.prepare(revealTx)
+  }
+  if (options.change) {
+    revealTx.change(address)
+  }
+  revealTx.sign(privateKey)
+  return { ref: Glyph.outpointRef(commitTx.id, 0).toString('hex'), commitTx, revealTx }
+}
+
+// Mint `glyph` as a singleton and return its UTXO too. With `holder`, a
+// singleton minted this way, `authorize(revealTx, holder.utxo)` makes the
+// reveal spend and recreate it, and `holder.utxo` moves to the new output.
+const mintSingleton = function (glyph, holder, authorize) {
+  const minted = mint(glyph, {
+    prepare: function (revealTx) {
+      if (holder) {
+        authorize(revealTx, holder.utxo)
+      }
+    }
+  })
+  if (holder) {
+    holder.utxo = singletonUtxo(minted.revealTx, holder.ref)
+  }
+  return { ref: minted.ref, revealTx: minted.revealTx, utxo: singletonUtxo(minted.revealTx, minted.ref) }
+}
+
+module.exports = {
+  privateKey,
+  address,
+  fundingUtxo,
+  utxo,
+  singletonUtxo,
+  mint,
+  mintSingleton
+}
@@ -0,0 +1,127 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const bsv = require('../..')
+const Glyph = require('../../lib/glyph')
+const authority = require('../../lib/glyph/authority')
+const { GlyphProtocol } = require('../../lib/glyph/constants')
+const Transaction = bsv.Transaction
+const fixture = require('../data/glyph')
+
+describe('Glyph authority', function () {
+  const { privateKey, address, fundingUtxo } = fixture
+  const authorityMetadata = function (name, type, by) {
+    const metadata = {
+      v: 2,
+      type: 'nft',
+      p: [GlyphProtocol.GLYPH_NFT, GlyphProtocol.GLYPH_AUTHORITY],
+      name,
+      main: { t: 'text/plain', b: Buffer.from(name) },
+      authority: { type }
+    }
+    if (by) {
+      metadata.by = by.ref
+    }
+    return metadata
+  }
+  const tokenMetadata = function (name, by) {
+    return { v: 2, type: 'nft', p: [GlyphProtocol.GLYPH_NFT], name, by: by && by.ref }
+  }
+  const mint = function (metadata, signer) {
+    return fixture.mintSingleton(new Glyph(metadata), signer, authority.authorize)
+  }
+
+  let issuer, manager, delegate, badge, token
+  beforeEach(function () {
+    issuer = mint(authorityMetadata('Studio', 'issuer'))
+    manager = mint(authorityMetadata('Studio label', 'manager', issuer), issuer)
+    delegate = mint(authorityMetadata('Studio press', 'delegate', manager), manager)
+    badge = mint(authorityMetadata('Studio artist', 'badge', issuer), issuer)
+    token = mint(tokenMetadata('Print #1', delegate), delegate)
+  })
+
+  it('follows issuer claims from a token to its issuer', function () {
+    expect(token.revealTx.verifyScripts().every(r => r.valid)).to.equal(true)
+    const authorities = [issuer.revealTx, manager.revealTx, delegate.revealTx]
+    expect(Glyph.verifyIssuer(token.revealTx, issuer.ref, authorities)).to.deep.equal({
+      valid: true,
+      errors: [],
+      chain: [token.ref, delegate.ref, manager.ref, issuer.ref]
+    })
+    expect(Glyph.verifyIssuer(token.revealTx, delegate.ref, [delegate.revealTx]).valid).to.equal(true)
+    expect(Glyph.verifyIssuer(badge.revealTx, Buffer.from(issuer.ref, 'hex'), authorities).chain)
+      .to.deep.equal([badge.ref, issuer.ref])
+
+    const issued = mint(tokenMetadata('Poster', issuer), issuer)
+    expect(Glyph.verifyIssuer(issued.revealTx, issuer.ref, [issuer.revealTx]).valid).to.equal(true)
+  })
+
+  it('validates authority metadata', function () {
+    expect(Glyph.validateMetadata(authorityMetadata('Studio', 'issuer')).valid).to.equal(true)
+    expect(Glyph.validateMetadata(authorityMetadata('Studio press', 'delegate', issuer)).valid).to.equal(true)
+    expect(Glyph.validateMetadata(authorityMetadata('Studio press', 'delegate')).errors)
+      .to.deep.equal(['A delegate authority requires a by claim'])
+    expect(Glyph.validateMetadata(authorityMetadata('Mint', 'mint')).errors)
+      .to.deep.equal(['Authority type must be one of issuer, manager, delegate, badge'])
+    expect(Glyph.validateMetadata(Object.assign(authorityMetadata('Studio', 'issuer'), { by: 'ab' })).errors)
+      .to.deep.equal(['by must be a 72-character hex ref'])
+  })
+
+  it('rejects claims the chain does not back', function () {
+    const authorities = [issuer.revealTx, manager.revealTx, delegate.revealTx, badge.revealTx]
+    const copy = mint(tokenMetadata('Print #1', delegate))
+    expect(Glyph.verifyIssuer(copy.revealTx, issuer.ref, authorities).errors)
+      .to.deep.equal([copy.ref + ' claims ' + delegate.ref + ' but its reveal does not spend it'])
+
+    const unclaimed = mint(tokenMetadata('Print #2'), delegate)
+    expect(Glyph.verifyIssuer(unclaimed.revealTx, issuer.ref, authorities).errors)
+      .to.deep.equal([unclaimed.ref + ' makes no issuer claim'])
+
+    expect(Glyph.verifyIssuer(token.revealTx, issuer.ref, [issuer.revealTx]).errors)
+      .to.deep.equal(['the reveal of ' + delegate.ref + ' is not among the transactions'])
+
+    const fromBadge = mint(tokenMetadata('Fan art', badge), badge)
+    expect(Glyph.verifyIssuer(fromBadge.revealTx, issuer.ref, authorities).errors)
+      .to.deep.equal(['a badge cannot issue tokens, as ' + badge.ref + ' did'])
+
+    const subDelegate = mint(authorityMetadata('Press office', 'delegate', delegate), delegate)
+    expect(Glyph.verifyIssuer(subDelegate.revealTx, issuer.ref, authorities).errors)
+      .to.deep.equal(['a delegate cannot issue a delegate, as ' + delegate.ref + ' did'])
+
+    const other = mint(authorityMetadata('Other studio', 'issuer'))
+    const otherToken = mint(tokenMetadata('Print #1', other), other)
+    expect(Glyph.verifyIssuer(otherToken.revealTx, issuer.ref, authorities.concat([other.revealTx])).errors)
+      .to.deep.equal([otherToken.ref + ' leads to the issuer ' + other.ref + ', not ' + issuer.ref])
+
+    expect(Glyph.verifyIssuer(new Transaction(), issuer.ref, authorities).errors)
+      .to.deep.equal(['the transaction reveals no glyph'])
+  })
+
+  it('honours revocations by authorities above the revoked ref', function () {
+    const authorities = [issuer.revealTx, manager.revealTx, delegate.revealTx]
+    const revocation = authority.revoke(new Transaction().from(fundingUtxo), issuer.utxo, [delegate.ref])
+      .change(address)
+      .sign(privateKey)
+    expect(revocation.verifyScripts().every(r => r.valid)).to.equal(true)
+    const parsed = Glyph.parseGlyphTransaction(revocation)
+    expect(parsed.type).to.equal('revocation')
+    expect(parsed.revocations[0].envelope.revoked[0].toString('hex')).to.equal(delegate.ref)
+
+    expect(Glyph.verifyIssuer(token.revealTx, issuer.ref, authorities.concat([revocation])).errors)
+      .to.deep.equal([delegate.ref + ' is revoked by ' + issuer.ref])
+    expect(Glyph.verifyIssuer(badge.revealTx, issuer.ref, authorities.concat([revocation])).valid).to.equal(true)
+
+    // Only authorities above a ref revoke it, and only by spending themselves
+    const upward = authority.revoke(new Transaction().from(fundingUtxo), delegate.utxo, [manager.ref])
+    const forged = new Transaction()
+      .from(fundingUtxo)
+      .addOutput(new Transaction.Output({ script: authority.buildRevocationScript(issuer.ref, [manager.ref]), satoshis: 0 }))
+    expect(Glyph.verifyIssuer(token.revealTx, issuer.ref, authorities.concat([upward, forged])).valid).to.equal(true)
+
+    const tokenRevocation = authority.revoke(new Transaction().from(fundingUtxo), manager.utxo, [token.ref])
+    expect(Glyph.verifyIssuer(token.revealTx, issuer.ref, authorities.concat([tokenRevocation])).errors)
+      .to.deep.equal([token.ref + ' is revoked by ' + manager.ref])
+  })
+})
@@ -0,0 +1,118 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const bsv = require('../..')
+const Glyph = require('../../lib/glyph')
+const chunks = require('../../lib/glyph/chunks')
+const Transaction = bsv.Transaction
+const Script = bsv.Script
+const Hash = bsv.crypto.Hash
+const fixture = require('../data/glyph')
+
+describe('Glyph chunks', function () {
+  const { privateKey, address, fundingUtxo } = fixture
+  const file = Buffer.alloc(3000)
+  for (let i = 0; i < file.length; i++) {
+    file[i] = (i * 7) & 0xff
+  }
+  const options = { maxTxSize: 1000 }
+
+  it('plans chunks that fit the transaction size', function () {
+    const plan = chunks.planChunks(file, options)
+    expect(plan.fileHash.equals(Hash.sha256(file))).to.equal(true)
+    expect(plan.count).to.equal(Math.ceil(file.length / plan.chunkSize))
+    expect(plan.count).to.equal(5)
+    expect(Buffer.concat(plan.chunks).equals(file)).to.equal(true)
+    expect(plan.txSizes.every(size => size <= options.maxTxSize)).to.equal(true)
+    expect(plan.fee).to.equal(plan.txSizes.reduce(function (total, size) {
+      return total + Math.ceil(size / 1000 * Transaction.FEE_PER_KB)
+    }, 0))
+    expect(chunks.planChunks(file, { maxTxSize: 1000, feePerKb: 0 }).fee).to.equal(0)
+    expect(chunks.planChunks(file).count).to.equal(1)
+  })
+
+  it('rejects files and sizes it cannot plan', function () {
+    expect(() => chunks.planChunks(Buffer.alloc(0))).to.throw('non-empty Buffer')
+    expect(() => chunks.planChunks(file, { maxTxSize: 999 })).to.throw('between 1000 and 1000000')
+    expect(() => chunks.planChunks(file, { maxTxSize: 1000001 })).to.throw('between 1000 and 1000000')
+    expect(() => chunks.planChunks(file, { feePerKb: -1 })).to.throw('feePerKb')
+  })
+
+  it('builds a linked chain whose fees match the plan', function () {
+    const plan = chunks.planChunks(file, options)
+    const chain = chunks.buildChunkChain(file, fundingUtxo, privateKey, options)
+    expect(chain.length).to.equal(plan.count)
+    chain.forEach(function (tx, i) {
+      expect(tx.verify()).to.equal(true)
+      expect(tx.verifyScripts().every(r => r.valid)).to.equal(true)
+      expect(tx.toBuffer().length).to.be.at.most(options.maxTxSize)
+      expect(tx.getFee()).to.equal(Math.ceil(plan.txSizes[i] / 1000 * Transaction.FEE_PER_KB))
+      const parsed = Glyph.parseGlyphTransaction(tx)
+      expect(parsed.type).to.equal('chunk')
+      expect(parsed.chunks[0].outputIndex).to.equal(chunks.CHUNK_OUTPUT_INDEX)
+      expect(parsed.chunks[0].envelope.index).to.equal(i)
+      if (i > 0) {
+        expect(tx.inputs[0].prevTxId.toString('hex')).to.equal(chain[i - 1].id)
+        expect(tx.inputs[0].outputIndex).to.equal(chunks.LINK_OUTPUT_INDEX)
+      }
+    })
+    const left = chain[chain.length - 1].outputs[chunks.LINK_OUTPUT_INDEX].satoshis
+    expect(fundingUtxo.satoshis - left).to.equal(plan.fee)
+  })
+
+  it('needs enough funds for the whole chain', function () {
+    const plan = chunks.planChunks(file, options)
+    const utxo = Object.assign({}, fundingUtxo, { satoshis: plan.fee })
+    expect(() => chunks.buildChunkChain(file, utxo, privateKey, options)).to.throw('the chain needs')
+  })
+
+  it('reassembles the file in any order and checks its content entry', function () {
+    const chain = chunks.buildChunkChain(file, fundingUtxo, privateKey, options)
+    const entry = {
+      path: 'big.bin',
+      mime: 'application/octet-stream',
+      storage: Glyph.StorageType.REF,
+      size: file.length,
+      hash: { algo: 'sha256', hex: Hash.sha256(file).toString('hex') }
+    }
+    const shuffled = [chain[3], chain[0], chain[4].toString(), chain[2], chain[1]]
+    expect(Glyph.reassembleChunks(shuffled, entry).equals(file)).to.equal(true)
+    expect(() => Glyph.reassembleChunks(chain, Object.assign({}, entry, { size: 1 })))
+      .to.throw('big.bin is 3000 bytes, metadata says 1')
+    expect(() => Glyph.reassembleChunks(chain, Object.assign({}, entry, { hash: { algo: 'sha256', hex: '00'.repeat(32) } })))
+      .to.throw('does not match the sha256 hash in its metadata')
+  })
+
+  it('rejects missing, repeated, foreign and unlinked chunks', function () {
+    const chain = chunks.buildChunkChain(file, fundingUtxo, privateKey, options)
+    expect(() => chunks.reassembleChunks([])).to.throw('non-empty array')
+    expect(() => chunks.reassembleChunks(chain.slice(0, 4))).to.throw('chunk 4 is missing')
+    expect(() => chunks.reassembleChunks([chain[0], chain[2]])).to.throw('chunk 1 is missing')
+    expect(() => chunks.reassembleChunks(chain.concat([chain[1]]))).to.throw('chunk 1 appears twice')
+
+    const other = Buffer.from(file)
+    other[0] ^= 1
+    const otherChain = chunks.buildChunkChain(other, fundingUtxo, privateKey, options)
+    expect(() => chunks.reassembleChunks([chain[0], otherChain[1]])).to.throw('chunk 1 belongs to another file')
+
+    const unlinked = chunks.buildChunkChain(file, Object.assign({}, fundingUtxo, { outputIndex: 1 }), privateKey, options)
+    expect(() => chunks.reassembleChunks([chain[0], unlinked[1], unlinked[2], unlinked[3], unlinked[4]]))
+      .to.throw('chunk 1 does not spend the link output of chunk 0')
+
+    const plain = new Transaction().from(fundingUtxo).to(address, 1000).sign(privateKey)
+    expect(() => chunks.reassembleChunks([plain])).to.throw('carries 0 chunks')
+  })
+
+  it('rejects a chunk whose data was tampered with', function () {
+    // The last one, so that no later chunk fails its link check first
+    const chain = chunks.buildChunkChain(file, fundingUtxo, privateKey, options)
+    const chunk = Glyph.decodeChunkEnvelope(chain[4].outputs[0].script.toBuffer())
+    const data = Buffer.from(chunk.data)
+    data[0] ^= 1
+    chain[4].outputs[0].setScript(Script.fromBuffer(Glyph.buildRevealScript(Glyph.encodeChunkEnvelope(
+      Object.assign({}, chunk, { data })))))
+    expect(() => chunks.reassembleChunks(chain)).to.throw('does not match its sha256 hash')
+  })
+})
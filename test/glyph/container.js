@@ -0,0 +1,123 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const bsv = require('../..')
+const Glyph = require('../../lib/glyph')
+const container = require('../../lib/glyph/container')
+const { GlyphProtocol } = require('../../lib/glyph/constants')
+const Transaction = bsv.Transaction
+const fixture = require('../data/glyph')
+
+describe('Glyph container', function () {
+  const containerMetadata = function (type, max) {
+    return {
+      v: 2,
+      type: 'nft',
+      p: [GlyphProtocol.GLYPH_NFT, GlyphProtocol.GLYPH_CONTAINER],
+      name: 'Seasons',
+      main: { t: 'text/plain', b: Buffer.from('Seasons') },
+      container: max === undefined ? { type } : { type, max }
+    }
+  }
+  const memberMetadata = function (name) {
+    return { v: 2, type: 'nft', p: [GlyphProtocol.GLYPH_NFT], name, main: { t: 'text/plain', b: Buffer.from(name) } }
+  }
+  const mint = function (glyph, parent) {
+    return fixture.mintSingleton(glyph, parent, container.authorize)
+  }
+
+  it('mints members that the container authorises', function () {
+    const album = mint(new Glyph(containerMetadata('album', 2)))
+    const spring = mint(container.child(album.ref, memberMetadata('Spring')), album)
+    const summer = mint(container.child(Buffer.from(album.ref, 'hex'), memberMetadata('Summer')), album)
+    expect(spring.revealTx.verifyScripts().every(r => r.valid)).to.equal(true)
+    expect(Glyph.parseGlyphTransaction(spring.revealTx).reveals[0].envelope.metadata.in).to.equal(album.ref)
+
+    const transactions = [album.revealTx, spring.revealTx, summer.revealTx]
+    expect(Glyph.verifyMembership(spring.revealTx, album.ref, transactions)).to.deep.equal({ valid: true, errors: [] })
+    expect(Glyph.verifyMembership(summer.revealTx, album.ref, [album.revealTx]).valid).to.equal(true)
+    expect(container.members(album.ref, transactions)).to.deep.equal([
+      { ref: spring.ref, n: undefined },
+      { ref: summer.ref, n: undefined }
+    ])
+
+    const autumn = mint(container.child(album.ref, memberMetadata('Autumn')), album)
+    expect(Glyph.verifyMembership(autumn.revealTx, album.ref, transactions).errors)
+      .to.deep.equal([autumn.ref + ' comes after the 2 members the container holds'])
+    expect(container.members(album.ref, transactions.concat([autumn.revealTx])).length).to.equal(2)
+  })
+
+  it('rejects claims the chain does not back', function () {
+    const collection = mint(new Glyph(containerMetadata('collection')))
+    const member = mint(container.child(collection.ref, memberMetadata('Member')), collection)
+
+    const copy = mint(container.child(collection.ref, memberMetadata('Copy')))
+    expect(Glyph.verifyMembership(copy.revealTx, collection.ref, [collection.revealTx]).errors)
+      .to.deep.equal([copy.ref + ' claims ' + collection.ref + ' but its reveal does not spend it'])
+    expect(container.members(collection.ref, [collection.revealTx, member.revealTx, copy.revealTx]))
+      .to.deep.equal([{ ref: member.ref, n: undefined }])
+
+    const loose = mint(new Glyph(memberMetadata('Loose')), collection)
+    expect(Glyph.verifyMembership(loose.revealTx, collection.ref, [collection.revealTx]).errors)
+      .to.deep.equal([loose.ref + ' makes no container claim'])
+
+    const other = mint(new Glyph(containerMetadata('bundle')))
+    expect(Glyph.verifyMembership(member.revealTx, other.ref, [other.revealTx]).errors)
+      .to.deep.equal([member.ref + ' claims the container ' + collection.ref + ', not ' + other.ref])
+    expect(Glyph.verifyMembership(member.revealTx, collection.ref, []).errors)
+      .to.deep.equal(['the reveal of ' + collection.ref + ' is not among the transactions'])
+
+    const plain = mint(new Glyph(memberMetadata('Plain')))
+    const inPlain = mint(container.child(plain.ref, memberMetadata('Inside')), plain)
+    expect(Glyph.verifyMembership(inPlain.revealTx, plain.ref, [plain.revealTx]).errors)
+      .to.deep.equal([plain.ref + ' is not a container'])
+    expect(container.members(plain.ref, [plain.revealTx, inPlain.revealTx])).to.deep.equal([])
+
+    expect(Glyph.verifyMembership(new Transaction(), collection.ref, []).errors)
+      .to.deep.equal(['the transaction reveals no glyph'])
+  })
+
+  it('numbers the members of a series', function () {
+    const series = mint(new Glyph(containerMetadata('series', 3)))
+    const first = mint(container.child(series.ref, memberMetadata('One'), 1), series)
+    const third = mint(container.child(series.ref, memberMetadata('Three'), 3), series)
+    const again = mint(container.child(series.ref, memberMetadata('One again'), 1), series)
+    const fourth = mint(container.child(series.ref, memberMetadata('Four'), 4), series)
+    const unnumbered = mint(container.child(series.ref, memberMetadata('None')), series)
+    const transactions = [series.revealTx, first.revealTx, third.revealTx, again.revealTx, fourth.revealTx]
+
+    expect(Glyph.verifyMembership(third.revealTx, series.ref, transactions).valid).to.equal(true)
+    expect(Glyph.verifyMembership(again.revealTx, series.ref, transactions).errors)
+      .to.deep.equal([again.ref + ' is numbered 1, as ' + first.ref + ' was first'])
+    expect(Glyph.verifyMembership(fourth.revealTx, series.ref, transactions).errors)
+      .to.deep.equal([fourth.ref + ' is numbered 4, not 1 to 3'])
+    expect(Glyph.verifyMembership(unnumbered.revealTx, series.ref, transactions).errors)
+      .to.deep.equal([unnumbered.ref + ' has no series number'])
+    expect(container.members(series.ref, transactions)).to.deep.equal([
+      { ref: first.ref, n: 1 },
+      { ref: third.ref, n: 3 }
+    ])
+    expect(() => container.child(series.ref, memberMetadata('Zero'), 0)).to.throw('n must be a positive integer')
+  })
+
+  it('validates container and member metadata', function () {
+    expect(Glyph.validateMetadata(containerMetadata('series', 10)).valid).to.equal(true)
+    expect(Glyph.validateMetadata(containerMetadata('series')).errors)
+      .to.deep.equal(['A series container requires max'])
+    expect(Glyph.validateMetadata(containerMetadata('shelf')).errors)
+      .to.deep.equal(['Container type must be one of collection, album, bundle, series'])
+    expect(Glyph.validateMetadata(containerMetadata('album', 1.5)).errors)
+      .to.deep.equal(['Container max must be a positive integer'])
+
+    const ref = 'ab'.repeat(36)
+    expect(Glyph.validateMetadata(Object.assign(memberMetadata('One'), { in: ref, n: 1 })).valid).to.equal(true)
+    expect(Glyph.validateMetadata(Object.assign(memberMetadata('One'), { in: 'ab' })).errors)
+      .to.deep.equal(['in must be a 72-character hex ref'])
+    expect(Glyph.validateMetadata(Object.assign(memberMetadata('One'), { n: 1 })).errors)
+      .to.deep.equal(['A series number requires an in claim'])
+    expect(Glyph.validateMetadata(Object.assign(memberMetadata('One'), { in: ref, n: '1' })).errors)
+      .to.deep.equal(['n must be a positive integer'])
+  })
+})
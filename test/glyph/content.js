@@ -0,0 +1,85 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const bsv = require('../..')
+const Glyph = require('../../lib/glyph')
+const content = require('../../lib/glyph/content')
+const { encodeCommitEnvelope } = require('../../lib/glyph/encoder')
+const { decodeEnvelope } = require('../../lib/glyph/decoder')
+const Hash = bsv.crypto.Hash
+
+describe('Glyph content root', function () {
+  const files = [0, 1, 2, 3, 4].map(function (i) {
+    return { path: 'images/' + i + '.png', mime: 'image/png', data: Buffer.from('image ' + i) }
+  })
+
+  it('encodes a leaf from the path, mime type and file hash', function () {
+    const leaf = content.contentLeaf(files[0])
+    expect(leaf.equals(Hash.sha256sha256(Buffer.concat([
+      Buffer.from([0x00, 12]), Buffer.from('images/0.png'),
+      Buffer.from([9]), Buffer.from('image/png'),
+      Hash.sha256(files[0].data)
+    ])))).to.equal(true)
+    const declared = { path: 'images/0.png', mime: 'image/png', hash: { algo: 'sha256', hex: Hash.sha256(files[0].data).toString('hex') } }
+    expect(content.contentLeaf(declared).equals(leaf)).to.equal(true)
+    expect(function () {
+      content.contentLeaf({ path: 'a', mime: 'b', hash: { algo: 'blake3', hex: '00'.repeat(32) } })
+    }).to.throw('needs a sha256 hash')
+    expect(function () {
+      content.contentLeaf({ path: '', mime: 'b', data: Buffer.alloc(1) })
+    }).to.throw('needs a path')
+  })
+
+  it('hashes pairs with a node prefix and promotes an odd last node', function () {
+    const leaves = files.slice(0, 3).map(content.contentLeaf)
+    const node = function (left, right) {
+      return Hash.sha256sha256(Buffer.concat([Buffer.from([0x01]), left, right]))
+    }
+    expect(Glyph.contentRoot(files.slice(0, 1)).equals(leaves[0])).to.equal(true)
+    expect(Glyph.contentRoot(files.slice(0, 3)).equals(node(node(leaves[0], leaves[1]), leaves[2]))).to.equal(true)
+    expect(Glyph.contentRoot(files).equals(Glyph.contentRoot(files.slice().reverse()))).to.equal(false)
+    expect(function () { Glyph.contentRoot([]) }).to.throw('non-empty array')
+    expect(function () { Glyph.contentRoot([files[0], files[0]]) }).to.throw('duplicate path')
+  })
+
+  it('proves and verifies every file', function () {
+    for (let count = 1; count <= files.length; count++) {
+      const some = files.slice(0, count)
+      const root = Glyph.contentRoot(some)
+      some.forEach(function (file, i) {
+        const proof = Glyph.proveFile(some, file.path)
+        expect(proof.index).to.equal(i)
+        expect(proof.count).to.equal(count)
+        expect(Glyph.verifyFileProof(root, file, proof)).to.equal(true)
+        expect(Glyph.verifyFileProof(root.toString('hex'), file, {
+          index: proof.index,
+          count: proof.count,
+          siblings: proof.siblings.map(function (sibling) { return sibling.toString('hex') })
+        })).to.equal(true)
+      })
+    }
+  })
+
+  it('rejects a wrong file or proof', function () {
+    const root = Glyph.contentRoot(files)
+    const proof = Glyph.proveFile(files, 3)
+    expect(Glyph.verifyFileProof(root, Object.assign({}, files[3], { data: Buffer.from('forged') }), proof)).to.equal(false)
+    expect(Glyph.verifyFileProof(root, Object.assign({}, files[3], { mime: 'image/jpeg' }), proof)).to.equal(false)
+    expect(Glyph.verifyFileProof(root, files[2], proof)).to.equal(false)
+    expect(Glyph.verifyFileProof(root, files[3], Object.assign({}, proof, { index: 2 }))).to.equal(false)
+    expect(Glyph.verifyFileProof(root, files[3], Object.assign({}, proof, { count: 4 }))).to.equal(false)
+    expect(Glyph.verifyFileProof(root, files[3], Object.assign({}, proof, { siblings: proof.siblings.slice(1) }))).to.equal(false)
+    expect(Glyph.verifyFileProof(root, files[3], Object.assign({}, proof, { siblings: proof.siblings.concat([root]) }))).to.equal(false)
+    expect(function () { Glyph.proveFile(files, 'missing.png') }).to.throw('no file missing.png')
+  })
+
+  it('travels in the commit envelope', function () {
+    const root = Glyph.contentRoot(files)
+    const envelope = encodeCommitEnvelope({ commitHash: Buffer.alloc(32, 1), contentRoot: root })
+    const decoded = decodeEnvelope(envelope)
+    expect(decoded.contentRoot.equals(root)).to.equal(true)
+    expect(Glyph.verifyFileProof(decoded.contentRoot, files[4], Glyph.proveFile(files, 4))).to.equal(true)
+  })
+})
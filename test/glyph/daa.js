@@ -0,0 +1,110 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const daa = require('../../lib/glyph/daa')
+const { DaaMode } = require('../../lib/glyph/constants')
+
+describe('Glyph DAA', function () {
+  const time = 1700000000
+  const target = 360000n
+
+  it('reads parameters with the Glyph defaults', function () {
+    expect(daa.readParams(DaaMode.FIXED, { halfLife: 10 })).to.deep.equal({})
+    expect(daa.readParams(DaaMode.ASERT)).to.deep.equal({ targetTime: 60, halfLife: 3600 })
+    expect(daa.readParams(DaaMode.EPOCH, { epochLength: '10' })).to.deep.equal({ targetTime: 60, epochLength: 10 })
+    expect(daa.readParams(DaaMode.LWMA, { targetTime: 30 })).to.deep.equal({ targetTime: 30, window: 24 })
+    expect(daa.readParams(DaaMode.SCHEDULE, { schedule: [{ height: '5', target: '100' }] }))
+      .to.deep.equal({ schedule: [{ height: 5, target: 100n }] })
+    expect(function () {
+      daa.readParams(DaaMode.SCHEDULE, {})
+    }).to.throw('SCHEDULE needs a schedule')
+    expect(function () {
+      daa.readParams(9, {})
+    }).to.throw('DAA mode 9 is not supported')
+  })
+
+  it('rejects parameters a contract cannot check', function () {
+    expect(function () {
+      daa.checkParams(DaaMode.LWMA, { targetTime: 6000, window: 24 }, 100)
+    }).to.throw('targetTime must be an integer')
+    expect(function () {
+      daa.checkParams(DaaMode.LWMA, { targetTime: 60, window: 33 }, 100)
+    }).to.throw('window must be an integer')
+    expect(function () {
+      daa.checkParams(DaaMode.SCHEDULE, { schedule: [{ height: 5, target: 1n }, { height: 5, target: 2n }] }, 100)
+    }).to.throw('schedule height 1 must be an integer')
+    expect(function () {
+      daa.checkParams(DaaMode.SCHEDULE, { schedule: [{ height: 5, target: 0n }] }, 100)
+    }).to.throw('schedule target 0 must be a bigint')
+  })
+
+  it('approximates powers of two for ASERT', function () {
+    expect(daa.asertFactor(0n)).to.equal(65536n)
+    expect(daa.asertFactor(65536n)).to.equal(131072n)
+    expect(daa.asertFactor(-65536n)).to.equal(32768n)
+    let previous = 0n
+    for (let exponent = -65536; exponent <= 65536; exponent += 4096) {
+      const factor = daa.asertFactor(BigInt(exponent))
+      expect(factor > previous).to.equal(true)
+      expect(Math.abs(Number(factor) / 65536 / Math.pow(2, exponent / 65536) - 1)).to.be.below(0.001)
+      previous = factor
+    }
+  })
+
+  it('keeps a FIXED target', function () {
+    expect(daa.nextTarget({ daaMode: DaaMode.FIXED, daaParams: {}, height: 5, target, lastTime: time }, time + 1))
+      .to.deep.equal({ target })
+  })
+
+  it('adjusts an EPOCH target at the end of each epoch', function () {
+    const params = { targetTime: 60, epochLength: 10 }
+    const state = { height: 9, target, lastTime: time, epochStart: time - 600 }
+    expect(daa.epoch(Object.assign({}, state, { height: 0 }), params, time))
+      .to.deep.equal({ target, epochStart: time })
+    expect(daa.epoch(Object.assign({}, state, { height: 4 }), params, time))
+      .to.deep.equal({ target, epochStart: time - 600 })
+    expect(daa.epoch(state, params, time)).to.deep.equal({ target, epochStart: time })
+    expect(daa.epoch(Object.assign({}, state, { epochStart: time - 300 }), params, time).target)
+      .to.equal(target / 2n)
+    expect(daa.epoch(Object.assign({}, state, { epochStart: time - 100000 }), params, time).target)
+      .to.equal(target * 4n)
+    expect(daa.epoch(Object.assign({}, state, { epochStart: time }), params, time).target)
+      .to.equal(target / 4n)
+  })
+
+  it('moves an ASERT target exponentially with the solve time', function () {
+    const params = { targetTime: 60, halfLife: 600 }
+    const state = { height: 3, target, lastTime: time }
+    expect(daa.asert(Object.assign({}, state, { height: 0 }), params, time + 5000)).to.deep.equal({ target })
+    expect(daa.asert(state, params, time + 60).target).to.equal(target)
+    expect(daa.asert(state, params, time + 660).target).to.equal(target * 2n)
+    expect(daa.asert(state, params, time + 6000).target).to.equal(target * 2n)
+    expect(daa.asert(state, { targetTime: 60, halfLife: 60 }, time).target).to.equal(target / 2n)
+    expect(daa.asert(state, params, time + 30).target < target).to.equal(true)
+  })
+
+  it('weights recent LWMA solve times most', function () {
+    const params = { targetTime: 60, window: 3 }
+    const state = { height: 3, target, lastTime: time, solveTimes: [60, 60, 60] }
+    expect(daa.lwma(Object.assign({}, state, { height: 0 }), params, time + 1))
+      .to.deep.equal({ target, solveTimes: [60, 60, 60] })
+    expect(daa.lwma(state, params, time + 60)).to.deep.equal({ target, solveTimes: [60, 60, 60] })
+    // (60 + 2 × 60 + 3 × 1) / (60 × 6), the solve time clamped to 1
+    expect(daa.lwma(state, params, time)).to.deep.equal({ target: 183000n, solveTimes: [60, 60, 1] })
+    // (60 + 2 × 60 + 3 × 360) / (60 × 6), the solve time clamped to 6 × 60
+    expect(daa.lwma(state, params, time + 10000)).to.deep.equal({ target: 1260000n, solveTimes: [60, 60, 360] })
+    expect(daa.lwma(Object.assign({}, state, { target: 1n }), params, time).target).to.equal(1n)
+    expect(daa.lwma(Object.assign({}, state, { target: daa.MAX_TARGET }), params, time + 10000).target)
+      .to.equal(daa.MAX_TARGET)
+  })
+
+  it('follows a SCHEDULE by height', function () {
+    const params = { schedule: [{ height: 2, target: 1000n }, { height: 4, target: 10n }] }
+    expect(daa.schedule({ height: 0, target }, params)).to.deep.equal({ target })
+    expect(daa.schedule({ height: 1, target }, params)).to.deep.equal({ target: 1000n })
+    expect(daa.schedule({ height: 2, target: 1000n }, params)).to.deep.equal({ target: 1000n })
+    expect(daa.schedule({ height: 7, target: 10n }, params)).to.deep.equal({ target: 10n })
+  })
+})
@@ -5,12 +5,25 @@ const expect = chai.expect
 
 const {
   containsGlyphMagic,
+  decodeEnvelope,
+  decodeUpdateEnvelope,
+  decodeChunkEnvelope,
+  decodeRevocationEnvelope,
   decodeMetadata,
   getGlyphId,
   parseGlyphId,
 } = require('../../lib/glyph/decoder')
 
-const { GLYPH_MAGIC, GlyphVersion } = require('../../lib/glyph/constants')
+const Script = require('../../lib/script')
+const {
+  encodeRevealEnvelope,
+  encodeRevealEnvelopeB,
+  buildRevealScript,
+  encodeUpdateEnvelope,
+  encodeChunkEnvelope,
+  encodeRevocationEnvelope
+} = require('../../lib/glyph/encoder')
+const { GLYPH_MAGIC, GLYPH_UPDATE_MARKER, GlyphVersion } = require('../../lib/glyph/constants')
 
 describe('Glyph Decoder', function () {
   describe('containsGlyphMagic', function () {
@@ -74,6 +87,138 @@ describe('Glyph Decoder', function () {
     })
   })
 
+  describe('decodeUpdateEnvelope', function () {
+    const updates = [{ op: 'append', path: ['attrs', 'tags'], value: 'new' }]
+
+    it('should decode an update envelope', function () {
+      expect(decodeUpdateEnvelope(encodeUpdateEnvelope(updates))).to.deep.equal({
+        type: 'update',
+        isReveal: false,
+        version: GlyphVersion.V2,
+        updates
+      })
+    })
+
+    it('should be found by decodeEnvelope inside a script', function () {
+      const envelope = encodeUpdateEnvelope(updates)
+      const script = Buffer.concat([Buffer.from([0x4c, envelope.length]), envelope])
+      expect(decodeEnvelope(script).updates).to.deep.equal(updates)
+    })
+
+    it('should reject malformed envelopes', function () {
+      const body = encodeUpdateEnvelope(updates).slice(7)
+      const header = function (version) {
+        return Buffer.concat([GLYPH_MAGIC, Buffer.from([version]), GLYPH_UPDATE_MARKER])
+      }
+      expect(decodeUpdateEnvelope(header(GlyphVersion.V1))).to.equal(null)
+      expect(decodeUpdateEnvelope(Buffer.concat([header(GlyphVersion.V1), body]))).to.equal(null)
+      expect(decodeUpdateEnvelope(Buffer.concat([header(GlyphVersion.V2), Buffer.from('[]')]))).to.equal(null)
+      expect(decodeUpdateEnvelope(Buffer.concat([header(GlyphVersion.V2),
+        Buffer.from('[{"op":"replace","path":["__proto__"],"value":1}]')]))).to.equal(null)
+      expect(decodeEnvelope(Buffer.concat([header(GlyphVersion.V2), Buffer.from('{')]))).to.equal(null)
+    })
+  })
+
+  describe('decodeChunkEnvelope', function () {
+    const fileHash = Buffer.alloc(32, 7)
+    const pushes = encodeChunkEnvelope({ index: 1, count: 2, fileHash, data: Buffer.from('piece') })
+
+    it('should decode a chunk envelope from an OP_RETURN output', function () {
+      const script = buildRevealScript(pushes)
+      const expected = {
+        type: 'chunk',
+        isReveal: false,
+        version: GlyphVersion.V2,
+        index: 1,
+        count: 2,
+        fileHash,
+        data: Buffer.from('piece')
+      }
+      expect(decodeChunkEnvelope(script)).to.deep.equal(expected)
+      expect(decodeEnvelope(script)).to.deep.equal(expected)
+    })
+
+    it('should reject a missing data push or a bad position', function () {
+      expect(decodeChunkEnvelope(buildRevealScript([pushes[0]]))).to.equal(null)
+      expect(decodeChunkEnvelope(buildRevealScript(pushes.concat([Buffer.from('more')])))).to.equal(null)
+      const header = Buffer.from(pushes[0])
+      header.writeUInt32LE(2, 7)
+      expect(decodeEnvelope(buildRevealScript([header, pushes[1]]))).to.equal(null)
+    })
+  })
+
+  describe('decodeRevocationEnvelope', function () {
+    const envelope = encodeRevocationEnvelope({ authority: Buffer.alloc(36, 1), revoked: [Buffer.alloc(36, 2)] })
+
+    it('should decode a revocation envelope from an OP_RETURN output', function () {
+      const expected = {
+        type: 'revocation',
+        isReveal: false,
+        version: GlyphVersion.V2,
+        authority: Buffer.alloc(36, 1),
+        revoked: [Buffer.alloc(36, 2)]
+      }
+      expect(decodeRevocationEnvelope(envelope)).to.deep.equal(expected)
+      expect(decodeEnvelope(buildRevealScript([envelope]))).to.deep.equal(expected)
+    })
+
+    it('should reject envelopes without whole refs', function () {
+      expect(decodeRevocationEnvelope(envelope.slice(0, 43))).to.equal(null)
+      expect(decodeRevocationEnvelope(envelope.slice(0, envelope.length - 1))).to.equal(null)
+      expect(decodeEnvelope(buildRevealScript([envelope.slice(0, 60)]))).to.equal(null)
+    })
+  })
+
+  describe('decodeEnvelope reveals', function () {
+    const metadata = {
+      v: 2,
+      p: [2],
+      content: {
+        primary: { path: 'a.txt', mime: 'text/plain' },
+        files: [{ path: 'far.png', storage: 'ipfs' }, { path: 'b.txt', storage: 'inline' }]
+      }
+    }
+    const files = [Buffer.from('first'), Buffer.from('second')]
+
+    it('should read style A pushes in an OP_RETURN output', function () {
+      const script = buildRevealScript(encodeRevealEnvelope({ metadata, files }))
+      const envelope = decodeEnvelope(script)
+      expect(envelope.style).to.equal('A')
+      expect(envelope.version).to.equal(GlyphVersion.V2)
+      expect(envelope.metadata).to.deep.equal(metadata)
+      expect(envelope.files).to.deep.equal(files)
+      expect([...envelope.filesByPath.keys()]).to.deep.equal(['a.txt', 'b.txt'])
+      expect(envelope.filesByPath.get('b.txt').equals(files[1])).to.equal(true)
+    })
+
+    it('should read style B pushes', function () {
+      const script = new Script()
+      encodeRevealEnvelopeB({ metadata, files }).forEach(function (chunk) {
+        script.add(chunk)
+      })
+      const envelope = decodeEnvelope(script.toBuffer())
+      expect(envelope.style).to.equal('B')
+      expect(envelope.isReveal).to.equal(true)
+      expect(envelope.metadata).to.deep.equal(metadata)
+      expect(envelope.filesByPath.get('a.txt').equals(files[0])).to.equal(true)
+    })
+
+    it('should keep undecodable metadata bytes', function () {
+      const script = buildRevealScript(encodeRevealEnvelope({ metadata: Buffer.from('{bad') }))
+      const envelope = decodeEnvelope(script)
+      expect(envelope.metadata).to.equal(null)
+      expect(envelope.rawMetadata.toString()).to.equal('{bad')
+      expect(envelope.files).to.deep.equal([])
+    })
+
+    it('should reject reserved flags and ignore magic bytes followed by code', function () {
+      const header = Buffer.concat([GLYPH_MAGIC, Buffer.from([GlyphVersion.V2, 0x88])])
+      expect(decodeEnvelope(buildRevealScript([header, Buffer.from('{}')]))).to.equal(null)
+      const code = new Script().add(GLYPH_MAGIC).add('OP_EQUALVERIFY').add(Buffer.from('{}'))
+      expect(decodeEnvelope(code.toBuffer())).to.equal(null)
+    })
+  })
+
   describe('getGlyphId', function () {
     it('should format Glyph ID correctly', function () {
       const txid = 'abc123def456'
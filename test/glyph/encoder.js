@@ -10,10 +10,13 @@ const {
   canonicalizeObject,
   computeCommitHash,
   encodeCommitEnvelope,
-  encodeRevealEnvelope
+  encodeRevealEnvelope,
+  encodeUpdateEnvelope,
+  encodeChunkEnvelope,
+  encodeRevocationEnvelope
 } = encoder
 
-const { GlyphVersion, GlyphProtocol, GLYPH_MAGIC } = require('../../lib/glyph/constants')
+const { GlyphVersion, GlyphProtocol, GLYPH_MAGIC, GLYPH_UPDATE_MARKER, GLYPH_CHUNK_MARKER, GLYPH_REVOCATION_MARKER, GlyphLimits } = require('../../lib/glyph/constants')
 
 describe('Glyph Encoder', function () {
   describe('encodeMetadata', function () {
@@ -275,4 +278,84 @@ describe('Glyph Encoder', function () {
       }).to.throw(/exceeds maximum size/)
     })
   })
+
+  describe('encodeUpdateEnvelope', function () {
+    it('should encode the header then the canonical updates as CBOR', function () {
+      const envelope = encodeUpdateEnvelope([
+        { op: 'replace', path: 'attrs.color', value: 'red' },
+        { op: 'remove', path: ['desc'] }
+      ])
+      expect(envelope.slice(0, 3).equals(GLYPH_MAGIC)).to.equal(true)
+      expect(envelope[3]).to.equal(GlyphVersion.V2)
+      expect(envelope.slice(4, 7).equals(GLYPH_UPDATE_MARKER)).to.equal(true)
+      expect(cbor.decode(envelope.slice(7))).to.deep.equal([
+        { op: 'replace', path: ['attrs', 'color'], value: 'red' },
+        { op: 'remove', path: ['desc'] }
+      ])
+    })
+
+    it('should encode JSON when encoder.useJson = true', function () {
+      encoder.useJson = true
+      try {
+        const envelope = encodeUpdateEnvelope([{ op: 'merge', value: { name: 'x' } }])
+        expect(JSON.parse(envelope.slice(7).toString('utf8'))).to.deep.equal([
+          { op: 'merge', path: [], value: { name: 'x' } }
+        ])
+      } finally {
+        encoder.useJson = false
+      }
+    })
+
+    it('should reject empty, invalid and oversized updates', function () {
+      expect(() => encodeUpdateEnvelope([])).to.throw('at least one update')
+      expect(() => encodeUpdateEnvelope([{ op: 'rename', path: 'name' }])).to.throw('unknown operation')
+      expect(() => encodeUpdateEnvelope([
+        { op: 'replace', path: 'data', value: 'x'.repeat(GlyphLimits.MAX_UPDATE_ENVELOPE_SIZE) }
+      ])).to.throw(/exceeds maximum size/)
+    })
+  })
+
+  describe('encodeChunkEnvelope', function () {
+    const fileHash = Buffer.alloc(32, 7)
+
+    it('should encode the header push then the data push', function () {
+      const [header, data] = encodeChunkEnvelope({ index: 2, count: 3, fileHash, data: Buffer.from('abc') })
+      expect(header.length).to.equal(47)
+      expect(header.slice(0, 3).equals(GLYPH_MAGIC)).to.equal(true)
+      expect(header[3]).to.equal(GlyphVersion.V2)
+      expect(header.slice(4, 7).equals(GLYPH_CHUNK_MARKER)).to.equal(true)
+      expect(header.readUInt32LE(7)).to.equal(2)
+      expect(header.readUInt32LE(11)).to.equal(3)
+      expect(header.slice(15).equals(fileHash)).to.equal(true)
+      expect(data.toString()).to.equal('abc')
+    })
+
+    it('should reject bad positions, hashes and data', function () {
+      const data = Buffer.from('abc')
+      expect(() => encodeChunkEnvelope({ index: 0, count: 0, fileHash, data })).to.throw('count of at least 1')
+      expect(() => encodeChunkEnvelope({ index: 3, count: 3, fileHash, data })).to.throw('between 0 and 2')
+      expect(() => encodeChunkEnvelope({ index: 0, count: 1, fileHash: Buffer.alloc(20), data })).to.throw('32 bytes')
+      expect(() => encodeChunkEnvelope({ index: 0, count: 1, fileHash, data: Buffer.alloc(0) })).to.throw('non-empty')
+    })
+  })
+
+  describe('encodeRevocationEnvelope', function () {
+    const authority = Buffer.alloc(36, 1)
+
+    it('should encode the authority ref then the revoked refs', function () {
+      const envelope = encodeRevocationEnvelope({ authority, revoked: [Buffer.alloc(36, 2), '03'.repeat(36)] })
+      expect(envelope.length).to.equal(7 + 3 * 36)
+      expect(envelope.slice(0, 3).equals(GLYPH_MAGIC)).to.equal(true)
+      expect(envelope[3]).to.equal(GlyphVersion.V2)
+      expect(envelope.slice(4, 7).equals(GLYPH_REVOCATION_MARKER)).to.equal(true)
+      expect(envelope.slice(7, 43).equals(authority)).to.equal(true)
+      expect(envelope.slice(79).equals(Buffer.alloc(36, 3))).to.equal(true)
+    })
+
+    it('should reject an empty list and malformed refs', function () {
+      expect(() => encodeRevocationEnvelope({ authority, revoked: [] })).to.throw('at least one revoked ref')
+      expect(() => encodeRevocationEnvelope({ authority: Buffer.alloc(32), revoked: [authority] })).to.throw('36 bytes')
+      expect(() => encodeRevocationEnvelope({ authority, revoked: ['00'] })).to.throw('36 bytes')
+    })
+  })
 })
@@ -0,0 +1,105 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const bsv = require('../..')
+const Glyph = require('../../lib/glyph')
+const encryption = require('../../lib/glyph/encryption')
+const { GlyphProtocol } = require('../../lib/glyph/constants')
+const PrivateKey = bsv.PrivateKey
+const fixture = require('../data/glyph')
+
+describe('Glyph encryption', function () {
+  const alice = new PrivateKey('L1uyy5qTuGrVXrmrsvHWHgVzW9kKdrp27wBC7Vs6nZDTF2BRUVwy')
+  const bob = new PrivateKey('KxfxrUXSMjJQcb3JgnaaA6MqsrKQ1nBSxvhuigdKRyFiEm6BZDgG')
+  const eve = new PrivateKey('L3T1s1TYP9oyhHpXgkyLoJFGniEgkv2Jhi138d7R2yJ9F4QdDU2m')
+  const files = [
+    { path: 'main.txt', mime: 'text/plain', data: Buffer.from('members only') },
+    { path: 'bonus.bin', mime: 'application/octet-stream', data: Buffer.alloc(100, 7) }
+  ]
+  const metadataFor = function (encrypted) {
+    return {
+      v: 2,
+      type: 'nft',
+      p: [GlyphProtocol.GLYPH_NFT, GlyphProtocol.GLYPH_ENCRYPTED],
+      name: 'Gated',
+      crypto: encrypted.crypto,
+      content: { primary: encrypted.content[0], files: encrypted.content.slice(1) }
+    }
+  }
+
+  it('encrypts files and wraps the key for every recipient', function () {
+    const encrypted = Glyph.encryptContent(files, [alice.publicKey, bob.publicKey.toString()])
+    expect(encrypted.contentKey.length).to.equal(32)
+    expect(encrypted.crypto.cipher).to.equal(encryption.CIPHER)
+    expect(encrypted.crypto.wrap).to.equal(encryption.KEY_WRAP)
+    expect(encrypted.crypto.recipients.map(r => r.pubkey)).to.deep.equal([
+      alice.publicKey.toString(),
+      bob.publicKey.toString()
+    ])
+    expect(encrypted.files[0].includes(files[0].data)).to.equal(false)
+    expect(encrypted.content[1]).to.deep.equal({
+      path: 'bonus.bin',
+      mime: 'application/octet-stream',
+      size: encrypted.files[1].length,
+      hash: { algo: 'sha256', hex: bsv.crypto.Hash.sha256(encrypted.files[1]).toString('hex') },
+      encrypted: true
+    })
+    expect(Glyph.validateMetadata(metadataFor(encrypted)).valid).to.equal(true)
+
+    const metadata = metadataFor(encrypted)
+    expect(Glyph.decryptContent(metadata, encrypted.files, alice)).to.deep.equal(files)
+    expect(Glyph.decryptContent(metadata, encrypted.files, bob)).to.deep.equal(files)
+    expect(Glyph.decryptContent(metadata, encrypted.files, encrypted.contentKey)).to.deep.equal(files)
+  })
+
+  it('mints and reveals an encrypted token that a holder can decrypt', function () {
+    const encrypted = Glyph.encryptContent(files, [alice.publicKey])
+    const glyph = new Glyph(metadataFor(encrypted), encrypted.files)
+    const { commitTx, revealTx } = fixture.mint(glyph)
+    expect(Glyph.verifyReveal(commitTx, revealTx)).to.deep.equal({ valid: true, errors: [] })
+
+    const envelope = Glyph.parseGlyphTransaction(revealTx).reveals[0].envelope
+    expect(Glyph.isEncrypted(envelope.metadata.p)).to.equal(true)
+    expect(Glyph.decryptContent(envelope.metadata, envelope.files, alice)).to.deep.equal(files)
+  })
+
+  it('refuses keys that are not recipients and unsupported schemes', function () {
+    const encrypted = Glyph.encryptContent(files, [alice.publicKey])
+    const metadata = metadataFor(encrypted)
+    expect(() => Glyph.decryptContent(metadata, encrypted.files, eve)).to.throw('is not a recipient')
+    expect(() => encryption.unwrapKey(Object.assign({}, encrypted.crypto, { cipher: 'aes-256-gcm' }), alice))
+      .to.throw('unsupported crypto object')
+
+    const swapped = Object.assign({}, encrypted.crypto, {
+      recipients: [{ pubkey: alice.publicKey.toString(), key: encryption.wrapKey(encrypted.contentKey, bob.publicKey).key }]
+    })
+    expect(() => encryption.unwrapKey(swapped, alice)).to.throw('does not decrypt')
+  })
+
+  it('rejects tampered, moved and missing files', function () {
+    const encrypted = Glyph.encryptContent(files, [alice.publicKey])
+    const metadata = metadataFor(encrypted)
+    const tampered = encrypted.files.map(file => Buffer.from(file))
+    tampered[0][20] ^= 1
+    expect(() => Glyph.decryptContent(metadata, tampered, alice)).to.throw('main.txt fails its authentication tag')
+    expect(() => encryption.decryptFile(encrypted.files[1], encrypted.contentKey, 'main.txt'))
+      .to.throw('fails its authentication tag')
+    expect(() => encryption.decryptFile(Buffer.alloc(20), encrypted.contentKey, 'main.txt'))
+      .to.throw('is not an encrypted file')
+    expect(() => Glyph.decryptContent(metadata, encrypted.files.slice(0, 1), alice)).to.throw('bonus.bin is missing')
+    expect(() => encryption.encryptFile(Buffer.from('x'), Buffer.alloc(16), 'x')).to.throw('must be 32 bytes')
+  })
+
+  it('passes plain files through', function () {
+    const encrypted = Glyph.encryptContent(files.slice(0, 1), [alice.publicKey])
+    const metadata = metadataFor(encrypted)
+    metadata.content.files = [{ path: 'cover.txt', mime: 'text/plain', size: 5, hash: { algo: 'sha256', hex: '00'.repeat(32) } }]
+    const cover = Buffer.from('cover')
+    expect(Glyph.decryptContent(metadata, encrypted.files.concat([cover]), alice)).to.deep.equal([
+      files[0],
+      { path: 'cover.txt', mime: 'text/plain', data: cover }
+    ])
+  })
+})
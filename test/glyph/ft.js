@@ -0,0 +1,108 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const bsv = require('../..')
+const Glyph = require('../../lib/glyph')
+const ft = require('../../lib/glyph/ft')
+const Transaction = bsv.Transaction
+const PrivateKey = bsv.PrivateKey
+const Script = bsv.Script
+const fixture = require('../data/glyph')
+
+describe('Glyph FT', function () {
+  const { privateKey, address, fundingUtxo } = fixture
+  const recipient = new PrivateKey('cQS5y5oNBRTovzCChwq73bLxcdgY9f4Ktb873kE7ACgzuzctnACJ').toAddress()
+  const ref = Glyph.outpointRef('1d7e0a1ec1d6bb49d86e60a0e0ea0b6c9bd9fa4ef31e2d2e3aa2b6e4e8d8d18f', 0)
+  const otherRef = Glyph.outpointRef('1d7e0a1ec1d6bb49d86e60a0e0ea0b6c9bd9fa4ef31e2d2e3aa2b6e4e8d8d18f', 1)
+  const tokenUtxo = function (outputIndex, amount, tokenRef) {
+    return {
+      txId: 'f28bd2d0c3d8a8c4fd3e6c3c3a1fd6e0d1a1c4f6b6d5a4a3b2c1d0e0f1e2d3c4',
+      outputIndex,
+      script: ft.buildHolderScript(address, tokenRef || ref),
+      satoshis: amount
+    }
+  }
+
+  describe('holder script', function () {
+    it('matches the standard layout', function () {
+      const script = ft.buildHolderScript(address, ref)
+      expect(script.toHex()).to.equal('76a914' + address.hashBuffer.toString('hex') + '88ac' +
+        'bdd0' + ref.toString('hex') + 'dec0e9aa76e378e4a269e69d')
+    })
+
+    it('accepts a hex ref', function () {
+      expect(ft.buildHolderScript(address, ref.toString('hex')).equals(ft.buildHolderScript(address, ref))).to.equal(true)
+      expect(function () {
+        ft.buildHolderScript(address, 'abcd')
+      }).to.throw('ref must be 36 bytes')
+    })
+
+    it('parses back the ref and owner', function () {
+      const holder = ft.parseHolderScript(ft.buildHolderScript(address, ref))
+      expect(holder.ref.equals(ref)).to.equal(true)
+      expect(holder.publicKeyHash.equals(address.hashBuffer)).to.equal(true)
+      expect(ft.isHolderScript(ft.buildHolderScript(address, ref).toBuffer())).to.equal(true)
+    })
+
+    it('rejects other scripts', function () {
+      expect(ft.parseHolderScript(Script.buildPublicKeyHashOut(address))).to.equal(null)
+      const tampered = ft.buildHolderScript(address, ref).toBuffer()
+      tampered[tampered.length - 1] = 0x87
+      expect(ft.parseHolderScript(tampered)).to.equal(null)
+    })
+  })
+
+  describe('Transaction#transferFt', function () {
+    it('sends tokens and returns the change', function () {
+      const tx = new Transaction()
+        .from(fundingUtxo)
+        .transferFt([tokenUtxo(0, 600), tokenUtxo(1, 400)], [{ address: recipient, amount: 700 }], address)
+        .change(address)
+        .sign(privateKey)
+      expect(tx.inputs[1]).to.be.instanceof(Transaction.Input.GlyphToken)
+      expect(tx.outputs[0].satoshis).to.equal(700)
+      expect(ft.parseHolderScript(tx.outputs[0].script).publicKeyHash.equals(recipient.hashBuffer)).to.equal(true)
+      expect(tx.outputs[1].satoshis).to.equal(300)
+      expect(ft.parseHolderScript(tx.outputs[1].script).publicKeyHash.equals(address.hashBuffer)).to.equal(true)
+      expect(ft.getBalances(tx).get(ref.toString('hex'))).to.deep.equal({ inputs: 1000, outputs: 1000 })
+      expect(tx.isFullySigned()).to.equal(true)
+      expect(tx.verifyScripts().every(r => r.valid)).to.equal(true)
+    })
+
+    it('needs no change address when everything is sent', function () {
+      const tx = new Transaction().transferFt(tokenUtxo(0, 500), [{ address: recipient, amount: 500 }])
+      expect(tx.outputs).to.have.length(1)
+    })
+
+    it('refuses to send more than the UTXOs hold', function () {
+      expect(function () {
+        new Transaction().transferFt([tokenUtxo(0, 500)], [{ address: recipient, amount: 501 }], address)
+      }).to.throw('sending 501 but the token UTXOs hold 500')
+    })
+
+    it('refuses token change without a change address', function () {
+      expect(function () {
+        new Transaction().transferFt([tokenUtxo(0, 500)], [{ address: recipient, amount: 100 }])
+      }).to.throw('a change address is needed for 400 tokens')
+    })
+
+    it('refuses UTXOs of different tokens', function () {
+      expect(function () {
+        new Transaction().transferFt([tokenUtxo(0, 500), tokenUtxo(1, 500, otherRef)], [{ address: recipient, amount: 100 }], address)
+      }).to.throw('token UTXOs carry different refs')
+    })
+
+    it('refuses when the transaction already breaks conservation', function () {
+      const tx = new Transaction().addOutput(new Transaction.Output({
+        script: ft.buildHolderScript(recipient, ref),
+        satoshis: 50
+      }))
+      expect(function () {
+        tx.transferFt([tokenUtxo(0, 500)], [{ address: recipient, amount: 500 }])
+      }).to.throw('inputs total 0 but outputs total 50')
+      expect(tx.inputs).to.have.length(0)
+    })
+  })
+})
@@ -0,0 +1,176 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const bsv = require('../..')
+const Glyph = require('../../lib/glyph')
+const { GlyphProtocol } = require('../../lib/glyph/constants')
+const { encodeMetadata } = require('../../lib/glyph/encoder')
+const Transaction = bsv.Transaction
+const Script = bsv.Script
+const fixture = require('../data/glyph')
+
+describe('Glyph', function () {
+  const { address, fundingUtxo } = fixture
+  const metadata = {
+    v: 2,
+    type: 'nft',
+    p: [GlyphProtocol.GLYPH_NFT],
+    name: 'Test NFT',
+    content: { primary: { path: 'hello.txt', mime: 'text/plain', storage: 'inline' } }
+  }
+  const file = Buffer.from('hello glyph')
+  const mint = function (glyph) {
+    return fixture.mint(glyph, { photons: 1000, change: true })
+  }
+
+  it('keeps the flat exports on the constructor', function () {
+    expect(Glyph.encodeMetadata).to.be.a('function')
+    expect(Glyph.GlyphProtocol.GLYPH_NFT).to.equal(2)
+    expect(Glyph.Protocol).to.equal(Glyph.GlyphProtocol)
+    expect(bsv.Glyph).to.equal(Glyph)
+  })
+
+  it('encodes the metadata and commits to it', function () {
+    const glyph = new Glyph(metadata, file)
+    expect(glyph.metadataBytes.equals(encodeMetadata(metadata))).to.equal(true)
+    expect(glyph.commitHash.equals(Glyph.computeCommitHash(metadata))).to.equal(true)
+    expect(glyph.files).to.deep.equal([file])
+    expect(glyph.revealChunks[1].equals(glyph.metadataBytes)).to.equal(true)
+  })
+
+  it('rejects invalid protocol combinations', function () {
+    expect(function () {
+      return new Glyph({ v: 2, p: [GlyphProtocol.GLYPH_FT, GlyphProtocol.GLYPH_NFT] })
+    }).to.throw('mutually exclusive')
+  })
+
+  it('builds a commit output that parses back', function () {
+    const glyph = new Glyph(metadata, [file, Buffer.from('second')])
+    const parsed = Glyph.parseCommitScript(glyph.commitScript(address))
+    expect(parsed.commitHash.equals(glyph.commitHash)).to.equal(true)
+    expect(parsed.fileHashes.map(h => h.toString('hex'))).to.deep.equal([
+      bsv.crypto.Hash.sha256sha256(file).toString('hex'),
+      bsv.crypto.Hash.sha256sha256(Buffer.from('second')).toString('hex')
+    ])
+    expect(parsed.refType).to.equal(2)
+    expect(parsed.publicKeyHash.equals(address.hashBuffer)).to.equal(true)
+    expect(Glyph.parseCommitScript(Script.buildPublicKeyHashOut(address))).to.equal(null)
+  })
+
+  it('adds the commit output and commit envelope', function () {
+    const glyph = new Glyph(metadata, file)
+    const { commitTx } = mint(glyph)
+    expect(commitTx.outputs[0].script.equals(glyph.commitScript(address))).to.equal(true)
+    const parsed = Glyph.parseGlyphTransaction(commitTx)
+    expect(parsed.reveals).to.have.length(0)
+    expect(parsed.commits).to.have.length(1)
+    expect(parsed.commits[0].outputIndex).to.equal(1)
+    expect(parsed.commits[0].envelope.commitHash.equals(glyph.commitHash)).to.equal(true)
+  })
+
+  it('mints an NFT with one chain of calls', function () {
+    const { commitTx, revealTx } = mint(new Glyph(metadata, file))
+    expect(revealTx.inputs[0]).to.be.instanceof(Transaction.Input.GlyphReveal)
+    expect(revealTx.isFullySigned()).to.equal(true)
+    expect(revealTx.verifyScripts().every(r => r.valid)).to.equal(true)
+
+    const ref = Glyph.outpointRef(commitTx.id, 0)
+    const tokenScript = revealTx.outputs[0].script
+    expect(tokenScript.chunks[0].opcodenum).to.equal(bsv.Opcode.OP_PUSHINPUTREFSINGLETON)
+    expect(tokenScript.chunks[0].buf.equals(ref)).to.equal(true)
+    expect(revealTx.outputs[0].satoshis).to.equal(1000)
+  })
+
+  it('fails verification when the revealed file differs', function () {
+    // commits to `file` but reveals other content under the same metadata
+    const glyph = new Glyph(metadata, file)
+    const { revealTx } = mint(Object.assign(new Glyph(metadata, Buffer.from('other')), {
+      commitScript: glyph.commitScript.bind(glyph)
+    }))
+    const result = revealTx.verifyScripts()[0]
+    expect(result.valid).to.equal(false)
+    expect(result.errstr).to.equal('SCRIPT_ERR_EQUALVERIFY')
+  })
+
+  it('decodes the reveal with its files by content path', function () {
+    const glyph = new Glyph(metadata, file)
+    const { revealTx } = mint(glyph)
+    const parsed = Glyph.parseGlyphTransaction(revealTx)
+    expect(parsed.type).to.equal('reveal')
+    expect(parsed.reveals).to.have.length(1)
+    const reveal = parsed.reveals[0]
+    expect(reveal.inputIndex).to.equal(0)
+    expect(reveal.envelope.metadata).to.deep.equal(metadata)
+    expect(reveal.envelope.rawMetadata.equals(glyph.metadataBytes)).to.equal(true)
+    expect(reveal.envelope.files).to.deep.equal([file])
+    expect(reveal.envelope.filesByPath.get('hello.txt').equals(file)).to.equal(true)
+    expect(reveal.verification).to.deep.equal({ valid: true, errors: [] })
+  })
+
+  it('verifies a reveal against its commit', function () {
+    const glyph = new Glyph(metadata, file)
+    const { commitTx, revealTx } = mint(glyph)
+    expect(Glyph.verifyReveal(commitTx, revealTx)).to.deep.equal({ valid: true, errors: [] })
+    expect(Glyph.verifyReveal(revealTx, revealTx)).to.deep.equal({
+      valid: false,
+      errors: ['the reveal spends no commit output of ' + revealTx.id]
+    })
+
+    const other = mint(Object.assign(new Glyph(metadata, Buffer.from('other')), {
+      commitScript: glyph.commitScript.bind(glyph)
+    }))
+    expect(Glyph.verifyReveal(other.commitTx, other.revealTx).errors).to.deep.equal([
+      'input 0: file 0 does not match its commit hash'
+    ])
+  })
+
+  it('reports files that differ from their content entries', function () {
+    const declared = Object.assign({}, metadata, {
+      content: {
+        primary: {
+          path: 'hello.txt',
+          mime: 'text/plain',
+          size: 3,
+          hash: { algo: 'sha256', hex: '00'.repeat(32) }
+        },
+        files: [{ path: 'extra.txt', mime: 'text/plain' }]
+      }
+    })
+    const { commitTx, revealTx } = mint(new Glyph(declared, file))
+    expect(Glyph.verifyReveal(commitTx, revealTx).errors).to.deep.equal([
+      'input 0: hello.txt is 11 bytes, metadata says 3',
+      'input 0: hello.txt does not match the sha256 hash in its metadata',
+      'input 0: extra.txt is missing'
+    ])
+  })
+
+  it('requires the commit output to be spent by the reveal', function () {
+    const glyph = new Glyph(metadata, file)
+    expect(function () {
+      new Transaction().from(fundingUtxo).addGlyph(glyph.reveal(address, 1000))
+    }).to.throw('does not spend this glyph\'s commit output')
+  })
+
+  it('mints fungible tokens into a holder output', function () {
+    const glyph = new Glyph({ v: 2, type: 'ft', p: [GlyphProtocol.GLYPH_FT], ticker: 'TST' })
+    expect(glyph.refType()).to.equal(1)
+    const { commitTx, revealTx } = mint(glyph)
+    expect(revealTx.verifyScripts().every(r => r.valid)).to.equal(true)
+    const holder = Glyph.ft.parseHolderScript(revealTx.outputs[0].script)
+    expect(holder.ref.equals(Glyph.outpointRef(commitTx.id, 0))).to.equal(true)
+  })
+  it('refuses to reveal a dMint token', function () {
+    const glyph = new Glyph({
+      v: 2,
+      type: 'ft',
+      p: [GlyphProtocol.GLYPH_FT, GlyphProtocol.GLYPH_DMINT],
+      ticker: 'MINE',
+      dmint: { max: 50000, reward: 5000, algo: 0, diff: 'ff'.repeat(32) }
+    })
+    expect(function () {
+      mint(glyph)
+    }).to.throw('radiantjs cannot build the dMint contract')
+  })
+})
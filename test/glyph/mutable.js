@@ -0,0 +1,162 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const bsv = require('../..')
+const Glyph = require('../../lib/glyph')
+const mutable = require('../../lib/glyph/mutable')
+const { GlyphProtocol } = require('../../lib/glyph/constants')
+const Transaction = bsv.Transaction
+const Script = bsv.Script
+const Hash = bsv.crypto.Hash
+const fixture = require('../data/glyph')
+
+describe('Glyph mutable', function () {
+  const { privateKey, address, fundingUtxo, utxo } = fixture
+  const metadata = {
+    v: 2,
+    type: 'nft',
+    p: [GlyphProtocol.GLYPH_NFT, GlyphProtocol.GLYPH_MUT],
+    name: 'Mutable',
+    attrs: { color: 'blue' },
+    mutable: { fields: ['name', 'attrs'] }
+  }
+
+  const reveal = function () {
+    const glyph = new Glyph(metadata)
+    return Object.assign({ glyph }, fixture.mint(glyph, { change: true }))
+  }
+  const updateTx = function (mutableUtxo, nftUtxo, updates, fees) {
+    return new Transaction()
+      .addGlyph(mutable.update(mutableUtxo, nftUtxo, updates))
+      .from(fees)
+      .change(address)
+      .sign(privateKey)
+  }
+
+  it('builds a contract script that parses back', function () {
+    const mutableRef = Glyph.outpointRef(fundingUtxo.txId, 1)
+    const tokenRef = Glyph.outpointRef(fundingUtxo.txId, 0)
+    const stateHash = Hash.sha256sha256(Buffer.from('doc'))
+    const script = mutable.buildMutableScript(mutableRef, tokenRef, stateHash)
+    expect(mutable.parseMutableScript(script)).to.deep.equal({ mutableRef, tokenRef, stateHash })
+    expect(Glyph.decodeEnvelope(script.toBuffer())).to.equal(null)
+    expect(mutable.parseMutableScript(Script.buildPublicKeyHashOut(address))).to.equal(null)
+    expect(function () {
+      mutable.buildMutableScript(mutableRef, tokenRef, Buffer.alloc(20))
+    }).to.throw('stateHash must be 32 bytes')
+  })
+
+  it('creates the contract in the reveal', function () {
+    const { glyph, commitTx, revealTx } = reveal()
+    expect(revealTx.verifyScripts().every(r => r.valid)).to.equal(true)
+
+    const token = revealTx.outputs[0].script.isGlyphNftOut()
+    expect(token.ref.equals(Glyph.outpointRef(commitTx.id, 0))).to.equal(true)
+    const contract = mutable.parseMutableScript(revealTx.outputs[1].script)
+    expect(contract.tokenRef.equals(token.ref)).to.equal(true)
+    expect(contract.mutableRef.equals(Glyph.outpointRef(commitTx.id, 2))).to.equal(true)
+    expect(contract.stateHash.equals(glyph.commitHash)).to.equal(true)
+    expect(revealTx.outputs[1].satoshis).to.equal(1)
+  })
+
+  it('needs a second input for the contract ref', function () {
+    const glyph = new Glyph(metadata)
+    const commitTx = new Transaction()
+      .from(fundingUtxo)
+      .addGlyph(glyph.commit(address, 1000))
+    expect(function () {
+      new Transaction().from(utxo(commitTx, 0)).addGlyph(glyph.reveal(address, 1))
+    }).to.throw('a mutable reveal needs a second input')
+  })
+
+  it('updates the token and folds its history', function () {
+    const { revealTx } = reveal()
+    const first = [{ op: 'replace', path: 'attrs.color', value: 'red' }]
+    const tx = updateTx(utxo(revealTx, 1), utxo(revealTx, 0), first, utxo(revealTx, 2))
+    expect(tx.inputs[0]).to.be.instanceof(Transaction.Input.GlyphMutable)
+    expect(tx.isFullySigned()).to.equal(true)
+    expect(tx.verifyScripts().every(r => r.valid)).to.equal(true)
+
+    const envelope = mutable.parseUpdateScript(tx.outputs[1].script)
+    expect(envelope.equals(Glyph.encodeUpdateEnvelope(first))).to.equal(true)
+    expect(tx.outputs[1].satoshis).to.equal(0)
+    const next = mutable.parseMutableScript(tx.outputs[0].script)
+    expect(next.stateHash.equals(Hash.sha256sha256(envelope))).to.equal(true)
+    expect(tx.outputs[2].script.isGlyphNftOut().owner.hashBuffer.equals(address.hashBuffer)).to.equal(true)
+
+    const second = [{ op: 'merge', value: { name: 'Renamed' } }]
+    const tx2 = updateTx(utxo(tx, 0), utxo(tx, 2), second, utxo(tx, 3))
+    expect(tx2.verifyScripts().every(r => r.valid)).to.equal(true)
+
+    const history = [tx, tx2].map(function (t) {
+      return Glyph.parseGlyphTransaction(t)
+    })
+    expect(history[0].type).to.equal('update')
+    expect(history[0].updates[0].outputIndex).to.equal(1)
+    const updates = history.reduce(function (all, parsed) {
+      return all.concat(parsed.updates[0].envelope.updates)
+    }, [])
+    expect(Glyph.applyUpdates(metadata, updates)).to.deep.equal(Object.assign({}, metadata, {
+      name: 'Renamed',
+      attrs: { color: 'red' }
+    }))
+  })
+
+  it('fails verification when the state is not the envelope hash', function () {
+    const { revealTx } = reveal()
+    const tx = updateTx(utxo(revealTx, 1), utxo(revealTx, 0), [{ op: 'remove', path: 'name' }], utxo(revealTx, 2))
+    const contract = mutable.parseMutableScript(tx.outputs[0].script)
+    tx.outputs[0].setScript(mutable.buildMutableScript(contract.mutableRef, contract.tokenRef, Buffer.alloc(32)))
+    const result = tx.verifyScripts()[0]
+    expect(result.valid).to.equal(false)
+    expect(result.errstr).to.equal('SCRIPT_ERR_EVAL_FALSE_IN_STACK')
+  })
+
+  it('fails verification when the envelope output is altered', function () {
+    const { revealTx } = reveal()
+    const tx = updateTx(utxo(revealTx, 1), utxo(revealTx, 0), [{ op: 'remove', path: 'name' }], utxo(revealTx, 2))
+    const envelope = mutable.parseUpdateScript(tx.outputs[1].script)
+    tx.outputs[1].setScript(Script.buildSafeDataOut(envelope))
+    const result = tx.verifyScripts()[0]
+    expect(result.valid).to.equal(false)
+    expect(result.errstr).to.equal('SCRIPT_ERR_EQUALVERIFY')
+  })
+
+  it('carries envelopes larger than one script push', function () {
+    const { revealTx } = reveal()
+    const updates = [{ op: 'replace', path: 'attrs.color', value: 'x'.repeat(2000) }]
+    const tx = updateTx(utxo(revealTx, 1), utxo(revealTx, 0), updates, utxo(revealTx, 2))
+    expect(mutable.parseUpdateScript(tx.outputs[1].script).length).to.be.above(2000)
+    expect(tx.verifyScripts().every(r => r.valid)).to.equal(true)
+    const folded = Glyph.applyUpdates(metadata, Glyph.parseGlyphTransaction(tx).updates[0].envelope.updates)
+    expect(folded.attrs.color).to.equal(updates[0].value)
+  })
+
+  it('names its outputs wherever the update is added', function () {
+    const { revealTx } = reveal()
+    const tx = new Transaction()
+      .from(utxo(revealTx, 2))
+      .to(address, 1000)
+      .addGlyph(mutable.update(utxo(revealTx, 1), utxo(revealTx, 0), [{ op: 'remove', path: 'name' }]))
+      .change(address)
+      .sign(privateKey)
+    expect(tx.inputs[1].continuationIndex).to.equal(1)
+    expect(tx.inputs[1].envelopeIndex).to.equal(2)
+    expect(tx.verifyScripts().every(r => r.valid)).to.equal(true)
+  })
+
+  it('needs the token it belongs to', function () {
+    const { revealTx } = reveal()
+    const otherNft = {
+      txId: fundingUtxo.txId,
+      outputIndex: 1,
+      script: Glyph.nft.buildSingletonScript(address, Glyph.outpointRef(fundingUtxo.txId, 0)),
+      satoshis: 1
+    }
+    expect(function () {
+      updateTx(utxo(revealTx, 1), otherNft, [{ op: 'remove', path: 'name' }], utxo(revealTx, 2))
+    }).to.throw('the NFT UTXO does not hold')
+  })
+})
@@ -0,0 +1,81 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const bsv = require('../..')
+const Glyph = require('../../lib/glyph')
+const nft = require('../../lib/glyph/nft')
+const Transaction = bsv.Transaction
+const PrivateKey = bsv.PrivateKey
+const Script = bsv.Script
+const fixture = require('../data/glyph')
+
+describe('Glyph NFT', function () {
+  const { privateKey, address, fundingUtxo } = fixture
+  const buyer = new PrivateKey('cQS5y5oNBRTovzCChwq73bLxcdgY9f4Ktb873kE7ACgzuzctnACJ').toAddress()
+  const ref = Glyph.outpointRef('1d7e0a1ec1d6bb49d86e60a0e0ea0b6c9bd9fa4ef31e2d2e3aa2b6e4e8d8d18f', 0)
+  const nftUtxo = {
+    txId: 'f28bd2d0c3d8a8c4fd3e6c3c3a1fd6e0d1a1c4f6b6d5a4a3b2c1d0e0f1e2d3c4',
+    outputIndex: 0,
+    script: nft.buildSingletonScript(address, ref),
+    satoshis: 1000
+  }
+
+  describe('singleton script', function () {
+    it('matches the standard layout', function () {
+      expect(nft.buildSingletonScript(address, ref).toHex()).to.equal('d8' + ref.toString('hex') + '75' +
+        '76a914' + address.hashBuffer.toString('hex') + '88ac')
+    })
+
+    it('rejects a ref of the wrong size', function () {
+      expect(function () {
+        nft.buildSingletonScript(address, Buffer.alloc(32))
+      }).to.throw('ref must be 36 bytes')
+    })
+
+    it('parses back the ref and owner', function () {
+      const parsed = nft.parseSingletonScript(nft.buildSingletonScript(address, ref).toBuffer(), address.network)
+      expect(parsed.ref.equals(ref)).to.equal(true)
+      expect(parsed.owner.toString()).to.equal(address.toString())
+      expect(nft.parseSingletonScript(Script.buildPublicKeyHashOut(address))).to.equal(null)
+    })
+  })
+
+  describe('Transaction#transferNft', function () {
+    it('moves the NFT to a new owner in exactly one output', function () {
+      const tx = new Transaction()
+        .from(fundingUtxo)
+        .transferNft(nftUtxo, buyer)
+        .change(address)
+        .sign(privateKey)
+      expect(tx.inputs[1]).to.be.instanceof(Transaction.Input.GlyphToken)
+      const moved = tx.outputs[0].script.isGlyphNftOut(buyer.network)
+      expect(moved.ref.equals(ref)).to.equal(true)
+      expect(moved.owner.toString()).to.equal(buyer.toString())
+      expect(tx.outputs[0].satoshis).to.equal(1000)
+      expect(nft.countSingletonOutputs(tx, ref)).to.equal(1)
+      expect(tx.isFullySigned()).to.equal(true)
+      expect(tx.verifyScripts().every(r => r.valid)).to.equal(true)
+    })
+
+    it('can change the photon value', function () {
+      const tx = new Transaction().transferNft(nftUtxo, buyer, 600)
+      expect(tx.outputs[0].satoshis).to.equal(600)
+    })
+
+    it('refuses a UTXO that is not an NFT', function () {
+      expect(function () {
+        new Transaction().transferNft(fundingUtxo, buyer)
+      }).to.throw('is not an NFT singleton output')
+    })
+
+    it('refuses to put the ref in a second output', function () {
+      const tx = new Transaction().transferNft(nftUtxo, buyer)
+      expect(function () {
+        tx.transferNft(Object.assign({}, nftUtxo, { outputIndex: 1 }), address)
+      }).to.throw('already has an output carrying')
+      expect(tx.inputs).to.have.length(1)
+    })
+  })
+})
@@ -0,0 +1,73 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const bsv = require('../..')
+const Glyph = require('../../lib/glyph')
+const refs = require('../../lib/glyph/refs')
+const nft = require('../../lib/glyph/nft')
+const { GlyphProtocol } = require('../../lib/glyph/constants')
+const fixture = require('../data/glyph')
+const Transaction = bsv.Transaction
+const Script = bsv.Script
+
+describe('Glyph refs', function () {
+  const ref = Buffer.alloc(36, 0xab)
+
+  it('reads a ref from a buffer or hex', function () {
+    expect(refs.toRef(ref, 'ref')).to.equal(ref)
+    expect(refs.toRef('AB'.repeat(36), 'ref').equals(ref)).to.equal(true)
+    expect(refs.refHex(ref, 'ref')).to.equal('ab'.repeat(36))
+  })
+
+  it('names the argument when a ref is malformed', function () {
+    expect(() => refs.toRef(Buffer.alloc(32), 'Glyph NFT: ref')).to.throw('Glyph NFT: ref must be 36 bytes')
+    expect(() => refs.toRef('ab'.repeat(36) + 'z', 'tokenRef')).to.throw('tokenRef must be 36 bytes')
+    expect(() => refs.refHex(undefined, 'parentRef')).to.throw('parentRef must be 36 bytes')
+  })
+
+  it('parses a contract UTXO with the given script parser', function () {
+    const utxo = {
+      txId: fixture.fundingUtxo.txId,
+      outputIndex: 1,
+      script: nft.buildSingletonScript(fixture.address, ref),
+      satoshis: 1
+    }
+    const parsed = refs.parseUtxo(utxo, nft.parseSingletonScript, 'Glyph NFT', 'an NFT')
+    expect(parsed.ref.equals(ref)).to.equal(true)
+    expect(parsed.txId).to.equal(utxo.txId)
+    expect(parsed.outputIndex).to.equal(1)
+    expect(parsed.satoshis).to.equal(1)
+    expect(parsed.script.equals(utxo.script)).to.equal(true)
+
+    const plain = Object.assign({}, utxo, { script: Script.buildPublicKeyHashOut(fixture.address) })
+    expect(() => refs.parseUtxo(plain, nft.parseSingletonScript, 'Glyph NFT', 'an NFT'))
+      .to.throw('Glyph NFT: ' + utxo.txId + ':1 is not an NFT')
+  })
+
+  it('lists the glyphs that transactions reveal', function () {
+    const metadata = { v: 2, type: 'nft', p: [GlyphProtocol.GLYPH_NFT], name: 'Listed' }
+    const minted = fixture.mint(new Glyph(metadata))
+    const mints = refs.revealedMints([minted.commitTx, minted.revealTx, new Transaction()])
+    expect(mints.length).to.equal(1)
+    expect(mints[0].ref).to.equal(minted.ref)
+    expect(mints[0].metadata.name).to.equal('Listed')
+    expect(mints[0].tx).to.equal(minted.revealTx)
+  })
+
+  it('reads ref claims and whether a transaction signs them', function () {
+    expect(refs.refClaim({ by: 'AB'.repeat(36) }, 'by')).to.equal('ab'.repeat(36))
+    expect(refs.refClaim({ in: 'ab' }, 'in')).to.equal(null)
+    expect(refs.refClaim(null, 'in')).to.equal(null)
+
+    const owned = {
+      txId: fixture.fundingUtxo.txId,
+      outputIndex: 1,
+      script: nft.buildSingletonScript(fixture.address, ref),
+      satoshis: 1
+    }
+    expect(refs.spendsSingleton(new Transaction().transferNft(owned, fixture.address), ref.toString('hex'))).to.equal(true)
+    expect(refs.spendsSingleton(new Transaction(), ref.toString('hex'))).to.equal(false)
+  })
+})
@@ -0,0 +1,156 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const bsv = require('../..')
+const Glyph = require('../../lib/glyph')
+const timelock = require('../../lib/glyph/timelock')
+const { GlyphProtocol } = require('../../lib/glyph/constants')
+const Transaction = bsv.Transaction
+const Script = bsv.Script
+const fixture = require('../data/glyph')
+
+describe('Glyph timelock', function () {
+  const { privateKey, address, fundingUtxo, mint } = fixture
+  const metadataFor = function (lock) {
+    return {
+      v: 2,
+      type: 'nft',
+      p: [GlyphProtocol.GLYPH_NFT, GlyphProtocol.GLYPH_ENCRYPTED, GlyphProtocol.GLYPH_TIMELOCK],
+      name: 'Drop',
+      crypto: { cipher: 'aes-256-cbc-hmac-sha256' },
+      timelock: lock
+    }
+  }
+
+  it('reads the four kinds of timelock', function () {
+    expect(timelock.normalizeTimelock({ revealHeight: 900000 }))
+      .to.deep.equal({ kind: 'revealHeight', value: 900000, mode: 'cltv', operand: 900000 })
+    expect(timelock.normalizeTimelock({ revealTime: 1767225600 }))
+      .to.deep.equal({ kind: 'revealTime', value: 1767225600, mode: 'cltv', operand: 1767225600 })
+    expect(timelock.normalizeTimelock({ revealDelayBlocks: 144 }))
+      .to.deep.equal({ kind: 'revealDelayBlocks', value: 144, mode: 'csv', operand: 144 })
+    expect(timelock.normalizeTimelock({ revealDelaySeconds: 1000 }))
+      .to.deep.equal({ kind: 'revealDelaySeconds', value: 1000, mode: 'csv', operand: (1 << 22) | 2 })
+  })
+
+  it('rejects malformed timelocks', function () {
+    expect(() => timelock.normalizeTimelock(undefined)).to.throw('exactly one of')
+    expect(() => timelock.normalizeTimelock({ revealHeight: 10, revealDelayBlocks: 1 })).to.throw('exactly one of')
+    expect(() => timelock.normalizeTimelock({ revealHeight: 500000000 })).to.throw('revealHeight must be an integer')
+    expect(() => timelock.normalizeTimelock({ revealTime: 1000 })).to.throw('revealTime must be an integer')
+    expect(() => timelock.normalizeTimelock({ revealDelayBlocks: 0x10000 })).to.throw('revealDelayBlocks')
+    expect(() => timelock.normalizeTimelock({ revealDelaySeconds: 1.5 })).to.throw('revealDelaySeconds')
+    expect(() => new Glyph(metadataFor(undefined))).to.throw('exactly one of')
+    expect(Glyph.validateMetadata(Object.assign(metadataFor(), { content: undefined })).errors)
+      .to.include('Timelock protocol requires timelock object')
+  })
+
+  it('locks the commit output and parses the lock back', function () {
+    [{ revealHeight: 900000 }, { revealTime: 1767225600 }, { revealDelayBlocks: 5 }, { revealDelaySeconds: 86400 }]
+      .forEach(function (lock) {
+        const glyph = new Glyph(metadataFor(lock))
+        const script = glyph.commitScript(address)
+        expect(script.toBuffer().slice(0, timelock.buildTimelockScript(lock).toBuffer().length)
+          .equals(timelock.buildTimelockScript(lock).toBuffer())).to.equal(true)
+        const parsed = Glyph.parseCommitScript(script)
+        expect(parsed.commitHash.equals(glyph.commitHash)).to.equal(true)
+        expect(parsed.timelock.operand).to.equal(timelock.normalizeTimelock(lock).operand)
+      })
+    const plain = new Glyph({ v: 2, type: 'nft', p: [GlyphProtocol.GLYPH_NFT], name: 'Plain' })
+    expect(Glyph.parseCommitScript(plain.commitScript(address)).timelock).to.equal(null)
+
+    const nonMinimal = new Script().add(Buffer.from([5])).add('OP_CHECKSEQUENCEVERIFY').add('OP_DROP')
+    nonMinimal.add(plain.commitScript(address))
+    expect(Glyph.parseCommitScript(nonMinimal)).to.equal(null)
+  })
+
+  it('reveals with the lock time, sequence and version the lock needs', function () {
+    const height = mint(new Glyph(metadataFor({ revealHeight: 900000 })))
+    expect(height.revealTx.nLockTime).to.equal(900000)
+    expect(height.revealTx.getLockTime()).to.equal(900000)
+    expect(height.revealTx.inputs[0].isFinal()).to.equal(false)
+
+    const time = mint(new Glyph(metadataFor({ revealTime: 1767225600 })))
+    expect(time.revealTx.getLockTime().getTime()).to.equal(1767225600 * 1000)
+
+    const delay = mint(new Glyph(metadataFor({ revealDelaySeconds: 86400 })))
+    expect(delay.revealTx.version).to.equal(2)
+    expect(delay.revealTx.inputs[0].sequenceNumber).to.equal((1 << 22) | 169)
+
+    ;[height, time, delay, mint(new Glyph(metadataFor({ revealDelayBlocks: 144 })))].forEach(function (minted) {
+      expect(minted.revealTx.verifyScripts().every(r => r.valid)).to.equal(true)
+      expect(Glyph.verifyReveal(minted.commitTx, minted.revealTx).valid).to.equal(true)
+      expect(Glyph.verifyTimelock(minted.commitTx, minted.revealTx)).to.deep.equal({ valid: true, errors: [] })
+    })
+  })
+
+  it('fails a reveal that does not honour the lock', function () {
+    const height = mint(new Glyph(metadataFor({ revealHeight: 900000 })))
+    height.revealTx.nLockTime = 899999
+    height.revealTx.sign(privateKey)
+    const result = height.revealTx.verifyScripts()[0]
+    expect(result.valid).to.equal(false)
+    expect(result.errstr).to.equal('SCRIPT_ERR_UNSATISFIED_LOCKTIME')
+    expect(Glyph.verifyTimelock(height.commitTx, height.revealTx).errors).to.deep.equal([
+      'input 0: the lock time is 899999, the timelock needs a height of at least 900000'
+    ])
+    height.revealTx.nLockTime = 1767225600
+    height.revealTx.inputs[0].sequenceNumber = 0xffffffff
+    expect(Glyph.verifyTimelock(height.commitTx, height.revealTx).errors).to.deep.equal([
+      'input 0: the lock time is 1767225600, the timelock needs a height of at least 900000',
+      'input 0: the input is final, which disables its lock time'
+    ])
+
+    const delay = mint(new Glyph(metadataFor({ revealDelayBlocks: 144 })))
+    delay.revealTx.version = 1
+    delay.revealTx.inputs[0].sequenceNumber = 143
+    expect(Glyph.verifyTimelock(delay.commitTx, delay.revealTx).errors).to.deep.equal([
+      'input 0: relative timelocks need transaction version 2, not 1',
+      'input 0: the input sequence 143 does not satisfy revealDelayBlocks 144'
+    ])
+  })
+
+  it('checks that the lock has passed on a given chain', function () {
+    const height = mint(new Glyph(metadataFor({ revealHeight: 900000 })))
+    expect(Glyph.verifyTimelock(height.commitTx, height.revealTx, { height: 900000 }).valid).to.equal(true)
+    expect(Glyph.verifyTimelock(height.commitTx, height.revealTx, { height: 899999 }).errors)
+      .to.deep.equal(['input 0: height 900000 is not reached at 899999'])
+
+    const time = mint(new Glyph(metadataFor({ revealTime: 1767225600 })))
+    expect(Glyph.verifyTimelock(time.commitTx, time.revealTx, { medianTime: 1767225601 }).valid).to.equal(true)
+    expect(Glyph.verifyTimelock(time.commitTx, time.revealTx, { medianTime: 1767225600 }).valid).to.equal(false)
+
+    const blocks = mint(new Glyph(metadataFor({ revealDelayBlocks: 144 })))
+    expect(Glyph.verifyTimelock(blocks.commitTx, blocks.revealTx, { height: 1143, commitHeight: 1000 }).valid)
+      .to.equal(true)
+    expect(Glyph.verifyTimelock(blocks.commitTx, blocks.revealTx, { height: 1142, commitHeight: 1000 }).errors)
+      .to.deep.equal(['input 0: 144 blocks have not passed since height 1000'])
+
+    const seconds = mint(new Glyph(metadataFor({ revealDelaySeconds: 1024 })))
+    expect(Glyph.verifyTimelock(seconds.commitTx, seconds.revealTx, { medianTime: 2024, commitMedianTime: 1000 }).valid)
+      .to.equal(true)
+    expect(Glyph.verifyTimelock(seconds.commitTx, seconds.revealTx, { medianTime: 2023, commitMedianTime: 1000 }).valid)
+      .to.equal(false)
+  })
+
+  it('needs the metadata and the commit output to agree', function () {
+    const plain = new Glyph({ v: 2, type: 'nft', p: [GlyphProtocol.GLYPH_NFT], name: 'Plain' })
+    const lockedScript = timelock.buildTimelockScript({ revealHeight: 10 }).add(plain.commitScript(address))
+    const commitTx = new Transaction()
+      .from(fundingUtxo)
+      .addOutput(new Transaction.Output({ script: lockedScript, satoshis: 1000 }))
+      .change(address)
+      .sign(privateKey)
+    const revealTx = new Transaction()
+      .from({ txId: commitTx.id, outputIndex: 0, script: lockedScript, satoshis: 1000 })
+      .addGlyph(plain.reveal(address, 1))
+      .lockUntilBlockHeight(10)
+      .sign(privateKey)
+    expect(revealTx.verifyScripts().every(r => r.valid)).to.equal(true)
+    expect(Glyph.verifyTimelock(commitTx, revealTx).errors).to.deep.equal([
+      'input 0: the metadata does not declare the commit output\'s timelock'
+    ])
+  })
+})
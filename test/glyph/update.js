@@ -0,0 +1,102 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const { normalizeUpdate, applyUpdates } = require('../../lib/glyph/update')
+const { GlyphProtocol, UpdateOperation } = require('../../lib/glyph/constants')
+
+describe('Glyph updates', function () {
+  const base = function () {
+    return {
+      v: 2,
+      p: [GlyphProtocol.GLYPH_NFT, GlyphProtocol.GLYPH_MUT],
+      name: 'Mutable',
+      attrs: { color: 'blue', size: 3 },
+      tags: ['a', 'b']
+    }
+  }
+
+  it('normalizes paths and rejects malformed updates', function () {
+    expect(normalizeUpdate({ op: 'replace', path: 'attrs.color', value: 'red' }))
+      .to.deep.equal({ op: 'replace', path: ['attrs', 'color'], value: 'red' })
+    expect(normalizeUpdate({ op: 'merge', value: { name: 'x' } }))
+      .to.deep.equal({ op: 'merge', path: [], value: { name: 'x' } })
+    expect(normalizeUpdate({ op: 'remove', path: ['tags', 0], value: 'ignored' }))
+      .to.deep.equal({ op: 'remove', path: ['tags', 0] })
+    expect(() => normalizeUpdate({ op: 'rename', path: 'name' })).to.throw('unknown operation rename')
+    expect(() => normalizeUpdate({ op: 'replace', path: 'a..b', value: 1 })).to.throw('path keys')
+    expect(() => normalizeUpdate({ op: 'replace', path: ['__proto__'], value: 1 })).to.throw('path keys')
+    expect(() => normalizeUpdate({ op: 'replace', path: [-1], value: 1 })).to.throw('path keys')
+    expect(() => normalizeUpdate({ op: 'replace', value: {} })).to.throw('only merge may target')
+    expect(() => normalizeUpdate({ op: 'append', path: 'tags' })).to.throw('append needs a value')
+    expect(() => normalizeUpdate({ op: 'merge', path: 'attrs', value: [1] })).to.throw('must be an object')
+    expect(() => normalizeUpdate({ op: 'merge', value: JSON.parse('{"a":{"__proto__":{}}}') }))
+      .to.throw('__proto__')
+  })
+
+  it('replaces, creating objects on the way', function () {
+    expect(applyUpdates(base(), [
+      { op: UpdateOperation.REPLACE, path: 'attrs.color', value: 'red' },
+      { op: UpdateOperation.REPLACE, path: 'links.home.url', value: 'https://example.com' },
+      { op: UpdateOperation.REPLACE, path: ['tags', 1], value: 'c' }
+    ])).to.deep.equal(Object.assign(base(), {
+      attrs: { color: 'red', size: 3 },
+      links: { home: { url: 'https://example.com' } },
+      tags: ['a', 'c']
+    }))
+  })
+
+  it('merges as a JSON merge patch', function () {
+    expect(applyUpdates(base(), [
+      { op: UpdateOperation.MERGE, path: 'attrs', value: { color: null, shape: { sides: 4 } } },
+      { op: UpdateOperation.MERGE, value: { name: 'Renamed', desc: 'new' } }
+    ])).to.deep.equal(Object.assign(base(), {
+      name: 'Renamed',
+      desc: 'new',
+      attrs: { size: 3, shape: { sides: 4 } }
+    }))
+  })
+
+  it('appends to and removes from arrays', function () {
+    expect(applyUpdates(base(), [
+      { op: UpdateOperation.APPEND, path: 'tags', value: 'c' },
+      { op: UpdateOperation.APPEND, path: 'history', value: { at: 1 } },
+      { op: UpdateOperation.REMOVE, path: ['tags', 0] },
+      { op: UpdateOperation.REMOVE, path: 'attrs.size' },
+      { op: UpdateOperation.REMOVE, path: 'missing.key' }
+    ])).to.deep.equal(Object.assign(base(), {
+      attrs: { color: 'blue' },
+      tags: ['b', 'c'],
+      history: [{ at: 1 }]
+    }))
+  })
+
+  it('skips updates that do not apply, and leaves the base alone', function () {
+    const metadata = base()
+    const result = applyUpdates(metadata, [
+      { op: UpdateOperation.APPEND, path: 'name', value: 'x' },
+      { op: UpdateOperation.REPLACE, path: ['tags', 5], value: 'x' },
+      { op: UpdateOperation.REPLACE, path: 'name.first', value: 'x' },
+      { op: UpdateOperation.REPLACE, path: 'v', value: 1 },
+      { op: UpdateOperation.MERGE, value: { p: [] } },
+      { op: 'rename', path: 'name' },
+      { op: UpdateOperation.REPLACE, path: 'name', value: 'Kept' }
+    ])
+    expect(result).to.deep.equal(Object.assign(base(), { name: 'Kept' }))
+    expect(metadata).to.deep.equal(base())
+  })
+
+  it('changes only the fields listed in mutable.fields', function () {
+    const metadata = Object.assign(base(), { mutable: { fields: ['attrs'] } })
+    expect(applyUpdates(metadata, [
+      { op: UpdateOperation.REPLACE, path: 'attrs.color', value: 'red' },
+      { op: UpdateOperation.REPLACE, path: 'name', value: 'x' },
+      { op: UpdateOperation.MERGE, value: { attrs: { size: 4 }, name: 'x' } },
+      { op: UpdateOperation.REPLACE, path: 'mutable.fields', value: ['name'] }
+    ])).to.deep.equal(Object.assign(base(), {
+      attrs: { color: 'red', size: 3 },
+      mutable: { fields: ['attrs'] }
+    }))
+  })
+})
@@ -0,0 +1,135 @@
+'use strict'
+
+const chai = require('chai')
+const expect = chai.expect
+
+const bsv = require('../..')
+const Glyph = require('../../lib/glyph')
+const wave = require('../../lib/glyph/wave')
+const Transaction = bsv.Transaction
+const PrivateKey = bsv.PrivateKey
+const fixture = require('../data/glyph')
+
+describe('Glyph WAVE', function () {
+  const { privateKey, address, utxo } = fixture
+  const buyer = new PrivateKey('L1uyy5qTuGrVXrmrsvHWHgVzW9kKdrp27wBC7Vs6nZDTF2BRUVwy').toAddress('testnet')
+  // Commit and reveal a name; `parent`, if given, is the parent name's UTXO
+  const mint = function (glyph, parent) {
+    return fixture.mint(glyph, {
+      change: true,
+      prepare: function (revealTx) {
+        if (parent) {
+          revealTx.transferNft(parent, address)
+        }
+      }
+    })
+  }
+
+  it('normalizes names', function () {
+    expect(wave.normalizeName('Alice.RXD')).to.equal('alice.rxd')
+    expect(wave.normalizeName('ＡＬＩＣＥ。rxd')).to.equal('alice.rxd')
+    expect(wave.normalizeName('café.rxd')).to.equal('café.rxd')
+    expect(wave.normalizeName('blog.my-site.rxd')).to.equal('blog.my-site.rxd')
+    expect(wave.parseName('Blog.Alice.rxd')).to.deep.equal({
+      name: 'blog.alice.rxd',
+      label: 'blog',
+      parent: 'alice.rxd',
+      tld: 'rxd',
+      depth: 1
+    })
+    expect(wave.parseName('alice.rxd').parent).to.equal(null)
+  })
+
+  it('rejects malformed and confusable names', function () {
+    expect(() => wave.normalizeName('alice')).to.throw('needs a name and a top-level domain')
+    expect(() => wave.normalizeName('alice..rxd')).to.throw('has an empty label')
+    expect(() => wave.normalizeName('-alice.rxd')).to.throw('inner hyphens')
+    expect(() => wave.normalizeName('al ice.rxd')).to.throw('inner hyphens')
+    expect(() => wave.normalizeName('\u{1f600}.rxd')).to.throw('inner hyphens')
+    expect(() => wave.normalizeName('pаypal.rxd')).to.throw('mixes Latin, Greek and Cyrillic')
+    expect(() => wave.normalizeName('a'.repeat(64) + '.rxd')).to.throw('exceeds 63 bytes')
+    expect(() => wave.normalizeName('a.b.c.d.e.f.g.rxd')).to.throw('more than 5 subdomains deep')
+    expect(wave.isValidName('a.b.c.d.e.f.rxd')).to.equal(true)
+    expect(wave.isValidName(42)).to.equal(false)
+  })
+
+  it('encodes resolution records', function () {
+    expect(wave.encodeRecords({
+      address,
+      contentHash: 'ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi',
+      text: { url: 'https://alice.example', avatar: 'ipfs://avatar' }
+    })).to.deep.equal({
+      address: address.toString(),
+      contentHash: 'ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi',
+      text: { avatar: 'ipfs://avatar', url: 'https://alice.example' }
+    })
+    expect(wave.encodeRecords({ text: {} })).to.deep.equal({})
+    expect(() => wave.encodeRecords({ email: 'a@b' })).to.throw('unknown record email')
+    expect(() => wave.encodeRecords({ address: 'nope' })).to.throw('not an address')
+    expect(() => wave.encodeRecords({ contentHash: 'bafy' })).to.throw('must be a URI')
+    expect(() => wave.encodeRecords({ text: { url: 5 } })).to.throw('text record url must be a string')
+
+    const metadata = wave.register('alice.rxd', { address }, { main: { t: 'text/plain', b: Buffer.from('a') } }).metadata
+    expect(Glyph.validateMetadata(metadata).valid).to.equal(true)
+    expect(Glyph.validateMetadata(Object.assign({}, metadata, { wave: { name: 'Alice', tld: 'rxd' } })).errors)
+      .to.deep.equal(['WAVE name must be normalized, as alice.rxd'])
+    expect(Glyph.validateMetadata(Object.assign({}, metadata, { records: { text: [] } })).errors)
+      .to.deep.equal(['Glyph WAVE: text records must be an object'])
+  })
+
+  it('registers names and subdomains and resolves them', function () {
+    const alice = mint(wave.register('Alice.rxd', { address, text: { url: 'https://alice.example' } }))
+    expect(alice.revealTx.verifyScripts().every(r => r.valid)).to.equal(true)
+    expect(() => wave.register('blog.alice.rxd')).to.throw('is a subdomain of alice.rxd')
+
+    const blog = mint(wave.subdomain('blog.alice.rxd', alice.ref, { contentHash: 'ipfs://blog' }), utxo(alice.revealTx, 0))
+    expect(blog.revealTx.verifyScripts().every(r => r.valid)).to.equal(true)
+    const squatter = mint(wave.register('alice.rxd'))
+    const orphan = mint(wave.subdomain('shop.alice.rxd', alice.ref))
+
+    const resolver = new wave.Resolver([alice.revealTx, blog.revealTx, squatter.revealTx, orphan.revealTx], 'testnet')
+    expect(resolver.resolve('ALICE.rxd')).to.deep.equal({
+      name: 'alice.rxd',
+      ref: alice.ref,
+      parent: null,
+      owner: address,
+      records: { address: address.toString(), text: { url: 'https://alice.example' } }
+    })
+    expect(resolver.resolve('blog.alice.rxd')).to.deep.include({ ref: blog.ref, parent: alice.ref })
+    expect(resolver.resolve('blog.alice.rxd').records).to.deep.equal({ contentHash: 'ipfs://blog' })
+    expect(resolver.resolve('shop.alice.rxd')).to.equal(null)
+    expect(resolver.resolve('bob.rxd')).to.equal(null)
+  })
+
+  it('ignores a reveal that does not create the name', function () {
+    // The reveal's photons go to a plain output instead of the singleton
+    // and the mutable contract
+    const squatter = mint(wave.register('alice.rxd'))
+    const squat = new Transaction(squatter.revealTx.uncheckedSerialize())
+    squat.removeOutput(1)
+    squat.removeOutput(0)
+    squat.to(address, 1)
+    const alice = mint(wave.register('alice.rxd', { address }))
+
+    const resolver = new wave.Resolver(squat, 'testnet')
+    expect(resolver.resolve('alice.rxd')).to.equal(null)
+    resolver.add(alice.revealTx)
+    expect(resolver.resolve('alice.rxd')).to.deep.include({ ref: alice.ref, owner: address })
+  })
+
+  it('follows record updates and transfers', function () {
+    const alice = mint(wave.register('alice.rxd', { text: { url: 'https://alice.example' } }))
+    const updateTx = new Transaction()
+      .addGlyph(wave.updateRecords(utxo(alice.revealTx, 1), utxo(alice.revealTx, 0), { address: buyer }, buyer))
+      .from(utxo(alice.revealTx, 2))
+      .change(address)
+      .sign(privateKey)
+    expect(updateTx.verifyScripts().every(r => r.valid)).to.equal(true)
+
+    const resolver = new wave.Resolver(alice.revealTx, 'testnet')
+    expect(resolver.resolve('alice.rxd').records).to.deep.equal({ text: { url: 'https://alice.example' } })
+    resolver.add([updateTx])
+    expect(resolver.resolve('alice.rxd').records).to.deep.equal({ address: buyer.toString() })
+    expect(resolver.resolve('alice.rxd').owner).to.deep.equal(buyer)
+  })
+})
@@ -2,10 +2,8 @@
 
 var should = require('chai').should()
 var bsv = require('../')
-// Mute the "unimplemented opcode", "legacy sighash", and "P2SH deprecated"
-// runtime warnings during test runs; the fixtures intentionally exercise
-// these paths.
-bsv.Script.Interpreter.suppressUnimplementedWarnings = true
+// Mute the "legacy sighash" and "P2SH deprecated" runtime warnings during
+// test runs; the fixtures intentionally exercise these paths.
 bsv.Transaction.Sighash.suppressLegacyWarning = true
 bsv.Address.suppressP2SHWarning = true
 
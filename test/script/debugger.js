@@ -0,0 +1,147 @@
+'use strict'
+
+var should = require('chai').should()
+var expect = require('chai').expect
+var bsv = require('../..')
+var Interpreter = bsv.Script.Interpreter
+var Debugger = bsv.Script.Debugger
+var Transaction = bsv.Transaction
+var PrivateKey = bsv.PrivateKey
+var Script = bsv.Script
+var Opcode = bsv.Opcode
+
+describe('Debugger', function () {
+  var flags = Interpreter.SCRIPT_VERIFY_P2SH | Interpreter.SCRIPT_VERIFY_STRICTENC
+
+  it('is created by Interpreter.debug', function () {
+    var session = Interpreter.debug(Script('OP_1'), Script('OP_1 OP_EQUAL'))
+    session.should.be.instanceof(Debugger)
+    session.phase.should.equal('scriptSig')
+    session.pc.should.equal(0)
+    session.opcode.toNumber().should.equal(Opcode.OP_1)
+    session.done.should.equal(false)
+  })
+
+  it('steps through the scriptSig and then the scriptPubkey', function () {
+    var session = Interpreter.debug(Script('OP_2'), Script('OP_3 OP_ADD OP_5 OP_EQUAL'))
+    var state = session.step()
+    state.phase.should.equal('scriptPubkey')
+    state.pc.should.equal(0)
+    state.opcode.should.equal('OP_3')
+    state.stack.should.deep.equal([Buffer.from([2])])
+
+    session.step()
+    state = session.step()
+    state.opcode.should.equal('OP_5')
+    state.stack.should.deep.equal([Buffer.from([5])])
+
+    session.step()
+    state = session.step()
+    state.done.should.equal(true)
+    state.valid.should.equal(true)
+    state.errstr.should.equal('')
+  })
+
+  it('snapshots do not change with later steps', function () {
+    var session = Interpreter.debug(Script('OP_1 OP_2'), Script('OP_ADD OP_3 OP_EQUAL'))
+    session.step()
+    var before = session.snapshot()
+    session.step()
+    before.stack.length.should.equal(1)
+    session.stack.length.should.equal(2)
+  })
+
+  it('exposes the altstack and vfExec', function () {
+    var session = Interpreter.debug(Script(''), Script('OP_1 OP_TOALTSTACK OP_1 OP_IF OP_1 OP_ENDIF'))
+    session.step()
+    session.step()
+    session.altstack.should.deep.equal([Buffer.from([1])])
+    session.step()
+    session.step()
+    session.vfExec.should.deep.equal([true])
+  })
+
+  it('continues to a breakpoint by pc, opcode or phase', function () {
+    var scriptPubkey = Script('OP_1 OP_DROP OP_1 OP_DROP OP_1')
+    var session = Interpreter.debug(Script('OP_1'), scriptPubkey)
+      .addBreakpoint({ pc: 2, phase: 'scriptPubkey' })
+    var state = session.continue()
+    state.phase.should.equal('scriptPubkey')
+    state.pc.should.equal(2)
+
+    session.clearBreakpoints().addBreakpoint('OP_DROP')
+    session.continue().pc.should.equal(3)
+    session.continue().done.should.equal(true)
+  })
+
+  it('removes breakpoints', function () {
+    var session = Interpreter.debug(Script('OP_1'), Script('OP_DROP OP_1'))
+    session.addBreakpoint(Opcode('OP_1')).removeBreakpoint({ opcode: Opcode.OP_1 })
+    session.breakpoints.length.should.equal(0)
+    session.continue().valid.should.equal(true)
+  })
+
+  it('rejects an empty breakpoint', function () {
+    var session = Interpreter.debug(Script('OP_1'), Script(''))
+    expect(function () {
+      session.addBreakpoint({ phase: 'scriptSig' })
+    }).to.throw('A breakpoint needs a pc or an opcode')
+  })
+
+  it('next skips opcodes in branches that are not taken', function () {
+    var session = Interpreter.debug(Script('OP_0'), Script('OP_IF OP_2 OP_3 OP_ENDIF OP_1'))
+    session.step()
+    var state = session.next()
+    state.pc.should.equal(3)
+    state.opcode.should.equal('OP_ENDIF')
+    session.next().opcode.should.equal('OP_1')
+  })
+
+  it('reports the opcode that failed', function () {
+    var session = Interpreter.debug(Script('OP_1'), Script('OP_2 OP_EQUALVERIFY OP_1'))
+    var state = session.continue()
+    state.done.should.equal(true)
+    state.valid.should.equal(false)
+    state.errstr.should.equal('SCRIPT_ERR_EQUALVERIFY')
+    state.pc.should.equal(1)
+    state.opcode.should.equal('OP_EQUALVERIFY')
+  })
+
+  it('reports failures that are not tied to an opcode', function () {
+    var state = Interpreter.debug(Script('OP_0'), Script('')).continue()
+    state.valid.should.equal(false)
+    state.errstr.should.equal('SCRIPT_ERR_EVAL_FALSE_IN_STACK')
+    state.pc.should.equal(-1)
+    should.equal(state.opcode, null)
+  })
+
+  it('enters the redeem script of a P2SH output', function () {
+    var redeemScript = Script('OP_2 OP_EQUAL')
+    var scriptSig = new Script().add('OP_2').add(redeemScript.toBuffer())
+    var session = Interpreter.debug(scriptSig, Script.buildScriptHashOut(redeemScript), undefined, 0, flags)
+    session.addBreakpoint({ pc: 0, phase: 'redeemScript' })
+    var state = session.continue()
+    state.phase.should.equal('redeemScript')
+    state.stack.should.deep.equal([Buffer.from([2])])
+    session.continue().valid.should.equal(true)
+  })
+
+  it('agrees with Interpreter#verify on a signed input', function () {
+    var privateKey = new PrivateKey('cSBnVM4xvxarwGQuAfQFwqDg9k5tErHUHzgWsEfD4zdwUasvqRVY')
+    var address = privateKey.toAddress()
+    var tx = new Transaction()
+      .from({
+        txId: 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458',
+        outputIndex: 0,
+        script: Script.buildPublicKeyHashOut(address),
+        satoshis: 100000
+      })
+      .to(address, 50000)
+      .sign(privateKey)
+    var debugFlags = Interpreter.RADIANT_MAINNET_FLAGS
+    var session = Interpreter.debug(tx.inputs[0].script, tx.inputs[0].output.script, tx, 0, debugFlags)
+    session.addBreakpoint('OP_CHECKSIG')
+    session.continue().stack.length.should.equal(2)
+    session.continue().valid.should.equal(true)
+  })
+})
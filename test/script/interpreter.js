@@ -16,7 +16,7 @@ var txValid = require('../data/bitcoind/tx_valid')
 var txInvalid = require('../data/bitcoind/tx_invalid')
 
 // the script string format used in bitcoind data tests
-Script.fromBitcoindString = function (str) {
+var fromBitcoindString = function (str) {
   var bw = new BufferWriter()
   var tokens = str.split(' ')
   for (var i = 0; i < tokens.length; i++) {
@@ -53,7 +53,72 @@ Script.fromBitcoindString = function (str) {
     }
   }
   var buf = bw.concat()
-  return this.fromBuffer(buf)
+  return Script.fromBuffer(buf)
+}
+
+var getFlags = function getFlags (flagstr) {
+  var flags = 0
+  if (flagstr.indexOf('NONE') !== -1) {
+    flags = flags | Interpreter.SCRIPT_VERIFY_NONE
+  }
+  if (flagstr.indexOf('P2SH') !== -1) {
+    flags = flags | Interpreter.SCRIPT_VERIFY_P2SH
+  }
+  if (flagstr.indexOf('STRICTENC') !== -1) {
+    flags = flags | Interpreter.SCRIPT_VERIFY_STRICTENC
+  }
+  if (flagstr.indexOf('DERSIG') !== -1) {
+    flags = flags | Interpreter.SCRIPT_VERIFY_DERSIG
+  }
+  if (flagstr.indexOf('LOW_S') !== -1) {
+    flags = flags | Interpreter.SCRIPT_VERIFY_LOW_S
+  }
+  if (flagstr.indexOf('NULLDUMMY') !== -1) {
+    flags = flags | Interpreter.SCRIPT_VERIFY_NULLDUMMY
+  }
+  if (flagstr.indexOf('SIGPUSHONLY') !== -1) {
+    flags = flags | Interpreter.SCRIPT_VERIFY_SIGPUSHONLY
+  }
+  if (flagstr.indexOf('MINIMALDATA') !== -1) {
+    flags = flags | Interpreter.SCRIPT_VERIFY_MINIMALDATA
+  }
+  if (flagstr.indexOf('DISCOURAGE_UPGRADABLE_NOPS') !== -1) {
+    flags = flags | Interpreter.SCRIPT_VERIFY_DISCOURAGE_UPGRADABLE_NOPS
+  }
+  if (flagstr.indexOf('CHECKLOCKTIMEVERIFY') !== -1) {
+    flags = flags | Interpreter.SCRIPT_VERIFY_CHECKLOCKTIMEVERIFY
+  }
+  if (flagstr.indexOf('CHECKSEQUENCEVERIFY') !== -1) {
+    flags = flags | Interpreter.SCRIPT_VERIFY_CHECKSEQUENCEVERIFY
+  }
+  if (flagstr.indexOf('NULLFAIL') !== -1) {
+    flags = flags | Interpreter.SCRIPT_VERIFY_NULLFAIL
+  }
+
+  if (flagstr.indexOf('CLEANSTACK') !== -1) {
+    flags = flags | Interpreter.SCRIPT_VERIFY_CLEANSTACK
+  }
+
+  if (flagstr.indexOf('FORKID') !== -1) {
+    flags = flags | Interpreter.SCRIPT_ENABLE_SIGHASH_FORKID
+  }
+
+  if (flagstr.indexOf('REPLAY_PROTECTION') !== -1) {
+    flags = flags | Interpreter.SCRIPT_ENABLE_REPLAY_PROTECTION
+  }
+
+  if (flagstr.indexOf('MONOLITH') !== -1) {
+    flags = flags | Interpreter.SCRIPT_ENABLE_MONOLITH_OPCODES
+  }
+
+  if (flagstr.indexOf('MAGNETIC') !== -1) {
+    flags = flags | Interpreter.SCRIPT_ENABLE_MAGNETIC_OPCODES
+  }
+
+  if (flagstr.indexOf('MINIMALIF') !== -1) {
+    flags = flags | Interpreter.SCRIPT_VERIFY_MINIMALIF
+  }
+  return flags
 }
 
 describe('Interpreter', function () {
@@ -212,74 +277,9 @@ describe('Interpreter', function () {
     })
   })
 
-  var getFlags = function getFlags (flagstr) {
-    var flags = 0
-    if (flagstr.indexOf('NONE') !== -1) {
-      flags = flags | Interpreter.SCRIPT_VERIFY_NONE
-    }
-    if (flagstr.indexOf('P2SH') !== -1) {
-      flags = flags | Interpreter.SCRIPT_VERIFY_P2SH
-    }
-    if (flagstr.indexOf('STRICTENC') !== -1) {
-      flags = flags | Interpreter.SCRIPT_VERIFY_STRICTENC
-    }
-    if (flagstr.indexOf('DERSIG') !== -1) {
-      flags = flags | Interpreter.SCRIPT_VERIFY_DERSIG
-    }
-    if (flagstr.indexOf('LOW_S') !== -1) {
-      flags = flags | Interpreter.SCRIPT_VERIFY_LOW_S
-    }
-    if (flagstr.indexOf('NULLDUMMY') !== -1) {
-      flags = flags | Interpreter.SCRIPT_VERIFY_NULLDUMMY
-    }
-    if (flagstr.indexOf('SIGPUSHONLY') !== -1) {
-      flags = flags | Interpreter.SCRIPT_VERIFY_SIGPUSHONLY
-    }
-    if (flagstr.indexOf('MINIMALDATA') !== -1) {
-      flags = flags | Interpreter.SCRIPT_VERIFY_MINIMALDATA
-    }
-    if (flagstr.indexOf('DISCOURAGE_UPGRADABLE_NOPS') !== -1) {
-      flags = flags | Interpreter.SCRIPT_VERIFY_DISCOURAGE_UPGRADABLE_NOPS
-    }
-    if (flagstr.indexOf('CHECKLOCKTIMEVERIFY') !== -1) {
-      flags = flags | Interpreter.SCRIPT_VERIFY_CHECKLOCKTIMEVERIFY
-    }
-    if (flagstr.indexOf('CHECKSEQUENCEVERIFY') !== -1) {
-      flags = flags | Interpreter.SCRIPT_VERIFY_CHECKSEQUENCEVERIFY
-    }
-    if (flagstr.indexOf('NULLFAIL') !== -1) {
-      flags = flags | Interpreter.SCRIPT_VERIFY_NULLFAIL
-    }
-
-    if (flagstr.indexOf('CLEANSTACK') !== -1) {
-      flags = flags | Interpreter.SCRIPT_VERIFY_CLEANSTACK
-    }
-
-    if (flagstr.indexOf('FORKID') !== -1) {
-      flags = flags | Interpreter.SCRIPT_ENABLE_SIGHASH_FORKID
-    }
-
-    if (flagstr.indexOf('REPLAY_PROTECTION') !== -1) {
-      flags = flags | Interpreter.SCRIPT_ENABLE_REPLAY_PROTECTION
-    }
-
-    if (flagstr.indexOf('MONOLITH') !== -1) {
-      flags = flags | Interpreter.SCRIPT_ENABLE_MONOLITH_OPCODES
-    }
-
-    if (flagstr.indexOf('MAGNETIC') !== -1) {
-      flags = flags | Interpreter.SCRIPT_ENABLE_MAGNETIC_OPCODES
-    }
-
-    if (flagstr.indexOf('MINIMALIF') !== -1) {
-      flags = flags | Interpreter.SCRIPT_VERIFY_MINIMALIF
-    }
-    return flags
-  }
-
   var testFixture = function (vector, expected, extraData) {
-    var scriptSig = Script.fromBitcoindString(vector[0])
-    var scriptPubkey = Script.fromBitcoindString(vector[1])
+    var scriptSig = fromBitcoindString(vector[0])
+    var scriptPubkey = fromBitcoindString(vector[1])
     var flags = getFlags(vector[2])
     var inputAmount = 0
     if (extraData) {
@@ -606,6 +606,536 @@ describe('Interpreter', function () {
     })
   })
 
+  describe('#OP_CHECKSEQUENCEVERIFY', function () {
+    var verify = function (asm, sequenceNumber) {
+      var tx = new Transaction()
+      tx.version = 2
+      tx.uncheckedAddInput(new Transaction.Input({
+        prevTxId: '11'.repeat(32),
+        outputIndex: 0,
+        sequenceNumber: sequenceNumber,
+        script: Script('OP_1')
+      }))
+      var interp = new Interpreter()
+      var ok = interp.verify(tx.inputs[0].script, Script.fromBitcoindString(asm), tx, 0,
+        Interpreter.SCRIPT_VERIFY_CHECKSEQUENCEVERIFY)
+      return { ok, interp }
+    }
+
+    it('should compare the operand with the input sequence', function () {
+      verify('10 OP_CHECKSEQUENCEVERIFY OP_DROP', 10).ok.should.equal(true)
+      verify('0x03 0x010040 OP_CHECKSEQUENCEVERIFY OP_DROP', 0x400002).ok.should.equal(true)
+      var result = verify('11 OP_CHECKSEQUENCEVERIFY OP_DROP', 10)
+      result.ok.should.equal(false)
+      result.interp.errstr.should.equal('SCRIPT_ERR_UNSATISFIED_LOCKTIME')
+      verify('0x03 0x010040 OP_CHECKSEQUENCEVERIFY OP_DROP', 10).ok.should.equal(false)
+    })
+  })
+
+  describe('#introspection opcodes', function () {
+    var prevTxIdA = '11'.repeat(31) + 'aa'
+    var prevTxIdB = '22'.repeat(31) + 'bb'
+
+    // Two inputs, two outputs. The spent outputs are deliberately not attached
+    // to the inputs so that tests control what the interpreter can see.
+    var buildTx = function () {
+      var tx = new Transaction()
+      tx.version = 2
+      tx.nLockTime = 1234
+      tx.uncheckedAddInput(new Transaction.Input({
+        prevTxId: prevTxIdA,
+        outputIndex: 3,
+        sequenceNumber: 0xfffffffe,
+        script: Script('OP_1')
+      }))
+      tx.uncheckedAddInput(new Transaction.Input({
+        prevTxId: prevTxIdB,
+        outputIndex: 0,
+        sequenceNumber: 7,
+        script: Script('OP_2 OP_3')
+      }))
+      tx.addOutput(new Transaction.Output({ script: Script('OP_RETURN'), satoshis: 0 }))
+      tx.addOutput(new Transaction.Output({ script: Script('OP_16'), satoshis: 70000 }))
+      return tx
+    }
+    var prevouts = [
+      { script: Script('OP_TRUE'), satoshis: 5000 },
+      { script: Script('OP_DUP OP_DROP'), satoshis: 300 }
+    ]
+    var verify = function (asm, prevs, nin) {
+      var interp = new Interpreter()
+      var tx = buildTx()
+      nin = nin || 0
+      var ok = interp.verify(tx.inputs[nin].script, Script.fromBitcoindString(asm), tx, nin,
+        Interpreter.SCRIPT_NATIVE_INTROSPECTION, undefined, undefined, prevs)
+      return { ok, interp }
+    }
+
+    it('should push the transaction-wide values', function () {
+      verify('OP_INPUTINDEX OP_1 OP_EQUALVERIFY OP_DROP OP_DROP OP_1', prevouts, 1).ok.should.equal(true)
+      verify('OP_TXVERSION OP_2 OP_EQUALVERIFY OP_TXINPUTCOUNT OP_2 OP_EQUALVERIFY ' +
+        'OP_TXOUTPUTCOUNT OP_2 OP_EQUALVERIFY OP_TXLOCKTIME 1234 OP_EQUAL', prevouts).ok.should.equal(true)
+    })
+
+    it('should push the active bytecode from the last OP_CODESEPARATOR', function () {
+      var result = verify('OP_DROP OP_CODESEPARATOR OP_ACTIVEBYTECODE', prevouts)
+      result.ok.should.equal(true)
+      result.interp.stack.stacktop(-1).toString('hex').should.equal(Script('OP_ACTIVEBYTECODE').toHex())
+    })
+
+    it('should read every input and the outputs it spends', function () {
+      verify('OP_DROP OP_1 OP_UTXOVALUE 300 OP_EQUALVERIFY ' +
+        'OP_1 OP_UTXOBYTECODE 0x02 0x7675 OP_EQUALVERIFY ' +
+        'OP_1 OP_OUTPOINTTXHASH 0x20 0x' + Buffer.from(prevTxIdB, 'hex').reverse().toString('hex') + ' OP_EQUALVERIFY ' +
+        'OP_0 OP_OUTPOINTINDEX OP_3 OP_EQUALVERIFY ' +
+        'OP_1 OP_INPUTBYTECODE 0x02 0x5253 OP_EQUALVERIFY ' +
+        'OP_1 OP_INPUTSEQUENCENUMBER OP_7 OP_EQUAL', prevouts).ok.should.equal(true)
+    })
+
+    it('should read the outputs of the spending transaction', function () {
+      verify('OP_DROP OP_1 OP_OUTPUTVALUE 70000 OP_EQUALVERIFY ' +
+        'OP_0 OP_OUTPUTBYTECODE 0x01 0x6a OP_EQUAL', prevouts).ok.should.equal(true)
+    })
+
+    it('should fall back to the output attached to the input', function () {
+      var tx = buildTx()
+      tx.inputs[1].output = new Transaction.Output(prevouts[1])
+      var interp = new Interpreter()
+      interp.verify(tx.inputs[0].script, Script.fromBitcoindString('OP_DROP OP_1 OP_UTXOVALUE 300 OP_EQUAL'), tx, 0,
+        Interpreter.SCRIPT_NATIVE_INTROSPECTION).should.equal(true)
+    })
+
+    it('should fail with out of range indexes', function () {
+      var result = verify('OP_2 OP_UTXOVALUE', prevouts)
+      result.ok.should.equal(false)
+      result.interp.errstr.should.equal('SCRIPT_ERR_INVALID_TX_INPUT_INDEX')
+      result = verify('OP_1NEGATE OP_INPUTBYTECODE', prevouts)
+      result.interp.errstr.should.equal('SCRIPT_ERR_INVALID_TX_INPUT_INDEX')
+      result = verify('OP_2 OP_OUTPUTVALUE', prevouts)
+      result.ok.should.equal(false)
+      result.interp.errstr.should.equal('SCRIPT_ERR_INVALID_TX_OUTPUT_INDEX')
+    })
+
+    it('should be BAD_OPCODE without SCRIPT_NATIVE_INTROSPECTION', function () {
+      var tx = buildTx()
+      var interp = new Interpreter()
+      interp.verify(tx.inputs[0].script, Script('OP_DROP OP_TXVERSION'), tx, 0, Interpreter.SCRIPT_ENHANCED_REFERENCES,
+        undefined, undefined, prevouts).should.equal(false)
+      interp.errstr.should.equal('SCRIPT_ERR_BAD_OPCODE')
+      Interpreter.flagsFromString('NATIVE_INTROSPECTION').should.equal(Interpreter.SCRIPT_NATIVE_INTROSPECTION)
+    })
+
+    it('should fail when the spent output is unknown', function () {
+      var result = verify('OP_1 OP_UTXOVALUE', undefined)
+      result.ok.should.equal(false)
+      result.interp.errstr.should.equal('SCRIPT_ERR_CONTEXT_NOT_PRESENT')
+    })
+
+    it('should fail without a transaction', function () {
+      var interp = new Interpreter({ script: Script('OP_TXVERSION'), flags: Interpreter.SCRIPT_NATIVE_INTROSPECTION })
+      interp.evaluate().should.equal(false)
+      interp.errstr.should.equal('SCRIPT_ERR_CONTEXT_NOT_PRESENT')
+    })
+
+    it('should take the input amount from prevouts when satoshisBN is omitted', function () {
+      var tx = buildTx()
+      var flags = Interpreter.SCRIPT_ENABLE_SIGHASH_FORKID | Interpreter.SCRIPT_NATIVE_INTROSPECTION
+      var interp = new Interpreter()
+      interp.verify(tx.inputs[0].script, Script.fromBitcoindString('OP_DROP OP_0 OP_UTXOVALUE 5000 OP_EQUAL'), tx, 0, flags, undefined, undefined, prevouts)
+        .should.equal(true)
+      interp.satoshisBN.toNumber().should.equal(5000)
+    })
+  })
+
+  describe('#reference opcodes', function () {
+    var prevTxId = '33'.repeat(31) + 'cc'
+    // The ref created by spending prevTxId:1 (txid in internal byte order + vout LE)
+    var outpointRef = Buffer.from(prevTxId, 'hex').reverse().toString('hex') + '01000000'
+    var carriedRef = 'ab'.repeat(32) + '02000000'
+    var unknownRef = 'ef'.repeat(32) + '00000000'
+
+    var refScript = function (hex) {
+      return Script.fromBuffer(Buffer.from(hex, 'hex'))
+    }
+    // OP_DROP OP_1 after each ref push keeps the outputs spendable
+    var pushRef = function (ref) { return 'd0' + ref + '75' }
+    var pushSingleton = function (ref) { return 'd8' + ref + '75' }
+
+    var verify = function (outputHexes, spentHex) {
+      var tx = new Transaction()
+      tx.uncheckedAddInput(new Transaction.Input({
+        prevTxId: prevTxId,
+        outputIndex: 1,
+        script: Script('OP_1')
+      }))
+      outputHexes.forEach(function (hex) {
+        tx.addOutput(new Transaction.Output({ script: refScript(hex + '51'), satoshis: 1 }))
+      })
+      var prevouts = [{ script: refScript(spentHex || '51'), satoshis: 10 }]
+      var interp = new Interpreter()
+      var ok = interp.verify(tx.inputs[0].script, prevouts[0].script, tx, 0, 0, undefined, undefined, prevouts)
+      return { ok, interp }
+    }
+
+    it('should push the ref for push and require opcodes only', function () {
+      var interp = new Interpreter({
+        script: refScript('d0' + carriedRef + 'd1' + carriedRef + 'd2' + unknownRef + 'd3' + unknownRef + 'd8' + carriedRef)
+      })
+      interp.evaluate().should.equal(true)
+      interp.stack.length.should.equal(3)
+      interp.stack.stacktop(-1).toString('hex').should.equal(carriedRef)
+    })
+
+    it('should accept refs created from an input outpoint', function () {
+      verify([pushRef(outpointRef), pushRef(outpointRef)]).ok.should.equal(true)
+      verify([pushSingleton(outpointRef)]).ok.should.equal(true)
+    })
+
+    it('should accept refs carried by a spent output', function () {
+      verify([pushRef(carriedRef)], pushRef(carriedRef) + '51').ok.should.equal(true)
+      verify([pushSingleton(carriedRef)], pushSingleton(carriedRef) + '51').ok.should.equal(true)
+      verify(['d1' + carriedRef], pushRef(carriedRef) + '51').ok.should.equal(true)
+    })
+
+    it('should reject refs that no input provides', function () {
+      var result = verify([pushRef(unknownRef)])
+      result.ok.should.equal(false)
+      result.interp.errstr.should.equal('SCRIPT_ERR_INVALID_PUSHINPUTREF')
+      verify([pushSingleton(carriedRef)], pushRef(carriedRef) + '51').interp.errstr
+        .should.equal('SCRIPT_ERR_INVALID_PUSHINPUTREFSINGLETON')
+      verify([pushRef(carriedRef)], pushSingleton(carriedRef) + '51').interp.errstr
+        .should.equal('SCRIPT_ERR_INVALID_PUSHINPUTREF')
+      verify(['d1' + unknownRef]).interp.errstr.should.equal('SCRIPT_ERR_INVALID_REQUIREINPUTREF')
+    })
+
+    it('should keep singletons unique', function () {
+      verify([pushSingleton(outpointRef), pushSingleton(outpointRef)]).interp.errstr
+        .should.equal('SCRIPT_ERR_INVALID_PUSHINPUTREFSINGLETON')
+      verify([pushSingleton(outpointRef), pushRef(outpointRef)]).interp.errstr
+        .should.equal('SCRIPT_ERR_INVALID_PUSHINPUTREFSINGLETON')
+    })
+
+    it('should enforce the disallow rules', function () {
+      verify([pushRef(outpointRef) + 'd2' + outpointRef]).interp.errstr
+        .should.equal('SCRIPT_ERR_INVALID_DISALLOWPUSHINPUTREF')
+      verify([pushRef(outpointRef), 'd2' + outpointRef]).ok.should.equal(true)
+      verify([pushRef(outpointRef), 'd3' + outpointRef]).interp.errstr
+        .should.equal('SCRIPT_ERR_INVALID_DISALLOWPUSHINPUTREFSIBLING')
+      verify([pushRef(outpointRef) + 'd3' + outpointRef]).ok.should.equal(true)
+    })
+
+    it('should fail closed when a prevout is unknown', function () {
+      // A singleton that neither input provides, with the second prevout missing
+      var tx = new Transaction()
+      tx.uncheckedAddInput(new Transaction.Input({ prevTxId: prevTxId, outputIndex: 1, script: Script('OP_1') }))
+      tx.uncheckedAddInput(new Transaction.Input({ prevTxId: prevTxId, outputIndex: 2, script: Script('OP_1') }))
+      tx.addOutput(new Transaction.Output({ script: refScript(pushSingleton(unknownRef) + '51'), satoshis: 1 }))
+      var prevouts = [{ script: Script('OP_1'), satoshis: 10 }]
+      var interp = new Interpreter()
+      interp.verify(tx.inputs[0].script, Script('OP_1'), tx, 0, 0, undefined, undefined, prevouts).should.equal(false)
+      interp.errstr.should.equal('SCRIPT_ERR_CONTEXT_NOT_PRESENT')
+      var session = Interpreter.debug(tx.inputs[0].script, Script('OP_1'), tx, 0, 0, undefined, undefined, prevouts)
+      session.done.should.equal(true)
+      session.valid.should.equal(false)
+      session.errstr.should.equal('SCRIPT_ERR_CONTEXT_NOT_PRESENT')
+
+      // Without refs in the outputs there is nothing to check
+      tx.outputs[0].setScript(Script('OP_1'))
+      Interpreter().verify(tx.inputs[0].script, Script('OP_1'), tx, 0, 0).should.equal(true)
+    })
+  })
+
+  describe('#state separator opcodes', function () {
+    // <state> OP_STATESEPARATOR <code>
+    var stateful = Script.fromBuffer(Buffer.from('0401020304bd51', 'hex'))
+    var plain = Script('OP_1 OP_1')
+
+    var verify = function (asm) {
+      var tx = new Transaction()
+      tx.uncheckedAddInput(new Transaction.Input({ prevTxId: '44'.repeat(32), outputIndex: 0, script: Script('OP_1') }))
+      tx.uncheckedAddInput(new Transaction.Input({ prevTxId: '55'.repeat(32), outputIndex: 0, script: Script('OP_1') }))
+      tx.addOutput(new Transaction.Output({ script: plain, satoshis: 1 }))
+      tx.addOutput(new Transaction.Output({ script: stateful, satoshis: 1 }))
+      var prevouts = [{ script: stateful, satoshis: 1 }, { script: plain, satoshis: 1 }]
+      var interp = new Interpreter()
+      var ok = interp.verify(tx.inputs[0].script, Script.fromBitcoindString(asm), tx, 0, 0, undefined, undefined, prevouts)
+      return { ok, interp }
+    }
+
+    it('should push the separator index', function () {
+      verify('OP_DROP OP_0 OP_STATESEPARATORINDEX_UTXO OP_5 OP_EQUALVERIFY ' +
+        'OP_1 OP_STATESEPARATORINDEX_UTXO OP_0 OP_EQUALVERIFY ' +
+        'OP_1 OP_STATESEPARATORINDEX_OUTPUT OP_5 OP_EQUAL').ok.should.equal(true)
+    })
+
+    it('should push the state and code bytecode', function () {
+      verify('OP_DROP OP_0 OP_STATESCRIPTBYTECODE_UTXO 0x05 0x0401020304 OP_EQUALVERIFY ' +
+        'OP_0 OP_CODESCRIPTBYTECODE_UTXO 0x01 0x51 OP_EQUALVERIFY ' +
+        'OP_0 OP_STATESCRIPTBYTECODE_OUTPUT OP_0 OP_EQUALVERIFY ' +
+        'OP_0 OP_CODESCRIPTBYTECODE_OUTPUT 0x02 0x5151 OP_EQUAL').ok.should.equal(true)
+    })
+
+    it('should check the indexes', function () {
+      verify('OP_2 OP_CODESCRIPTBYTECODE_UTXO').interp.errstr.should.equal('SCRIPT_ERR_INVALID_TX_INPUT_INDEX')
+      verify('OP_2 OP_STATESCRIPTBYTECODE_OUTPUT').interp.errstr.should.equal('SCRIPT_ERR_INVALID_TX_OUTPUT_INDEX')
+    })
+
+    it('should allow a single top-level separator in the locking script', function () {
+      verify('OP_STATESEPARATOR').ok.should.equal(true)
+      verify('OP_STATESEPARATOR OP_STATESEPARATOR').interp.errstr
+        .should.equal('SCRIPT_ERR_INVALID_STATE_SEPARATOR_LOCATION')
+      verify('OP_IF OP_STATESEPARATOR OP_ENDIF OP_1').interp.errstr
+        .should.equal('SCRIPT_ERR_INVALID_STATE_SEPARATOR_LOCATION')
+      Interpreter().verify(Script('OP_STATESEPARATOR OP_1'), Script('OP_1')).should.equal(false)
+    })
+  })
+
+  describe('#ref aggregate opcodes', function () {
+    var refA = 'aa'.repeat(32) + '00000000'
+    var refB = 'bb'.repeat(32) + '01000000'
+    var refUnknown = 'cc'.repeat(32) + '00000000'
+    var push = function (ref) { return '0x24 0x' + ref }
+    var hexScript = function (hex) { return Script.fromBuffer(Buffer.from(hex, 'hex')) }
+
+    // Spent: A (1000 sats) and singleton B (1 sat).
+    // Created: A (600 sats), A (0 sats), singleton B (1 sat), plain (5 sats).
+    var outputs = [
+      { script: hexScript('d0' + refA + '7551'), satoshis: 600 },
+      { script: hexScript('d0' + refA + '7551'), satoshis: 0 },
+      { script: hexScript('d8' + refB + '7551'), satoshis: 1 },
+      { script: Script('OP_1'), satoshis: 5 }
+    ]
+    var prevouts = [
+      { script: hexScript('d0' + refA + '7551'), satoshis: 1000 },
+      { script: hexScript('d8' + refB + '7551'), satoshis: 1 }
+    ]
+
+    var verify = function (asm, prevs) {
+      var tx = new Transaction()
+      tx.uncheckedAddInput(new Transaction.Input({ prevTxId: '66'.repeat(32), outputIndex: 0, script: Script('OP_1') }))
+      tx.uncheckedAddInput(new Transaction.Input({ prevTxId: '77'.repeat(32), outputIndex: 0, script: Script('OP_1') }))
+      outputs.forEach(function (output) {
+        tx.addOutput(new Transaction.Output(output))
+      })
+      var interp = new Interpreter()
+      var ok = interp.verify(tx.inputs[0].script, Script.fromBitcoindString('OP_DROP ' + asm), tx, 0, 0, undefined, undefined, prevs)
+      return { ok, interp }
+    }
+    var top = function (asm) {
+      var result = verify(asm, prevouts)
+      result.ok.should.equal(true, result.interp.errstr)
+      return result.interp.stack.stacktop(-1).toString('hex')
+    }
+    var num = function (n) { return new BN(n).toScriptNumBuffer().toString('hex') }
+
+    it('should sum values and count outputs carrying a ref', function () {
+      top(push(refA) + ' OP_REFVALUESUM_UTXOS').should.equal(num(1000))
+      top(push(refA) + ' OP_REFVALUESUM_OUTPUTS').should.equal(num(600))
+      top(push(refA) + ' OP_REFOUTPUTCOUNT_UTXOS').should.equal(num(1))
+      top(push(refA) + ' OP_REFOUTPUTCOUNT_OUTPUTS').should.equal(num(2))
+      top(push(refB) + ' OP_REFOUTPUTCOUNT_OUTPUTS').should.equal(num(1))
+      top(push(refA) + ' OP_REFOUTPUTCOUNTZEROVALUED_OUTPUTS').should.equal(num(1))
+      top(push(refA) + ' OP_REFOUTPUTCOUNTZEROVALUED_UTXOS OP_0 OP_EQUAL').should.equal('01')
+      top(push(refUnknown) + ' OP_REFVALUESUM_OUTPUTS OP_0 OP_EQUAL').should.equal('01')
+    })
+
+    it('should report the ref type', function () {
+      top(push(refA) + ' OP_REFTYPE_UTXO').should.equal(num(1))
+      top(push(refB) + ' OP_REFTYPE_OUTPUT').should.equal(num(2))
+      top(push(refUnknown) + ' OP_REFTYPE_OUTPUT OP_0 OP_EQUAL').should.equal('01')
+    })
+
+    it('should summarize the refs of one output', function () {
+      top('OP_2 OP_REFDATASUMMARY_OUTPUT').should.equal(refB)
+      top('OP_0 OP_REFDATASUMMARY_UTXO').should.equal(refA)
+      top('OP_3 OP_REFDATASUMMARY_OUTPUT ' + push('00'.repeat(36)) + ' OP_EQUAL').should.equal('01')
+
+      var summary = Buffer.concat([
+        Buffer.from('5802000000000000', 'hex'), // 600 sats
+        bsv.crypto.Hash.sha256sha256(outputs[0].script.toBuffer()),
+        Buffer.from('01000000', 'hex'),
+        bsv.crypto.Hash.sha256sha256(Buffer.from(refA, 'hex'))
+      ])
+      top('OP_0 OP_REFHASHDATASUMMARY_OUTPUT').should.equal(bsv.crypto.Hash.sha256sha256(summary).toString('hex'))
+    })
+
+    it('should sum the values of outputs by refs hash', function () {
+      // hash256 of the output's sorted pushed refs, as in its sighash output summary
+      var refsHash = function (refs) {
+        return '0x20 0x' + bsv.crypto.Hash.sha256sha256(Buffer.from(refs.sort().join(''), 'hex')).toString('hex')
+      }
+      top(refsHash([refA]) + ' OP_REFHASHVALUESUM_OUTPUTS').should.equal(num(600))
+      top(refsHash([refA]) + ' OP_REFHASHVALUESUM_UTXOS').should.equal(num(1000))
+      top(refsHash([refB]) + ' OP_REFHASHVALUESUM_OUTPUTS').should.equal(num(1))
+      top(refsHash([refA, refB]) + ' OP_REFHASHVALUESUM_OUTPUTS OP_0 OP_EQUAL').should.equal('01')
+      // Outputs without refs have a zero refs hash
+      top('0x20 0x' + '00'.repeat(32) + ' OP_REFHASHVALUESUM_OUTPUTS').should.equal(num(5))
+    })
+
+    it('should fail on bad operands or missing prevouts', function () {
+      verify('0x01 0xaa OP_REFVALUESUM_OUTPUTS', prevouts).interp.errstr.should.equal('SCRIPT_ERR_INVALID_OPERAND_SIZE')
+      verify('OP_4 OP_REFDATASUMMARY_OUTPUT', prevouts).interp.errstr.should.equal('SCRIPT_ERR_INVALID_TX_OUTPUT_INDEX')
+      verify(push(refA) + ' OP_REFVALUESUM_UTXOS', [prevouts[0]]).interp.errstr.should.equal('SCRIPT_ERR_CONTEXT_NOT_PRESENT')
+      verify('0x20 0x' + '00'.repeat(32) + ' OP_REFHASHVALUESUM_UTXOS', [prevouts[0]]).interp.errstr
+        .should.equal('SCRIPT_ERR_CONTEXT_NOT_PRESENT')
+      verify('0x01 0xaa OP_REFHASHVALUESUM_OUTPUTS', prevouts).interp.errstr.should.equal('SCRIPT_ERR_INVALID_OPERAND_SIZE')
+    })
+  })
+
+  describe('#code script hash opcodes', function () {
+    // Two outputs run the same code (OP_1) with different state, one runs other code.
+    var code = Script.fromBuffer(Buffer.from('51', 'hex'))
+    var withState = function (stateHex) { return Script.fromBuffer(Buffer.from(stateHex + 'bd51', 'hex')) }
+    var codeHash = code.getCodeScriptHash().toString('hex')
+    var outputs = [
+      { script: withState('0101'), satoshis: 250 },
+      { script: withState('0102'), satoshis: 0 },
+      { script: Script('OP_2'), satoshis: 50 }
+    ]
+    var prevouts = [
+      { script: withState('0103'), satoshis: 250 },
+      { script: code, satoshis: 7 }
+    ]
+
+    var verify = function (asm, prevs) {
+      var tx = new Transaction()
+      tx.uncheckedAddInput(new Transaction.Input({ prevTxId: '88'.repeat(32), outputIndex: 0, script: Script('OP_1') }))
+      tx.uncheckedAddInput(new Transaction.Input({ prevTxId: '99'.repeat(32), outputIndex: 0, script: Script('OP_1') }))
+      outputs.forEach(function (output) {
+        tx.addOutput(new Transaction.Output(output))
+      })
+      var interp = new Interpreter()
+      var ok = interp.verify(tx.inputs[0].script, Script.fromBitcoindString('OP_DROP ' + asm), tx, 0, 0, undefined, undefined, prevs)
+      return { ok, interp }
+    }
+
+    it('should hash the code after the state separator', function () {
+      withState('0101').getCodeScriptHash().toString('hex').should.equal(codeHash)
+      verify('OP_0 OP_CODESCRIPTBYTECODE_OUTPUT OP_HASH256 0x20 0x' + codeHash + ' OP_EQUAL', prevouts).ok.should.equal(true)
+    })
+
+    it('should sum and count outputs sharing a code script', function () {
+      var hash = '0x20 0x' + codeHash
+      verify(hash + ' OP_CODESCRIPTHASHVALUESUM_OUTPUTS 250 OP_EQUAL', prevouts).ok.should.equal(true)
+      verify(hash + ' OP_CODESCRIPTHASHVALUESUM_UTXOS 257 OP_EQUAL', prevouts).ok.should.equal(true)
+      verify(hash + ' OP_CODESCRIPTHASHOUTPUTCOUNT_OUTPUTS OP_2 OP_EQUAL', prevouts).ok.should.equal(true)
+      verify(hash + ' OP_CODESCRIPTHASHOUTPUTCOUNT_UTXOS OP_2 OP_EQUAL', prevouts).ok.should.equal(true)
+      verify(hash + ' OP_CODESCRIPTHASHZEROVALUEDOUTPUTCOUNT_OUTPUTS OP_1 OP_EQUAL', prevouts).ok.should.equal(true)
+      verify(hash + ' OP_CODESCRIPTHASHZEROVALUEDOUTPUTCOUNT_UTXOS OP_0 OP_EQUAL', prevouts).ok.should.equal(true)
+    })
+
+    it('should fail on bad operands or missing prevouts', function () {
+      verify('0x01 0x51 OP_CODESCRIPTHASHVALUESUM_OUTPUTS', prevouts).interp.errstr
+        .should.equal('SCRIPT_ERR_INVALID_OPERAND_SIZE')
+      verify('0x20 0x' + codeHash + ' OP_CODESCRIPTHASHVALUESUM_UTXOS', [prevouts[0]]).interp.errstr
+        .should.equal('SCRIPT_ERR_CONTEXT_NOT_PRESENT')
+    })
+  })
+
+  describe('#OP_CHECKDATASIG', function () {
+    var privateKey = new PrivateKey('cSBnVM4xvxarwGQuAfQFwqDg9k5tErHUHzgWsEfD4zdwUasvqRVY')
+    var pubkey = privateKey.publicKey.toBuffer()
+    var message = Buffer.from('BTC/USD 67000')
+    var sig = bsv.crypto.ECDSA.sign(bsv.crypto.Hash.sha256(message), privateKey)
+    var strictFlags = Interpreter.SCRIPT_VERIFY_STRICTENC | Interpreter.SCRIPT_VERIFY_LOW_S | Interpreter.SCRIPT_VERIFY_NULLFAIL
+
+    var run = function (sigBuf, msgBuf, opcode, flags) {
+      var interp = new Interpreter()
+      var scriptSig = new Script().add(sigBuf).add(msgBuf)
+      var scriptPubkey = new Script().add(pubkey).add(opcode || 'OP_CHECKDATASIG')
+      var ok = interp.verify(scriptSig, scriptPubkey, new Transaction(), 0, flags || 0)
+      return { ok, interp }
+    }
+
+    it('should verify a signature over the SHA256 of the message', function () {
+      run(sig.toDER(), message, 'OP_CHECKDATASIG', strictFlags).ok.should.equal(true)
+      var result = run(sig.toDER(), message, 'OP_CHECKDATASIGVERIFY')
+      result.interp.errstr.should.equal('SCRIPT_ERR_EVAL_FALSE_NO_RESULT')
+    })
+
+    it('should push false for a signature over another message', function () {
+      var result = run(sig.toDER(), Buffer.from('BTC/USD 1'))
+      result.ok.should.equal(false)
+      result.interp.errstr.should.equal('SCRIPT_ERR_EVAL_FALSE_IN_STACK')
+      run(Buffer.from([]), message, 'OP_CHECKDATASIG', strictFlags).interp.errstr
+        .should.equal('SCRIPT_ERR_EVAL_FALSE_IN_STACK')
+      run(sig.toDER(), Buffer.from('BTC/USD 1'), 'OP_CHECKDATASIGVERIFY').interp.errstr
+        .should.equal('SCRIPT_ERR_CHECKDATASIGVERIFY')
+    })
+
+    it('should fail non-empty invalid signatures under NULLFAIL', function () {
+      run(sig.toDER(), Buffer.from('BTC/USD 1'), 'OP_CHECKDATASIG', strictFlags).interp.errstr
+        .should.equal('SCRIPT_ERR_NULLFAIL')
+    })
+
+    it('should enforce DER and low S encoding', function () {
+      var badDer = Buffer.concat([sig.toDER(), Buffer.from([0x00])])
+      run(badDer, message, 'OP_CHECKDATASIG', Interpreter.SCRIPT_VERIFY_STRICTENC).interp.errstr
+        .should.equal('SCRIPT_ERR_SIG_DER_INVALID_FORMAT')
+      var highS = new bsv.crypto.Signature({ r: sig.r, s: bsv.crypto.Point.getN().sub(sig.s) })
+      run(highS.toDER(), message, 'OP_CHECKDATASIG', Interpreter.SCRIPT_VERIFY_LOW_S).interp.errstr
+        .should.equal('SCRIPT_ERR_SIG_DER_HIGH_S')
+      run(highS.toDER(), message).ok.should.equal(true)
+    })
+  })
+
+  describe('#enableTrace', function () {
+    it('should record executed opcodes with stack depths', function () {
+      var interp = new Interpreter().enableTrace()
+      interp.verify(Script('OP_2 OP_0'), Script('OP_IF OP_DROP OP_ENDIF OP_DUP OP_TOALTSTACK'))
+        .should.equal(true)
+      interp.trace.map(function (e) { return e.opcode }).should.deep.equal(
+        ['OP_2', 'OP_0', 'OP_IF', 'OP_ENDIF', 'OP_DUP', 'OP_TOALTSTACK'])
+      interp.trace[0].should.deep.equal({
+        script: 'scriptSig',
+        pc: 0,
+        opcode: 'OP_2',
+        stackBefore: 0,
+        stackAfter: 1,
+        altstackBefore: 0,
+        altstackAfter: 0,
+        hashed: 0,
+        sigops: 0
+      })
+      interp.trace[5].script.should.equal('scriptPubkey')
+      interp.trace[5].altstackAfter.should.equal(1)
+    })
+
+    it('should record the bytes hashed and the sigops', function () {
+      var interp = new Interpreter().enableTrace()
+      var scriptPubkey = Script.fromBitcoindString(
+        "'abc' SHA256 0x03 0x" + '00'.repeat(3) + ' SHA256 HASH256 2DROP 0 0 0 CHECKMULTISIG DROP 1')
+      interp.verify(Script(''), scriptPubkey).should.equal(true)
+      var hashes = interp.trace.filter(function (e) { return e.hashed > 0 })
+      hashes.map(function (e) { return e.hashed }).should.deep.equal([3, 3, 32])
+      var report = interp.getTraceReport()
+      report.executed.should.equal(interp.trace.length)
+      report.opcodes.OP_SHA256.should.equal(2)
+      report.bytesHashed.should.equal(38)
+      report.hashedBy.should.deep.equal({ OP_SHA256: 6, OP_HASH256: 32 })
+      report.peakStack.should.equal(3)
+      report.peakAltstack.should.equal(0)
+      report.sigops.should.equal(0)
+    })
+
+    it('should count sigops and follow P2SH redeem scripts', function () {
+      var redeemScript = Script('OP_0 OP_1 OP_1 OP_2 OP_CHECKMULTISIG')
+      var interp = new Interpreter().enableTrace()
+      var scriptSig = new Script().add('OP_0').add(redeemScript.toBuffer())
+      interp.verify(scriptSig, Script.buildScriptHashOut(redeemScript), new Transaction(), 0,
+        Interpreter.SCRIPT_VERIFY_P2SH).should.equal(true)
+      interp.trace[interp.trace.length - 1].script.should.equal('redeemScript')
+      interp.getTraceReport().sigops.should.equal(2)
+    })
+
+    it('should not record anything unless enabled', function () {
+      var interp = new Interpreter()
+      interp.verify(Script('OP_1'), Script('')).should.equal(true)
+      should.equal(interp.trace, undefined)
+      interp.getTraceReport().executed.should.equal(0)
+    })
+  })
+
   // Bitcoin Core script_tests vectors that are known to differ in Radiant due to:
   // - 64-bit integer support (Radiant accepts >32-bit integers that Bitcoin rejects)
   // - Higher op count limits (Radiant: 32M vs Bitcoin: 201)
@@ -676,7 +1206,7 @@ describe('Interpreter', function () {
             if (txoutnum === -1) {
               txoutnum = 0xffffffff // bitcoind casts -1 to an unsigned int
             }
-            map[txid + ':' + txoutnum] = Script.fromBitcoindString(scriptPubKeyStr)
+            map[txid + ':' + txoutnum] = fromBitcoindString(scriptPubKeyStr)
           })
 
           var tx = new Transaction(txhex)
@@ -708,3 +1238,8 @@ describe('Interpreter', function () {
     testTxs(txInvalid, false)
   })
 })
+
+module.exports = {
+  fromBitcoindString: fromBitcoindString,
+  getFlags: getFlags
+}
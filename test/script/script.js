@@ -482,6 +482,26 @@ describe('Script', function () {
     })
   })
 
+  describe('#isGlyphNftOut', function () {
+    var ref = '30d3480a07fcdd12a569bc0a26b2f11b07b1eb9a076522859b1019e62392449900000000'
+    var hash = '88d9931ea73d60eaf7e5671efc0552b912911f2a'
+
+    it('should return the ref and owner of an NFT singleton output', function () {
+      var nft = Script.fromASM('OP_PUSHINPUTREFSINGLETON ' + ref + ' OP_DROP OP_DUP OP_HASH160 ' + hash + ' OP_EQUALVERIFY OP_CHECKSIG').isGlyphNftOut('testnet')
+      nft.ref.toString('hex').should.equal(ref)
+      nft.owner.toString().should.equal(Address.fromPublicKeyHash(Buffer.from(hash, 'hex'), 'testnet').toString())
+    })
+
+    it('should not identify a normal ref or a bare P2PKH output', function () {
+      Script.fromASM('OP_PUSHINPUTREF ' + ref + ' OP_DROP OP_DUP OP_HASH160 ' + hash + ' OP_EQUALVERIFY OP_CHECKSIG').isGlyphNftOut().should.equal(false)
+      Script.fromASM('OP_DUP OP_HASH160 ' + hash + ' OP_EQUALVERIFY OP_CHECKSIG').isGlyphNftOut().should.equal(false)
+    })
+
+    it('should not identify a singleton followed by anything but P2PKH', function () {
+      Script.fromASM('OP_PUSHINPUTREFSINGLETON ' + ref + ' OP_DROP OP_DUP OP_HASH160 ' + hash + ' OP_EQUALVERIFY OP_CHECKSIGVERIFY').isGlyphNftOut().should.equal(false)
+    })
+  })
+
   describe('#isMultisigOut', function () {
     it('should identify known multisig out 1', function () {
       Script('OP_2 21 0x038282263212c609d9ea2a6e3e172de238d8c39cabd5ac1ca10646e23fd5f51508 21 0x038282263212c609d9ea2a6e3e172de238d8c39cabd5ac1ca10646e23fd5f51508 OP_2 OP_CHECKMULTISIG').isMultisigOut().should.equal(true)
@@ -157,6 +157,40 @@ describe('Script (radiant op codes)', function () {
     expect(script.chunks).to.deep.equal([])
   })
 
+  describe('#getRefsFromScriptBuffer', function () {
+    it('should group refs by the opcode carrying them', function () {
+      var a = '01'.repeat(36)
+      var b = '02'.repeat(36)
+      var refs = Script.getRefsFromScriptBuffer(Buffer.from('d0' + a + 'd8' + b + 'd1' + a + 'd2' + b + 'd3' + a + '75', 'hex'))
+      Array.from(refs.push.keys()).should.deep.equal([a])
+      Array.from(refs.singleton.keys()).should.deep.equal([b])
+      Array.from(refs.require.keys()).should.deep.equal([a])
+      Array.from(refs.disallow.keys()).should.deep.equal([b])
+      Array.from(refs.disallowSibling.keys()).should.deep.equal([a])
+    })
+  })
+
+  describe('state and code scripts', function () {
+    // <state: push 0x01020304> OP_STATESEPARATOR <code: OP_DUP OP_DROP OP_1>
+    var script = Script.fromBuffer(Buffer.from('0401020304bd767551', 'hex'))
+
+    it('should split the script at OP_STATESEPARATOR', function () {
+      script.getStateSeparatorIndex().should.equal(5)
+      script.getStateScript().toHex().should.equal('0401020304')
+      script.getCodeScript().toHex().should.equal('767551')
+      script.getCodeScriptHash().toString('hex')
+        .should.equal(bsv.crypto.Hash.sha256sha256(Buffer.from('767551', 'hex')).toString('hex'))
+    })
+
+    it('should treat a script without separator as all code', function () {
+      var plain = Script('OP_DUP OP_DROP OP_1')
+      plain.getStateSeparatorIndex().should.equal(-1)
+      plain.getStateScript().toHex().should.equal('')
+      plain.getCodeScript().toHex().should.equal('767551')
+      plain.getCodeScriptHash().equals(script.getCodeScriptHash()).should.equal(true)
+    })
+  })
+
   describe('#set', function () {
     var script = new Script()
 
@@ -1375,6 +1409,9 @@ describe('Script (radiant op codes)', function () {
       p2sh.getSignatureOperationsCount(true).should.equal(0)
       p2sh.getSignatureOperationsCount(false).should.equal(0)
     })
+    it('should count OP_CHECKDATASIG and OP_CHECKDATASIGVERIFY as one sigop each', function () {
+      Script('OP_CHECKDATASIG OP_CHECKDATASIGVERIFY OP_CHECKSIG').getSignatureOperationsCount().should.equal(3)
+    })
     it('should default the one and only argument to true', function () {
       var s1 = 'OP_1 01 FF OP_2 OP_CHECKMULTISIG'
       var trueCount = Script(s1).getSignatureOperationsCount(true)
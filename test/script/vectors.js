@@ -0,0 +1,139 @@
+'use strict'
+
+var should = require('chai').should()
+var expect = require('chai').expect
+var bsv = require('../..')
+var Interpreter = bsv.Script.Interpreter
+var Script = bsv.Script
+var Vectors = bsv.Script.Vectors
+var harness = require('./interpreter')
+
+var scriptTests = require('../data/bitcoind/script_tests')
+var txValid = require('../data/bitcoind/tx_valid')
+var txInvalid = require('../data/bitcoind/tx_invalid')
+
+describe('Vectors', function () {
+  describe('Interpreter.flagsFromString', function () {
+    it('combines comma separated flag names', function () {
+      Interpreter.flagsFromString('P2SH,STRICTENC').should.equal(
+        Interpreter.SCRIPT_VERIFY_P2SH | Interpreter.SCRIPT_VERIFY_STRICTENC)
+      Interpreter.flagsFromString(' SIGHASH_FORKID , ENHANCED_REFERENCES ').should.equal(
+        Interpreter.SCRIPT_ENABLE_SIGHASH_FORKID | Interpreter.SCRIPT_ENHANCED_REFERENCES)
+    })
+
+    it('returns no flags for an empty string or NONE', function () {
+      Interpreter.flagsFromString('').should.equal(0)
+      Interpreter.flagsFromString('NONE').should.equal(0)
+    })
+
+    it('rejects unknown flag names', function () {
+      expect(function () {
+        Interpreter.flagsFromString('P2SH,FORKID')
+      }).to.throw('Unknown script flag: FORKID')
+    })
+  })
+
+  describe('#runScriptVector', function () {
+    it('passes a vector that verifies as expected', function () {
+      var result = Vectors.runScriptVector(['1', '2 ADD 3 EQUAL', 'P2SH,STRICTENC', 'OK', 'simple add'])
+      result.should.deep.equal({
+        passed: true,
+        expected: 'OK',
+        verified: true,
+        errstr: '',
+        comment: 'simple add'
+      })
+    })
+
+    it('passes a vector that fails as expected', function () {
+      var result = Vectors.runScriptVector(['1', '2 EQUAL', '', 'EVAL_FALSE'])
+      result.passed.should.equal(true)
+      result.verified.should.equal(false)
+      result.errstr.should.equal('SCRIPT_ERR_EVAL_FALSE_IN_STACK')
+    })
+
+    it('fails a vector whose result differs', function () {
+      Vectors.runScriptVector(['1', '2 EQUAL', '', 'OK']).passed.should.equal(false)
+    })
+
+    it('spends the amount given in front of the scripts', function () {
+      var vector = [[0.00000001], '', '0 UTXOVALUE 1 EQUAL', 'NATIVE_INTROSPECTION', 'OK']
+      Vectors.runScriptVector(vector).passed.should.equal(true)
+      vector.length.should.equal(5)
+    })
+  })
+
+  describe('#runScriptTests', function () {
+    var vectors = [
+      ['comment'],
+      ['1', '1 EQUAL', '', 'OK'],
+      ['1', '2 EQUAL', '', 'OK'],
+      ['1', '2 EQUAL', '', 'EVAL_FALSE']
+    ]
+
+    it('summarizes every vector', function () {
+      var summary = Vectors.runScriptTests(vectors)
+      summary.passed.should.equal(2)
+      summary.failed.should.equal(1)
+      summary.skipped.should.equal(0)
+      summary.results.map(function (r) { return r.index }).should.deep.equal([1, 2, 3])
+      summary.results[1].passed.should.equal(false)
+    })
+
+    it('skips vectors by number and accepts JSON text', function () {
+      var summary = Vectors.runScriptTests(JSON.stringify(vectors), { skip: new Set([2]) })
+      summary.passed.should.equal(2)
+      summary.skipped.should.equal(1)
+      summary.results[1].should.deep.equal({ skipped: true, index: 2 })
+    })
+  })
+
+  describe('#runTxTests', function () {
+    it('reports the failing input of an invalid transaction', function () {
+      var vector = txInvalid.filter(function (v) { return v.length > 1 })[0]
+      var result = Vectors.runTxVector(vector, false)
+      result.passed.should.equal(true)
+      result.valid.should.equal(false)
+      should.exist(result.errstr)
+    })
+
+    it('passes the tx_valid.json vectors', function () {
+      var summary = Vectors.runTxTests(txValid, true)
+      summary.failed.should.equal(0)
+      summary.passed.should.equal(summary.results.length)
+    })
+
+    it('passes the tx_invalid.json vectors', function () {
+      var summary = Vectors.runTxTests(txInvalid, false)
+      summary.failed.should.equal(0)
+      summary.passed.should.equal(summary.results.length)
+    })
+  })
+
+  // the interpreter spec runs the same vectors through its own harness
+  describe('agreement with the interpreter spec harness', function () {
+    var scriptVectors = scriptTests.filter(function (v) { return v.length > 1 }).map(function (v) {
+      return Array.isArray(v[0]) ? v.slice(1) : v
+    })
+    var txVectors = txValid.concat(txInvalid).filter(function (v) { return v.length > 1 })
+
+    it('parses every script the way the harness does', function () {
+      scriptVectors.forEach(function (vector) {
+        [vector[0], vector[1]].forEach(function (str) {
+          Script.fromBitcoindString(str).toHex().should.equal(harness.fromBitcoindString(str).toHex(), str)
+        })
+      })
+      txVectors.forEach(function (vector) {
+        vector[0].forEach(function (input) {
+          Script.fromBitcoindString(input[2]).toHex().should.equal(harness.fromBitcoindString(input[2]).toHex(), input[2])
+        })
+      })
+    })
+
+    it('reads every flag string the way the harness does', function () {
+      scriptVectors.concat(txVectors).forEach(function (vector) {
+        Interpreter.flagsFromString(vector[2]).should.equal(harness.getFlags(vector[2]), vector[2])
+      })
+    })
+  })
+})
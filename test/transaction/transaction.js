@@ -696,6 +696,81 @@ describe('Transaction', function () {
     })
   })
 
+  describe('#verifyScripts', function () {
+    it('accepts a signed transaction using the attached outputs', function () {
+      var tx = new Transaction()
+        .from(simpleUtxoWith100000Satoshis)
+        .to(toAddress, 50000)
+        .sign(privateKey)
+      var results = tx.verifyScripts()
+      results.length.should.equal(1)
+      results[0].should.deep.equal({
+        inputIndex: 0,
+        valid: true,
+        errstr: '',
+        script: null,
+        pc: -1,
+        opcode: null
+      })
+    })
+
+    it('reports the failing opcode of a wrong public key', function () {
+      var tx = new Transaction()
+        .from(simpleUtxoWith100000Satoshis)
+        .to(toAddress, 50000)
+        .sign(privateKey)
+      var sig = tx.inputs[0].script.chunks[0].buf
+      tx.inputs[0].setScript(new Script().add(sig).add(public1.toBuffer()))
+      var result = tx.verifyScripts()[0]
+      result.valid.should.equal(false)
+      result.errstr.should.equal('SCRIPT_ERR_EQUALVERIFY')
+      result.script.should.equal('scriptPubkey')
+      result.pc.should.equal(3)
+      result.opcode.should.equal(Opcode.OP_EQUALVERIFY)
+    })
+
+    it('prefers explicit prevouts over the attached outputs', function () {
+      var tx = new Transaction()
+        .from(simpleUtxoWith100000Satoshis)
+        .to(toAddress, 50000)
+        .sign(privateKey)
+      var prevout = new Output({
+        script: new Script().add('OP_FALSE'),
+        satoshis: 100000
+      })
+      var result = tx.verifyScripts([prevout])[0]
+      result.valid.should.equal(false)
+      result.errstr.should.equal('SCRIPT_ERR_EVAL_FALSE_IN_STACK')
+      expect(result.script).to.equal(null)
+      result.pc.should.equal(-1)
+    })
+
+    it('verifies each input on its own', function () {
+      var tx = new Transaction()
+        .from(simpleUtxoWith100000Satoshis)
+        .from(Object.assign({}, anyoneCanSpendUTXO, { outputIndex: 1 }))
+        .to(toAddress, 50000)
+        .sign(privateKey)
+      tx.inputs[1].setScript(new Script().add('OP_NOP'))
+      var results = tx.verifyScripts()
+      results[0].valid.should.equal(true)
+      results[1].valid.should.equal(false)
+      results[1].errstr.should.equal('SCRIPT_ERR_SIG_PUSHONLY')
+    })
+
+    it('throws when a spent output is unknown', function () {
+      var tx = new Transaction()
+      tx.uncheckedAddInput(new Input({
+        prevTxId: testPrevTx,
+        outputIndex: 0,
+        script: new Script()
+      }))
+      expect(function () {
+        tx.verifyScripts()
+      }).to.throw(errors.Transaction.Input.MissingPreviousOutput)
+    })
+  })
+
   describe('to and from JSON', function () {
     it('takes a string that is a valid JSON and deserializes from it', function () {
       var simple = new Transaction()